@@ -10,33 +10,178 @@
  * - Loads the database into memory and persists to disk
  * 
  * The database file is stored locally in /db/stock-keeper.db
+ * Schema changes are applied by the migration runner (see migrate.js).
  */
 
 const initSqlJs = require('sql.js');
 const path = require('path');
 const fs = require('fs');
+const migrate = require('./migrate');
+const units = require('../lib/units');
 
-// Database file path - stored in the db directory
-const DB_PATH = path.join(__dirname, 'stock-keeper.db');
-const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
+// Database file path - stored in the db directory unless DB_PATH is set
+const DB_PATH = process.env.DB_PATH
+    ? path.resolve(process.env.DB_PATH)
+    : path.join(__dirname, 'stock-keeper.db');
+
+// Units allowed by the items.unit CHECK constraint (see lib/units.js)
+const UNITS = units.UNIT_CODES;
+
+// Types allowed by the locations.type CHECK constraint
+const LOCATION_TYPES = ['fridge', 'freezer', 'cupboard', 'spice', 'pantry', 'other'];
+
+// Expiry date types allowed by the items.expiry_type CHECK constraint:
+// past a use-by date is unsafe, past a best-before date only past its best
+const EXPIRY_TYPES = ['use_by', 'best_before'];
+
+// Consumption actions allowed by the consumption_history.action CHECK constraint
+const CONSUMPTION_ACTIONS = ['used', 'discarded', 'expired'];
+
+// Kinds of move allowed by the item_movements.change CHECK constraint
+const MOVE_CHANGES = ['moved', 'frozen', 'thawed'];
+
+// Actions allowed by the alert_actions.action CHECK constraint
+const ALERT_ACTIONS = ['acknowledged', 'snoozed', 'ignored', 'restored'];
+
+// Events allowed by the item_events.event CHECK constraint
+const ITEM_EVENTS = ['created', 'updated', 'quantity', 'moved', 'deleted', 'restored'];
+
+// Roles allowed by the users.role CHECK constraint, most trusted first
+const USER_ROLES = ['admin', 'member', 'viewer'];
+
+// Setting holding the default expiry warning window in days;
+// <key>.<location type> holds the window for a location type
+const EXPIRY_WARNING_DAYS_KEY = 'expiry.warning_days';
+
+// Settings holding the freeze/thaw rules applied when items are moved into
+// or out of a freezer (see moveItem)
+const FREEZE_DAYS_KEY = 'freezer.freeze_days';
+const THAW_DAYS_KEY = 'freezer.thaw_days';
+
+// Settings under this prefix belong to this appliance (where to deliver
+// notifications, its own keys and passwords) and are left out of transfers
+const LOCAL_SETTINGS_PREFIX = 'notify.';
 
 // Database instance (will be initialized async)
 let db = null;
 let SQL = null;
 
-// Save interval for periodic persistence (every 5 seconds if changes)
+// Rolling generations of the database file kept alongside it
+// (stock-keeper.db.1 is the newest, .2 older, and so on)
+const DB_GENERATIONS = Math.max(0, parseInt(process.env.DB_GENERATIONS, 10) || 3);
+const DB_GENERATION_INTERVAL_MS = (parseInt(process.env.DB_GENERATION_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+// Mutations are flushed immediately by run(); the timer is a safety net
+// that retries any save that failed (e.g. SD card briefly unavailable)
 let saveTimer = null;
 let isDirty = false;
 
+// Nesting depth of transaction() - saves are deferred until the outermost commit
+let transactionDepth = 0;
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Path of a rolling generation file
+ * @param {number} n - Generation number (1 = newest)
+ */
+function generationPath(n) {
+    return `${DB_PATH}.${n}`;
+}
+
+/**
+ * Apply per-connection settings.
+ * sql.js closes and reopens the connection on every export(), which resets
+ * PRAGMAs, so this runs after opening and after each save.
+ */
+function configureConnection() {
+    db.run('PRAGMA foreign_keys = ON');
+}
+
+/**
+ * fsync a directory so a rename inside it survives power loss
+ */
+function fsyncDirectory(dir) {
+    let fd;
+    try {
+        fd = fs.openSync(dir, 'r');
+        fs.fsyncSync(fd);
+    } catch (error) {
+        // Not supported on every platform/filesystem - the rename is still atomic
+    } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+    }
+}
+
+/**
+ * Write a file atomically: temp file, fsync, rename over the target
+ * @param {string} filePath - Destination path
+ * @param {Buffer} buffer - File contents
+ */
+function writeFileAtomic(filePath, buffer) {
+    const tempPath = `${filePath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, buffer, 0, buffer.length, 0);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+    fsyncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Shift the rolling generations and keep the current file as generation 1.
+ * Only rotates when the newest generation is older than the configured
+ * interval, so a burst of saves does not push out every older copy.
+ */
+function rotateGenerations() {
+    if (DB_GENERATIONS === 0 || !fs.existsSync(DB_PATH)) return;
+    
+    const newest = generationPath(1);
+    if (fs.existsSync(newest) && Date.now() - fs.statSync(newest).mtimeMs < DB_GENERATION_INTERVAL_MS) {
+        return;
+    }
+    
+    for (let n = DB_GENERATIONS; n >= 1; n--) {
+        const from = generationPath(n);
+        if (!fs.existsSync(from)) continue;
+        if (n === DB_GENERATIONS) {
+            fs.unlinkSync(from);
+        } else {
+            fs.renameSync(from, generationPath(n + 1));
+        }
+    }
+    
+    // Hard link is instant and atomic; the atomic write below replaces
+    // DB_PATH with a new inode so the link keeps the old contents.
+    // Fall back to a copy on filesystems without links (e.g. FAT USB sticks).
+    try {
+        fs.linkSync(DB_PATH, newest);
+    } catch (error) {
+        fs.copyFileSync(DB_PATH, newest);
+    }
+    // Touch so the rotation interval is measured from now
+    const now = new Date();
+    fs.utimesSync(newest, now, now);
+}
+
 /**
  * Save database to disk
+ * Writes atomically so a power cut leaves either the old or the new file,
+ * never a torn one.
  */
 function saveDatabase() {
-    if (db && isDirty) {
+    if (db && isDirty && transactionDepth === 0) {
         try {
             const data = db.export();
-            const buffer = Buffer.from(data);
-            fs.writeFileSync(DB_PATH, buffer);
+            configureConnection();
+            
+            rotateGenerations();
+            writeFileAtomic(DB_PATH, Buffer.from(data));
             isDirty = false;
         } catch (error) {
             console.error('Failed to save database:', error.message);
@@ -51,6 +196,71 @@ function markDirty() {
     isDirty = true;
 }
 
+/**
+ * Open a database file and verify it with PRAGMA integrity_check
+ * @param {string} filePath - File to open
+ * @returns {Object|null} sql.js Database, or null if missing/corrupt
+ */
+function openVerified(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    
+    let candidate = null;
+    try {
+        candidate = new SQL.Database(fs.readFileSync(filePath));
+        const result = candidate.exec('PRAGMA integrity_check');
+        const status = result[0]?.values?.[0]?.[0];
+        if (status === 'ok') {
+            return candidate;
+        }
+        console.error(`✗ Integrity check failed for ${path.basename(filePath)}: ${status}`);
+    } catch (error) {
+        console.error(`✗ Could not open ${path.basename(filePath)}: ${error.message}`);
+    }
+    if (candidate) candidate.close();
+    return null;
+}
+
+/**
+ * Load the newest database file that passes an integrity check.
+ * Falls back through the rolling generations if the main file is damaged;
+ * the damaged file is kept aside for inspection rather than overwritten.
+ * @returns {Object|null} sql.js Database, or null if no file exists yet
+ */
+function loadNewestGoodDatabase() {
+    // A leftover temp file means a save was interrupted before its rename
+    if (fs.existsSync(`${DB_PATH}.tmp`)) {
+        fs.unlinkSync(`${DB_PATH}.tmp`);
+    }
+    
+    const candidates = [DB_PATH];
+    for (let n = 1; n <= DB_GENERATIONS; n++) {
+        candidates.push(generationPath(n));
+    }
+    
+    const existing = candidates.filter(file => fs.existsSync(file));
+    if (existing.length === 0) return null;
+    
+    for (const file of existing) {
+        const loaded = openVerified(file);
+        if (!loaded) continue;
+        
+        if (file === DB_PATH) {
+            console.log('✓ Database loaded from disk');
+        } else {
+            console.warn(`⚠ Recovered database from ${path.basename(file)}`);
+            if (fs.existsSync(DB_PATH)) {
+                const corruptPath = `${DB_PATH}.corrupt-${Date.now()}`;
+                fs.renameSync(DB_PATH, corruptPath);
+                console.warn(`⚠ Damaged database moved to ${path.basename(corruptPath)}`);
+            }
+            markDirty();
+        }
+        return loaded;
+    }
+    
+    throw new Error(`No readable database found (checked ${existing.map(f => path.basename(f)).join(', ')})`);
+}
+
 /**
  * Initialize the database
  * @returns {Promise} Resolves when database is ready
@@ -60,35 +270,37 @@ async function initializeDatabase() {
         // Initialize SQL.js
         SQL = await initSqlJs();
         
-        // Check if database file exists
-        if (fs.existsSync(DB_PATH)) {
-            // Load existing database
-            const fileBuffer = fs.readFileSync(DB_PATH);
-            db = new SQL.Database(fileBuffer);
-            console.log('✓ Database loaded from disk');
-        } else {
-            // Create new database
+        // Load the newest intact database file, or create a new one
+        db = loadNewestGoodDatabase();
+        if (!db) {
             db = new SQL.Database();
             console.log('✓ New database created');
         }
         
-        // Run schema (uses IF NOT EXISTS, safe to run multiple times)
-        const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
-        db.run(schema);
+        // Bring the schema up to date (refuses databases newer than this code)
+        const migration = migrate.runMigrations(db);
+        migration.applied.forEach(name => console.log(`✓ Applied migration ${name}`));
+        if (migration.applied.length > 0) {
+            markDirty();
+        }
+        console.log(`✓ Schema at version ${migration.to}`);
         
-        // Enable foreign keys
-        db.run('PRAGMA foreign_keys = ON');
+        configureConnection();
         
         // Save to disk
         saveDatabase();
         
-        // Set up periodic save (every 5 seconds)
+        // Retry any failed saves periodically
         saveTimer = setInterval(saveDatabase, 5000);
         
         console.log('✓ Database initialized successfully');
         return db;
     } catch (error) {
         console.error('✗ Database initialization failed:', error.message);
+        if (db) {
+            db.close();
+            db = null;
+        }
         throw error;
     }
 }
@@ -120,6 +332,7 @@ function get(sql, params = []) {
 
 /**
  * Helper to run an INSERT/UPDATE/DELETE query
+ * Flushes to disk immediately unless inside a transaction.
  */
 function run(sql, params = []) {
     if (!db) throw new Error('Database not initialized');
@@ -127,20 +340,106 @@ function run(sql, params = []) {
     db.run(sql, params);
     markDirty();
     
-    return {
+    const result = {
         lastInsertRowid: db.exec("SELECT last_insert_rowid()")[0]?.values[0]?.[0] || 0,
         changes: db.getRowsModified()
     };
+    
+    saveDatabase();
+    return result;
+}
+
+/**
+ * Run a function inside a transaction
+ * All writes are committed together (or rolled back if fn throws) and
+ * flushed to disk once at the end. Nested calls join the outer transaction.
+ * @param {Function} fn - Work to perform
+ * @returns {*} Whatever fn returns
+ */
+function transaction(fn) {
+    if (!db) throw new Error('Database not initialized');
+    
+    if (transactionDepth > 0) {
+        transactionDepth++;
+        try {
+            return fn();
+        } finally {
+            transactionDepth--;
+        }
+    }
+    
+    db.run('BEGIN');
+    transactionDepth = 1;
+    try {
+        const result = fn();
+        db.run('COMMIT');
+        return result;
+    } catch (error) {
+        db.run('ROLLBACK');
+        throw error;
+    } finally {
+        transactionDepth = 0;
+        saveDatabase();
+    }
 }
 
 // ============================================================================
 // ITEM OPERATIONS
 // ============================================================================
 
+/**
+ * SQL for the expiry warning window in effect, in days: the item's own,
+ * else its category's, else its location type's, else the default (see
+ * the SETTINGS section)
+ * @param {string} item - Alias of the items table
+ * @param {string} category - Alias of the joined categories table
+ * @param {string} locationType - Expression for the type of location it is kept in
+ * @returns {string} SQL expression
+ */
+function warningDaysSql(item, category, locationType) {
+    return `COALESCE(
+        ${item}.expiry_warning_days,
+        ${category}.expiry_warning_days,
+        (SELECT CAST(value AS INTEGER) FROM settings WHERE key = '${EXPIRY_WARNING_DAYS_KEY}.' || ${locationType}),
+        (SELECT CAST(value AS INTEGER) FROM settings WHERE key = '${EXPIRY_WARNING_DAYS_KEY}')
+    )`;
+}
+
+/**
+ * SQL for the expiry status of a date: none, expired, today, soon or ok
+ * @param {string} expiryDate - Expiry date column
+ * @param {string} warningDays - Warning window expression (see warningDaysSql)
+ * @returns {string} SQL expression
+ */
+function expiryStatusSql(expiryDate, warningDays) {
+    return `CASE 
+                WHEN ${expiryDate} IS NULL THEN 'none'
+                WHEN date(${expiryDate}) < date('now', 'localtime') THEN 'expired'
+                WHEN date(${expiryDate}) = date('now', 'localtime') THEN 'today'
+                WHEN date(${expiryDate}) <= date('now', 'localtime', '+' || ${warningDays} || ' days') THEN 'soon'
+                ELSE 'ok'
+            END`;
+}
+
+// Warning window of an item (aliases i, c, l as in getItems)
+const ITEM_WARNING_DAYS = warningDaysSql('i', 'c', 'l.type');
+
+// Days an item in a freezer has been frozen: since it was moved in, else
+// since it was added (NULL outside freezers)
+const FROZEN_DAYS = `CASE WHEN l.type = 'freezer' THEN CAST(julianday('now', 'localtime') - julianday(COALESCE(
+                (SELECT MIN(frozen_at) FROM item_lots WHERE item_id = i.id), i.date_added)) AS INTEGER) END`;
+
+// Amount of an item set aside by meals planned for today or later that are
+// not cooked yet (see migration 016)
+const RESERVED_QUANTITY = `(SELECT COALESCE(SUM(r.quantity), 0) FROM meal_reservations r
+                JOIN meal_plans m ON m.id = r.meal_plan_id
+                WHERE r.item_id = i.id AND m.cooked_at IS NULL AND date(m.planned_date) >= date('now', 'localtime'))`;
+
 /**
  * Get all items with optional filtering
  * @param {Object} filters - Optional filters { location, locationId, category, search, expiryStatus }
- * @returns {Array} Array of item objects
+ * @returns {Array} Array of item objects, with reserved_quantity (set aside by planned
+ *   meals) and available_quantity (what is left)
  */
 function getItems(filters = {}) {
     let sql = `
@@ -150,28 +449,31 @@ function getItems(filters = {}) {
             l.icon as location_icon,
             l.type as location_type,
             l.color as location_color,
-            CASE 
-                WHEN i.expiry_date IS NULL THEN 'none'
-                WHEN date(i.expiry_date) < date('now', 'localtime') THEN 'expired'
-                WHEN date(i.expiry_date) = date('now', 'localtime') THEN 'today'
-                WHEN date(i.expiry_date) <= date('now', 'localtime', '+3 days') THEN 'soon'
-                ELSE 'ok'
-            END as expiry_status,
+            ${expiryStatusSql('i.expiry_date', ITEM_WARNING_DAYS)} as expiry_status,
+            ${ITEM_WARNING_DAYS} as warning_days,
             CASE 
                 WHEN i.expiry_date IS NULL THEN NULL
                 ELSE CAST(julianday(i.expiry_date) - julianday('now', 'localtime') AS INTEGER)
-            END as days_until_expiry
+            END as days_until_expiry,
+            (SELECT COUNT(*) FROM item_lots WHERE item_id = i.id) as lot_count,
+            (SELECT MIN(opened_at) FROM item_lots WHERE item_id = i.id) as opened_at,
+            ${FROZEN_DAYS} as frozen_days,
+            ${RESERVED_QUANTITY} as reserved_quantity,
+            MAX(i.quantity - ${RESERVED_QUANTITY}, 0) as available_quantity,
+            COALESCE(i.min_quantity, c.min_quantity) as stock_min,
+            COALESCE(i.target_quantity, i.min_quantity, c.target_quantity, c.min_quantity) as stock_target
         FROM items i
         LEFT JOIN locations l ON i.location_id = l.id
-        WHERE 1=1
+        LEFT JOIN categories c ON c.name = i.category
+        WHERE i.deleted_at IS NULL
     `;
     
     const params = [];
     
-    // New: filter by location_id
+    // New: filter by location_id (including items with a lot kept there)
     if (filters.locationId) {
-        sql += ' AND i.location_id = ?';
-        params.push(filters.locationId);
+        sql += ' AND (i.location_id = ? OR EXISTS (SELECT 1 FROM item_lots WHERE item_id = i.id AND location_id = ?))';
+        params.push(filters.locationId, filters.locationId);
     }
     
     // Legacy: filter by location string (for backwards compatibility)
@@ -200,10 +502,10 @@ function getItems(filters = {}) {
                 sql += ' AND date(i.expiry_date) = date("now", "localtime")';
                 break;
             case 'soon':
-                sql += ' AND i.expiry_date IS NOT NULL AND date(i.expiry_date) > date("now", "localtime") AND date(i.expiry_date) <= date("now", "localtime", "+3 days")';
+                sql += ` AND i.expiry_date IS NOT NULL AND date(i.expiry_date) > date('now', 'localtime') AND date(i.expiry_date) <= date('now', 'localtime', '+' || ${ITEM_WARNING_DAYS} || ' days')`;
                 break;
             case 'ok':
-                sql += ' AND (i.expiry_date IS NULL OR date(i.expiry_date) > date("now", "localtime", "+3 days"))';
+                sql += ` AND (i.expiry_date IS NULL OR date(i.expiry_date) > date('now', 'localtime', '+' || ${ITEM_WARNING_DAYS} || ' days'))`;
                 break;
         }
     }
@@ -227,55 +529,120 @@ function getItemById(id) {
             l.icon as location_icon,
             l.type as location_type,
             l.color as location_color,
-            CASE 
-                WHEN i.expiry_date IS NULL THEN 'none'
-                WHEN date(i.expiry_date) < date('now', 'localtime') THEN 'expired'
-                WHEN date(i.expiry_date) = date('now', 'localtime') THEN 'today'
-                WHEN date(i.expiry_date) <= date('now', 'localtime', '+3 days') THEN 'soon'
-                ELSE 'ok'
-            END as expiry_status,
+            ${expiryStatusSql('i.expiry_date', ITEM_WARNING_DAYS)} as expiry_status,
+            ${ITEM_WARNING_DAYS} as warning_days,
             CASE 
                 WHEN i.expiry_date IS NULL THEN NULL
                 ELSE CAST(julianday(i.expiry_date) - julianday('now', 'localtime') AS INTEGER)
-            END as days_until_expiry
+            END as days_until_expiry,
+            (SELECT COUNT(*) FROM item_lots WHERE item_id = i.id) as lot_count,
+            (SELECT MIN(opened_at) FROM item_lots WHERE item_id = i.id) as opened_at,
+            ${FROZEN_DAYS} as frozen_days,
+            ${RESERVED_QUANTITY} as reserved_quantity,
+            MAX(i.quantity - ${RESERVED_QUANTITY}, 0) as available_quantity,
+            COALESCE(i.min_quantity, c.min_quantity) as stock_min,
+            COALESCE(i.target_quantity, i.min_quantity, c.target_quantity, c.min_quantity) as stock_target
         FROM items i
         LEFT JOIN locations l ON i.location_id = l.id
-        WHERE i.id = ?
+        LEFT JOIN categories c ON c.name = i.category
+        WHERE i.id = ? AND i.deleted_at IS NULL
     `;
     return get(sql, [id]);
 }
 
+/**
+ * Find an item by title (case-insensitive) within a location
+ * @param {string} title - Item title
+ * @param {number|null} locationId - Location ID
+ * @returns {Object|undefined} First matching item
+ */
+function findItemByTitleAndLocation(title, locationId) {
+    return get(`
+        SELECT * FROM items
+        WHERE lower(title) = lower(?) AND location_id IS ? AND deleted_at IS NULL
+        ORDER BY id ASC
+        LIMIT 1
+    `, [title, locationId]);
+}
+
 /**
  * Create a new item
- * @param {Object} item - Item data
+ * The quantity and expiry date become the item's first lot. With a
+ * product_id, fields left undefined are filled from the product (see
+ * getProductDefaults). The catalog learns from every item created here,
+ * including the barcode the item was scanned with.
+ * @param {Object} item - Item data (plus optional product_id, barcode)
  * @returns {Object} Result with lastInsertRowid
  */
 function createItem(item) {
     const sql = `
         INSERT INTO items (
             title, description, category, location, location_id, brand, is_homemade,
-            quantity, unit, date_added, expiry_date, image_path
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            quantity, unit, date_added, expiry_date, image_path, product_id, min_quantity, target_quantity,
+            expiry_warning_days, expiry_type
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, NULL, ?, ?, ?, ?, ?, ?)
     `;
     
-    return run(sql, [
-        item.title,
-        item.description || '',
-        item.category || 'Uncategorized',
-        item.location || null, // Legacy field
-        item.location_id || null, // New field
-        item.is_homemade ? null : (item.brand || null),
-        item.is_homemade ? 1 : 0,
-        item.quantity || 1,
-        item.unit || 'pcs',
-        item.date_added || new Date().toISOString().split('T')[0],
-        item.expiry_date || null,
-        item.image_path || null
-    ]);
+    const dateAdded = item.date_added || new Date().toISOString().split('T')[0];
+    
+    return transaction(() => {
+        const defaults = item.product_id ? getProductDefaults(item.product_id, item.location_id, dateAdded) : null;
+        if (defaults) {
+            item = {
+                ...item,
+                title: item.title ?? defaults.name,
+                category: item.category ?? defaults.category,
+                brand: item.brand ?? defaults.brand,
+                is_homemade: item.is_homemade ?? defaults.is_homemade,
+                unit: item.unit ?? defaults.unit,
+                quantity: item.quantity ?? defaults.default_quantity,
+                expiry_date: item.expiry_date === undefined ? defaults.expiry_date : item.expiry_date,
+                expiry_type: item.expiry_type ?? defaults.expiry_type
+            };
+        }
+        
+        const result = run(sql, [
+            item.title,
+            item.description || '',
+            item.category || 'Uncategorized',
+            item.location || null, // Legacy field
+            item.location_id || null, // New field
+            item.is_homemade ? null : (item.brand || null),
+            item.is_homemade ? 1 : 0,
+            item.unit || 'pcs',
+            dateAdded,
+            item.image_path || null,
+            defaults ? defaults.id : null,
+            item.min_quantity ?? null,
+            item.target_quantity ?? null,
+            item.expiry_warning_days ?? null,
+            EXPIRY_TYPES.includes(item.expiry_type) ? item.expiry_type : 'use_by'
+        ]);
+        
+        const quantity = item.quantity ?? 1;
+        if (quantity > 0) {
+            addItemLot(result.lastInsertRowid, {
+                quantity,
+                date_added: dateAdded,
+                expiry_date: item.expiry_date || null
+            });
+        }
+        
+        const productId = learnProduct(result.lastInsertRowid);
+        if (item.barcode) {
+            setBarcode(item.barcode, productId);
+        }
+        
+        return result;
+    });
 }
 
 /**
  * Update an existing item
+ * Quantity and expiry date are applied to the item's lots (see setItemStock).
+ * A change of location is recorded as a move (see moveItem).
+ * A min_quantity / target_quantity / expiry_warning_days / expiry_type left
+ * undefined keeps the item's setting.
  * @param {number} id - Item ID
  * @param {Object} item - Updated item data
  * @returns {Object} Result with changes count
@@ -290,180 +657,2120 @@ function updateItem(id, item) {
             location_id = ?,
             brand = ?,
             is_homemade = ?,
-            quantity = ?,
             unit = ?,
             date_added = ?,
-            expiry_date = ?,
             image_path = COALESCE(?, image_path),
+            min_quantity = CASE WHEN ? THEN min_quantity ELSE ? END,
+            target_quantity = CASE WHEN ? THEN target_quantity ELSE ? END,
+            expiry_warning_days = CASE WHEN ? THEN expiry_warning_days ELSE ? END,
+            expiry_type = COALESCE(?, expiry_type),
             updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
     `;
     
-    return run(sql, [
-        item.title,
-        item.description || '',
-        item.category || 'Uncategorized',
-        item.location || null,
-        item.location_id || null,
-        item.is_homemade ? null : (item.brand || null),
-        item.is_homemade ? 1 : 0,
-        item.quantity || 1,
-        item.unit || 'pcs',
-        item.date_added,
-        item.expiry_date || null,
-        item.image_path || null,
-        id
-    ]);
+    return transaction(() => {
+        const before = get('SELECT location_id, expiry_date FROM items WHERE id = ?', [id]);
+        
+        const result = run(sql, [
+            item.title,
+            item.description || '',
+            item.category || 'Uncategorized',
+            item.location || null,
+            item.location_id || null,
+            item.is_homemade ? null : (item.brand || null),
+            item.is_homemade ? 1 : 0,
+            item.unit || 'pcs',
+            item.date_added,
+            item.image_path || null,
+            item.min_quantity === undefined ? 1 : 0,
+            item.min_quantity ?? null,
+            item.target_quantity === undefined ? 1 : 0,
+            item.target_quantity ?? null,
+            item.expiry_warning_days === undefined ? 1 : 0,
+            item.expiry_warning_days ?? null,
+            EXPIRY_TYPES.includes(item.expiry_type) ? item.expiry_type : null,
+            id
+        ]);
+        
+        if (result.changes > 0) {
+            setItemStock(id, item.quantity ?? 1, item.expiry_date || null);
+            
+            // A date typed in along with the move wins over the freeze/thaw rules
+            if (before.location_id !== (item.location_id || null)) {
+                moveItem(id, before.location_id, item.location_id || null, {
+                    adjustExpiry: before.expiry_date === (item.expiry_date || null)
+                });
+            }
+        }
+        
+        return result;
+    });
 }
 
 /**
  * Update item quantity (for quick use/add actions)
+ * A decrease is taken from the lots in use order; an increase is added to
+ * the newest sealed lot.
  * @param {number} id - Item ID
  * @param {number} quantity - New quantity
  * @returns {Object} Result
  */
 function updateItemQuantity(id, quantity) {
-    return run('UPDATE items SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [quantity, id]);
+    return transaction(() => {
+        const item = get('SELECT quantity FROM items WHERE id = ?', [id]);
+        if (!item) return { changes: 0 };
+        
+        const delta = quantity - item.quantity;
+        if (delta < 0) {
+            consumeItemLots(id, -delta);
+        } else if (delta > 0) {
+            const newest = get(`
+                SELECT * FROM item_lots WHERE item_id = ?
+                ORDER BY opened_at IS NULL DESC, date_added DESC, id DESC LIMIT 1
+            `, [id]);
+            if (newest) {
+                run('UPDATE item_lots SET quantity = quantity + ? WHERE id = ?', [delta, newest.id]);
+            } else {
+                addItemLot(id, { quantity: delta });
+            }
+        }
+        
+        return { changes: 1 };
+    });
 }
 
 /**
- * Delete an item
+ * Delete an item: it goes to the trash, where it keeps its lots, image and
+ * history until it is restored or purged
  * @param {number} id - Item ID
  * @returns {Object} Result
  */
 function deleteItem(id) {
-    return run('DELETE FROM items WHERE id = ?', [id]);
+    return run("UPDATE items SET deleted_at = datetime('now', 'localtime') WHERE id = ? AND deleted_at IS NULL", [id]);
 }
 
-// ============================================================================
-// CONSUMPTION TRACKING
-// ============================================================================
-
 /**
- * Log consumption of an item
- * @param {number} itemId - Item ID
- * @param {number} quantityUsed - Amount consumed
- * @param {string} action - 'used', 'discarded', or 'expired'
- * @param {string} notes - Optional notes
+ * Get the items in the trash, most recently deleted first
+ * @returns {Array} Items with location_name and location_icon
  */
-function logConsumption(itemId, quantityUsed, action = 'used', notes = '') {
-    const item = getItemById(itemId);
-    if (!item) return null;
-    
-    const sql = `
-        INSERT INTO consumption_history (item_id, item_title, quantity_used, unit, action, notes)
-        VALUES (?, ?, ?, ?, ?, ?)
-    `;
-    
-    return run(sql, [itemId, item.title, quantityUsed, item.unit, action, notes]);
+function getDeletedItems() {
+    return all(`
+        SELECT
+            i.*,
+            l.name as location_name,
+            l.icon as location_icon
+        FROM items i
+        LEFT JOIN locations l ON i.location_id = l.id
+        WHERE i.deleted_at IS NOT NULL
+        ORDER BY i.deleted_at DESC, i.id DESC
+    `);
 }
 
 /**
- * Get consumption history
- * @param {Object} filters - Optional filters { itemId, days, action }
- * @returns {Array} Consumption records
+ * Get an item in the trash
+ * @param {number} id - Item ID
+ * @returns {Object|undefined} Item
  */
-function getConsumptionHistory(filters = {}) {
-    let sql = 'SELECT * FROM consumption_history WHERE 1=1';
-    const params = [];
-    
-    if (filters.itemId) {
-        sql += ' AND item_id = ?';
-        params.push(filters.itemId);
-    }
-    
-    if (filters.days) {
-        sql += ` AND consumed_at >= datetime('now', 'localtime', '-${parseInt(filters.days)} days')`;
-    }
-    
-    if (filters.action) {
-        sql += ' AND action = ?';
-        params.push(filters.action);
-    }
-    
-    sql += ' ORDER BY consumed_at DESC';
-    
-    if (filters.limit) {
-        sql += ` LIMIT ${parseInt(filters.limit)}`;
-    }
-    
-    return all(sql, params);
+function getDeletedItemById(id) {
+    return get('SELECT * FROM items WHERE id = ? AND deleted_at IS NOT NULL', [id]);
 }
 
-// ============================================================================
-// STATISTICS & DASHBOARD
-// ============================================================================
-
 /**
- * Get dashboard statistics
- * @returns {Object} Stats object
+ * Take an item back out of the trash
+ * @param {number} id - Item ID
+ * @returns {Object} Result
  */
-function getStats() {
-    const stats = {
-        totalItems: get('SELECT COUNT(*) as count FROM items')?.count || 0,
-        expiredCount: get('SELECT COUNT(*) as count FROM v_expired')?.count || 0,
-        expiringSoonCount: get('SELECT COUNT(*) as count FROM v_expiring_soon')?.count || 0,
-        lowStockCount: get('SELECT COUNT(*) as count FROM v_low_stock')?.count || 0,
-        locationSummary: all('SELECT * FROM v_location_summary'),
-        recentConsumption: all('SELECT * FROM v_recent_consumption LIMIT 10')
-    };
-    
-    // Get all locations with item counts
-    const locations = getLocations(true); // visible only
-    const locationCounts = getLocationCounts();
-    
-    stats.locations = locations.map(loc => ({
-        ...loc,
-        count: locationCounts[loc.id] || 0
-    }));
-    
-    // Legacy byLocation for backwards compatibility
-    stats.byLocation = {};
-    locations.forEach(loc => {
-        // Use location type as key for backwards compat
-        if (!stats.byLocation[loc.type]) {
-            stats.byLocation[loc.type] = 0;
-        }
-        stats.byLocation[loc.type] += locationCounts[loc.id] || 0;
-    });
-    
-    return stats;
+function restoreItem(id) {
+    return run('UPDATE items SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL', [id]);
 }
 
 /**
- * Get items that are expired
- * @returns {Array} Expired items
+ * Remove an item in the trash for good (its lots, reservations and alert
+ * state go with it; its history keeps the title but loses the link)
+ * @param {number} id - Item ID
+ * @returns {Object} Result
  */
-function getExpiredItems() {
-    return all('SELECT * FROM v_expired');
+function purgeItem(id) {
+    return run('DELETE FROM items WHERE id = ? AND deleted_at IS NOT NULL', [id]);
 }
 
 /**
- * Get items expiring soon (within 3 days)
- * @returns {Array} Expiring items
+ * Get the items that have been in the trash for more than a number of days
+ * @param {number} days - Days
+ * @returns {Array} Items (id, title, image_path)
  */
-function getExpiringSoonItems() {
-    return all('SELECT * FROM v_expiring_soon');
+function getExpiredDeletedItems(days) {
+    return all(`
+        SELECT id, title, image_path FROM items
+        WHERE deleted_at IS NOT NULL AND datetime(deleted_at) < datetime('now', 'localtime', ?)
+    `, [`-${days} days`]);
 }
 
+// ============================================================================
+// LOTS
+// An item's stock is made up of lots, each with its own quantity, dates and
+// optional location. items.quantity / items.expiry_date are maintained from
+// the lots by triggers (migration 003), so all stock changes go through here.
+// ============================================================================
+
+// Order lots are used in: opened lots first, then earliest expiry first,
+// undated lots last
+const LOT_USE_ORDER = 'ORDER BY lot.opened_at IS NULL, lot.expiry_date IS NULL, lot.expiry_date ASC, lot.date_added ASC, lot.id ASC';
+
+// Tolerance when comparing fractional quantities
+const QUANTITY_EPSILON = 1e-9;
+
+// Warning window of a lot, judged by where the lot itself is kept
+// (aliases as in getItemLots: l is the lot's location, il the item's)
+const LOT_WARNING_DAYS = warningDaysSql('i', 'c', 'COALESCE(l.type, il.type)');
+
 /**
- * Get low stock items
- * @returns {Array} Low stock items
+ * Get an item's lots in the order they will be used
+ * @param {number} itemId - Item ID
+ * @returns {Array} Lots with expiry_status, days_until_expiry and location
  */
-function getLowStockItems() {
-    return all('SELECT * FROM v_low_stock');
+function getItemLots(itemId) {
+    return all(`
+        SELECT 
+            lot.*,
+            l.name as location_name,
+            l.icon as location_icon,
+            ${expiryStatusSql('lot.expiry_date', LOT_WARNING_DAYS)} as expiry_status,
+            CASE 
+                WHEN lot.expiry_date IS NULL THEN NULL
+                ELSE CAST(julianday(lot.expiry_date) - julianday('now', 'localtime') AS INTEGER)
+            END as days_until_expiry
+        FROM item_lots lot
+        JOIN items i ON i.id = lot.item_id
+        LEFT JOIN categories c ON c.name = i.category
+        LEFT JOIN locations l ON lot.location_id = l.id
+        LEFT JOIN locations il ON i.location_id = il.id
+        WHERE lot.item_id = ?
+        ${LOT_USE_ORDER}
+    `, [itemId]);
 }
 
-// ============================================================================
-// LOCATIONS MANAGEMENT
-// ============================================================================
+/**
+ * Get a single lot by ID
+ * @param {number} lotId - Lot ID
+ * @returns {Object|undefined} Lot
+ */
+function getItemLotById(lotId) {
+    return get('SELECT * FROM item_lots WHERE id = ?', [lotId]);
+}
 
 /**
- * Get all locations
- * @param {boolean} visibleOnly - Only return visible locations
- * @returns {Array} Location objects
+ * Add stock to an item as a lot
+ * Merged into an existing sealed lot with the same expiry date and location.
+ * @param {number} itemId - Item ID
+ * @param {Object} lot - { quantity, date_added, expiry_date, location_id }
+ * @returns {number} ID of the lot that holds the stock
  */
-function getLocations(visibleOnly = false) {
+function addItemLot(itemId, lot) {
+    const expiryDate = lot.expiry_date || null;
+    const locationId = lot.location_id || null;
+    
+    const existing = get(`
+        SELECT id FROM item_lots
+        WHERE item_id = ? AND expiry_date IS ? AND location_id IS ? AND opened_at IS NULL
+        ORDER BY id ASC LIMIT 1
+    `, [itemId, expiryDate, locationId]);
+    
+    if (existing) {
+        run('UPDATE item_lots SET quantity = quantity + ? WHERE id = ?', [lot.quantity, existing.id]);
+        return existing.id;
+    }
+    
+    return run(`
+        INSERT INTO item_lots (item_id, quantity, date_added, expiry_date, location_id)
+        VALUES (?, ?, ?, ?, ?)
+    `, [
+        itemId,
+        lot.quantity,
+        lot.date_added || new Date().toISOString().split('T')[0],
+        expiryDate,
+        locationId
+    ]).lastInsertRowid;
+}
+
+/**
+ * Mark one of an item's lots as opened
+ * Takes the given lot, else the first sealed lot in use order. Of a lot
+ * kept in a count unit holding more than one, a single one is split off
+ * as the opened lot. The opened lot's expiry date is brought forward to
+ * the product's opened shelf life (never pushed back).
+ * @param {number} itemId - Item ID
+ * @param {Object} options - { lotId, date } (date: YYYY-MM-DD, default today)
+ * @returns {Object|null} The opened lot, or null if there is no sealed lot to open
+ */
+function openItemLot(itemId, options = {}) {
+    return transaction(() => {
+        const item = get('SELECT id, unit, product_id FROM items WHERE id = ?', [itemId]);
+        if (!item) return null;
+        
+        const lot = options.lotId
+            ? get('SELECT * FROM item_lots WHERE id = ? AND item_id = ? AND opened_at IS NULL', [options.lotId, itemId])
+            : get(`SELECT lot.* FROM item_lots lot WHERE lot.item_id = ? AND lot.opened_at IS NULL ${LOT_USE_ORDER} LIMIT 1`, [itemId]);
+        if (!lot) return null;
+        
+        const openedAt = options.date || new Date().toISOString().split('T')[0];
+        const product = item.product_id
+            ? get('SELECT opened_shelf_life_days FROM products WHERE id = ?', [item.product_id])
+            : null;
+        
+        let expiryDate = lot.expiry_date;
+        if (product && product.opened_shelf_life_days !== null) {
+            const openedExpiry = addDays(openedAt, product.opened_shelf_life_days);
+            if (!expiryDate || openedExpiry < expiryDate) {
+                expiryDate = openedExpiry;
+            }
+        }
+        
+        if (units.UNITS[item.unit]?.dimension === 'count' && lot.quantity > 1 + QUANTITY_EPSILON) {
+            run('UPDATE item_lots SET quantity = quantity - 1 WHERE id = ?', [lot.id]);
+            const lotId = run(`
+                INSERT INTO item_lots (item_id, quantity, date_added, expiry_date, location_id, opened_at)
+                VALUES (?, 1, ?, ?, ?, ?)
+            `, [itemId, lot.date_added, expiryDate, lot.location_id, openedAt]).lastInsertRowid;
+            return getItemLotById(lotId);
+        }
+        
+        run('UPDATE item_lots SET opened_at = ?, expiry_date = ? WHERE id = ?', [openedAt, expiryDate, lot.id]);
+        return getItemLotById(lot.id);
+    });
+}
+
+/**
+ * Take an amount from an item's lots in use order.
+ * Lots that are used up are removed.
+ * @param {number} itemId - Item ID
+ * @param {number} amount - Amount to take
+ * @returns {Array} [{ lot_id, quantity }] taken from each lot
+ */
+function consumeItemLots(itemId, amount) {
+    return transaction(() => {
+        const taken = [];
+        let remaining = amount;
+        
+        const lots = all(`SELECT lot.* FROM item_lots lot WHERE lot.item_id = ? ${LOT_USE_ORDER}`, [itemId]);
+        for (const lot of lots) {
+            if (remaining <= QUANTITY_EPSILON) break;
+            
+            if (lot.quantity <= remaining + QUANTITY_EPSILON) {
+                run('DELETE FROM item_lots WHERE id = ?', [lot.id]);
+                taken.push({ lot_id: lot.id, quantity: lot.quantity });
+                remaining -= lot.quantity;
+            } else {
+                run('UPDATE item_lots SET quantity = ? WHERE id = ?', [lot.quantity - remaining, lot.id]);
+                taken.push({ lot_id: lot.id, quantity: remaining });
+                remaining = 0;
+            }
+        }
+        
+        return taken;
+    });
+}
+
+/**
+ * Remove a whole lot (e.g. discarding an expired pack)
+ * @param {number} lotId - Lot ID
+ * @returns {Object} Result
+ */
+function removeItemLot(lotId) {
+    return run('DELETE FROM item_lots WHERE id = ?', [lotId]);
+}
+
+/**
+ * Bring an item's lots in line with a quantity and expiry date entered for
+ * the whole item (edit form, CSV import, bulk update).
+ * A single lot is simply overwritten. With several lots the difference in
+ * quantity is used or added as in updateItemQuantity, and a changed expiry
+ * date is applied to the earliest-expiring lot.
+ * @param {number} itemId - Item ID
+ * @param {number} quantity - Total quantity
+ * @param {string|null} expiryDate - Expiry date (YYYY-MM-DD)
+ */
+function setItemStock(itemId, quantity, expiryDate) {
+    transaction(() => {
+        const lots = all(`SELECT lot.* FROM item_lots lot WHERE lot.item_id = ? ${LOT_USE_ORDER}`, [itemId]);
+        
+        if (lots.length <= 1) {
+            const lot = lots[0];
+            if (quantity <= 0) {
+                if (lot) removeItemLot(lot.id);
+            } else if (!lot) {
+                addItemLot(itemId, { quantity, expiry_date: expiryDate });
+            } else if (lot.quantity !== quantity || lot.expiry_date !== expiryDate) {
+                run('UPDATE item_lots SET quantity = ?, expiry_date = ? WHERE id = ?', [quantity, expiryDate, lot.id]);
+            }
+            return;
+        }
+        
+        updateItemQuantity(itemId, quantity);
+        
+        const item = get('SELECT expiry_date FROM items WHERE id = ?', [itemId]);
+        if (item.expiry_date !== expiryDate) {
+            const earliest = get(`
+                SELECT id FROM item_lots WHERE item_id = ?
+                ORDER BY expiry_date IS NULL, expiry_date ASC, id ASC LIMIT 1
+            `, [itemId]);
+            if (earliest) {
+                run('UPDATE item_lots SET expiry_date = ? WHERE id = ?', [expiryDate, earliest.id]);
+            }
+        }
+    });
+}
+
+// ============================================================================
+// MOVES
+// Moving an item takes the lots kept with it (those without a location of
+// their own) along. Into a freezer the clock stops: the lots are marked
+// frozen and get a new expiry date from the product's freezer shelf life,
+// else the freeze rule. Out of a freezer they keep for the thaw rule at most.
+// Every move is recorded in item_movements.
+// ============================================================================
+
+/**
+ * Record an item's move between locations, freezing or thawing its lots
+ * when the move is into or out of a freezer
+ * @param {number} itemId - Item ID (already at its new location)
+ * @param {number|null} fromLocationId - Where it was
+ * @param {number|null} toLocationId - Where it is now
+ * @param {Object} options - { adjustExpiry } - false keeps the expiry dates
+ *                           (frozen_at is still recorded)
+ * @returns {string} 'frozen', 'thawed' or 'moved'
+ */
+function moveItem(itemId, fromLocationId, toLocationId, options = {}) {
+    return transaction(() => {
+        const item = get('SELECT id, title, product_id, expiry_date FROM items WHERE id = ?', [itemId]);
+        const from = fromLocationId ? getLocationById(fromLocationId) : null;
+        const to = toLocationId ? getLocationById(toLocationId) : null;
+        
+        const wasFrozen = from?.type === 'freezer';
+        const isFrozen = to?.type === 'freezer';
+        const change = isFrozen && !wasFrozen ? 'frozen' : wasFrozen && !isFrozen ? 'thawed' : 'moved';
+        
+        const today = new Date().toISOString().split('T')[0];
+        const adjustExpiry = options.adjustExpiry !== false;
+        const lots = all('SELECT * FROM item_lots WHERE item_id = ? AND location_id IS NULL', [itemId]);
+        
+        if (change === 'frozen') {
+            const rules = getFreezerRules();
+            const shelfLife = item.product_id
+                ? get("SELECT days FROM product_shelf_life WHERE product_id = ? AND location_type = 'freezer'", [item.product_id])
+                : null;
+            const frozenExpiry = addDays(today, shelfLife ? shelfLife.days : rules.freezeDays);
+            
+            lots.forEach(lot => {
+                // Freezing does not save what has already gone off
+                const expiryDate = adjustExpiry && lot.expiry_date && lot.expiry_date >= today
+                    ? frozenExpiry
+                    : lot.expiry_date;
+                run('UPDATE item_lots SET frozen_at = ?, expiry_date = ? WHERE id = ?', [today, expiryDate, lot.id]);
+            });
+        } else if (change === 'thawed') {
+            const thawedExpiry = addDays(today, getFreezerRules().thawDays);
+            
+            lots.forEach(lot => {
+                const expiryDate = adjustExpiry && (!lot.expiry_date || lot.expiry_date > thawedExpiry)
+                    ? thawedExpiry
+                    : lot.expiry_date;
+                run('UPDATE item_lots SET frozen_at = NULL, expiry_date = ? WHERE id = ?', [expiryDate, lot.id]);
+            });
+        }
+        
+        run(`
+            INSERT INTO item_movements (
+                item_id, item_title, from_location_id, from_location_name, to_location_id, to_location_name,
+                change, old_expiry_date, new_expiry_date
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            itemId,
+            item.title,
+            from ? from.id : null,
+            from ? from.name : null,
+            to ? to.id : null,
+            to ? to.name : null,
+            change,
+            item.expiry_date,
+            get('SELECT expiry_date FROM items WHERE id = ?', [itemId]).expiry_date
+        ]);
+        
+        return change;
+    });
+}
+
+/**
+ * Get recorded moves, newest first
+ * @param {Object} filters - Optional filters { itemId, days, limit }
+ * @returns {Array} Movement records
+ */
+function getItemMovements(filters = {}) {
+    let sql = 'SELECT * FROM item_movements WHERE 1=1';
+    const params = [];
+    
+    if (filters.itemId) {
+        sql += ' AND item_id = ?';
+        params.push(filters.itemId);
+    }
+    
+    if (filters.days) {
+        sql += ` AND moved_at >= datetime('now', 'localtime', '-${parseInt(filters.days)} days')`;
+    }
+    
+    sql += ' ORDER BY moved_at DESC, id DESC';
+    
+    if (filters.limit) {
+        sql += ` LIMIT ${parseInt(filters.limit)}`;
+    }
+    
+    return all(sql, params);
+}
+
+// ============================================================================
+// PRODUCT CATALOG
+// Products are templates for things bought again and again. New items can
+// be seeded from a product, and every item created teaches the catalog
+// (see learnProduct): unknown titles become products, and the time from
+// adding to expiry is averaged into a shelf life per location type.
+// ============================================================================
+
+// Learned shelf lives average over at most this many items, so they keep
+// following recent purchases
+const SHELF_LIFE_MAX_SAMPLES = 10;
+
+/**
+ * Attach each product's shelf lives as { location_type: days }
+ * @param {Array} products - Product rows
+ * @returns {Array} The same products with shelf_life added
+ */
+function withShelfLife(products) {
+    if (products.length === 0) return products;
+    
+    const byProduct = new Map(products.map(p => [p.id, {}]));
+    all(`SELECT * FROM product_shelf_life WHERE product_id IN (${products.map(() => '?').join(', ')})`,
+        products.map(p => p.id))
+        .forEach(row => {
+            byProduct.get(row.product_id)[row.location_type] = row.days;
+        });
+    
+    products.forEach(p => {
+        p.shelf_life = byProduct.get(p.id);
+    });
+    return products;
+}
+
+/**
+ * Get catalog products, most used first
+ * @param {Object} filters - Optional { search, limit }
+ * @returns {Array} Products with shelf_life, item_count and in_stock
+ */
+function getProducts(filters = {}) {
+    let sql = `
+        SELECT 
+            p.*,
+            (SELECT COUNT(*) FROM items WHERE product_id = p.id AND deleted_at IS NULL) as item_count,
+            (SELECT COALESCE(SUM(quantity), 0) FROM items WHERE product_id = p.id AND deleted_at IS NULL) as in_stock
+        FROM products p
+        WHERE 1=1
+    `;
+    const params = [];
+    
+    if (filters.search) {
+        sql += ' AND (p.name LIKE ? OR p.brand LIKE ?)';
+        params.push(`%${filters.search}%`, `%${filters.search}%`);
+    }
+    
+    // Names starting with the search text come before names containing it
+    sql += ' ORDER BY ' + (filters.search ? 'p.name LIKE ? DESC, ' : '') + 'p.use_count DESC, p.name ASC';
+    if (filters.search) params.push(`${filters.search}%`);
+    
+    if (filters.limit) {
+        sql += ' LIMIT ?';
+        params.push(filters.limit);
+    }
+    
+    return withShelfLife(all(sql, params));
+}
+
+/**
+ * Get a single product by ID
+ * @param {number} id - Product ID
+ * @returns {Object|undefined} Product with shelf_life
+ */
+function getProductById(id) {
+    const product = get('SELECT * FROM products WHERE id = ?', [id]);
+    return product ? withShelfLife([product])[0] : undefined;
+}
+
+/**
+ * Find a product by name (case-insensitive)
+ * @param {string} name - Product name
+ * @returns {Object|undefined} Product
+ */
+function findProductByName(name) {
+    return get('SELECT * FROM products WHERE name = ?', [name]);
+}
+
+/**
+ * Add days to a date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().split('T')[0];
+}
+
+/**
+ * Defaults for a new item of a product kept at a location, including the
+ * expiry date its shelf life gives for that location's type
+ * @param {number} productId - Product ID
+ * @param {number|null} locationId - Where the item will be kept
+ * @param {string} dateAdded - Date added (YYYY-MM-DD, default today)
+ * @returns {Object|undefined} Product with shelf_life and expiry_date
+ */
+function getProductDefaults(productId, locationId, dateAdded) {
+    const product = getProductById(productId);
+    if (!product) return undefined;
+    
+    const location = locationId ? getLocationById(locationId) : null;
+    const days = location ? product.shelf_life[location.type] : undefined;
+    
+    const expiryDate = days !== undefined
+        ? addDays(dateAdded || new Date().toISOString().split('T')[0], days)
+        : null;
+    
+    return { ...product, expiry_date: expiryDate };
+}
+
+/**
+ * Update a product and its shelf lives
+ * @param {number} id - Product ID
+ * @param {Object} product - { name, category, brand, is_homemade, unit, default_quantity, image_path,
+ *                           expiry_type, opened_shelf_life_days }
+ * @param {Object} shelfLife - { location_type: days } - empty/null removes a shelf life
+ * @returns {Object} Result with changes count
+ */
+function updateProduct(id, product, shelfLife = {}) {
+    return transaction(() => {
+        const result = run(`
+            UPDATE products SET
+                name = ?,
+                category = ?,
+                brand = ?,
+                is_homemade = ?,
+                unit = ?,
+                default_quantity = ?,
+                image_path = COALESCE(?, image_path),
+                expiry_type = ?,
+                opened_shelf_life_days = ?
+            WHERE id = ?
+        `, [
+            product.name,
+            product.category || 'Uncategorized',
+            product.is_homemade ? null : (product.brand || null),
+            product.is_homemade ? 1 : 0,
+            product.unit || 'pcs',
+            product.default_quantity > 0 ? product.default_quantity : 1,
+            product.image_path || null,
+            EXPIRY_TYPES.includes(product.expiry_type) ? product.expiry_type : 'use_by',
+            product.opened_shelf_life_days ?? null,
+            id
+        ]);
+        
+        if (result.changes > 0) {
+            Object.entries(shelfLife).forEach(([type, days]) => {
+                if (!LOCATION_TYPES.includes(type)) return;
+                if (days === null || days === undefined || days === '') {
+                    run('DELETE FROM product_shelf_life WHERE product_id = ? AND location_type = ?', [id, type]);
+                    return;
+                }
+                // A value entered by hand is kept as it is (samples = 0)
+                run(`
+                    INSERT INTO product_shelf_life (product_id, location_type, days, samples) VALUES (?, ?, ?, 0)
+                    ON CONFLICT(product_id, location_type) DO UPDATE SET
+                        samples = CASE WHEN days = excluded.days THEN samples ELSE 0 END,
+                        days = excluded.days
+                `, [id, type, days]);
+            });
+        }
+        
+        return result;
+    });
+}
+
+/**
+ * Set or clear a product's photo
+ * @param {number} id - Product ID
+ * @param {string|null} imagePath - Public image path
+ */
+function setProductImage(id, imagePath) {
+    return run('UPDATE products SET image_path = ? WHERE id = ?', [imagePath, id]);
+}
+
+/**
+ * Delete a product (items made from it keep their data)
+ * @param {number} id - Product ID
+ * @returns {Object} Result
+ */
+function deleteProduct(id) {
+    return run('DELETE FROM products WHERE id = ?', [id]);
+}
+
+/**
+ * Get what a product's count units amount to (used to convert amounts)
+ * @param {number|null} productId - Product ID
+ * @returns {Array} [{ unit, amount, amount_unit }] - "1 unit = amount amount_unit"
+ */
+function getProductUnits(productId) {
+    if (!productId) return [];
+    return all('SELECT unit, amount, amount_unit FROM product_units WHERE product_id = ? ORDER BY unit ASC', [productId]);
+}
+
+/**
+ * Replace a product's unit definitions
+ * Definitions that are incomplete or define a unit in terms of itself are
+ * left out.
+ * @param {number} productId - Product ID
+ * @param {Array} definitions - [{ unit, amount, amount_unit }]
+ */
+function setProductUnits(productId, definitions) {
+    return transaction(() => {
+        run('DELETE FROM product_units WHERE product_id = ?', [productId]);
+        definitions
+            .filter(d => units.isUnit(d.unit) && units.UNITS[d.unit].dimension === 'count'
+                && units.isUnit(d.amount_unit) && d.amount_unit !== d.unit && d.amount > 0)
+            .forEach(d => {
+                run(`
+                    INSERT OR REPLACE INTO product_units (product_id, unit, amount, amount_unit)
+                    VALUES (?, ?, ?, ?)
+                `, [productId, d.unit, d.amount, d.amount_unit]);
+            });
+    });
+}
+
+/**
+ * Convert an amount into the unit an item is kept in, using its product's
+ * unit definitions
+ * @param {Object} item - Item (unit, product_id)
+ * @param {number} amount - Amount
+ * @param {string} unit - Unit the amount is in (default: the item's)
+ * @returns {number|null} Amount in the item's unit, or null if the units are not compatible
+ */
+function convertForItem(item, amount, unit) {
+    if (!unit || unit === item.unit) return amount;
+    return units.convert(amount, unit, item.unit, getProductUnits(item.product_id));
+}
+
+/**
+ * Teach the catalog from a newly created item: link it to its product
+ * (creating one from the item when there is none with its title), count
+ * the use, and fold its shelf life into the product's average for the
+ * location type it is kept in
+ * @param {number} itemId - Item ID
+ * @returns {number|null} Product ID
+ */
+function learnProduct(itemId) {
+    return transaction(() => {
+        const item = getItemById(itemId);
+        if (!item) return null;
+        
+        let product = item.product_id ? getProductById(item.product_id) : findProductByName(item.title);
+        let productId;
+        if (product) {
+            productId = product.id;
+            run(`
+                UPDATE products SET
+                    use_count = use_count + 1,
+                    last_used_at = datetime('now', 'localtime'),
+                    brand = COALESCE(brand, ?)
+                WHERE id = ?
+            `, [item.brand || null, productId]);
+        } else {
+            productId = run(`
+                INSERT INTO products (name, category, brand, is_homemade, unit, default_quantity, expiry_type, use_count, last_used_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, 1, datetime('now', 'localtime'))
+            `, [
+                item.title,
+                item.category || 'Uncategorized',
+                item.brand || null,
+                item.is_homemade ? 1 : 0,
+                item.unit || 'pcs',
+                item.quantity > 0 ? item.quantity : 1,
+                item.expiry_type || 'use_by'
+            ]).lastInsertRowid;
+        }
+        
+        if (item.product_id !== productId) {
+            run('UPDATE items SET product_id = ? WHERE id = ?', [productId, itemId]);
+        }
+        
+        if (item.expiry_date && item.date_added && item.location_type) {
+            const days = Math.round((Date.parse(item.expiry_date) - Date.parse(item.date_added)) / 86400000);
+            if (days >= 0) {
+                learnShelfLife(productId, item.location_type, days);
+            }
+        }
+        
+        return productId;
+    });
+}
+
+/**
+ * Fold one observed shelf life into a product's running average
+ * (values entered by hand are left alone)
+ */
+function learnShelfLife(productId, locationType, days) {
+    const existing = get('SELECT * FROM product_shelf_life WHERE product_id = ? AND location_type = ?', [productId, locationType]);
+    
+    if (!existing) {
+        run('INSERT INTO product_shelf_life (product_id, location_type, days, samples) VALUES (?, ?, ?, 1)',
+            [productId, locationType, days]);
+    } else if (existing.samples > 0) {
+        const samples = Math.min(existing.samples, SHELF_LIFE_MAX_SAMPLES - 1);
+        run('UPDATE product_shelf_life SET days = ?, samples = ? WHERE product_id = ? AND location_type = ?', [
+            Math.round((existing.days * samples + days) / (samples + 1)),
+            samples + 1,
+            productId,
+            locationType
+        ]);
+    }
+}
+
+// ============================================================================
+// BARCODES
+// Scanned codes are mapped to catalog products. A code is learned when an
+// item is added with it (createItem), and can be managed on the product.
+// ============================================================================
+
+// Accepted codes: EAN/UPC digits, or the letters/digits of other symbologies
+const BARCODE_PATTERN = /^[0-9A-Za-z-]{4,32}$/;
+
+/**
+ * Normalise a scanned code. Scanners report UPC-A as 12 digits and camera
+ * decoders often as 13 (with a leading 0), so UPC-A is stored as EAN-13.
+ * @param {string} code - Code as scanned
+ * @returns {string|null} Normalised code, or null if it is not a valid code
+ */
+function normalizeBarcode(code) {
+    const trimmed = String(code ?? '').replace(/\s+/g, '');
+    if (!BARCODE_PATTERN.test(trimmed)) return null;
+    return /^\d{12}$/.test(trimmed) ? `0${trimmed}` : trimmed;
+}
+
+/**
+ * Resolve a scanned code to its product's defaults for a location
+ * @param {string} code - Code as scanned
+ * @param {number|null} locationId - Where the item will be kept
+ * @returns {Object|null} { code, product } (product is null for an unknown
+ *   code), or null if the code is not valid
+ */
+function lookupBarcode(code, locationId) {
+    const normalized = normalizeBarcode(code);
+    if (!normalized) return null;
+    
+    const barcode = get('SELECT * FROM barcodes WHERE code = ?', [normalized]);
+    if (!barcode) return { code: normalized, product: null };
+    
+    run("UPDATE barcodes SET last_scanned_at = datetime('now', 'localtime') WHERE code = ?", [normalized]);
+    return { code: normalized, product: getProductDefaults(barcode.product_id, locationId) || null };
+}
+
+/**
+ * Map a code to a product (a code already mapped elsewhere is moved)
+ * @param {string} code - Code as scanned
+ * @param {number} productId - Product ID
+ * @returns {string|null} The normalised code, or null if it is not valid
+ */
+function setBarcode(code, productId) {
+    const normalized = normalizeBarcode(code);
+    if (!normalized) return null;
+    
+    run(`
+        INSERT INTO barcodes (code, product_id) VALUES (?, ?)
+        ON CONFLICT(code) DO UPDATE SET product_id = excluded.product_id
+    `, [normalized, productId]);
+    return normalized;
+}
+
+/**
+ * Get the codes mapped to a product
+ * @param {number} productId - Product ID
+ * @returns {Array} Barcode rows, newest first
+ */
+function getProductBarcodes(productId) {
+    return all('SELECT * FROM barcodes WHERE product_id = ? ORDER BY created_at DESC, code ASC', [productId]);
+}
+
+/**
+ * Forget a code
+ * @param {string} code - Normalised code
+ * @returns {Object} Result
+ */
+function deleteBarcode(code) {
+    return run('DELETE FROM barcodes WHERE code = ?', [code]);
+}
+
+// ============================================================================
+// SHOPPING LIST
+// Entries are added by hand, or for an item when it is used up or drops
+// below its minimum (checkItemStock). Checked entries are bought and put
+// away as new items (see purchaseShoppingList in services/catalog.js).
+// ============================================================================
+
+const SHOPPING_SOURCES = ['manual', 'low_stock', 'depleted'];
+
+/**
+ * Get the shopping list in shop order: by the aisle of each entry's
+ * category (categories without an aisle last), then category and title
+ * @returns {Array} Entries with category_icon, aisle and the linked item's
+ *   current quantity (in_stock), stock levels and expiry warning window
+ */
+function getShoppingList() {
+    return all(`
+        SELECT
+            s.*,
+            c.icon as category_icon,
+            c.aisle,
+            i.quantity as in_stock,
+            i.min_quantity,
+            i.target_quantity,
+            i.expiry_warning_days
+        FROM shopping_list s
+        LEFT JOIN categories c ON c.name = s.category
+        LEFT JOIN items i ON i.id = s.item_id
+        ORDER BY c.aisle IS NULL, CAST(c.aisle AS INTEGER), c.aisle COLLATE NOCASE,
+                 COALESCE(c.sort_order, 99), s.category, s.title COLLATE NOCASE
+    `);
+}
+
+/**
+ * Get a single shopping list entry
+ * @param {number} id - Entry ID
+ * @returns {Object|undefined} Entry
+ */
+function getShoppingEntryById(id) {
+    return get('SELECT * FROM shopping_list WHERE id = ?', [id]);
+}
+
+/**
+ * Add an entry to the shopping list
+ * An entry with a title but no product is linked to the catalog product of
+ * that name, and takes its category and unit when none were given.
+ * @param {Object} entry - { title, quantity, unit, category, product_id, item_id, source, notes }
+ * @returns {number} ID of the new entry
+ */
+function addShoppingEntry(entry) {
+    const product = entry.product_id ? getProductById(entry.product_id) : findProductByName(entry.title || '');
+    
+    return run(`
+        INSERT INTO shopping_list (title, quantity, unit, category, product_id, item_id, source, notes)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        entry.title || (product && product.name),
+        entry.quantity > 0 ? entry.quantity : null,
+        entry.unit || (product && product.unit) || 'pcs',
+        entry.category || (product && product.category) || 'Uncategorized',
+        product ? product.id : null,
+        entry.item_id || null,
+        SHOPPING_SOURCES.includes(entry.source) ? entry.source : 'manual',
+        entry.notes || ''
+    ]).lastInsertRowid;
+}
+
+/**
+ * Put an item on the shopping list
+ * The amount is what is missing to reach the item's target level, or the
+ * product's usual pack for an item without levels.
+ * @param {number} itemId - Item ID
+ * @param {string} source - 'manual', 'low_stock' or 'depleted'
+ * @returns {number|null} ID of the new entry, or null if the item does not
+ *   exist or is already on the list
+ */
+function addItemToShoppingList(itemId, source = 'manual') {
+    const item = getItemById(itemId);
+    if (!item || get('SELECT id FROM shopping_list WHERE item_id = ?', [itemId])) return null;
+    
+    const product = item.product_id ? getProductById(item.product_id) : null;
+    const shortfall = item.stock_target !== null ? item.stock_target - item.quantity : 0;
+    
+    let quantity = null;
+    if (shortfall > QUANTITY_EPSILON) {
+        quantity = shortfall;
+    } else if (product && product.unit === item.unit) {
+        quantity = product.default_quantity;
+    }
+    
+    return addShoppingEntry({
+        title: item.title,
+        quantity,
+        unit: item.unit,
+        category: item.category,
+        product_id: item.product_id,
+        item_id: item.id,
+        source
+    });
+}
+
+/**
+ * Add an item to the shopping list if its stock has run low: when it was
+ * just used up, or when what is not reserved for planned meals is below its
+ * minimum (its own or its category's)
+ * @param {number} itemId - Item ID
+ * @param {Object} options - { depleted: true when the last of it was used }
+ * @returns {number|null} ID of the new entry, or null if none was added
+ */
+function checkItemStock(itemId, options = {}) {
+    const item = getItemById(itemId);
+    if (!item) return null;
+    
+    if (options.depleted && item.quantity <= QUANTITY_EPSILON) {
+        return addItemToShoppingList(itemId, 'depleted');
+    }
+    if (item.stock_min !== null && item.quantity - item.reserved_quantity < item.stock_min - QUANTITY_EPSILON) {
+        return addItemToShoppingList(itemId, 'low_stock');
+    }
+    return null;
+}
+
+/**
+ * Tick an entry off (or back on)
+ * @param {number} id - Entry ID
+ * @param {boolean} checked - Whether it is in the basket
+ * @returns {Object} Result
+ */
+function setShoppingEntryChecked(id, checked) {
+    return run(`
+        UPDATE shopping_list
+        SET is_checked = ?, checked_at = CASE WHEN ? THEN datetime('now', 'localtime') ELSE NULL END
+        WHERE id = ?
+    `, [checked ? 1 : 0, checked ? 1 : 0, id]);
+}
+
+/**
+ * Remove an entry from the shopping list
+ * @param {number} id - Entry ID
+ * @returns {Object} Result
+ */
+function deleteShoppingEntry(id) {
+    return run('DELETE FROM shopping_list WHERE id = ?', [id]);
+}
+
+/**
+ * Remove every checked entry without adding it to the inventory
+ * @returns {Object} Result with changes count
+ */
+function clearCheckedShoppingEntries() {
+    return run('DELETE FROM shopping_list WHERE is_checked = 1');
+}
+
+/**
+ * Set the shop aisle a category is found in
+ * @param {string} category - Category name
+ * @param {string|null} aisle - Aisle (e.g. "4" or "Chilled"), or empty to clear
+ * @returns {Object} Result
+ */
+function setCategoryAisle(category, aisle) {
+    const value = String(aisle ?? '').trim();
+    return run('UPDATE categories SET aisle = ? WHERE name = ?', [value || null, category]);
+}
+
+// ============================================================================
+// RECIPES
+// A recipe's ingredients are matched to stock through a catalog product, a
+// whole category, or failing both items with the ingredient's name (see
+// getIngredientItems). Ranking recipes against what needs using up is done
+// in services/recipes.js.
+// ============================================================================
+
+/**
+ * Get every recipe, by name
+ * @returns {Array} Recipes with ingredient_count
+ */
+function getRecipes() {
+    return all(`
+        SELECT
+            r.*,
+            (SELECT COUNT(*) FROM recipe_ingredients WHERE recipe_id = r.id) as ingredient_count
+        FROM recipes r
+        ORDER BY r.name COLLATE NOCASE ASC
+    `);
+}
+
+/**
+ * Get a recipe's ingredients in recipe order
+ * @param {number} recipeId - Recipe ID
+ * @returns {Array} Ingredients with product_name
+ */
+function getRecipeIngredients(recipeId) {
+    return all(`
+        SELECT ri.*, p.name as product_name
+        FROM recipe_ingredients ri
+        LEFT JOIN products p ON p.id = ri.product_id
+        WHERE ri.recipe_id = ?
+        ORDER BY ri.sort_order ASC, ri.id ASC
+    `, [recipeId]);
+}
+
+/**
+ * Get a single recipe with its ingredients
+ * @param {number} id - Recipe ID
+ * @returns {Object|undefined} Recipe with ingredients
+ */
+function getRecipeById(id) {
+    const recipe = get('SELECT * FROM recipes WHERE id = ?', [id]);
+    if (!recipe) return undefined;
+    
+    recipe.ingredients = getRecipeIngredients(recipe.id);
+    return recipe;
+}
+
+/**
+ * Find a recipe by name (case-insensitive)
+ * @param {string} name - Recipe name
+ * @returns {Object|undefined} Recipe
+ */
+function findRecipeByName(name) {
+    return get('SELECT * FROM recipes WHERE name = ?', [name]);
+}
+
+/**
+ * Replace a recipe's ingredients
+ * An ingredient with a known category is matched to the whole category;
+ * otherwise it is linked to the catalog product of its name, if any.
+ * Ingredients without a name are left out.
+ * @param {number} recipeId - Recipe ID
+ * @param {Array} ingredients - [{ name, product_id, category, quantity, unit, is_optional }]
+ */
+function setRecipeIngredients(recipeId, ingredients) {
+    const categories = new Set(getCategories().map(c => c.name));
+    
+    run('DELETE FROM recipe_ingredients WHERE recipe_id = ?', [recipeId]);
+    ingredients
+        .map(ingredient => ({ ...ingredient, name: String(ingredient.name || '').trim() }))
+        .filter(ingredient => ingredient.name)
+        .forEach((ingredient, index) => {
+            const category = categories.has(ingredient.category) ? ingredient.category : null;
+            const product = category ? null
+                : (ingredient.product_id ? getProductById(ingredient.product_id) : findProductByName(ingredient.name));
+            const quantity = ingredient.quantity > 0 ? ingredient.quantity : null;
+            
+            run(`
+                INSERT INTO recipe_ingredients (recipe_id, name, product_id, category, quantity, unit, is_optional, sort_order)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                recipeId,
+                ingredient.name,
+                product ? product.id : null,
+                category,
+                quantity,
+                quantity ? (units.isUnit(ingredient.unit) ? ingredient.unit : 'pcs') : null,
+                ingredient.is_optional ? 1 : 0,
+                index
+            ]);
+        });
+}
+
+/**
+ * Create a recipe
+ * @param {Object} recipe - { name, instructions, servings }
+ * @param {Array} ingredients - As for setRecipeIngredients
+ * @returns {number} ID of the new recipe
+ */
+function createRecipe(recipe, ingredients = []) {
+    return transaction(() => {
+        const recipeId = run(`
+            INSERT INTO recipes (name, instructions, servings) VALUES (?, ?, ?)
+        `, [recipe.name, recipe.instructions || '', recipe.servings > 0 ? recipe.servings : null]).lastInsertRowid;
+        
+        setRecipeIngredients(recipeId, ingredients);
+        return recipeId;
+    });
+}
+
+/**
+ * Update a recipe and replace its ingredients
+ * @param {number} id - Recipe ID
+ * @param {Object} recipe - { name, instructions, servings }
+ * @param {Array} ingredients - As for setRecipeIngredients
+ * @returns {Object} Result with changes count
+ */
+function updateRecipe(id, recipe, ingredients = []) {
+    return transaction(() => {
+        const result = run(`
+            UPDATE recipes SET name = ?, instructions = ?, servings = ? WHERE id = ?
+        `, [recipe.name, recipe.instructions || '', recipe.servings > 0 ? recipe.servings : null, id]);
+        
+        if (result.changes > 0) {
+            setRecipeIngredients(id, ingredients);
+        }
+        return result;
+    });
+}
+
+/**
+ * Delete a recipe and its ingredients
+ * @param {number} id - Recipe ID
+ * @returns {Object} Result
+ */
+function deleteRecipe(id) {
+    return run('DELETE FROM recipes WHERE id = ?', [id]);
+}
+
+/**
+ * Get the in-stock items an ingredient can be made from, earliest expiry
+ * first: items of its product, else of its category, else titled like it
+ * @param {Object} ingredient - Ingredient (product_id, category, name)
+ * @returns {Array} Items with location_name, location_icon, reserved_quantity
+ *   (set aside by planned meals) and use_by_passed (1 when the item's
+ *   earliest lot is past its use-by date)
+ */
+function getIngredientItems(ingredient) {
+    let match;
+    let param;
+    if (ingredient.product_id) {
+        match = 'i.product_id = ?';
+        param = ingredient.product_id;
+    } else if (ingredient.category) {
+        match = 'i.category = ?';
+        param = ingredient.category;
+    } else {
+        match = 'i.title = ? COLLATE NOCASE';
+        param = ingredient.name;
+    }
+    
+    return all(`
+        SELECT
+            i.*,
+            l.name as location_name,
+            l.icon as location_icon,
+            ${RESERVED_QUANTITY} as reserved_quantity,
+            CASE WHEN i.expiry_type = 'use_by' AND date(i.expiry_date) < date('now', 'localtime') THEN 1 ELSE 0 END as use_by_passed
+        FROM items i
+        LEFT JOIN locations l ON l.id = i.location_id
+        WHERE i.quantity > 0 AND i.deleted_at IS NULL AND ${match}
+        ORDER BY i.expiry_date IS NULL, i.expiry_date ASC, i.id ASC
+    `, [param]);
+}
+
+// ============================================================================
+// MEAL PLANS
+// A planned meal reserves amounts of items (see migration 016). Planning
+// from a recipe, warnings and cooking are done in services/meals.js.
+// ============================================================================
+
+/**
+ * Get planned meals between two dates, by date
+ * @param {Object} filters - { from, to } (YYYY-MM-DD, inclusive)
+ * @returns {Array} Meals with recipe_name and reservation_count
+ */
+function getMealPlans(filters = {}) {
+    let sql = `
+        SELECT
+            m.*,
+            r.name as recipe_name,
+            (SELECT COUNT(*) FROM meal_reservations WHERE meal_plan_id = m.id) as reservation_count
+        FROM meal_plans m
+        LEFT JOIN recipes r ON r.id = m.recipe_id
+        WHERE 1=1
+    `;
+    const params = [];
+    
+    if (filters.from) {
+        sql += ' AND date(m.planned_date) >= date(?)';
+        params.push(filters.from);
+    }
+    
+    if (filters.to) {
+        sql += ' AND date(m.planned_date) <= date(?)';
+        params.push(filters.to);
+    }
+    
+    sql += ' ORDER BY m.planned_date ASC, m.id ASC';
+    
+    return all(sql, params);
+}
+
+/**
+ * Get a single planned meal
+ * @param {number} id - Meal plan ID
+ * @returns {Object|undefined} Meal with recipe_name
+ */
+function getMealPlanById(id) {
+    return get(`
+        SELECT m.*, r.name as recipe_name
+        FROM meal_plans m
+        LEFT JOIN recipes r ON r.id = m.recipe_id
+        WHERE m.id = ?
+    `, [id]);
+}
+
+/**
+ * Plan a meal
+ * @param {Object} meal - { planned_date, title, recipe_id, notes }
+ * @returns {number} Meal plan ID
+ */
+function createMealPlan(meal) {
+    return run(`
+        INSERT INTO meal_plans (planned_date, title, recipe_id, notes)
+        VALUES (?, ?, ?, ?)
+    `, [meal.planned_date, meal.title, meal.recipe_id || null, meal.notes || '']).lastInsertRowid;
+}
+
+/**
+ * Change a planned meal's date, title or notes
+ * @param {number} id - Meal plan ID
+ * @param {Object} meal - { planned_date, title, notes }
+ * @returns {Object} Result
+ */
+function updateMealPlan(id, meal) {
+    return run(`
+        UPDATE meal_plans SET planned_date = ?, title = ?, notes = ? WHERE id = ?
+    `, [meal.planned_date, meal.title, meal.notes || '', id]);
+}
+
+/**
+ * Record that a meal was cooked; its reservations stop counting
+ * @param {number} id - Meal plan ID
+ * @param {number} eventId - Consumption event its ingredients were used as
+ * @returns {Object} Result
+ */
+function markMealPlanCooked(id, eventId) {
+    return run(`
+        UPDATE meal_plans SET cooked_at = datetime('now', 'localtime'), event_id = ? WHERE id = ?
+    `, [eventId || null, id]);
+}
+
+/**
+ * Delete a planned meal and its reservations
+ * @param {number} id - Meal plan ID
+ * @returns {Object} Result
+ */
+function deleteMealPlan(id) {
+    return run('DELETE FROM meal_plans WHERE id = ?', [id]);
+}
+
+/**
+ * Get a meal's reservations with their items
+ * @param {number} mealPlanId - Meal plan ID
+ * @returns {Array} Reservations with item_title, item_unit, item_quantity,
+ *   expiry_date, expiry_type, location_name, location_icon and reserved_quantity
+ *   (everything the item has reserved, this meal included)
+ */
+function getMealReservations(mealPlanId) {
+    return all(`
+        SELECT
+            mr.*,
+            i.title as item_title,
+            i.unit as item_unit,
+            i.quantity as item_quantity,
+            i.expiry_date,
+            i.expiry_type,
+            l.name as location_name,
+            l.icon as location_icon,
+            ${RESERVED_QUANTITY} as reserved_quantity
+        FROM meal_reservations mr
+        JOIN items i ON i.id = mr.item_id
+        LEFT JOIN locations l ON l.id = i.location_id
+        WHERE mr.meal_plan_id = ? AND i.deleted_at IS NULL
+        ORDER BY i.title COLLATE NOCASE ASC
+    `, [mealPlanId]);
+}
+
+/**
+ * Get the meals still to come that reserve an item
+ * @param {number} itemId - Item ID
+ * @returns {Array} [{ id, planned_date, title, quantity }]
+ */
+function getItemReservations(itemId) {
+    return all(`
+        SELECT m.id, m.planned_date, m.title, mr.quantity
+        FROM meal_reservations mr
+        JOIN meal_plans m ON m.id = mr.meal_plan_id
+        WHERE mr.item_id = ? AND m.cooked_at IS NULL AND date(m.planned_date) >= date('now', 'localtime')
+        ORDER BY m.planned_date ASC, m.id ASC
+    `, [itemId]);
+}
+
+/**
+ * Reserve an amount of an item for a meal (replacing what it had reserved)
+ * @param {number} mealPlanId - Meal plan ID
+ * @param {number} itemId - Item ID
+ * @param {number} quantity - Amount, in the item's unit
+ * @returns {Object} Result
+ */
+function setMealReservation(mealPlanId, itemId, quantity) {
+    return run(`
+        INSERT INTO meal_reservations (meal_plan_id, item_id, quantity) VALUES (?, ?, ?)
+        ON CONFLICT(meal_plan_id, item_id) DO UPDATE SET quantity = excluded.quantity
+    `, [mealPlanId, itemId, quantity]);
+}
+
+/**
+ * Remove a reservation
+ * @param {number} id - Reservation ID
+ * @returns {Object} Result
+ */
+function deleteMealReservation(id) {
+    return run('DELETE FROM meal_reservations WHERE id = ?', [id]);
+}
+
+// ============================================================================
+// CONSUMPTION TRACKING
+// ============================================================================
+
+/**
+ * Log consumption of an item
+ * @param {number} itemId - Item ID
+ * @param {number} quantityUsed - Amount consumed
+ * @param {string} action - 'used', 'discarded', or 'expired'
+ * @param {string} notes - Optional notes
+ * @param {number} eventId - Consumption event the use is part of (see createConsumptionEvent)
+ * @param {Object} actor - Who used it ({ user_id, name }, see lib/actor.js)
+ */
+function logConsumption(itemId, quantityUsed, action = 'used', notes = '', eventId = null, actor = null) {
+    const item = getItemById(itemId);
+    if (!item) return null;
+    
+    const sql = `
+        INSERT INTO consumption_history (item_id, item_title, quantity_used, unit, action, notes, event_id, user_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    return run(sql, [itemId, item.title, quantityUsed, item.unit, action, notes, eventId, actor ? actor.user_id : null]);
+}
+
+/**
+ * Start a consumption event: several uses logged together, e.g. a meal
+ * @param {string} label - What it was (e.g. "Cooked Spinach Pasta")
+ * @param {number} recipeId - Recipe cooked, if any
+ * @returns {number} Event ID
+ */
+function createConsumptionEvent(label, recipeId = null) {
+    return run('INSERT INTO consumption_events (label, recipe_id) VALUES (?, ?)', [label, recipeId || null]).lastInsertRowid;
+}
+
+/**
+ * Get consumption history
+ * @param {Object} filters - Optional filters { itemId, userId ('none' for nobody signed in), days, action, limit }
+ * @returns {Array} Consumption records, with event_label and event_recipe_id for
+ *   the ones that were part of an event, and user_name and user_avatar for
+ *   the ones a user made
+ */
+function getConsumptionHistory(filters = {}) {
+    let sql = `
+        SELECT ch.*, e.label as event_label, e.recipe_id as event_recipe_id,
+            u.name as user_name, u.avatar as user_avatar
+        FROM consumption_history ch
+        LEFT JOIN consumption_events e ON ch.event_id = e.id
+        LEFT JOIN users u ON ch.user_id = u.id
+        WHERE 1=1
+    `;
+    const params = [];
+    
+    if (filters.itemId) {
+        sql += ' AND ch.item_id = ?';
+        params.push(filters.itemId);
+    }
+    
+    if (filters.userId === 'none') {
+        sql += ' AND ch.user_id IS NULL';
+    } else if (filters.userId) {
+        sql += ' AND ch.user_id = ?';
+        params.push(filters.userId);
+    }
+    
+    if (filters.days) {
+        sql += ` AND ch.consumed_at >= datetime('now', 'localtime', '-${parseInt(filters.days)} days')`;
+    }
+    
+    if (filters.action) {
+        sql += ' AND ch.action = ?';
+        params.push(filters.action);
+    }
+    
+    sql += ' ORDER BY ch.consumed_at DESC, ch.id DESC';
+    
+    if (filters.limit) {
+        sql += ` LIMIT ${parseInt(filters.limit)}`;
+    }
+    
+    return all(sql, params);
+}
+
+/**
+ * Sum up consumption per user
+ * @param {Object} filters - Optional filters { days }
+ * @returns {Array} { user_id (null for nobody signed in), user_name, user_avatar, used_count,
+ *   discarded_count (discarded or expired), event_count, last_at }, busiest first
+ */
+function getUsageByUser(filters = {}) {
+    let sql = `
+        SELECT
+            ch.user_id,
+            u.name as user_name,
+            u.avatar as user_avatar,
+            SUM(CASE WHEN ch.action = 'used' THEN 1 ELSE 0 END) as used_count,
+            SUM(CASE WHEN ch.action != 'used' THEN 1 ELSE 0 END) as discarded_count,
+            COUNT(DISTINCT ch.event_id) as event_count,
+            MAX(ch.consumed_at) as last_at
+        FROM consumption_history ch
+        LEFT JOIN users u ON ch.user_id = u.id
+        WHERE 1=1
+    `;
+    
+    if (filters.days) {
+        sql += ` AND ch.consumed_at >= datetime('now', 'localtime', '-${parseInt(filters.days)} days')`;
+    }
+    
+    sql += ' GROUP BY ch.user_id ORDER BY COUNT(*) DESC, u.name ASC';
+    
+    return all(sql);
+}
+
+// ============================================================================
+// STATISTICS & DASHBOARD
+// ============================================================================
+
+// Whether the expiry alert of a lot row (item id and lot expiry date
+// columns) is dismissed - see item_alert_states
+function alertDismissedSql(itemId, expiryDate) {
+    return `EXISTS (
+        SELECT 1 FROM item_alert_states a
+        WHERE a.item_id = ${itemId} AND (
+            a.ignore_expiry = 1
+            OR date(a.snoozed_until) > date('now', 'localtime')
+            OR (date(${expiryDate}) <= date(a.acknowledged_through)
+                AND (date(${expiryDate}) < date(a.acknowledged_on) OR date(${expiryDate}) >= date('now', 'localtime')))
+        )
+    )`;
+}
+
+// Dismissed alerts in v_expired / v_expiring_soon
+const LOT_ALERT_DISMISSED = alertDismissedSql('id', 'expiry_date');
+
+/**
+ * Get dashboard statistics
+ * Expiry counts leave out dismissed alerts (counted in dismissedCount)
+ * @returns {Object} Stats object
+ */
+function getStats() {
+    const stats = {
+        totalItems: get('SELECT COUNT(*) as count FROM items WHERE deleted_at IS NULL')?.count || 0,
+        expiredCount: get(`SELECT COUNT(*) as count FROM v_expired WHERE expiry_type = 'use_by' AND NOT ${LOT_ALERT_DISMISSED}`)?.count || 0,
+        pastBestBeforeCount: get(`SELECT COUNT(*) as count FROM v_expired WHERE expiry_type = 'best_before' AND NOT ${LOT_ALERT_DISMISSED}`)?.count || 0,
+        expiringSoonCount: get(`SELECT COUNT(*) as count FROM v_expiring_soon WHERE NOT ${LOT_ALERT_DISMISSED}`)?.count || 0,
+        dismissedCount: getDismissedAlerts().length,
+        lowStockCount: get('SELECT COUNT(*) as count FROM v_low_stock')?.count || 0,
+        outOfStockCount: get('SELECT COUNT(*) as count FROM v_out_of_stock')?.count || 0,
+        locationSummary: all('SELECT * FROM v_location_summary'),
+        recentConsumption: all('SELECT * FROM v_recent_consumption LIMIT 10')
+    };
+    
+    // Get all locations with item counts
+    const locations = getLocations(true); // visible only
+    const locationCounts = getLocationCounts();
+    
+    stats.locations = locations.map(loc => ({
+        ...loc,
+        count: locationCounts[loc.id] || 0
+    }));
+    
+    // Legacy byLocation for backwards compatibility
+    stats.byLocation = {};
+    locations.forEach(loc => {
+        // Use location type as key for backwards compat
+        if (!stats.byLocation[loc.type]) {
+            stats.byLocation[loc.type] = 0;
+        }
+        stats.byLocation[loc.type] += locationCounts[loc.id] || 0;
+    });
+    
+    return stats;
+}
+
+/**
+ * Get lots past their use-by date (unsafe to eat), except dismissed ones
+ * @returns {Array} Expired lots
+ */
+function getExpiredItems() {
+    return all(`SELECT * FROM v_expired WHERE expiry_type = 'use_by' AND NOT ${LOT_ALERT_DISMISSED}`);
+}
+
+/**
+ * Get lots past their best-before date (still usable, past their best),
+ * except dismissed ones
+ * @returns {Array} Lots with days_expired
+ */
+function getPastBestBeforeItems() {
+    return all(`SELECT * FROM v_expired WHERE expiry_type = 'best_before' AND NOT ${LOT_ALERT_DISMISSED}`);
+}
+
+/**
+ * Get lots expiring within their warning window, except dismissed ones
+ * @returns {Array} Expiring lots with warning_days
+ */
+function getExpiringSoonItems() {
+    return all(`SELECT * FROM v_expiring_soon WHERE NOT ${LOT_ALERT_DISMISSED}`);
+}
+
+/**
+ * Get items below their minimum stock level (still in stock)
+ * @returns {Array} Low stock items with stock_min and stock_target
+ */
+function getLowStockItems() {
+    return all('SELECT * FROM v_low_stock');
+}
+
+/**
+ * Get used-up items that have a minimum stock level
+ * @returns {Array} Out of stock items with stock_min and stock_target
+ */
+function getOutOfStockItems() {
+    return all('SELECT * FROM v_out_of_stock');
+}
+
+// ============================================================================
+// ALERT STATES
+// An item's expiry alerts can be acknowledged, snoozed or ignored (see
+// migration 013). Stock alerts are not affected - they clear on restocking.
+// Every change is recorded in alert_actions with the actor passed in.
+// ============================================================================
+
+/**
+ * Get an item's alert state
+ * @param {number} itemId - Item ID
+ * @returns {Object|null} { ignore_expiry, snoozed_until, acknowledged_through, acknowledged_on } or null
+ */
+function getItemAlertState(itemId) {
+    return get('SELECT * FROM item_alert_states WHERE item_id = ?', [itemId]);
+}
+
+/**
+ * Change an item's alert state and record the action
+ * @param {number} itemId - Item ID
+ * @param {string} action - One of ALERT_ACTIONS
+ * @param {Object} changes - Columns to set (restored clears the state)
+ * @param {Object} actor - Who took the action ({ user_id, name }, see lib/actor.js)
+ */
+function changeItemAlertState(itemId, action, changes, actor) {
+    const item = get('SELECT id, title FROM items WHERE id = ?', [itemId]);
+    if (!item) return null;
+    
+    return transaction(() => {
+        if (action === 'restored') {
+            run('DELETE FROM item_alert_states WHERE item_id = ?', [itemId]);
+        } else {
+            const columns = Object.keys(changes);
+            run(`
+                INSERT INTO item_alert_states (item_id, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})
+                ON CONFLICT(item_id) DO UPDATE SET
+                    ${columns.map(column => `${column} = excluded.${column}`).join(', ')},
+                    updated_at = datetime('now', 'localtime')
+            `, [itemId, ...Object.values(changes)]);
+        }
+        
+        run(
+            'INSERT INTO alert_actions (item_id, item_title, action, snoozed_until, actor, user_id) VALUES (?, ?, ?, ?, ?, ?)',
+            [itemId, item.title, action, changes.snoozed_until || null, actor ? actor.name : null, actor ? actor.user_id : null]
+        );
+        return getItemAlertState(itemId);
+    });
+}
+
+/**
+ * Acknowledge an item's current expiry alerts. They stay hidden until a
+ * lot with a later date raises one, or (for lots not yet expired) until
+ * the lot expires.
+ * @param {number} itemId - Item ID
+ * @param {Object} actor - Who acknowledged
+ * @returns {Object|null} New state, or null when the item has no expiry alert
+ */
+function acknowledgeItemAlerts(itemId, actor = null) {
+    const through = get(`
+        SELECT MAX(expiry_date) AS expiry_date FROM (
+            SELECT expiry_date FROM v_expired WHERE id = ?
+            UNION ALL
+            SELECT expiry_date FROM v_expiring_soon WHERE id = ?
+        )
+    `, [itemId, itemId])?.expiry_date;
+    if (!through) return null;
+    
+    return changeItemAlertState(itemId, 'acknowledged', {
+        acknowledged_through: through,
+        acknowledged_on: get("SELECT date('now', 'localtime') AS today").today
+    }, actor);
+}
+
+/**
+ * Hide an item's expiry alerts until a date
+ * @param {number} itemId - Item ID
+ * @param {string} until - YYYY-MM-DD (alerts show again on that day)
+ * @param {Object} actor - Who snoozed
+ * @returns {Object|null} New state, or null when the item does not exist
+ */
+function snoozeItemAlerts(itemId, until, actor = null) {
+    return changeItemAlertState(itemId, 'snoozed', { snoozed_until: until }, actor);
+}
+
+/**
+ * Never raise expiry alerts for an item
+ * @param {number} itemId - Item ID
+ * @param {Object} actor - Who chose to ignore them
+ * @returns {Object|null} New state, or null when the item does not exist
+ */
+function ignoreItemExpiry(itemId, actor = null) {
+    return changeItemAlertState(itemId, 'ignored', { ignore_expiry: 1 }, actor);
+}
+
+/**
+ * Show an item's expiry alerts as usual again
+ * @param {number} itemId - Item ID
+ * @param {Object} actor - Who restored them
+ * @returns {null} The item has no alert state left
+ */
+function restoreItemAlerts(itemId, actor = null) {
+    return changeItemAlertState(itemId, 'restored', {}, actor);
+}
+
+/**
+ * Get items whose expiry alerts are currently dismissed
+ * @returns {Array} Items with their alert state and dismissed_as (ignored, snoozed or acknowledged)
+ */
+function getDismissedAlerts() {
+    return all(`
+        SELECT
+            a.*,
+            CASE
+                WHEN a.ignore_expiry = 1 THEN 'ignored'
+                WHEN date(a.snoozed_until) > date('now', 'localtime') THEN 'snoozed'
+                ELSE 'acknowledged'
+            END AS dismissed_as,
+            i.title, i.expiry_date, i.expiry_type, i.quantity, i.unit,
+            l.name AS location_name
+        FROM item_alert_states a
+        JOIN items i ON i.id = a.item_id
+        LEFT JOIN locations l ON l.id = i.location_id
+        WHERE i.deleted_at IS NULL AND (
+            a.ignore_expiry = 1
+            OR date(a.snoozed_until) > date('now', 'localtime')
+            OR (i.expiry_date IS NOT NULL AND date(i.expiry_date) <= date(a.acknowledged_through)
+                AND (date(i.expiry_date) < date(a.acknowledged_on) OR date(i.expiry_date) >= date('now', 'localtime')))
+        )
+        ORDER BY i.title ASC
+    `);
+}
+
+/**
+ * Get recorded alert actions, newest first
+ * @param {Object} filters - Optional filters { itemId, days, limit }
+ * @returns {Array} Alert action records
+ */
+function getAlertActions(filters = {}) {
+    let sql = 'SELECT * FROM alert_actions WHERE 1=1';
+    const params = [];
+    
+    if (filters.itemId) {
+        sql += ' AND item_id = ?';
+        params.push(filters.itemId);
+    }
+    
+    if (filters.days) {
+        sql += ` AND created_at >= datetime('now', 'localtime', '-${parseInt(filters.days)} days')`;
+    }
+    
+    sql += ' ORDER BY created_at DESC, id DESC';
+    
+    if (filters.limit) {
+        sql += ` LIMIT ${parseInt(filters.limit)}`;
+    }
+    
+    return all(sql, params);
+}
+
+// ============================================================================
+// ITEM EVENTS
+// The audit log of item changes (see migration 018). services/audit.js
+// compares an item before and after each change and records the fields
+// that changed, with the actor passed in.
+// ============================================================================
+
+/**
+ * Get the highest item ID, to tell later which items a change created
+ * @returns {number} Item ID (0 when there are no items)
+ */
+function getLastItemId() {
+    return get('SELECT COALESCE(MAX(id), 0) as id FROM items').id;
+}
+
+/**
+ * Record a change to an item
+ * @param {Object} event - { item_id, item_title, event (one of ITEM_EVENTS),
+ *                         changes ({ field: { before, after } }), note,
+ *                         actor ({ user_id, name }, see lib/actor.js) }
+ * @returns {number} Item event ID
+ */
+function logItemEvent(event) {
+    if (!ITEM_EVENTS.includes(event.event)) {
+        throw new Error(`Unknown item event: ${event.event}`);
+    }
+    
+    return run(`
+        INSERT INTO item_events (item_id, item_title, event, changes, note, actor, user_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        event.item_id,
+        event.item_title,
+        event.event,
+        JSON.stringify(event.changes || {}),
+        event.note || null,
+        event.actor ? event.actor.name : null,
+        event.actor ? event.actor.user_id : null
+    ]).lastInsertRowid;
+}
+
+/**
+ * Get recorded item changes, newest first
+ * @param {Object} filters - Optional filters { itemId, event, field (changed), actor (contains), userId, days, limit }
+ * @returns {Array} Item events with changes parsed
+ */
+function getItemEvents(filters = {}) {
+    let sql = 'SELECT * FROM item_events WHERE 1=1';
+    const params = [];
+    
+    if (filters.itemId) {
+        sql += ' AND item_id = ?';
+        params.push(filters.itemId);
+    }
+    
+    if (filters.event) {
+        sql += ' AND event = ?';
+        params.push(filters.event);
+    }
+    
+    if (filters.field) {
+        sql += " AND json_type(changes, '$.' || ?) IS NOT NULL";
+        params.push(String(filters.field).replace(/[^a-z_]/g, ''));
+    }
+    
+    if (filters.actor) {
+        sql += ' AND actor LIKE ?';
+        params.push(`%${filters.actor}%`);
+    }
+    
+    if (filters.userId) {
+        sql += ' AND user_id = ?';
+        params.push(filters.userId);
+    }
+    
+    if (filters.days) {
+        sql += ` AND created_at >= datetime('now', 'localtime', '-${parseInt(filters.days)} days')`;
+    }
+    
+    sql += ' ORDER BY created_at DESC, id DESC';
+    
+    if (filters.limit) {
+        sql += ` LIMIT ${parseInt(filters.limit)}`;
+    }
+    
+    return all(sql, params).map(event => ({ ...event, changes: JSON.parse(event.changes) }));
+}
+
+// ============================================================================
+// USERS & SESSIONS
+// Household members and their signed-in browsers (see migration 019 and
+// services/users.js). A user is deactivated rather than deleted, so the
+// history keeps their name. PIN hashes only leave this module through
+// getUserPinHash.
+// ============================================================================
+
+// User columns safe to hand out
+const USER_COLUMNS = 'id, name, avatar, color, role, is_active, last_seen_at, created_at, updated_at, pin_hash IS NOT NULL AS has_pin';
+
+/**
+ * Get users, by name
+ * @param {boolean} activeOnly - Leave out deactivated users
+ * @returns {Array} Users (with has_pin)
+ */
+function getUsers(activeOnly = true) {
+    return all(`
+        SELECT ${USER_COLUMNS} FROM users
+        ${activeOnly ? 'WHERE is_active = 1' : ''}
+        ORDER BY is_active DESC, name ASC
+    `);
+}
+
+/**
+ * Get a user (active or not)
+ * @param {number} id - User ID
+ * @returns {Object|undefined} User (with has_pin)
+ */
+function getUserById(id) {
+    return get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+}
+
+/**
+ * Find a user by name (case-insensitive, active or not)
+ * @param {string} name - User name
+ * @returns {Object|undefined} User (with has_pin)
+ */
+function findUserByName(name) {
+    return get(`SELECT ${USER_COLUMNS} FROM users WHERE name = ? COLLATE NOCASE`, [String(name).trim()]);
+}
+
+/**
+ * Count the active users (with none, nobody has to sign in)
+ * @returns {number} Count
+ */
+function countActiveUsers() {
+    return get('SELECT COUNT(*) as count FROM users WHERE is_active = 1').count;
+}
+
+/**
+ * Count the active admins (the last one cannot be removed or demoted)
+ * @returns {number} Count
+ */
+function countActiveAdmins() {
+    return get("SELECT COUNT(*) as count FROM users WHERE is_active = 1 AND role = 'admin'").count;
+}
+
+/**
+ * Get a user's PIN hash, to check a PIN against
+ * @param {number} id - User ID
+ * @returns {string|null} <salt hex>:<hash hex>, or null without a PIN
+ */
+function getUserPinHash(id) {
+    const row = get('SELECT pin_hash FROM users WHERE id = ?', [id]);
+    return row ? row.pin_hash : null;
+}
+
+/**
+ * Add a user
+ * @param {Object} user - { name, avatar, color, role (one of USER_ROLES), pin_hash }
+ * @returns {number} User ID
+ */
+function createUser(user) {
+    if (!USER_ROLES.includes(user.role)) {
+        throw new Error(`Unknown role: ${user.role}`);
+    }
+    return run(
+        'INSERT INTO users (name, avatar, color, role, pin_hash) VALUES (?, ?, ?, ?, ?)',
+        [user.name, user.avatar, user.color, user.role, user.pin_hash || null]
+    ).lastInsertRowid;
+}
+
+/**
+ * Change a user's name, avatar, colour and role
+ * @param {number} id - User ID
+ * @param {Object} user - { name, avatar, color, role (one of USER_ROLES) }
+ * @returns {Object} Result
+ */
+function updateUser(id, user) {
+    if (!USER_ROLES.includes(user.role)) {
+        throw new Error(`Unknown role: ${user.role}`);
+    }
+    return run(`
+        UPDATE users SET name = ?, avatar = ?, color = ?, role = ?, updated_at = datetime('now', 'localtime')
+        WHERE id = ?
+    `, [user.name, user.avatar, user.color, user.role, id]);
+}
+
+/**
+ * Set or clear a user's PIN
+ * @param {number} id - User ID
+ * @param {string|null} pinHash - <salt hex>:<hash hex>, or null for no PIN
+ * @returns {Object} Result
+ */
+function setUserPin(id, pinHash) {
+    return run(
+        "UPDATE users SET pin_hash = ?, updated_at = datetime('now', 'localtime') WHERE id = ?",
+        [pinHash || null, id]
+    );
+}
+
+/**
+ * Deactivate a user: they can no longer sign in, and their sessions end
+ * @param {number} id - User ID
+ * @returns {Object} Result
+ */
+function deactivateUser(id) {
+    return transaction(() => {
+        run('DELETE FROM user_sessions WHERE user_id = ?', [id]);
+        return run("UPDATE users SET is_active = 0, updated_at = datetime('now', 'localtime') WHERE id = ?", [id]);
+    });
+}
+
+/**
+ * Start a session
+ * @param {Object} session - { user_id, token_hash, ui, address, user_agent, seconds (until it expires) }
+ * @returns {number} Session ID
+ */
+function createSession(session) {
+    return transaction(() => {
+        run("UPDATE users SET last_seen_at = datetime('now', 'localtime') WHERE id = ?", [session.user_id]);
+        return run(`
+            INSERT INTO user_sessions (user_id, token_hash, ui, address, user_agent, expires_at)
+            VALUES (?, ?, ?, ?, ?, datetime('now', 'localtime', ?))
+        `, [
+            session.user_id,
+            session.token_hash,
+            session.ui,
+            session.address || null,
+            session.user_agent || null,
+            `+${Math.round(session.seconds)} seconds`
+        ]).lastInsertRowid;
+    });
+}
+
+/**
+ * Get a session that has not expired, of an active user
+ * @param {string} tokenHash - SHA-256 of the cookie token (hex)
+ * @returns {Object|undefined} Session with seconds_idle and user ({ id, name, avatar, color, role, has_pin })
+ */
+function getSessionByTokenHash(tokenHash) {
+    const row = get(`
+        SELECT s.*,
+            CAST((julianday('now', 'localtime') - julianday(s.last_seen_at)) * 86400 AS INTEGER) as seconds_idle,
+            u.name as user_name, u.avatar as user_avatar, u.color as user_color, u.role as user_role,
+            u.pin_hash IS NOT NULL as user_has_pin
+        FROM user_sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.token_hash = ? AND u.is_active = 1
+          AND datetime(s.expires_at) > datetime('now', 'localtime')
+    `, [tokenHash]);
+    if (!row) return undefined;
+    
+    const { user_name, user_avatar, user_color, user_role, user_has_pin, ...session } = row;
+    return {
+        ...session,
+        user: { id: row.user_id, name: user_name, avatar: user_avatar, color: user_color, role: user_role, has_pin: user_has_pin }
+    };
+}
+
+/**
+ * Push a session's expiry back after it was used
+ * @param {number} id - Session ID
+ * @param {number} seconds - Seconds from now until it expires
+ * @returns {Object} Result
+ */
+function extendSession(id, seconds) {
+    return run(`
+        UPDATE user_sessions
+        SET last_seen_at = datetime('now', 'localtime'), expires_at = datetime('now', 'localtime', ?)
+        WHERE id = ?
+    `, [`+${Math.round(seconds)} seconds`, id]);
+}
+
+/**
+ * End a session
+ * @param {string} tokenHash - SHA-256 of the cookie token (hex)
+ * @returns {Object} Result
+ */
+function deleteSession(tokenHash) {
+    return run('DELETE FROM user_sessions WHERE token_hash = ?', [tokenHash]);
+}
+
+/**
+ * Forget expired sessions
+ * @returns {Object} Result with changes count
+ */
+function pruneSessions() {
+    return run("DELETE FROM user_sessions WHERE datetime(expires_at) <= datetime('now', 'localtime')");
+}
+
+// ============================================================================
+// API TOKENS
+// Tokens for scripts and home automation (see migration 021 and
+// services/tokens.js). Only their SHA-256 is stored.
+// ============================================================================
+
+/**
+ * Get the API tokens, newest first (revoked ones last)
+ * @returns {Array} Tokens with created_by_name (without token_hash)
+ */
+function getApiTokens() {
+    return all(`
+        SELECT t.id, t.name, t.token_prefix, t.scopes, t.created_by, t.created_at,
+            t.last_used_at, t.last_used_address, t.revoked_at, u.name as created_by_name
+        FROM api_tokens t
+        LEFT JOIN users u ON u.id = t.created_by
+        ORDER BY t.revoked_at IS NOT NULL, t.created_at DESC, t.id DESC
+    `);
+}
+
+/**
+ * Count the tokens that have not been revoked (with any, the API is closed
+ * to requests without one)
+ * @returns {number} Count
+ */
+function countActiveApiTokens() {
+    return get('SELECT COUNT(*) as count FROM api_tokens WHERE revoked_at IS NULL').count;
+}
+
+/**
+ * Get a token that has not been revoked
+ * @param {string} tokenHash - SHA-256 of the token (hex)
+ * @returns {Object|undefined} Token with seconds_idle (since last used; null if never)
+ */
+function getApiTokenByHash(tokenHash) {
+    return get(`
+        SELECT id, name, token_prefix, scopes, last_used_at,
+            CAST((julianday('now', 'localtime') - julianday(last_used_at)) * 86400 AS INTEGER) as seconds_idle
+        FROM api_tokens
+        WHERE token_hash = ? AND revoked_at IS NULL
+    `, [tokenHash]);
+}
+
+/**
+ * Add a token
+ * @param {Object} token - { name, token_hash, token_prefix, scopes (comma-separated), created_by }
+ * @returns {number} Token ID
+ */
+function createApiToken(token) {
+    return run(`
+        INSERT INTO api_tokens (name, token_hash, token_prefix, scopes, created_by)
+        VALUES (?, ?, ?, ?, ?)
+    `, [token.name, token.token_hash, token.token_prefix, token.scopes, token.created_by || null]).lastInsertRowid;
+}
+
+/**
+ * Record that a token was used
+ * @param {number} id - Token ID
+ * @param {string} address - Address it was used from
+ * @returns {Object} Result
+ */
+function touchApiToken(id, address) {
+    return run(
+        "UPDATE api_tokens SET last_used_at = datetime('now', 'localtime'), last_used_address = ? WHERE id = ?",
+        [address || null, id]
+    );
+}
+
+/**
+ * Revoke a token; it stops working at once
+ * @param {number} id - Token ID
+ * @returns {Object} Result with changes count (0 when missing or already revoked)
+ */
+function revokeApiToken(id) {
+    return run(
+        "UPDATE api_tokens SET revoked_at = datetime('now', 'localtime') WHERE id = ? AND revoked_at IS NULL",
+        [id]
+    );
+}
+
+// ============================================================================
+// LOCATIONS MANAGEMENT
+// ============================================================================
+
+/**
+ * Get all locations
+ * @param {boolean} visibleOnly - Only return visible locations
+ * @returns {Array} Location objects
+ */
+function getLocations(visibleOnly = false) {
     let sql = 'SELECT * FROM locations';
     if (visibleOnly) {
         sql += ' WHERE is_visible = 1';
@@ -540,9 +2847,11 @@ function updateLocation(id, location) {
  * @returns {Object} Result
  */
 function deleteLocation(id) {
-    // First, update any items using this location to have NULL location_id
-    run('UPDATE items SET location_id = NULL WHERE location_id = ?', [id]);
-    return run('DELETE FROM locations WHERE id = ?', [id]);
+    return transaction(() => {
+        // First, update any items using this location to have NULL location_id
+        run('UPDATE items SET location_id = NULL WHERE location_id = ?', [id]);
+        return run('DELETE FROM locations WHERE id = ?', [id]);
+    });
 }
 
 /**
@@ -550,8 +2859,10 @@ function deleteLocation(id) {
  * @param {Array} orderedIds - Array of location IDs in desired order
  */
 function reorderLocations(orderedIds) {
-    orderedIds.forEach((id, index) => {
-        run('UPDATE locations SET sort_order = ? WHERE id = ?', [index + 1, id]);
+    transaction(() => {
+        orderedIds.forEach((id, index) => {
+            run('UPDATE locations SET sort_order = ? WHERE id = ?', [index + 1, id]);
+        });
     });
 }
 
@@ -563,7 +2874,7 @@ function getLocationCounts() {
     const results = all(`
         SELECT location_id, COUNT(*) as count 
         FROM items 
-        WHERE location_id IS NOT NULL 
+        WHERE location_id IS NOT NULL AND deleted_at IS NULL
         GROUP BY location_id
     `, []);
     
@@ -574,6 +2885,143 @@ function getLocationCounts() {
     return counts;
 }
 
+// ============================================================================
+// UNDO
+// An undoable change (see services/undo.js) records the state of the items
+// it touches before and after, and the rows it added to UNDO_ADDED_TABLES.
+// Undoing it puts the items back as they were and removes those rows.
+// ============================================================================
+
+// Tables a stock change adds rows to, in the order the rows are removed
+const UNDO_ADDED_TABLES = ['consumption_history', 'consumption_events', 'item_movements', 'shopping_list'];
+
+// Item columns an undo leaves alone: quantity and expiry date follow the lots
+const UNDO_KEPT_COLUMNS = ['id', 'quantity', 'expiry_date', 'created_at'];
+
+/**
+ * Get what an undo puts back of an item: its row and its lots
+ * @param {number} itemId - Item ID (in the trash or not)
+ * @returns {Object|null} { item, lots }, or null if the item does not exist
+ */
+function getItemState(itemId) {
+    const row = get('SELECT * FROM items WHERE id = ?', [itemId]);
+    if (!row) return null;
+    
+    // Changed by every update, so not part of the state
+    const { updated_at, ...item } = row;
+    return { item, lots: all('SELECT * FROM item_lots WHERE item_id = ? ORDER BY id ASC', [itemId]) };
+}
+
+/**
+ * Put an item back in a state from getItemState(): its columns, and its
+ * lots as they were (with their IDs)
+ * @param {Object} state - { item, lots }
+ */
+function restoreItemState(state) {
+    transaction(() => {
+        const columns = Object.keys(state.item).filter(column => !UNDO_KEPT_COLUMNS.includes(column));
+        run(`UPDATE items SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`, [
+            ...columns.map(column => state.item[column]),
+            state.item.id
+        ]);
+        
+        run('DELETE FROM item_lots WHERE item_id = ?', [state.item.id]);
+        state.lots.forEach(lot => {
+            const lotColumns = Object.keys(lot);
+            run(
+                `INSERT INTO item_lots (${lotColumns.join(', ')}) VALUES (${lotColumns.map(() => '?').join(', ')})`,
+                lotColumns.map(column => lot[column])
+            );
+        });
+    });
+}
+
+/**
+ * Get the last row ID of each table in UNDO_ADDED_TABLES, to tell later
+ * which rows a change added
+ * @returns {Object} { <table>: id }
+ */
+function getUndoMarks() {
+    const marks = {};
+    UNDO_ADDED_TABLES.forEach(table => {
+        marks[table] = get(`SELECT COALESCE(MAX(id), 0) as id FROM ${table}`).id;
+    });
+    return marks;
+}
+
+/**
+ * Get the rows added since getUndoMarks() was taken
+ * @param {Object} marks - { <table>: id }
+ * @returns {Object} { <table>: [row IDs] } for the tables with new rows
+ */
+function getRowsAddedSince(marks) {
+    const added = {};
+    UNDO_ADDED_TABLES.forEach(table => {
+        const ids = all(`SELECT id FROM ${table} WHERE id > ? ORDER BY id ASC`, [marks[table]]).map(row => row.id);
+        if (ids.length > 0) added[table] = ids;
+    });
+    return added;
+}
+
+/**
+ * Remove rows a change added (those already gone are skipped)
+ * @param {Object} added - { <table>: [row IDs] } from getRowsAddedSince()
+ */
+function removeAddedRows(added) {
+    transaction(() => {
+        UNDO_ADDED_TABLES.forEach(table => {
+            (added[table] || []).forEach(id => run(`DELETE FROM ${table} WHERE id = ?`, [id]));
+        });
+    });
+}
+
+/**
+ * Record how to undo a change
+ * @param {string} label - What was done (e.g. "Used 1 pcs of Milk")
+ * @param {Object} changes - { items: [{ before, after }], added }
+ * @param {number} seconds - How long it can be undone for
+ * @param {string} permission - What undoing it takes: 'use', 'edit' or 'admin'
+ * @returns {number} Undo action ID
+ */
+function createUndoAction(label, changes, seconds, permission = 'use') {
+    return run(`
+        INSERT INTO undo_actions (label, changes, expires_at, permission)
+        VALUES (?, ?, datetime('now', 'localtime', ?), ?)
+    `, [label, JSON.stringify(changes), `+${Math.round(seconds)} seconds`, permission]).lastInsertRowid;
+}
+
+/**
+ * Get a recorded change
+ * @param {number} id - Undo action ID
+ * @returns {Object|undefined} Undo action with changes parsed and expired
+ *   (1 once it can no longer be undone)
+ */
+function getUndoActionById(id) {
+    const action = get(`
+        SELECT *,
+            CASE WHEN datetime(expires_at) < datetime('now', 'localtime') THEN 1 ELSE 0 END as expired
+        FROM undo_actions WHERE id = ?
+    `, [id]);
+    return action ? { ...action, changes: JSON.parse(action.changes) } : undefined;
+}
+
+/**
+ * Mark a change undone
+ * @param {number} id - Undo action ID
+ * @returns {Object} Result
+ */
+function markUndoActionUndone(id) {
+    return run("UPDATE undo_actions SET undone_at = datetime('now', 'localtime') WHERE id = ? AND undone_at IS NULL", [id]);
+}
+
+/**
+ * Forget recorded changes that can no longer be undone
+ * @returns {Object} Result with changes count
+ */
+function pruneUndoActions() {
+    return run("DELETE FROM undo_actions WHERE datetime(expires_at) < datetime('now', 'localtime')");
+}
+
 // ============================================================================
 // CATEGORIES
 // ============================================================================
@@ -586,6 +3034,259 @@ function getCategories() {
     return all('SELECT * FROM categories ORDER BY sort_order ASC');
 }
 
+/**
+ * Set the default stock levels of a category's items (used by items that
+ * have no levels of their own)
+ * @param {string} category - Category name
+ * @param {number|null} minQuantity - Minimum, or null for none
+ * @param {number|null} targetQuantity - Target, or null for the minimum
+ * @returns {Object} Result
+ */
+function setCategoryStockLevels(category, minQuantity, targetQuantity) {
+    return run('UPDATE categories SET min_quantity = ?, target_quantity = ? WHERE name = ?', [
+        minQuantity ?? null,
+        targetQuantity ?? null,
+        category
+    ]);
+}
+
+/**
+ * Set the expiry warning window of a category's items (used by items that
+ * have none of their own)
+ * @param {string} category - Category name
+ * @param {number|null} days - Days before expiry, or null for the location type's
+ * @returns {Object} Result
+ */
+function setCategoryExpiryWarningDays(category, days) {
+    return run('UPDATE categories SET expiry_warning_days = ? WHERE name = ?', [days ?? null, category]);
+}
+
+// ============================================================================
+// SETTINGS
+// Appliance-wide settings, stored as text under dotted keys:
+// - expiry.warning_days               - Default expiry warning window (days)
+// - expiry.warning_days.<location type> - Window for a location type
+// - freezer.freeze_days               - Days a frozen item keeps
+// - freezer.thaw_days                 - Days a thawed item keeps
+// - notify.*                          - Notification delivery (see
+//                                       services/notifications.js)
+// - users.touch_locked                - Touchscreen limited to using and
+//                                       adding stock (see lib/permissions.js)
+// - auth.browser_secret               - Key browser markers are signed with
+//                                       (see services/tokens.js)
+// ============================================================================
+
+/**
+ * Get a setting
+ * @param {string} key - Setting key
+ * @param {*} fallback - Returned when the setting is not set
+ * @returns {string|*} Stored value, or fallback
+ */
+function getSetting(key, fallback = null) {
+    const row = get('SELECT value FROM settings WHERE key = ?', [key]);
+    return row ? row.value : fallback;
+}
+
+/**
+ * Get all settings whose key starts with a prefix
+ * @param {string} prefix - Key prefix (e.g. "expiry.")
+ * @returns {Object} { key: value }
+ */
+function getSettings(prefix = '') {
+    const rows = all("SELECT key, value FROM settings WHERE substr(key, 1, length(?)) = ? ORDER BY key ASC", [prefix, prefix]);
+    return Object.fromEntries(rows.map(row => [row.key, row.value]));
+}
+
+/**
+ * Store a setting (null or undefined removes it)
+ * @param {string} key - Setting key
+ * @param {*} value - Value (stored as text)
+ * @returns {Object} Result
+ */
+function setSetting(key, value) {
+    if (value === null || value === undefined) {
+        return run('DELETE FROM settings WHERE key = ?', [key]);
+    }
+    return run(`
+        INSERT INTO settings (key, value) VALUES (?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = datetime('now', 'localtime')
+    `, [key, String(value)]);
+}
+
+/**
+ * Get the expiry warning windows
+ * @returns {Object} { defaultDays, byLocationType: { type: days|null } }
+ */
+function getExpiryWarningDays() {
+    const settings = getSettings(EXPIRY_WARNING_DAYS_KEY);
+    const byLocationType = {};
+    LOCATION_TYPES.forEach(type => {
+        const value = settings[`${EXPIRY_WARNING_DAYS_KEY}.${type}`];
+        byLocationType[type] = value === undefined ? null : parseInt(value, 10);
+    });
+    
+    return {
+        defaultDays: parseInt(settings[EXPIRY_WARNING_DAYS_KEY], 10) || 0,
+        byLocationType
+    };
+}
+
+/**
+ * Set the default expiry warning window and those of location types
+ * @param {number} defaultDays - Default window in days
+ * @param {Object} byLocationType - { type: days|null } - null falls back to the default
+ */
+function setExpiryWarningDays(defaultDays, byLocationType = {}) {
+    return transaction(() => {
+        setSetting(EXPIRY_WARNING_DAYS_KEY, Math.max(0, parseInt(defaultDays, 10) || 0));
+        Object.entries(byLocationType).forEach(([type, days]) => {
+            if (!LOCATION_TYPES.includes(type)) return;
+            setSetting(`${EXPIRY_WARNING_DAYS_KEY}.${type}`, days >= 0 && days !== null ? days : null);
+        });
+    });
+}
+
+/**
+ * Get the freeze/thaw rules
+ * @returns {Object} { freezeDays, thawDays }
+ */
+function getFreezerRules() {
+    return {
+        freezeDays: parseInt(getSetting(FREEZE_DAYS_KEY), 10) || 0,
+        thawDays: parseInt(getSetting(THAW_DAYS_KEY), 10) || 0
+    };
+}
+
+/**
+ * Set the freeze/thaw rules
+ * @param {Object} rules - { freezeDays, thawDays }
+ */
+function setFreezerRules(rules) {
+    return transaction(() => {
+        setSetting(FREEZE_DAYS_KEY, Math.max(0, parseInt(rules.freezeDays, 10) || 0));
+        setSetting(THAW_DAYS_KEY, Math.max(0, parseInt(rules.thawDays, 10) || 0));
+    });
+}
+
+// ============================================================================
+// NOTIFICATIONS
+// Browsers subscribed to Web Push, the alerts each channel has delivered
+// (so they are sent once) and a log of digest runs. Channel settings live
+// under notify.* in the settings table.
+// ============================================================================
+
+/**
+ * Get Web Push subscriptions
+ * @returns {Array} Subscriptions
+ */
+function getPushSubscriptions() {
+    return all('SELECT * FROM push_subscriptions ORDER BY created_at ASC, id ASC');
+}
+
+/**
+ * Store a Web Push subscription (a known endpoint gets the new keys)
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {string} userAgent - Subscribing browser
+ * @returns {Object} Result
+ */
+function savePushSubscription(subscription, userAgent = null) {
+    return run(`
+        INSERT INTO push_subscriptions (endpoint, p256dh, auth, user_agent) VALUES (?, ?, ?, ?)
+        ON CONFLICT(endpoint) DO UPDATE SET p256dh = excluded.p256dh, auth = excluded.auth, user_agent = excluded.user_agent
+    `, [subscription.endpoint, subscription.keys.p256dh, subscription.keys.auth, userAgent]);
+}
+
+/**
+ * Remove a Web Push subscription
+ * @param {string} endpoint - Push service URL
+ * @returns {Object} Result
+ */
+function deletePushSubscription(endpoint) {
+    return run('DELETE FROM push_subscriptions WHERE endpoint = ?', [endpoint]);
+}
+
+/**
+ * Get the alert keys a channel has already delivered
+ * @param {string} channel - Channel name
+ * @returns {Set} Alert keys
+ */
+function getSentAlertKeys(channel) {
+    return new Set(all('SELECT alert_key FROM notification_sent WHERE channel = ?', [channel]).map(row => row.alert_key));
+}
+
+/**
+ * Remember alerts as delivered by a channel
+ * @param {string} channel - Channel name
+ * @param {Array} keys - Alert keys
+ */
+function markAlertsSent(channel, keys) {
+    return transaction(() => {
+        keys.forEach(key => {
+            run('INSERT OR IGNORE INTO notification_sent (channel, alert_key) VALUES (?, ?)', [channel, key]);
+        });
+    });
+}
+
+/**
+ * Forget delivered alerts that are no longer current, so they are sent
+ * again if they come back
+ * @param {string} channel - Channel name
+ * @param {Array} currentKeys - Keys of the alerts in effect now
+ */
+function pruneSentAlerts(channel, currentKeys) {
+    const current = new Set(currentKeys);
+    return transaction(() => {
+        getSentAlertKeys(channel).forEach(key => {
+            if (!current.has(key)) {
+                run('DELETE FROM notification_sent WHERE channel = ? AND alert_key = ?', [channel, key]);
+            }
+        });
+    });
+}
+
+/**
+ * Record a digest run of a channel
+ * @param {string} channel - Channel name
+ * @param {string} status - sent, empty or failed
+ * @param {number} alertCount - New alerts in the digest
+ * @param {string} error - Failure reason
+ * @returns {Object} Result
+ */
+function logNotificationDelivery(channel, status, alertCount = 0, error = null) {
+    return run(
+        'INSERT INTO notification_deliveries (channel, status, alert_count, error) VALUES (?, ?, ?, ?)',
+        [channel, status, alertCount, error]
+    );
+}
+
+/**
+ * Get digest runs, newest first
+ * @param {Object} filters - Optional filters { channel, since, limit }
+ * @returns {Array} Delivery records
+ */
+function getNotificationDeliveries(filters = {}) {
+    let sql = 'SELECT * FROM notification_deliveries WHERE 1=1';
+    const params = [];
+    
+    if (filters.channel) {
+        sql += ' AND channel = ?';
+        params.push(filters.channel);
+    }
+    
+    if (filters.since) {
+        sql += ' AND created_at >= ?';
+        params.push(filters.since);
+    }
+    
+    sql += ' ORDER BY created_at DESC, id DESC';
+    
+    if (filters.limit) {
+        sql += ` LIMIT ${parseInt(filters.limit)}`;
+    }
+    
+    return all(sql, params);
+}
+
 // ============================================================================
 // CSV EXPORT
 // ============================================================================
@@ -597,13 +3298,570 @@ function getCategories() {
 function getItemsForExport() {
     return all(`
         SELECT 
-            id, title, description, category, location, brand, is_homemade,
-            quantity, unit, date_added, expiry_date, image_path, created_at, updated_at
-        FROM items
-        ORDER BY location, category, title
+            i.id, i.title, i.description, i.category, i.location, i.location_id,
+            l.name as location_name, i.brand, i.is_homemade,
+            i.quantity, i.unit, i.date_added, i.expiry_date, i.image_path, i.created_at, i.updated_at
+        FROM items i
+        LEFT JOIN locations l ON i.location_id = l.id
+        WHERE i.deleted_at IS NULL
+        ORDER BY l.sort_order, l.name, i.category, i.title
     `);
 }
 
+// ============================================================================
+// BACKUP & RESTORE
+// ============================================================================
+
+/**
+ * Export the whole database as a SQLite file image
+ * @returns {Buffer} Database file contents
+ */
+function exportDatabase() {
+    if (!db) throw new Error('Database not initialized');
+    if (transactionDepth > 0) throw new Error('Cannot export the database during a transaction');
+    
+    const data = db.export();
+    configureConnection();
+    return Buffer.from(data);
+}
+
+/**
+ * Check a database file image without loading it as the live database
+ * @param {Buffer} buffer - SQLite file contents
+ * @returns {Object} { ok, errors, schemaVersion, counts }
+ */
+function inspectDatabaseFile(buffer) {
+    const report = { ok: false, errors: [], schemaVersion: null, counts: {} };
+    let candidate = null;
+    
+    try {
+        candidate = new SQL.Database(buffer);
+        
+        const integrity = candidate.exec('PRAGMA integrity_check')[0]?.values?.[0]?.[0];
+        if (integrity !== 'ok') {
+            report.errors.push(`Integrity check failed: ${integrity}`);
+        }
+        
+        report.schemaVersion = candidate.exec('PRAGMA user_version')[0]?.values?.[0]?.[0] || 0;
+        const latest = migrate.getMigrationStatus(candidate).latest;
+        if (report.schemaVersion > latest) {
+            report.errors.push(`Schema version ${report.schemaVersion} is newer than this version supports (${latest})`);
+        }
+        
+        ['items', 'locations', 'consumption_history'].forEach(table => {
+            try {
+                report.counts[table] = candidate.exec(`SELECT COUNT(*) FROM ${table}`)[0].values[0][0];
+            } catch (error) {
+                report.errors.push(`Missing table ${table}`);
+            }
+        });
+    } catch (error) {
+        report.errors.push(`Not a readable database: ${error.message}`);
+    } finally {
+        if (candidate) candidate.close();
+    }
+    
+    report.ok = report.errors.length === 0;
+    return report;
+}
+
+/**
+ * Replace the live database with a file image (used by restore).
+ * The image is validated and migrated before it is swapped in, so a
+ * failed restore leaves the current database untouched.
+ * @param {Buffer} buffer - SQLite file contents
+ */
+function replaceDatabase(buffer) {
+    if (!db) throw new Error('Database not initialized');
+    if (transactionDepth > 0) throw new Error('Cannot replace the database during a transaction');
+    
+    const report = inspectDatabaseFile(buffer);
+    if (!report.ok) {
+        throw new Error(report.errors.join('; '));
+    }
+    
+    const replacement = new SQL.Database(buffer);
+    try {
+        migrate.runMigrations(replacement);
+    } catch (error) {
+        replacement.close();
+        throw error;
+    }
+    
+    const previous = db;
+    db = replacement;
+    configureConnection();
+    previous.close();
+    
+    markDirty();
+    saveDatabase();
+}
+
+/**
+ * Get every image path referenced by an item or product
+ * @returns {Array} Image paths (e.g. /uploads/item-123.jpg)
+ */
+function getReferencedImagePaths() {
+    return all(`
+        SELECT image_path FROM items WHERE image_path IS NOT NULL AND image_path != ''
+        UNION
+        SELECT image_path FROM products WHERE image_path IS NOT NULL AND image_path != ''
+    `).map(row => row.image_path);
+}
+
+// ============================================================================
+// DATA TRANSFER
+// ============================================================================
+
+// Tables carried by the JSON export, in the order they are merged
+const TRANSFER_TABLES = [
+    'settings', 'categories', 'locations', 'products', 'product_shelf_life', 'product_units', 'barcodes',
+    'items', 'item_lots', 'recipes', 'recipe_ingredients', 'consumption_events', 'consumption_history', 'meal_plans',
+    'meal_reservations', 'item_movements', 'item_alert_states', 'alert_actions', 'item_events', 'shopping_list'
+];
+
+/**
+ * Read every row of the tables carried by the JSON export
+ * @returns {Object} { settings, categories, locations, products, product_shelf_life, product_units, barcodes, items, item_lots,
+ *   recipes, recipe_ingredients, consumption_events, consumption_history, meal_plans, meal_reservations, item_movements,
+ *   item_alert_states, alert_actions, item_events, shopping_list }
+ */
+function getTransferData() {
+    const data = {};
+    TRANSFER_TABLES.forEach(table => {
+        data[table] = all(`SELECT * FROM ${table} ORDER BY rowid ASC`);
+    });
+    data.settings = data.settings.filter(setting => !setting.key.startsWith(LOCAL_SETTINGS_PREFIX));
+    return data;
+}
+
+/**
+ * Merge exported data into the live database in one transaction.
+ * Every row gets a new ID; references are remapped to match.
+ * - Categories and locations are matched by name (case-insensitive) and
+ *   reused when they already exist; a matched category takes the exported
+ *   aisle, stock levels and expiry warning window it has none of
+ * - Settings are only added where not set here (notify.* ones never are)
+ * - Products are matched by name like categories; a matched product only
+ *   gains the shelf lives, unit definitions and barcodes it does not have
+ *   yet (a barcode already mapped here keeps its product)
+ * - Items, lots, history (use, moves, alert actions and item events) and shopping list
+ *   entries are always added; history for items that are not in the export
+ *   keeps its title but loses the item link. Alert states follow their items,
+ *   and items in the trash stay in the trash
+ * - Recipes are matched by name; a recipe that exists here keeps its own
+ *   ingredients, a new one brings its ingredients along
+ * - Consumption events (cooked meals) are always added, with their recipe
+ *   remapped, and keep their history rows grouped
+ * - Planned meals are always added; their reservations follow their items
+ * - Exports without item_lots get one lot per item from its quantity, and
+ *   items without a product are linked to the product with their title
+ * @param {Object} data - Rows as returned by getTransferData()
+ * @param {Object} options - { imagePaths: { oldPath: newPath } }
+ * @returns {Object} Summary counts
+ */
+function mergeTransferData(data, options = {}) {
+    const imagePaths = options.imagePaths || {};
+    const summary = {
+        categories: { created: 0, matched: 0 },
+        locations: { created: 0, matched: 0 },
+        products: { created: 0, matched: 0 },
+        recipes: { created: 0, matched: 0 },
+        meals: 0,
+        items: 0,
+        lots: 0,
+        history: 0,
+        shopping: 0
+    };
+    
+    return transaction(() => {
+        (data.settings || []).forEach(setting => {
+            if (String(setting.key).startsWith(LOCAL_SETTINGS_PREFIX)) return;
+            run('INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)', [setting.key, String(setting.value)]);
+        });
+        
+        const categoryNames = new Map(getCategories().map(c => [c.name.toLowerCase(), c.name]));
+        (data.categories || []).forEach(category => {
+            const key = category.name.toLowerCase();
+            if (categoryNames.has(key)) {
+                run(`
+                    UPDATE categories SET
+                        aisle = COALESCE(aisle, ?),
+                        min_quantity = COALESCE(min_quantity, ?),
+                        target_quantity = COALESCE(target_quantity, ?),
+                        expiry_warning_days = COALESCE(expiry_warning_days, ?)
+                    WHERE name = ?
+                `, [
+                    category.aisle || null,
+                    category.min_quantity ?? null,
+                    category.target_quantity ?? null,
+                    category.expiry_warning_days ?? null,
+                    categoryNames.get(key)
+                ]);
+                summary.categories.matched++;
+                return;
+            }
+            run(`
+                INSERT INTO categories (name, icon, sort_order, aisle, min_quantity, target_quantity, expiry_warning_days)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                category.name,
+                category.icon || '📦',
+                category.sort_order || 0,
+                category.aisle || null,
+                category.min_quantity ?? null,
+                category.target_quantity ?? null,
+                category.expiry_warning_days ?? null
+            ]);
+            categoryNames.set(key, category.name);
+            summary.categories.created++;
+        });
+        
+        // New locations keep their relative order, after the existing ones
+        const locationIds = new Map();
+        const locationsByName = new Map(getLocations().map(l => [l.name.toLowerCase(), l.id]));
+        let sortOrder = get('SELECT MAX(sort_order) as max FROM locations')?.max || 0;
+        [...(data.locations || [])]
+            .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0))
+            .forEach(location => {
+                const existingId = locationsByName.get(location.name.toLowerCase());
+                if (existingId) {
+                    locationIds.set(location.id, existingId);
+                    summary.locations.matched++;
+                    return;
+                }
+                const result = run(`
+                    INSERT INTO locations (name, type, icon, color, sort_order, is_visible, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now', 'localtime')), COALESCE(?, datetime('now', 'localtime')))
+                `, [
+                    location.name,
+                    location.type || 'other',
+                    location.icon || '📦',
+                    location.color || '#666666',
+                    ++sortOrder,
+                    location.is_visible === 0 ? 0 : 1,
+                    location.created_at || null,
+                    location.updated_at || null
+                ]);
+                locationIds.set(location.id, result.lastInsertRowid);
+                locationsByName.set(location.name.toLowerCase(), result.lastInsertRowid);
+                summary.locations.created++;
+            });
+        
+        const productIds = new Map();
+        (data.products || []).forEach(product => {
+            const existing = findProductByName(product.name);
+            if (existing) {
+                productIds.set(product.id, existing.id);
+                summary.products.matched++;
+                return;
+            }
+            const result = run(`
+                INSERT INTO products (
+                    name, category, brand, is_homemade, unit, default_quantity, image_path,
+                    expiry_type, opened_shelf_life_days, use_count, last_used_at, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now', 'localtime')), COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                product.name,
+                categoryNames.get((product.category || '').toLowerCase()) || product.category || 'Uncategorized',
+                product.brand || null,
+                product.is_homemade ? 1 : 0,
+                product.unit || 'pcs',
+                product.default_quantity > 0 ? product.default_quantity : 1,
+                product.image_path ? (imagePaths[product.image_path] || product.image_path) : null,
+                EXPIRY_TYPES.includes(product.expiry_type) ? product.expiry_type : 'use_by',
+                product.opened_shelf_life_days ?? null,
+                product.use_count || 0,
+                product.last_used_at || null,
+                product.created_at || null,
+                product.updated_at || null
+            ]);
+            productIds.set(product.id, result.lastInsertRowid);
+            summary.products.created++;
+        });
+        
+        (data.product_shelf_life || []).forEach(row => {
+            if (!productIds.has(row.product_id)) return;
+            run(`
+                INSERT OR IGNORE INTO product_shelf_life (product_id, location_type, days, samples)
+                VALUES (?, ?, ?, ?)
+            `, [productIds.get(row.product_id), row.location_type, row.days, row.samples || 0]);
+        });
+        
+        (data.product_units || []).forEach(row => {
+            if (!productIds.has(row.product_id)) return;
+            run(`
+                INSERT OR IGNORE INTO product_units (product_id, unit, amount, amount_unit)
+                VALUES (?, ?, ?, ?)
+            `, [productIds.get(row.product_id), row.unit, row.amount, row.amount_unit]);
+        });
+        
+        (data.barcodes || []).forEach(row => {
+            const code = normalizeBarcode(row.code);
+            if (!code || !productIds.has(row.product_id)) return;
+            run(`
+                INSERT OR IGNORE INTO barcodes (code, product_id, created_at, last_scanned_at)
+                VALUES (?, ?, COALESCE(?, datetime('now', 'localtime')), ?)
+            `, [code, productIds.get(row.product_id), row.created_at || null, row.last_scanned_at || null]);
+        });
+        
+        const itemIds = new Map();
+        (data.items || []).forEach(item => {
+            const result = run(`
+                INSERT INTO items (
+                    title, description, category, location, location_id, brand, is_homemade,
+                    quantity, unit, date_added, expiry_date, image_path, product_id, min_quantity, target_quantity,
+                    expiry_warning_days, expiry_type, deleted_at, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now', 'localtime')), COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                item.title,
+                item.description || '',
+                categoryNames.get((item.category || '').toLowerCase()) || item.category || 'Uncategorized',
+                item.location || null,
+                locationIds.get(item.location_id) || null,
+                item.brand || null,
+                item.is_homemade ? 1 : 0,
+                item.unit || 'pcs',
+                item.date_added || new Date().toISOString().split('T')[0],
+                item.image_path ? (imagePaths[item.image_path] || item.image_path) : null,
+                productIds.get(item.product_id) || findProductByName(item.title)?.id || null,
+                item.min_quantity ?? null,
+                item.target_quantity ?? null,
+                item.expiry_warning_days ?? null,
+                EXPIRY_TYPES.includes(item.expiry_type) ? item.expiry_type : 'use_by',
+                item.deleted_at || null,
+                item.created_at || null,
+                item.updated_at || null
+            ]);
+            itemIds.set(item.id, result.lastInsertRowid);
+            summary.items++;
+        });
+        
+        // Quantities and expiry dates arrive with the lots
+        const lots = data.item_lots || (data.items || [])
+            .filter(item => item.quantity > 0)
+            .map(item => ({
+                item_id: item.id,
+                quantity: item.quantity,
+                date_added: item.date_added,
+                expiry_date: item.expiry_date
+            }));
+        lots.forEach(lot => {
+            if (!itemIds.has(lot.item_id)) return;
+            run(`
+                INSERT INTO item_lots (item_id, quantity, date_added, expiry_date, location_id, opened_at, frozen_at, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now', 'localtime')), COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                itemIds.get(lot.item_id),
+                lot.quantity,
+                lot.date_added || new Date().toISOString().split('T')[0],
+                lot.expiry_date || null,
+                locationIds.get(lot.location_id) || null,
+                lot.opened_at || null,
+                lot.frozen_at || null,
+                lot.created_at || null,
+                lot.updated_at || null
+            ]);
+            summary.lots++;
+        });
+        
+        const recipeIds = new Map();
+        const newRecipes = new Set();
+        (data.recipes || []).forEach(recipe => {
+            const existing = findRecipeByName(recipe.name);
+            if (existing) {
+                recipeIds.set(recipe.id, existing.id);
+                summary.recipes.matched++;
+                return;
+            }
+            const result = run(`
+                INSERT INTO recipes (name, instructions, servings, created_at, updated_at)
+                VALUES (?, ?, ?, COALESCE(?, datetime('now', 'localtime')), COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                recipe.name,
+                recipe.instructions || '',
+                recipe.servings > 0 ? recipe.servings : null,
+                recipe.created_at || null,
+                recipe.updated_at || null
+            ]);
+            recipeIds.set(recipe.id, result.lastInsertRowid);
+            newRecipes.add(recipe.id);
+            summary.recipes.created++;
+        });
+        
+        (data.recipe_ingredients || []).forEach(ingredient => {
+            if (!newRecipes.has(ingredient.recipe_id)) return;
+            run(`
+                INSERT INTO recipe_ingredients (recipe_id, name, product_id, category, quantity, unit, is_optional, sort_order)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                recipeIds.get(ingredient.recipe_id),
+                ingredient.name,
+                productIds.get(ingredient.product_id) || null,
+                ingredient.category ? (categoryNames.get(ingredient.category.toLowerCase()) || null) : null,
+                ingredient.quantity > 0 ? ingredient.quantity : null,
+                ingredient.quantity > 0 ? (ingredient.unit || 'pcs') : null,
+                ingredient.is_optional ? 1 : 0,
+                ingredient.sort_order || 0
+            ]);
+        });
+        
+        const eventIds = new Map();
+        (data.consumption_events || []).forEach(event => {
+            const result = run(`
+                INSERT INTO consumption_events (label, recipe_id, created_at)
+                VALUES (?, ?, COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                event.label,
+                recipeIds.get(event.recipe_id) || null,
+                event.created_at || null
+            ]);
+            eventIds.set(event.id, result.lastInsertRowid);
+        });
+        
+        (data.consumption_history || []).forEach(entry => {
+            run(`
+                INSERT INTO consumption_history (item_id, item_title, quantity_used, unit, action, notes, event_id, consumed_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                itemIds.get(entry.item_id) || null,
+                entry.item_title,
+                entry.quantity_used,
+                entry.unit,
+                entry.action || 'used',
+                entry.notes || '',
+                eventIds.get(entry.event_id) || null,
+                entry.consumed_at || null
+            ]);
+            summary.history++;
+        });
+        
+        const mealIds = new Map();
+        (data.meal_plans || []).forEach(meal => {
+            const result = run(`
+                INSERT INTO meal_plans (planned_date, title, recipe_id, notes, cooked_at, event_id, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now', 'localtime')), COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                meal.planned_date,
+                meal.title,
+                recipeIds.get(meal.recipe_id) || null,
+                meal.notes || '',
+                meal.cooked_at || null,
+                eventIds.get(meal.event_id) || null,
+                meal.created_at || null,
+                meal.updated_at || null
+            ]);
+            mealIds.set(meal.id, result.lastInsertRowid);
+            summary.meals++;
+        });
+        
+        (data.meal_reservations || []).forEach(reservation => {
+            if (!mealIds.has(reservation.meal_plan_id) || !itemIds.has(reservation.item_id)) return;
+            run(`
+                INSERT OR IGNORE INTO meal_reservations (meal_plan_id, item_id, quantity, created_at)
+                VALUES (?, ?, ?, COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                mealIds.get(reservation.meal_plan_id),
+                itemIds.get(reservation.item_id),
+                reservation.quantity,
+                reservation.created_at || null
+            ]);
+        });
+        
+        (data.item_movements || []).forEach(move => {
+            run(`
+                INSERT INTO item_movements (
+                    item_id, item_title, from_location_id, from_location_name, to_location_id, to_location_name,
+                    change, old_expiry_date, new_expiry_date, moved_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                itemIds.get(move.item_id) || null,
+                move.item_title,
+                locationIds.get(move.from_location_id) || null,
+                move.from_location_name || null,
+                locationIds.get(move.to_location_id) || null,
+                move.to_location_name || null,
+                move.change || 'moved',
+                move.old_expiry_date || null,
+                move.new_expiry_date || null,
+                move.moved_at || null
+            ]);
+            summary.history++;
+        });
+        
+        (data.item_alert_states || []).forEach(state => {
+            const itemId = itemIds.get(state.item_id);
+            if (!itemId) return;
+            run(`
+                INSERT INTO item_alert_states (item_id, ignore_expiry, snoozed_until, acknowledged_through, acknowledged_on)
+                VALUES (?, ?, ?, ?, ?)
+            `, [
+                itemId,
+                state.ignore_expiry ? 1 : 0,
+                state.snoozed_until || null,
+                state.acknowledged_through || null,
+                state.acknowledged_on || null
+            ]);
+        });
+        
+        (data.alert_actions || []).forEach(action => {
+            run(`
+                INSERT INTO alert_actions (item_id, item_title, action, snoozed_until, actor, created_at)
+                VALUES (?, ?, ?, ?, ?, COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                itemIds.get(action.item_id) || null,
+                action.item_title,
+                action.action,
+                action.snoozed_until || null,
+                action.actor || null,
+                action.created_at || null
+            ]);
+            summary.history++;
+        });
+        
+        (data.item_events || []).forEach(event => {
+            run(`
+                INSERT INTO item_events (item_id, item_title, event, changes, note, actor, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                itemIds.get(event.item_id) || null,
+                event.item_title,
+                event.event,
+                typeof event.changes === 'string' ? event.changes : JSON.stringify(event.changes || {}),
+                event.note || null,
+                event.actor || null,
+                event.created_at || null
+            ]);
+            summary.history++;
+        });
+        
+        (data.shopping_list || []).forEach(entry => {
+            run(`
+                INSERT INTO shopping_list (
+                    title, quantity, unit, category, product_id, item_id, source, notes,
+                    is_checked, checked_at, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now', 'localtime')), COALESCE(?, datetime('now', 'localtime')))
+            `, [
+                entry.title,
+                entry.quantity > 0 ? entry.quantity : null,
+                entry.unit || 'pcs',
+                categoryNames.get((entry.category || '').toLowerCase()) || entry.category || 'Uncategorized',
+                productIds.get(entry.product_id) || null,
+                itemIds.get(entry.item_id) || null,
+                SHOPPING_SOURCES.includes(entry.source) ? entry.source : 'manual',
+                entry.notes || '',
+                entry.is_checked ? 1 : 0,
+                entry.checked_at || null,
+                entry.created_at || null,
+                entry.updated_at || null
+            ]);
+            summary.shopping++;
+        });
+        
+        return summary;
+    });
+}
+
 // ============================================================================
 // CLEANUP & MAINTENANCE
 // ============================================================================
@@ -623,6 +3881,15 @@ function close() {
     console.log('✓ Database connection closed');
 }
 
+/**
+ * Get schema migration status
+ * @returns {Object} { version, latest, pending, history }
+ */
+function getSchemaStatus() {
+    if (!db) throw new Error('Database not initialized');
+    return migrate.getMigrationStatus(db);
+}
+
 /**
  * Check if database is ready
  * @returns {boolean}
@@ -657,16 +3924,92 @@ async function waitForReady() {
 
 // Export all functions
 module.exports = {
+    UNITS,
+    LOCATION_TYPES,
+    EXPIRY_TYPES,
+    CONSUMPTION_ACTIONS,
+    MOVE_CHANGES,
+    ALERT_ACTIONS,
+    ITEM_EVENTS,
+    USER_ROLES,
     initializeDatabase,
     isReady,
     waitForReady,
+    getSchemaStatus,
+    transaction,
     // Items
     getItems,
     getItemById,
+    findItemByTitleAndLocation,
     createItem,
     updateItem,
     updateItemQuantity,
     deleteItem,
+    // Trash
+    getDeletedItems,
+    getDeletedItemById,
+    restoreItem,
+    purgeItem,
+    getExpiredDeletedItems,
+    // Lots
+    getItemLots,
+    getItemLotById,
+    addItemLot,
+    openItemLot,
+    consumeItemLots,
+    removeItemLot,
+    // Moves
+    moveItem,
+    getItemMovements,
+    // Products
+    getProducts,
+    getProductById,
+    findProductByName,
+    getProductDefaults,
+    updateProduct,
+    setProductImage,
+    deleteProduct,
+    getProductUnits,
+    setProductUnits,
+    convertForItem,
+    learnProduct,
+    // Barcodes
+    normalizeBarcode,
+    lookupBarcode,
+    setBarcode,
+    getProductBarcodes,
+    deleteBarcode,
+    // Shopping list
+    SHOPPING_SOURCES,
+    getShoppingList,
+    getShoppingEntryById,
+    addShoppingEntry,
+    addItemToShoppingList,
+    checkItemStock,
+    setShoppingEntryChecked,
+    deleteShoppingEntry,
+    clearCheckedShoppingEntries,
+    setCategoryAisle,
+    // Recipes
+    getRecipes,
+    getRecipeIngredients,
+    getRecipeById,
+    findRecipeByName,
+    createRecipe,
+    updateRecipe,
+    deleteRecipe,
+    getIngredientItems,
+    // Meal plans
+    getMealPlans,
+    getMealPlanById,
+    createMealPlan,
+    updateMealPlan,
+    markMealPlanCooked,
+    deleteMealPlan,
+    getMealReservations,
+    getItemReservations,
+    setMealReservation,
+    deleteMealReservation,
     // Locations
     getLocations,
     getLocationById,
@@ -677,16 +4020,92 @@ module.exports = {
     getLocationCounts,
     // Consumption
     logConsumption,
+    createConsumptionEvent,
     getConsumptionHistory,
+    getUsageByUser,
     // Stats
     getStats,
     getExpiredItems,
+    getPastBestBeforeItems,
     getExpiringSoonItems,
     getLowStockItems,
+    getOutOfStockItems,
+    // Alert states
+    getItemAlertState,
+    acknowledgeItemAlerts,
+    snoozeItemAlerts,
+    ignoreItemExpiry,
+    restoreItemAlerts,
+    getDismissedAlerts,
+    getAlertActions,
+    // Item events
+    getLastItemId,
+    logItemEvent,
+    getItemEvents,
+    // Users & sessions
+    getUsers,
+    getUserById,
+    findUserByName,
+    countActiveUsers,
+    countActiveAdmins,
+    getUserPinHash,
+    createUser,
+    updateUser,
+    setUserPin,
+    deactivateUser,
+    createSession,
+    getSessionByTokenHash,
+    extendSession,
+    deleteSession,
+    pruneSessions,
+    // API tokens
+    getApiTokens,
+    countActiveApiTokens,
+    getApiTokenByHash,
+    createApiToken,
+    touchApiToken,
+    revokeApiToken,
+    // Undo
+    getItemState,
+    restoreItemState,
+    getUndoMarks,
+    getRowsAddedSince,
+    removeAddedRows,
+    createUndoAction,
+    getUndoActionById,
+    markUndoActionUndone,
+    pruneUndoActions,
     // Categories
     getCategories,
+    setCategoryStockLevels,
+    setCategoryExpiryWarningDays,
+    // Settings
+    getSetting,
+    getSettings,
+    setSetting,
+    getExpiryWarningDays,
+    setExpiryWarningDays,
+    getFreezerRules,
+    setFreezerRules,
+    // Notifications
+    getPushSubscriptions,
+    savePushSubscription,
+    deletePushSubscription,
+    getSentAlertKeys,
+    markAlertsSent,
+    pruneSentAlerts,
+    logNotificationDelivery,
+    getNotificationDeliveries,
     // Export
     getItemsForExport,
+    // Backup & restore
+    exportDatabase,
+    inspectDatabaseFile,
+    replaceDatabase,
+    getReferencedImagePaths,
+    // Data transfer
+    getTransferData,
+    mergeTransferData,
     // Cleanup
     close,
     saveDatabase
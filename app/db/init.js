@@ -3,8 +3,8 @@
  * 
  * Run with: npm run init-db
  * 
- * This script initializes the SQLite database with the schema
- * defined in schema.sql
+ * This script creates the SQLite database (if needed) and applies
+ * any pending migrations from db/migrations
  */
 
 const db = require('./database');
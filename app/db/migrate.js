@@ -0,0 +1,368 @@
+/**
+ * ============================================================================
+ * SCHEMA MIGRATION RUNNER
+ * ============================================================================
+ *
+ * Applies numbered migrations from /db/migrations to the sql.js database.
+ *
+ * Migration files are named NNN_description.sql or NNN_description.js:
+ * - .sql files are executed as-is
+ * - .js files export an up(migration) function that receives the helpers
+ *   below (exec, all, get, columnExists, addColumn, rebuildTable)
+ *
+ * The schema version lives in PRAGMA user_version and every applied
+ * migration is recorded in the schema_migrations table. Each migration runs
+ * inside its own transaction, so a failure leaves the database exactly as it
+ * was before that migration started.
+ *
+ * Migrations must never contain BEGIN/COMMIT themselves and must never be
+ * edited once released - add a new numbered file instead.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(sql|js)$/i;
+
+// ============================================================================
+// LOW-LEVEL HELPERS
+// ============================================================================
+
+/**
+ * Run a query against a raw sql.js database and return all rows
+ */
+function queryAll(db, sql, params = []) {
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+
+    const results = [];
+    while (stmt.step()) {
+        results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+}
+
+/**
+ * Get the schema version stored in the database file header
+ */
+function getUserVersion(db) {
+    return queryAll(db, 'PRAGMA user_version')[0]?.user_version || 0;
+}
+
+/**
+ * Count foreign key violations across the whole database
+ */
+function countForeignKeyViolations(db) {
+    return queryAll(db, 'PRAGMA foreign_key_check').length;
+}
+
+/**
+ * Quote an identifier for use in SQL
+ */
+function quoteIdent(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+// ============================================================================
+// MIGRATION DISCOVERY
+// ============================================================================
+
+/**
+ * Load all migration definitions from the migrations directory
+ * @returns {Array} Migrations sorted by version { version, name, file, up }
+ */
+function loadMigrations() {
+    if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) return null;
+
+            const filePath = path.join(MIGRATIONS_DIR, file);
+            const migration = {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                file
+            };
+
+            if (match[3].toLowerCase() === 'sql') {
+                const sql = fs.readFileSync(filePath, 'utf8');
+                migration.up = (helpers) => helpers.exec(sql);
+            } else {
+                const mod = require(filePath);
+                if (typeof mod.up !== 'function') {
+                    throw new Error(`Migration ${file} does not export an up() function`);
+                }
+                migration.up = mod.up;
+            }
+
+            return migration;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+
+    // Guard against two files claiming the same version number
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}: ` +
+                `${migrations[i - 1].file} and ${migrations[i].file}`);
+        }
+    }
+
+    return migrations;
+}
+
+// ============================================================================
+// MIGRATION HELPERS
+// ============================================================================
+
+/**
+ * Build the helper object passed to JavaScript migrations
+ * @param {Object} db - sql.js Database
+ * @returns {Object} Helpers
+ */
+function createHelpers(db) {
+    const helpers = {
+        /**
+         * Execute one or more SQL statements
+         */
+        exec(sql) {
+            db.exec(sql);
+        },
+
+        /**
+         * Run a query and return all rows
+         */
+        all(sql, params = []) {
+            return queryAll(db, sql, params);
+        },
+
+        /**
+         * Run a query and return the first row
+         */
+        get(sql, params = []) {
+            return queryAll(db, sql, params)[0];
+        },
+
+        /**
+         * Run a single parameterised statement
+         */
+        run(sql, params = []) {
+            db.run(sql, params);
+        },
+
+        /**
+         * Check whether a table exists
+         */
+        tableExists(table) {
+            return queryAll(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]).length > 0;
+        },
+
+        /**
+         * Check whether a column exists on a table
+         */
+        columnExists(table, column) {
+            return queryAll(db, `PRAGMA table_info(${quoteIdent(table)})`)
+                .some(col => col.name === column);
+        },
+
+        /**
+         * Add a column if it does not already exist
+         * @param {string} table - Table name
+         * @param {string} column - Column name
+         * @param {string} definition - Column type and constraints (e.g. "INTEGER DEFAULT 0")
+         */
+        addColumn(table, column, definition) {
+            if (!helpers.columnExists(table, column)) {
+                db.exec(`ALTER TABLE ${quoteIdent(table)} ADD COLUMN ${quoteIdent(column)} ${definition}`);
+            }
+        },
+
+        /**
+         * Rebuild a table with a new definition.
+         *
+         * SQLite cannot alter CHECK constraints, column types or foreign keys
+         * in place, so this follows the documented procedure: create the new
+         * table, copy the rows across, drop the old table and rename. Indexes
+         * and triggers on the table and all views are captured beforehand and
+         * recreated afterwards. The AUTOINCREMENT sequence is preserved so
+         * deleted IDs are never reused.
+         *
+         * @param {string} table - Table to rebuild
+         * @param {string} definition - Column and constraint list (the part
+         *                              inside CREATE TABLE x ( ... ))
+         * @param {Object} options - { columns: { newColumn: 'select expression' } }
+         *                           Columns not listed are copied by name when
+         *                           they exist in both the old and new table.
+         */
+        rebuildTable(table, definition, options = {}) {
+            const tempTable = `${table}__rebuild`;
+            const oldColumns = queryAll(db, `PRAGMA table_info(${quoteIdent(table)})`).map(col => col.name);
+            if (oldColumns.length === 0) {
+                throw new Error(`Cannot rebuild missing table ${table}`);
+            }
+
+            // Capture dependent schema objects before they disappear
+            const dependents = queryAll(db, `
+                SELECT type, name, sql FROM sqlite_master
+                WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL
+            `, [table]);
+            const views = queryAll(db, "SELECT name, sql FROM sqlite_master WHERE type = 'view'");
+            const sequence = helpers.tableExists('sqlite_sequence')
+                ? queryAll(db, 'SELECT seq FROM sqlite_sequence WHERE name = ?', [table])[0]?.seq
+                : undefined;
+
+            views.forEach(view => db.exec(`DROP VIEW IF EXISTS ${quoteIdent(view.name)}`));
+
+            db.exec(`CREATE TABLE ${quoteIdent(tempTable)} (${definition})`);
+
+            const newColumns = queryAll(db, `PRAGMA table_info(${quoteIdent(tempTable)})`).map(col => col.name);
+            const mapping = options.columns || {};
+            const targetColumns = newColumns.filter(col => mapping[col] !== undefined || oldColumns.includes(col));
+            const selectExprs = targetColumns.map(col => mapping[col] !== undefined ? mapping[col] : quoteIdent(col));
+
+            if (targetColumns.length > 0) {
+                db.exec(`
+                    INSERT INTO ${quoteIdent(tempTable)} (${targetColumns.map(quoteIdent).join(', ')})
+                    SELECT ${selectExprs.join(', ')} FROM ${quoteIdent(table)}
+                `);
+            }
+
+            // Triggers on other tables may name this one (e.g. item_lots
+            // keeping items in sync). The modern RENAME re-parses them and
+            // fails while the table is missing; the legacy one leaves them
+            // as written, and they resolve to the new table by name.
+            db.exec(`DROP TABLE ${quoteIdent(table)}`);
+            db.exec('PRAGMA legacy_alter_table = ON');
+            try {
+                db.exec(`ALTER TABLE ${quoteIdent(tempTable)} RENAME TO ${quoteIdent(table)}`);
+            } finally {
+                db.exec('PRAGMA legacy_alter_table = OFF');
+            }
+
+            if (sequence !== undefined) {
+                db.run('UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = ?', [sequence, table]);
+            }
+
+            // Indexes first so triggers and views see the final table
+            dependents
+                .sort((a, b) => (a.type === 'index' ? 0 : 1) - (b.type === 'index' ? 0 : 1))
+                .forEach(obj => db.exec(obj.sql));
+            views.forEach(view => db.exec(view.sql));
+        }
+    };
+
+    return helpers;
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Create the schema_migrations bookkeeping table
+ */
+function ensureMigrationsTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT (datetime('now', 'localtime'))
+        )
+    `);
+}
+
+/**
+ * Apply a single migration inside a transaction
+ */
+function applyMigration(db, migration) {
+    // Foreign keys must be toggled outside a transaction. They are switched
+    // off so table rebuilds do not cascade, then checked before commit.
+    db.exec('PRAGMA foreign_keys = OFF');
+    const violationsBefore = countForeignKeyViolations(db);
+
+    db.exec('BEGIN');
+    try {
+        migration.up(createHelpers(db));
+
+        const violationsAfter = countForeignKeyViolations(db);
+        if (violationsAfter > violationsBefore) {
+            throw new Error(`introduced ${violationsAfter - violationsBefore} foreign key violation(s)`);
+        }
+
+        db.run('INSERT OR REPLACE INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        db.exec(`PRAGMA user_version = ${migration.version}`);
+        db.exec('COMMIT');
+    } catch (error) {
+        db.exec('ROLLBACK');
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+    } finally {
+        db.exec('PRAGMA foreign_keys = ON');
+    }
+}
+
+/**
+ * Bring the database schema up to date
+ *
+ * Refuses to touch a database whose schema version is newer than the
+ * latest migration shipped with this code, since an older build would
+ * silently misread (or damage) data written by a newer one.
+ *
+ * @param {Object} db - sql.js Database
+ * @returns {Object} { from, to, applied: [migration names] }
+ */
+function runMigrations(db) {
+    const migrations = loadMigrations();
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const current = getUserVersion(db);
+
+    if (current > latest) {
+        const error = new Error(
+            `Database schema version ${current} is newer than this version of Stock Keeper supports (${latest}). ` +
+            'Update the application before starting it against this database.'
+        );
+        error.code = 'SCHEMA_TOO_NEW';
+        throw error;
+    }
+
+    ensureMigrationsTable(db);
+
+    const applied = [];
+    migrations
+        .filter(migration => migration.version > current)
+        .forEach(migration => {
+            applyMigration(db, migration);
+            applied.push(`${String(migration.version).padStart(3, '0')}_${migration.name}`);
+        });
+
+    return { from: current, to: getUserVersion(db), applied };
+}
+
+/**
+ * Describe the migration state of a database
+ * @param {Object} db - sql.js Database
+ * @returns {Object} { version, latest, pending: [names], history: [rows] }
+ */
+function getMigrationStatus(db) {
+    const migrations = loadMigrations();
+    const version = getUserVersion(db);
+    const history = queryAll(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").length > 0
+        ? queryAll(db, 'SELECT * FROM schema_migrations ORDER BY version ASC')
+        : [];
+
+    return {
+        version,
+        latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+        pending: migrations.filter(m => m.version > version).map(m => m.file),
+        history
+    };
+}
+
+module.exports = {
+    runMigrations,
+    getMigrationStatus,
+    loadMigrations
+};
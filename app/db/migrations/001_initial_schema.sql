@@ -2,6 +2,10 @@
 -- STOCK KEEPER DATABASE SCHEMA
 -- SQLite database schema for home inventory / food stock management
 -- Designed for offline Raspberry Pi operation with LAN access
+--
+-- Migration 001: the original baseline schema. Statements use IF NOT EXISTS
+-- so databases created before the migration runner existed adopt it cleanly.
+-- Do not edit this file - add a new numbered migration instead.
 -- ============================================================================
 
 -- Enable foreign key constraints for referential integrity
@@ -0,0 +1,43 @@
+/**
+ * Migration 002: allow consumption_history.item_id to be NULL
+ *
+ * The history table declares ON DELETE SET NULL for item_id but also
+ * NOT NULL, so with foreign keys enforced deleting any item that has
+ * history fails. Foreign keys are now enforced consistently, so the
+ * column has to accept NULL. Rows that already point at deleted items
+ * are detached at the same time.
+ */
+
+module.exports.up = (migration) => {
+    migration.rebuildTable('consumption_history', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+        -- Reference to the item that was consumed (NULL once the item is deleted)
+        item_id INTEGER DEFAULT NULL,
+
+        -- Snapshot of item title at time of consumption (in case item is deleted)
+        item_title TEXT NOT NULL,
+
+        -- Amount consumed
+        quantity_used REAL NOT NULL CHECK(quantity_used > 0),
+
+        -- Unit at time of consumption
+        unit TEXT NOT NULL,
+
+        -- Type of consumption event
+        action TEXT NOT NULL DEFAULT 'used' CHECK(action IN ('used', 'discarded', 'expired')),
+
+        -- Optional notes about the consumption
+        notes TEXT DEFAULT '',
+
+        -- When the consumption occurred
+        consumed_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+        -- Foreign key to items table (SET NULL if item deleted to preserve history)
+        FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE SET NULL
+    `, {
+        columns: {
+            item_id: 'CASE WHEN item_id IN (SELECT id FROM items) THEN item_id END'
+        }
+    });
+};
@@ -0,0 +1,144 @@
+-- ============================================================================
+-- Migration 003: batch/lot tracking
+-- ============================================================================
+-- An item can now hold several lots (packs bought at different times), each
+-- with its own quantity, dates and optional location. items.quantity and
+-- items.expiry_date are kept as summaries of the item's lots by triggers:
+-- the total quantity and the earliest expiry date.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: item_lots
+-- ============================================================================
+CREATE TABLE item_lots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    -- The item this lot belongs to (lots go with the item)
+    item_id INTEGER NOT NULL,
+
+    -- Amount left in this lot (lots are removed when used up)
+    quantity REAL NOT NULL CHECK(quantity > 0),
+
+    -- When this lot was added
+    date_added DATE NOT NULL DEFAULT (date('now')),
+
+    -- Expiry date for this lot (NULL for non-perishables)
+    expiry_date DATE DEFAULT NULL,
+
+    -- Where this lot is kept when it differs from the item (NULL = item's location)
+    location_id INTEGER DEFAULT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+    updated_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+    FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE,
+    FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE SET NULL
+);
+
+-- Every item in stock starts with one lot carrying its current quantity and dates
+INSERT INTO item_lots (item_id, quantity, date_added, expiry_date, created_at, updated_at)
+SELECT id, quantity, date_added, expiry_date, created_at, updated_at
+FROM items
+WHERE quantity > 0;
+
+-- Items that are used up have no lots, so no expiry date either
+UPDATE items SET expiry_date = NULL WHERE quantity <= 0 AND expiry_date IS NOT NULL;
+
+CREATE INDEX idx_item_lots_item ON item_lots(item_id);
+CREATE INDEX idx_item_lots_expiry ON item_lots(expiry_date);
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER update_item_lot_timestamp
+    AFTER UPDATE ON item_lots
+    FOR EACH ROW
+BEGIN
+    UPDATE item_lots SET updated_at = datetime('now', 'localtime') WHERE id = OLD.id;
+END;
+
+-- Keep items.quantity (total) and items.expiry_date (earliest) in step with the lots
+CREATE TRIGGER sync_item_after_lot_insert
+    AFTER INSERT ON item_lots
+    FOR EACH ROW
+BEGIN
+    UPDATE items SET
+        quantity = (SELECT COALESCE(SUM(quantity), 0) FROM item_lots WHERE item_id = NEW.item_id),
+        expiry_date = (SELECT MIN(expiry_date) FROM item_lots WHERE item_id = NEW.item_id)
+    WHERE id = NEW.item_id;
+END;
+
+CREATE TRIGGER sync_item_after_lot_update
+    AFTER UPDATE OF item_id, quantity, expiry_date ON item_lots
+    FOR EACH ROW
+BEGIN
+    UPDATE items SET
+        quantity = (SELECT COALESCE(SUM(quantity), 0) FROM item_lots WHERE item_id = items.id),
+        expiry_date = (SELECT MIN(expiry_date) FROM item_lots WHERE item_id = items.id)
+    WHERE id IN (OLD.item_id, NEW.item_id);
+END;
+
+CREATE TRIGGER sync_item_after_lot_delete
+    AFTER DELETE ON item_lots
+    FOR EACH ROW
+BEGIN
+    UPDATE items SET
+        quantity = (SELECT COALESCE(SUM(quantity), 0) FROM item_lots WHERE item_id = OLD.item_id),
+        expiry_date = (SELECT MIN(expiry_date) FROM item_lots WHERE item_id = OLD.item_id)
+    WHERE id = OLD.item_id;
+END;
+
+-- ============================================================================
+-- VIEWS
+-- Expiry warnings are per lot: one row for each lot that needs attention,
+-- with quantity and expiry_date taken from the lot.
+-- ============================================================================
+
+DROP VIEW IF EXISTS v_expiring_soon;
+DROP VIEW IF EXISTS v_expired;
+
+-- View: Lots expiring within 3 days (for warnings)
+CREATE VIEW v_expiring_soon AS
+SELECT
+    i.id, i.title, i.description, i.category, i.location, i.brand, i.is_homemade,
+    i.unit, i.image_path, i.created_at, i.updated_at,
+    COALESCE(lot.location_id, i.location_id) AS location_id,
+    lot.id AS lot_id,
+    lot.quantity AS quantity,
+    lot.date_added AS date_added,
+    lot.expiry_date AS expiry_date,
+    i.quantity AS item_quantity,
+    l.name as location_name,
+    l.icon as location_icon,
+    julianday(lot.expiry_date) - julianday('now', 'localtime') AS days_until_expiry
+FROM item_lots lot
+JOIN items i ON i.id = lot.item_id
+LEFT JOIN locations l ON l.id = COALESCE(lot.location_id, i.location_id)
+WHERE lot.expiry_date IS NOT NULL
+  AND date(lot.expiry_date) >= date('now', 'localtime')
+  AND date(lot.expiry_date) <= date('now', 'localtime', '+3 days')
+ORDER BY lot.expiry_date ASC;
+
+-- View: Expired lots (need attention)
+CREATE VIEW v_expired AS
+SELECT
+    i.id, i.title, i.description, i.category, i.location, i.brand, i.is_homemade,
+    i.unit, i.image_path, i.created_at, i.updated_at,
+    COALESCE(lot.location_id, i.location_id) AS location_id,
+    lot.id AS lot_id,
+    lot.quantity AS quantity,
+    lot.date_added AS date_added,
+    lot.expiry_date AS expiry_date,
+    i.quantity AS item_quantity,
+    l.name as location_name,
+    l.icon as location_icon,
+    julianday('now', 'localtime') - julianday(lot.expiry_date) AS days_expired
+FROM item_lots lot
+JOIN items i ON i.id = lot.item_id
+LEFT JOIN locations l ON l.id = COALESCE(lot.location_id, i.location_id)
+WHERE lot.expiry_date IS NOT NULL
+  AND date(lot.expiry_date) < date('now', 'localtime')
+ORDER BY lot.expiry_date ASC;
@@ -0,0 +1,98 @@
+-- ============================================================================
+-- Migration 004: product catalog
+-- ============================================================================
+-- Products are reusable templates for things that get bought again and
+-- again (milk, chicken breast...). Items link to the product they were
+-- created from; the catalog is seeded here from the existing items and
+-- keeps learning as new items are added (see learnProduct in database.js).
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: products
+-- ============================================================================
+CREATE TABLE products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    -- Name offered when adding items (unique, case-insensitive)
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+
+    -- Defaults copied onto new items
+    category TEXT NOT NULL DEFAULT 'Uncategorized',
+    brand TEXT DEFAULT NULL,
+    is_homemade INTEGER DEFAULT 0 CHECK(is_homemade IN (0, 1)),
+    unit TEXT NOT NULL DEFAULT 'pcs' CHECK(unit IN ('pcs', 'g', 'kg', 'ml', 'L')),
+    default_quantity REAL NOT NULL DEFAULT 1 CHECK(default_quantity > 0),
+
+    -- Default photo (a copy owned by the product, e.g. /uploads/product-3.jpg)
+    image_path TEXT DEFAULT NULL,
+
+    -- How often items have been created from this product (for suggestions)
+    use_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at DATETIME DEFAULT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+    updated_at DATETIME DEFAULT (datetime('now', 'localtime'))
+);
+
+-- ============================================================================
+-- TABLE: product_shelf_life
+-- Typical days from adding to expiry, per location type (a chicken breast
+-- keeps 2 days in the fridge but months in the freezer)
+-- ============================================================================
+CREATE TABLE product_shelf_life (
+    product_id INTEGER NOT NULL,
+    location_type TEXT NOT NULL CHECK(location_type IN ('fridge', 'freezer', 'cupboard', 'spice', 'pantry', 'other')),
+    days INTEGER NOT NULL CHECK(days >= 0),
+
+    -- Number of items the value was learned from (0 = entered by hand)
+    samples INTEGER NOT NULL DEFAULT 0,
+
+    PRIMARY KEY (product_id, location_type),
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+ALTER TABLE items ADD COLUMN product_id INTEGER DEFAULT NULL REFERENCES products(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_items_product ON items(product_id);
+
+CREATE TRIGGER update_product_timestamp
+    AFTER UPDATE ON products
+    FOR EACH ROW
+BEGIN
+    UPDATE products SET updated_at = datetime('now', 'localtime') WHERE id = OLD.id;
+END;
+
+-- ============================================================================
+-- SEED FROM EXISTING ITEMS
+-- One product per distinct title, with the defaults of its newest item
+-- ============================================================================
+INSERT INTO products (name, category, brand, is_homemade, unit, default_quantity, use_count, last_used_at)
+SELECT
+    i.title,
+    i.category,
+    i.brand,
+    i.is_homemade,
+    i.unit,
+    CASE WHEN i.quantity > 0 THEN i.quantity ELSE 1 END,
+    (SELECT COUNT(*) FROM items j WHERE j.title = i.title COLLATE NOCASE),
+    i.created_at
+FROM items i
+WHERE i.id = (SELECT MAX(j.id) FROM items j WHERE j.title = i.title COLLATE NOCASE);
+
+UPDATE items SET product_id = (SELECT p.id FROM products p WHERE p.name = items.title);
+
+-- Average shelf life of every dated lot, by where it is kept
+INSERT INTO product_shelf_life (product_id, location_type, days, samples)
+SELECT
+    i.product_id,
+    l.type,
+    CAST(ROUND(AVG(julianday(lot.expiry_date) - julianday(lot.date_added))) AS INTEGER),
+    COUNT(*)
+FROM item_lots lot
+JOIN items i ON i.id = lot.item_id
+JOIN locations l ON l.id = COALESCE(lot.location_id, i.location_id)
+WHERE lot.expiry_date IS NOT NULL
+  AND julianday(lot.expiry_date) >= julianday(lot.date_added)
+GROUP BY i.product_id, l.type;
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- Migration 005: barcodes
+-- ============================================================================
+-- Maps scanned EAN/UPC (or other) codes to catalog products, so scanning a
+-- pack fills in the add form from the product's defaults. Codes are learned
+-- when an item is added with a scanned code (see createItem in database.js).
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+CREATE TABLE barcodes (
+    -- Normalised code (UPC-A is stored as its 13-digit EAN form)
+    code TEXT PRIMARY KEY,
+
+    -- The product this code is a pack of
+    product_id INTEGER NOT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+    last_scanned_at DATETIME DEFAULT NULL,
+
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_barcodes_product ON barcodes(product_id);
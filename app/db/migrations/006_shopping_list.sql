@@ -0,0 +1,57 @@
+-- ============================================================================
+-- Migration 006: shopping list
+-- ============================================================================
+-- A persistent shopping list. Entries are added by hand, or automatically
+-- when an item is used up or drops below its par level (items.min_quantity).
+-- Checked-off entries become new items when the shopping is put away.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- Par level: the item goes on the shopping list when it drops below this
+-- (NULL = no par level)
+ALTER TABLE items ADD COLUMN min_quantity REAL DEFAULT NULL CHECK(min_quantity IS NULL OR min_quantity >= 0);
+
+-- Shop aisle a category is found in, for ordering the list (NULL = not set)
+ALTER TABLE categories ADD COLUMN aisle TEXT DEFAULT NULL;
+
+CREATE TABLE shopping_list (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    title TEXT NOT NULL,
+
+    -- Amount to buy (NULL = not specified, the product's usual amount)
+    quantity REAL DEFAULT NULL CHECK(quantity IS NULL OR quantity > 0),
+    unit TEXT NOT NULL DEFAULT 'pcs' CHECK(unit IN ('pcs', 'g', 'kg', 'ml', 'L')),
+    category TEXT NOT NULL DEFAULT 'Uncategorized',
+
+    -- Catalog product bought items are created from
+    product_id INTEGER DEFAULT NULL,
+
+    -- Item that ran low (automatic entries); one entry per item
+    item_id INTEGER DEFAULT NULL,
+
+    -- Why the entry is on the list
+    source TEXT NOT NULL DEFAULT 'manual' CHECK(source IN ('manual', 'low_stock', 'depleted')),
+
+    notes TEXT DEFAULT '',
+
+    -- Ticked off in the shop
+    is_checked INTEGER NOT NULL DEFAULT 0 CHECK(is_checked IN (0, 1)),
+    checked_at DATETIME DEFAULT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+    updated_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL,
+    FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX idx_shopping_list_item ON shopping_list(item_id) WHERE item_id IS NOT NULL;
+
+CREATE TRIGGER update_shopping_list_timestamp
+    AFTER UPDATE ON shopping_list
+    FOR EACH ROW
+BEGIN
+    UPDATE shopping_list SET updated_at = datetime('now', 'localtime') WHERE id = OLD.id;
+END;
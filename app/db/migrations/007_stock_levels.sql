@@ -0,0 +1,68 @@
+-- ============================================================================
+-- Migration 007: stock levels
+-- ============================================================================
+-- Low stock is judged against each item's own minimum (par level) instead of
+-- a fixed "quantity <= 1": 500 g of rice and 1 chicken are not alike. An
+-- item without levels uses its category's defaults; an item with neither is
+-- never low. Items at 0 that should be kept in stock are out of stock, an
+-- alert of their own.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- Amount to restock up to (NULL = the minimum); items.min_quantity is the
+-- minimum, added with the shopping list in 006
+ALTER TABLE items ADD COLUMN target_quantity REAL DEFAULT NULL CHECK(target_quantity IS NULL OR target_quantity >= 0);
+
+-- Defaults for items of the category that have no levels of their own
+ALTER TABLE categories ADD COLUMN min_quantity REAL DEFAULT NULL CHECK(min_quantity IS NULL OR min_quantity >= 0);
+ALTER TABLE categories ADD COLUMN target_quantity REAL DEFAULT NULL CHECK(target_quantity IS NULL OR target_quantity >= 0);
+
+-- ============================================================================
+-- VIEWS
+-- stock_min / stock_target are the levels in effect: the item's own, else
+-- its category's (the target defaults to the minimum). A minimum of 0 turns
+-- the alerts off for the item.
+-- ============================================================================
+
+DROP VIEW IF EXISTS v_low_stock;
+
+-- View: In stock, but below the minimum
+CREATE VIEW v_low_stock AS
+SELECT *
+FROM (
+    SELECT
+        i.*,
+        l.name as location_name,
+        l.icon as location_icon,
+        COALESCE(i.min_quantity, c.min_quantity) AS stock_min,
+        COALESCE(i.target_quantity, i.min_quantity, c.target_quantity, c.min_quantity) AS stock_target
+    FROM items i
+    LEFT JOIN locations l ON i.location_id = l.id
+    LEFT JOIN categories c ON c.name = i.category
+)
+WHERE quantity > 0 AND quantity < stock_min
+ORDER BY quantity / stock_min ASC, title ASC;
+
+-- View: Used up, but meant to be kept in stock (and not restocked as
+-- another item of the same product or title)
+CREATE VIEW v_out_of_stock AS
+SELECT s.*
+FROM (
+    SELECT
+        i.*,
+        l.name as location_name,
+        l.icon as location_icon,
+        COALESCE(i.min_quantity, c.min_quantity) AS stock_min,
+        COALESCE(i.target_quantity, i.min_quantity, c.target_quantity, c.min_quantity) AS stock_target
+    FROM items i
+    LEFT JOIN locations l ON i.location_id = l.id
+    LEFT JOIN categories c ON c.name = i.category
+) s
+WHERE s.quantity <= 0 AND s.stock_min > 0
+  AND NOT EXISTS (
+      SELECT 1 FROM items other
+      WHERE other.id != s.id AND other.quantity > 0
+        AND (other.product_id = s.product_id OR lower(other.title) = lower(s.title))
+  )
+ORDER BY s.updated_at DESC, s.title ASC;
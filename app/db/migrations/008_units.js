@@ -0,0 +1,143 @@
+/**
+ * Migration 008: more units, and per-product unit definitions
+ *
+ * Adds packs, cans, bottles, ounces, pounds, teaspoons, tablespoons and
+ * cups to the units items, products and shopping list entries can be kept
+ * in. SQLite cannot change a CHECK constraint in place, so the three tables
+ * are rebuilt with the new list.
+ *
+ * product_units holds what a count unit of a product amounts to ("1 can
+ * of chopped tomatoes = 400 g"), so an amount can be used or added in any
+ * unit that converts to the one the item is kept in (see lib/units.js).
+ */
+
+// Frozen copy of the unit list as of this migration - later units need a
+// migration of their own
+const UNIT_CHECK = "('pcs', 'pack', 'can', 'bottle', 'g', 'kg', 'oz', 'lb', 'ml', 'L', 'tsp', 'tbsp', 'cup')";
+
+module.exports.up = (migration) => {
+    migration.rebuildTable('items', `
+        -- Primary identifier, auto-incrementing
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+        -- Human-readable name of the item (e.g., "Chicken Breast", "Milk")
+        title TEXT NOT NULL,
+
+        -- Optional notes/description (e.g., "Organic, free-range")
+        description TEXT DEFAULT '',
+
+        -- Category for filtering (e.g., "Dairy", "Meat", "Vegetables", "Condiments")
+        category TEXT NOT NULL DEFAULT 'Uncategorized',
+
+        -- Storage location - can be legacy string or new location_id
+        location TEXT DEFAULT NULL,
+
+        -- Reference to locations table (new system)
+        location_id INTEGER DEFAULT NULL,
+
+        -- Brand name if store-bought, NULL if homemade
+        brand TEXT DEFAULT NULL,
+
+        -- Flag indicating if item is homemade (1) or store-bought (0)
+        -- If homemade=1, brand should be NULL
+        is_homemade INTEGER DEFAULT 0 CHECK(is_homemade IN (0, 1)),
+
+        -- Quantity on hand (supports decimals for partial items)
+        quantity REAL NOT NULL DEFAULT 1 CHECK(quantity >= 0),
+
+        -- Unit of measurement
+        unit TEXT NOT NULL DEFAULT 'pcs' CHECK(unit IN ${UNIT_CHECK}),
+
+        -- Date the item was added to stock (user-specified, may differ from created_at)
+        date_added DATE NOT NULL DEFAULT (date('now')),
+
+        -- Expiration date (NULL means no expiry, e.g., salt, spices)
+        expiry_date DATE DEFAULT NULL,
+
+        -- Relative path to uploaded image (stored in /public/uploads/)
+        image_path TEXT DEFAULT NULL,
+
+        -- Audit timestamps (auto-managed)
+        created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        updated_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+        -- Catalog product the item was created from
+        product_id INTEGER DEFAULT NULL REFERENCES products(id) ON DELETE SET NULL,
+
+        -- Stock levels (NULL = the category's defaults)
+        min_quantity REAL DEFAULT NULL CHECK(min_quantity IS NULL OR min_quantity >= 0),
+        target_quantity REAL DEFAULT NULL CHECK(target_quantity IS NULL OR target_quantity >= 0),
+
+        -- Foreign key to locations table
+        FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE SET NULL
+    `);
+
+    migration.rebuildTable('products', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+        -- Name offered when adding items (unique, case-insensitive)
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+
+        -- Defaults copied onto new items
+        category TEXT NOT NULL DEFAULT 'Uncategorized',
+        brand TEXT DEFAULT NULL,
+        is_homemade INTEGER DEFAULT 0 CHECK(is_homemade IN (0, 1)),
+        unit TEXT NOT NULL DEFAULT 'pcs' CHECK(unit IN ${UNIT_CHECK}),
+        default_quantity REAL NOT NULL DEFAULT 1 CHECK(default_quantity > 0),
+
+        -- Default photo (a copy owned by the product, e.g. /uploads/product-3.jpg)
+        image_path TEXT DEFAULT NULL,
+
+        -- How often items have been created from this product (for suggestions)
+        use_count INTEGER NOT NULL DEFAULT 0,
+        last_used_at DATETIME DEFAULT NULL,
+
+        created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        updated_at DATETIME DEFAULT (datetime('now', 'localtime'))
+    `);
+
+    migration.rebuildTable('shopping_list', `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+        title TEXT NOT NULL,
+
+        -- Amount to buy (NULL = not specified, the product's usual amount)
+        quantity REAL DEFAULT NULL CHECK(quantity IS NULL OR quantity > 0),
+        unit TEXT NOT NULL DEFAULT 'pcs' CHECK(unit IN ${UNIT_CHECK}),
+        category TEXT NOT NULL DEFAULT 'Uncategorized',
+
+        -- Catalog product bought items are created from
+        product_id INTEGER DEFAULT NULL,
+
+        -- Item that ran low (automatic entries); one entry per item
+        item_id INTEGER DEFAULT NULL,
+
+        -- Why the entry is on the list
+        source TEXT NOT NULL DEFAULT 'manual' CHECK(source IN ('manual', 'low_stock', 'depleted')),
+
+        notes TEXT DEFAULT '',
+
+        -- Ticked off in the shop
+        is_checked INTEGER NOT NULL DEFAULT 0 CHECK(is_checked IN (0, 1)),
+        checked_at DATETIME DEFAULT NULL,
+
+        created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+        updated_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL,
+        FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE SET NULL
+    `);
+
+    // "1 <unit> of this product = <amount> <amount_unit>"
+    migration.exec(`
+        CREATE TABLE product_units (
+            product_id INTEGER NOT NULL,
+            unit TEXT NOT NULL CHECK(unit IN ('pcs', 'pack', 'can', 'bottle')),
+            amount REAL NOT NULL CHECK(amount > 0),
+            amount_unit TEXT NOT NULL CHECK(amount_unit IN ${UNIT_CHECK} AND amount_unit != unit),
+
+            PRIMARY KEY (product_id, unit),
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+        );
+    `);
+};
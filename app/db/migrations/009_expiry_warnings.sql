@@ -0,0 +1,93 @@
+-- ============================================================================
+-- Migration 009: expiry warning windows
+-- ============================================================================
+-- "Expiring soon" was a fixed 3 days everywhere - too short for the
+-- freezer, too long for fresh fish. The window is now a setting: a default,
+-- one per location type, one per category and one per item, the most
+-- specific one set winning (item, category, location type, default).
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: settings
+-- Appliance-wide settings as key/value pairs (see the SETTINGS section of
+-- database.js for the keys in use)
+-- ============================================================================
+CREATE TABLE settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT (datetime('now', 'localtime'))
+);
+
+-- The window every item falls back to; expiry.warning_days.<location type>
+-- rows override it per location type
+INSERT INTO settings (key, value) VALUES ('expiry.warning_days', '3');
+
+-- Days before expiry to start warning (NULL = the next level down)
+ALTER TABLE categories ADD COLUMN expiry_warning_days INTEGER DEFAULT NULL CHECK(expiry_warning_days IS NULL OR expiry_warning_days >= 0);
+ALTER TABLE items ADD COLUMN expiry_warning_days INTEGER DEFAULT NULL CHECK(expiry_warning_days IS NULL OR expiry_warning_days >= 0);
+
+-- ============================================================================
+-- VIEWS
+-- warning_days is the window in effect for the item (or lot, judged by the
+-- type of location the lot is kept in).
+-- ============================================================================
+
+DROP VIEW IF EXISTS v_expiring_soon;
+DROP VIEW IF EXISTS v_location_summary;
+
+-- View: Lots expiring within their warning window
+CREATE VIEW v_expiring_soon AS
+SELECT *
+FROM (
+    SELECT
+        i.id, i.title, i.description, i.category, i.location, i.brand, i.is_homemade,
+        i.unit, i.image_path, i.created_at, i.updated_at,
+        COALESCE(lot.location_id, i.location_id) AS location_id,
+        lot.id AS lot_id,
+        lot.quantity AS quantity,
+        lot.date_added AS date_added,
+        lot.expiry_date AS expiry_date,
+        i.quantity AS item_quantity,
+        l.name as location_name,
+        l.icon as location_icon,
+        julianday(lot.expiry_date) - julianday('now', 'localtime') AS days_until_expiry,
+        COALESCE(
+            i.expiry_warning_days,
+            c.expiry_warning_days,
+            (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days.' || l.type),
+            (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days')
+        ) AS warning_days
+    FROM item_lots lot
+    JOIN items i ON i.id = lot.item_id
+    LEFT JOIN categories c ON c.name = i.category
+    LEFT JOIN locations l ON l.id = COALESCE(lot.location_id, i.location_id)
+    WHERE lot.expiry_date IS NOT NULL
+)
+WHERE date(expiry_date) >= date('now', 'localtime')
+  AND date(expiry_date) <= date('now', 'localtime', '+' || warning_days || ' days')
+ORDER BY expiry_date ASC;
+
+-- View: Inventory summary by location (using location_id)
+CREATE VIEW v_location_summary AS
+SELECT
+    l.id as location_id,
+    l.name as location_name,
+    l.icon,
+    l.type,
+    l.color,
+    COUNT(i.id) as total_items,
+    SUM(CASE WHEN i.expiry_date IS NOT NULL AND date(i.expiry_date) < date('now', 'localtime') THEN 1 ELSE 0 END) as expired_count,
+    SUM(CASE WHEN i.expiry_date IS NOT NULL AND date(i.expiry_date) >= date('now', 'localtime') AND date(i.expiry_date) <= date('now', 'localtime', '+' || COALESCE(
+        i.expiry_warning_days,
+        c.expiry_warning_days,
+        (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days.' || l.type),
+        (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days')
+    ) || ' days') THEN 1 ELSE 0 END) as expiring_soon_count
+FROM locations l
+LEFT JOIN items i ON i.location_id = l.id
+LEFT JOIN categories c ON c.name = i.category
+WHERE l.is_visible = 1
+GROUP BY l.id
+ORDER BY l.sort_order ASC;
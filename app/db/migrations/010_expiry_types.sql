@@ -0,0 +1,111 @@
+-- ============================================================================
+-- Migration 010: expiry date types and opened shelf life
+-- ============================================================================
+-- A "best before" date is about quality and a "use by" date about safety,
+-- so only use-by items count as expired; best-before items past their date
+-- are flagged less urgently. Lots can be marked as opened, which brings
+-- their expiry forward to the product's opened shelf life (a jar of pesto
+-- keeps for months sealed, 5 days once opened).
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- What the expiry date means: use_by (unsafe after) or best_before (past its best)
+ALTER TABLE items ADD COLUMN expiry_type TEXT NOT NULL DEFAULT 'use_by' CHECK(expiry_type IN ('use_by', 'best_before'));
+ALTER TABLE products ADD COLUMN expiry_type TEXT NOT NULL DEFAULT 'use_by' CHECK(expiry_type IN ('use_by', 'best_before'));
+
+-- Days a product keeps once opened (NULL = opening does not change the expiry)
+ALTER TABLE products ADD COLUMN opened_shelf_life_days INTEGER DEFAULT NULL CHECK(opened_shelf_life_days IS NULL OR opened_shelf_life_days >= 0);
+
+-- Date the lot was opened (NULL = still sealed)
+ALTER TABLE item_lots ADD COLUMN opened_at DATE DEFAULT NULL;
+
+-- ============================================================================
+-- VIEWS
+-- Both lot views carry expiry_type and opened_at. v_expired still lists
+-- every lot past its date; filter on expiry_type to tell them apart.
+-- ============================================================================
+
+DROP VIEW IF EXISTS v_expired;
+DROP VIEW IF EXISTS v_expiring_soon;
+DROP VIEW IF EXISTS v_location_summary;
+
+-- View: Lots past their expiry date
+CREATE VIEW v_expired AS
+SELECT
+    i.id, i.title, i.description, i.category, i.location, i.brand, i.is_homemade,
+    i.unit, i.image_path, i.created_at, i.updated_at, i.expiry_type,
+    COALESCE(lot.location_id, i.location_id) AS location_id,
+    lot.id AS lot_id,
+    lot.quantity AS quantity,
+    lot.date_added AS date_added,
+    lot.expiry_date AS expiry_date,
+    lot.opened_at AS opened_at,
+    i.quantity AS item_quantity,
+    l.name as location_name,
+    l.icon as location_icon,
+    julianday('now', 'localtime') - julianday(lot.expiry_date) AS days_expired
+FROM item_lots lot
+JOIN items i ON i.id = lot.item_id
+LEFT JOIN locations l ON l.id = COALESCE(lot.location_id, i.location_id)
+WHERE lot.expiry_date IS NOT NULL
+  AND date(lot.expiry_date) < date('now', 'localtime')
+ORDER BY lot.expiry_date ASC;
+
+-- View: Lots expiring within their warning window
+CREATE VIEW v_expiring_soon AS
+SELECT *
+FROM (
+    SELECT
+        i.id, i.title, i.description, i.category, i.location, i.brand, i.is_homemade,
+        i.unit, i.image_path, i.created_at, i.updated_at, i.expiry_type,
+        COALESCE(lot.location_id, i.location_id) AS location_id,
+        lot.id AS lot_id,
+        lot.quantity AS quantity,
+        lot.date_added AS date_added,
+        lot.expiry_date AS expiry_date,
+        lot.opened_at AS opened_at,
+        i.quantity AS item_quantity,
+        l.name as location_name,
+        l.icon as location_icon,
+        julianday(lot.expiry_date) - julianday('now', 'localtime') AS days_until_expiry,
+        COALESCE(
+            i.expiry_warning_days,
+            c.expiry_warning_days,
+            (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days.' || l.type),
+            (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days')
+        ) AS warning_days
+    FROM item_lots lot
+    JOIN items i ON i.id = lot.item_id
+    LEFT JOIN categories c ON c.name = i.category
+    LEFT JOIN locations l ON l.id = COALESCE(lot.location_id, i.location_id)
+    WHERE lot.expiry_date IS NOT NULL
+)
+WHERE date(expiry_date) >= date('now', 'localtime')
+  AND date(expiry_date) <= date('now', 'localtime', '+' || warning_days || ' days')
+ORDER BY expiry_date ASC;
+
+-- View: Inventory summary by location (using location_id)
+-- expired_count only counts use-by items
+CREATE VIEW v_location_summary AS
+SELECT
+    l.id as location_id,
+    l.name as location_name,
+    l.icon,
+    l.type,
+    l.color,
+    COUNT(i.id) as total_items,
+    SUM(CASE WHEN i.expiry_type = 'use_by' AND i.expiry_date IS NOT NULL AND date(i.expiry_date) < date('now', 'localtime') THEN 1 ELSE 0 END) as expired_count,
+    SUM(CASE WHEN i.expiry_type = 'best_before' AND i.expiry_date IS NOT NULL AND date(i.expiry_date) < date('now', 'localtime') THEN 1 ELSE 0 END) as past_best_before_count,
+    SUM(CASE WHEN i.expiry_date IS NOT NULL AND date(i.expiry_date) >= date('now', 'localtime') AND date(i.expiry_date) <= date('now', 'localtime', '+' || COALESCE(
+        i.expiry_warning_days,
+        c.expiry_warning_days,
+        (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days.' || l.type),
+        (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days')
+    ) || ' days') THEN 1 ELSE 0 END) as expiring_soon_count
+FROM locations l
+LEFT JOIN items i ON i.location_id = l.id
+LEFT JOIN categories c ON c.name = i.category
+WHERE l.is_visible = 1
+GROUP BY l.id
+ORDER BY l.sort_order ASC;
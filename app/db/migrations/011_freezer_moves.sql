@@ -0,0 +1,51 @@
+-- ============================================================================
+-- Migration 011: freezing and thawing on moves
+-- ============================================================================
+-- Moving an item into a freezer stops the clock on it, and taking it out
+-- starts a short one. Lots now record when they were frozen, moves between
+-- locations are kept in item_movements, and the freeze/thaw rules used to
+-- recalculate expiry dates are settings.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- Date the lot went into a freezer (NULL = not frozen by a move)
+ALTER TABLE item_lots ADD COLUMN frozen_at DATE DEFAULT NULL;
+
+-- ============================================================================
+-- TABLE: item_movements
+-- One row per move of an item to another location. Titles and location
+-- names are copied so the record survives deleting either.
+-- ============================================================================
+CREATE TABLE item_movements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    item_id INTEGER DEFAULT NULL,
+    item_title TEXT NOT NULL,
+
+    from_location_id INTEGER DEFAULT NULL,
+    from_location_name TEXT DEFAULT NULL,
+    to_location_id INTEGER DEFAULT NULL,
+    to_location_name TEXT DEFAULT NULL,
+
+    -- frozen (into a freezer), thawed (out of one) or moved (anything else)
+    change TEXT NOT NULL DEFAULT 'moved' CHECK(change IN ('moved', 'frozen', 'thawed')),
+
+    -- The item's expiry date before and after the move
+    old_expiry_date DATE DEFAULT NULL,
+    new_expiry_date DATE DEFAULT NULL,
+
+    moved_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+    FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE SET NULL,
+    FOREIGN KEY (from_location_id) REFERENCES locations(id) ON DELETE SET NULL,
+    FOREIGN KEY (to_location_id) REFERENCES locations(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_item_movements_item ON item_movements(item_id);
+CREATE INDEX idx_item_movements_moved_at ON item_movements(moved_at);
+
+-- Days a frozen item keeps (when its product has no learned freezer shelf
+-- life), and days a thawed item keeps
+INSERT INTO settings (key, value) VALUES ('freezer.freeze_days', '90');
+INSERT INTO settings (key, value) VALUES ('freezer.thaw_days', '2');
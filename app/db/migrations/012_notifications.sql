@@ -0,0 +1,67 @@
+-- ============================================================================
+-- Migration 012: notification delivery
+-- ============================================================================
+-- Alerts used to exist only while someone looked at an alerts page. A daily
+-- digest of them is now delivered through channels that work on the LAN
+-- (Web Push to dashboard browsers, SMTP to a local relay, an outbound
+-- webhook), configured with notify.* settings. Each channel remembers the
+-- alerts it has already sent, so an item that stays expired is reported once.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: push_subscriptions
+-- Browsers subscribed to Web Push (one row per browser)
+-- ============================================================================
+CREATE TABLE push_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    -- Push service URL the browser handed out, and its encryption keys
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+
+    -- User-Agent of the subscribing browser (for display)
+    user_agent TEXT DEFAULT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime'))
+);
+
+-- ============================================================================
+-- TABLE: notification_sent
+-- Alerts a channel has already delivered. The key names the alert and its
+-- state (e.g. expired:lot:12:2026-03-01), so a changed date or an item that
+-- runs low again is new. Rows for alerts that have cleared are pruned.
+-- ============================================================================
+CREATE TABLE notification_sent (
+    channel TEXT NOT NULL,
+    alert_key TEXT NOT NULL,
+    sent_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+    PRIMARY KEY (channel, alert_key)
+);
+
+-- ============================================================================
+-- TABLE: notification_deliveries
+-- One row per digest run of a channel: sent, empty (nothing new) or failed
+-- ============================================================================
+CREATE TABLE notification_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    channel TEXT NOT NULL,
+    status TEXT NOT NULL CHECK(status IN ('sent', 'empty', 'failed')),
+
+    -- New alerts in the digest
+    alert_count INTEGER NOT NULL DEFAULT 0,
+
+    -- Failure reason (status = failed)
+    error TEXT DEFAULT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime'))
+);
+
+CREATE INDEX idx_notification_deliveries_channel ON notification_deliveries(channel, created_at);
+
+-- Time of day the digest goes out; channels start disabled
+INSERT INTO settings (key, value) VALUES ('notify.digest_time', '08:00');
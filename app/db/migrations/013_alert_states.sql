@@ -0,0 +1,106 @@
+-- ============================================================================
+-- Migration 013: acknowledging, snoozing and ignoring expiry alerts
+-- ============================================================================
+-- An expired item stayed on every alert list (and lit the touch home badge)
+-- until it was used up or thrown away, even a sauce that is known to be
+-- fine. An item's expiry alerts can now be acknowledged (hidden until a lot
+-- with a later date needs attention, or an acknowledged "expiring soon" lot
+-- actually expires), snoozed until a date, or ignored altogether. Every
+-- such action is kept in alert_actions with who took it.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: item_alert_states
+-- At most one row per item; no row means its alerts show as usual
+-- ============================================================================
+CREATE TABLE item_alert_states (
+    item_id INTEGER PRIMARY KEY,
+
+    -- Never raise expiry alerts for this item
+    ignore_expiry INTEGER NOT NULL DEFAULT 0 CHECK(ignore_expiry IN (0, 1)),
+
+    -- Expiry alerts are hidden before this date
+    snoozed_until DATE DEFAULT NULL,
+
+    -- Lots expiring on or before acknowledged_through are hidden: for good
+    -- if they had already expired on acknowledged_on, else until they expire
+    acknowledged_through DATE DEFAULT NULL,
+    acknowledged_on DATE DEFAULT NULL,
+
+    updated_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+    FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+);
+
+-- ============================================================================
+-- TABLE: alert_actions
+-- Audit of alert state changes. The title is copied so the record survives
+-- deleting the item; actor says who (or which device) took the action.
+-- ============================================================================
+CREATE TABLE alert_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    item_id INTEGER DEFAULT NULL,
+    item_title TEXT NOT NULL,
+
+    action TEXT NOT NULL CHECK(action IN ('acknowledged', 'snoozed', 'ignored', 'restored')),
+
+    -- Date the alerts were snoozed until (action = snoozed)
+    snoozed_until DATE DEFAULT NULL,
+
+    actor TEXT DEFAULT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+    FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_alert_actions_item ON alert_actions(item_id);
+CREATE INDEX idx_alert_actions_created_at ON alert_actions(created_at);
+
+-- ============================================================================
+-- VIEWS
+-- The lot views still list every lot; the database layer leaves out those
+-- whose alerts are dismissed. Location counts leave them out here.
+-- ============================================================================
+
+DROP VIEW IF EXISTS v_location_summary;
+
+-- View: Inventory summary by location (using location_id)
+-- expired_count only counts use-by items; dismissed expiry alerts are not counted
+CREATE VIEW v_location_summary AS
+SELECT
+    l.id as location_id,
+    l.name as location_name,
+    l.icon,
+    l.type,
+    l.color,
+    COUNT(i.id) as total_items,
+    SUM(CASE WHEN i.alert_dismissed = 0 AND i.expiry_type = 'use_by' AND i.expiry_date IS NOT NULL AND date(i.expiry_date) < date('now', 'localtime') THEN 1 ELSE 0 END) as expired_count,
+    SUM(CASE WHEN i.alert_dismissed = 0 AND i.expiry_type = 'best_before' AND i.expiry_date IS NOT NULL AND date(i.expiry_date) < date('now', 'localtime') THEN 1 ELSE 0 END) as past_best_before_count,
+    SUM(CASE WHEN i.alert_dismissed = 0 AND i.expiry_date IS NOT NULL AND date(i.expiry_date) >= date('now', 'localtime') AND date(i.expiry_date) <= date('now', 'localtime', '+' || COALESCE(
+        i.expiry_warning_days,
+        c.expiry_warning_days,
+        (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days.' || l.type),
+        (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days')
+    ) || ' days') THEN 1 ELSE 0 END) as expiring_soon_count
+FROM locations l
+LEFT JOIN (
+    SELECT
+        items.*,
+        COALESCE(
+            a.ignore_expiry = 1
+            OR date(a.snoozed_until) > date('now', 'localtime')
+            OR (date(items.expiry_date) <= date(a.acknowledged_through)
+                AND (date(items.expiry_date) < date(a.acknowledged_on) OR date(items.expiry_date) >= date('now', 'localtime'))),
+            0
+        ) AS alert_dismissed
+    FROM items
+    LEFT JOIN item_alert_states a ON a.item_id = items.id
+) i ON i.location_id = l.id
+LEFT JOIN categories c ON c.name = i.category
+WHERE l.is_visible = 1
+GROUP BY l.id
+ORDER BY l.sort_order ASC;
@@ -0,0 +1,67 @@
+-- ============================================================================
+-- Migration 014: recipes
+-- ============================================================================
+-- A local recipe store for "Use it up": each recipe lists its ingredients,
+-- and an ingredient is matched to stock through a catalog product, a whole
+-- category ("any pasta") or, failing both, items with its name. Recipes
+-- are ranked by how many soon-to-expire and in-stock items they would use
+-- (see services/recipes.js).
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: recipes
+-- ============================================================================
+CREATE TABLE recipes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    -- Unique, case-insensitive
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+
+    -- Method, free text
+    instructions TEXT DEFAULT '',
+
+    servings INTEGER DEFAULT NULL CHECK(servings IS NULL OR servings > 0),
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+    updated_at DATETIME DEFAULT (datetime('now', 'localtime'))
+);
+
+-- ============================================================================
+-- TABLE: recipe_ingredients
+-- ============================================================================
+CREATE TABLE recipe_ingredients (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    recipe_id INTEGER NOT NULL,
+
+    -- As written in the recipe (e.g. "Chopped tomatoes")
+    name TEXT NOT NULL,
+
+    -- What it is matched to in stock: a product, else any item of a
+    -- category, else items titled like name
+    product_id INTEGER DEFAULT NULL,
+    category TEXT DEFAULT NULL,
+
+    -- Amount needed (NULL = not specified)
+    quantity REAL DEFAULT NULL CHECK(quantity IS NULL OR quantity > 0),
+    unit TEXT DEFAULT NULL CHECK(unit IS NULL OR unit IN ('pcs', 'pack', 'can', 'bottle', 'g', 'kg', 'oz', 'lb', 'ml', 'L', 'tsp', 'tbsp', 'cup')),
+
+    -- Nice to have; a missing optional ingredient does not count against the recipe
+    is_optional INTEGER NOT NULL DEFAULT 0 CHECK(is_optional IN (0, 1)),
+
+    sort_order INTEGER NOT NULL DEFAULT 0,
+
+    FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_recipe_ingredients_recipe ON recipe_ingredients(recipe_id, sort_order);
+
+CREATE TRIGGER update_recipe_timestamp
+    AFTER UPDATE ON recipes
+    FOR EACH ROW
+BEGIN
+    UPDATE recipes SET updated_at = datetime('now', 'localtime') WHERE id = OLD.id;
+END;
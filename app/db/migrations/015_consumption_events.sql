@@ -0,0 +1,33 @@
+-- ============================================================================
+-- Migration 015: grouped consumption
+-- ============================================================================
+-- Cooking a meal uses several items at once. Such a set is now applied in
+-- one transaction and recorded as a consumption event with a label (e.g.
+-- "Cooked Spinach Pasta"); each item's consumption_history row points at
+-- it, so the history can show the meal as one entry.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: consumption_events
+-- ============================================================================
+CREATE TABLE consumption_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    label TEXT NOT NULL,
+
+    -- Recipe that was cooked, if any
+    recipe_id INTEGER DEFAULT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+    FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_consumption_events_created_at ON consumption_events(created_at);
+
+-- Event the row was part of (NULL = used on its own)
+ALTER TABLE consumption_history ADD COLUMN event_id INTEGER DEFAULT NULL REFERENCES consumption_events(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_consumption_history_event ON consumption_history(event_id);
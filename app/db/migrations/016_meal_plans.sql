@@ -0,0 +1,106 @@
+-- ============================================================================
+-- Migration 016: meal plans
+-- ============================================================================
+-- Planned meals on a calendar, each reserving amounts of the items it will
+-- be cooked from. Reservations of meals that are not cooked yet and are
+-- planned for today or later count against the stock: the item's available
+-- quantity is its quantity less what they reserve, and the low stock view
+-- and shopping list go by it. Marking a meal cooked uses its reservations as
+-- one consumption event (see services/meals.js); meals left uncooked in the
+-- past stop reserving.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: meal_plans
+-- ============================================================================
+CREATE TABLE meal_plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    planned_date DATE NOT NULL,
+
+    -- e.g. "Spinach Pasta" or "Dinner at Mum's"
+    title TEXT NOT NULL,
+
+    -- Recipe to be cooked, if any
+    recipe_id INTEGER DEFAULT NULL,
+
+    notes TEXT DEFAULT '',
+
+    -- Set when marked cooked, with the consumption event it was used as
+    cooked_at DATETIME DEFAULT NULL,
+    event_id INTEGER DEFAULT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+    updated_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+    FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE SET NULL,
+    FOREIGN KEY (event_id) REFERENCES consumption_events(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_meal_plans_date ON meal_plans(planned_date);
+
+-- ============================================================================
+-- TABLE: meal_reservations
+-- ============================================================================
+CREATE TABLE meal_reservations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    meal_plan_id INTEGER NOT NULL,
+    item_id INTEGER NOT NULL,
+
+    -- Amount set aside, in the item's unit
+    quantity REAL NOT NULL CHECK(quantity > 0),
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+    -- One reservation per item and meal
+    UNIQUE(meal_plan_id, item_id),
+
+    FOREIGN KEY (meal_plan_id) REFERENCES meal_plans(id) ON DELETE CASCADE,
+    FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_meal_reservations_item ON meal_reservations(item_id);
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+CREATE TRIGGER update_meal_plan_timestamp
+    AFTER UPDATE ON meal_plans
+    FOR EACH ROW
+BEGIN
+    UPDATE meal_plans SET updated_at = datetime('now', 'localtime') WHERE id = OLD.id;
+END;
+
+-- ============================================================================
+-- VIEWS
+-- Low stock goes by the available quantity: in stock, but what is not
+-- reserved is below the minimum
+-- ============================================================================
+
+DROP VIEW IF EXISTS v_low_stock;
+
+CREATE VIEW v_low_stock AS
+SELECT *
+FROM (
+    SELECT
+        i.*,
+        l.name as location_name,
+        l.icon as location_icon,
+        COALESCE(i.min_quantity, c.min_quantity) AS stock_min,
+        COALESCE(i.target_quantity, i.min_quantity, c.target_quantity, c.min_quantity) AS stock_target,
+        (
+            SELECT COALESCE(SUM(r.quantity), 0)
+            FROM meal_reservations r
+            JOIN meal_plans m ON m.id = r.meal_plan_id
+            WHERE r.item_id = i.id AND m.cooked_at IS NULL AND date(m.planned_date) >= date('now', 'localtime')
+        ) AS reserved_quantity
+    FROM items i
+    LEFT JOIN locations l ON i.location_id = l.id
+    LEFT JOIN categories c ON c.name = i.category
+)
+WHERE quantity > 0 AND quantity - reserved_quantity < stock_min
+ORDER BY (quantity - reserved_quantity) / stock_min ASC, title ASC;
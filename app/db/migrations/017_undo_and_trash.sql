@@ -0,0 +1,191 @@
+-- ============================================================================
+-- Migration 017: undo and trash
+-- ============================================================================
+-- Deleting an item now moves it to the trash (items.deleted_at) instead of
+-- removing the row; it can be restored from the trash until it is purged
+-- TRASH_KEEP_DAYS later (see services/undo.js). Items in the trash are left
+-- out of every view.
+--
+-- Stock changes (use, discard, add, open, delete, ...) record how to undo
+-- them in undo_actions for a short while: the state of each item they
+-- touched before and after the change, and the rows they added.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+ALTER TABLE items ADD COLUMN deleted_at DATETIME DEFAULT NULL;
+
+CREATE INDEX idx_items_deleted_at ON items(deleted_at);
+
+-- ============================================================================
+-- TABLE: undo_actions
+-- ============================================================================
+CREATE TABLE undo_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    -- What was done, e.g. "Used 1 pcs of Milk"
+    label TEXT NOT NULL,
+
+    -- JSON: { items: [{ before, after }], added: { <table>: [row ids] } }
+    changes TEXT NOT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+    expires_at DATETIME NOT NULL,
+    undone_at DATETIME DEFAULT NULL
+);
+
+CREATE INDEX idx_undo_actions_created_at ON undo_actions(created_at);
+
+-- ============================================================================
+-- VIEWS
+-- As before, without the items in the trash
+-- ============================================================================
+
+DROP VIEW IF EXISTS v_expired;
+DROP VIEW IF EXISTS v_expiring_soon;
+DROP VIEW IF EXISTS v_low_stock;
+DROP VIEW IF EXISTS v_out_of_stock;
+DROP VIEW IF EXISTS v_location_summary;
+
+-- View: Lots past their expiry date
+CREATE VIEW v_expired AS
+SELECT
+    i.id, i.title, i.description, i.category, i.location, i.brand, i.is_homemade,
+    i.unit, i.image_path, i.created_at, i.updated_at, i.expiry_type,
+    COALESCE(lot.location_id, i.location_id) AS location_id,
+    lot.id AS lot_id,
+    lot.quantity AS quantity,
+    lot.date_added AS date_added,
+    lot.expiry_date AS expiry_date,
+    lot.opened_at AS opened_at,
+    i.quantity AS item_quantity,
+    l.name as location_name,
+    l.icon as location_icon,
+    julianday('now', 'localtime') - julianday(lot.expiry_date) AS days_expired
+FROM item_lots lot
+JOIN items i ON i.id = lot.item_id
+LEFT JOIN locations l ON l.id = COALESCE(lot.location_id, i.location_id)
+WHERE i.deleted_at IS NULL
+  AND lot.expiry_date IS NOT NULL
+  AND date(lot.expiry_date) < date('now', 'localtime')
+ORDER BY lot.expiry_date ASC;
+
+-- View: Lots expiring within their warning window
+CREATE VIEW v_expiring_soon AS
+SELECT *
+FROM (
+    SELECT
+        i.id, i.title, i.description, i.category, i.location, i.brand, i.is_homemade,
+        i.unit, i.image_path, i.created_at, i.updated_at, i.expiry_type,
+        COALESCE(lot.location_id, i.location_id) AS location_id,
+        lot.id AS lot_id,
+        lot.quantity AS quantity,
+        lot.date_added AS date_added,
+        lot.expiry_date AS expiry_date,
+        lot.opened_at AS opened_at,
+        i.quantity AS item_quantity,
+        l.name as location_name,
+        l.icon as location_icon,
+        julianday(lot.expiry_date) - julianday('now', 'localtime') AS days_until_expiry,
+        COALESCE(
+            i.expiry_warning_days,
+            c.expiry_warning_days,
+            (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days.' || l.type),
+            (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days')
+        ) AS warning_days
+    FROM item_lots lot
+    JOIN items i ON i.id = lot.item_id
+    LEFT JOIN categories c ON c.name = i.category
+    LEFT JOIN locations l ON l.id = COALESCE(lot.location_id, i.location_id)
+    WHERE i.deleted_at IS NULL
+      AND lot.expiry_date IS NOT NULL
+)
+WHERE date(expiry_date) >= date('now', 'localtime')
+  AND date(expiry_date) <= date('now', 'localtime', '+' || warning_days || ' days')
+ORDER BY expiry_date ASC;
+
+-- View: In stock, but what is not reserved for planned meals is below the minimum
+CREATE VIEW v_low_stock AS
+SELECT *
+FROM (
+    SELECT
+        i.*,
+        l.name as location_name,
+        l.icon as location_icon,
+        COALESCE(i.min_quantity, c.min_quantity) AS stock_min,
+        COALESCE(i.target_quantity, i.min_quantity, c.target_quantity, c.min_quantity) AS stock_target,
+        (
+            SELECT COALESCE(SUM(r.quantity), 0)
+            FROM meal_reservations r
+            JOIN meal_plans m ON m.id = r.meal_plan_id
+            WHERE r.item_id = i.id AND m.cooked_at IS NULL AND date(m.planned_date) >= date('now', 'localtime')
+        ) AS reserved_quantity
+    FROM items i
+    LEFT JOIN locations l ON i.location_id = l.id
+    LEFT JOIN categories c ON c.name = i.category
+    WHERE i.deleted_at IS NULL
+)
+WHERE quantity > 0 AND quantity - reserved_quantity < stock_min
+ORDER BY (quantity - reserved_quantity) / stock_min ASC, title ASC;
+
+-- View: Used up, but meant to be kept in stock (and not restocked as
+-- another item of the same product or title)
+CREATE VIEW v_out_of_stock AS
+SELECT s.*
+FROM (
+    SELECT
+        i.*,
+        l.name as location_name,
+        l.icon as location_icon,
+        COALESCE(i.min_quantity, c.min_quantity) AS stock_min,
+        COALESCE(i.target_quantity, i.min_quantity, c.target_quantity, c.min_quantity) AS stock_target
+    FROM items i
+    LEFT JOIN locations l ON i.location_id = l.id
+    LEFT JOIN categories c ON c.name = i.category
+    WHERE i.deleted_at IS NULL
+) s
+WHERE s.quantity <= 0 AND s.stock_min > 0
+  AND NOT EXISTS (
+      SELECT 1 FROM items other
+      WHERE other.id != s.id AND other.quantity > 0 AND other.deleted_at IS NULL
+        AND (other.product_id = s.product_id OR lower(other.title) = lower(s.title))
+  )
+ORDER BY s.updated_at DESC, s.title ASC;
+
+-- View: Inventory summary by location (using location_id)
+-- expired_count only counts use-by items; dismissed expiry alerts are not counted
+CREATE VIEW v_location_summary AS
+SELECT
+    l.id as location_id,
+    l.name as location_name,
+    l.icon,
+    l.type,
+    l.color,
+    COUNT(i.id) as total_items,
+    SUM(CASE WHEN i.alert_dismissed = 0 AND i.expiry_type = 'use_by' AND i.expiry_date IS NOT NULL AND date(i.expiry_date) < date('now', 'localtime') THEN 1 ELSE 0 END) as expired_count,
+    SUM(CASE WHEN i.alert_dismissed = 0 AND i.expiry_type = 'best_before' AND i.expiry_date IS NOT NULL AND date(i.expiry_date) < date('now', 'localtime') THEN 1 ELSE 0 END) as past_best_before_count,
+    SUM(CASE WHEN i.alert_dismissed = 0 AND i.expiry_date IS NOT NULL AND date(i.expiry_date) >= date('now', 'localtime') AND date(i.expiry_date) <= date('now', 'localtime', '+' || COALESCE(
+        i.expiry_warning_days,
+        c.expiry_warning_days,
+        (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days.' || l.type),
+        (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'expiry.warning_days')
+    ) || ' days') THEN 1 ELSE 0 END) as expiring_soon_count
+FROM locations l
+LEFT JOIN (
+    SELECT
+        items.*,
+        COALESCE(
+            a.ignore_expiry = 1
+            OR date(a.snoozed_until) > date('now', 'localtime')
+            OR (date(items.expiry_date) <= date(a.acknowledged_through)
+                AND (date(items.expiry_date) < date(a.acknowledged_on) OR date(items.expiry_date) >= date('now', 'localtime'))),
+            0
+        ) AS alert_dismissed
+    FROM items
+    LEFT JOIN item_alert_states a ON a.item_id = items.id
+    WHERE items.deleted_at IS NULL
+) i ON i.location_id = l.id
+LEFT JOIN categories c ON c.name = i.category
+WHERE l.is_visible = 1
+GROUP BY l.id
+ORDER BY l.sort_order ASC;
@@ -0,0 +1,40 @@
+-- ============================================================================
+-- Migration 018: item audit log
+-- ============================================================================
+-- updateItem() overwrites every field and only updated_at changed, so a
+-- wrong quantity or expiry date could not be traced back to anyone. Every
+-- change to an item - created, updated, quantity changed, moved, deleted,
+-- restored - is now kept in item_events with the fields it changed (before
+-- and after) and who made it (see services/audit.js).
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: item_events
+-- The title is copied so the record survives purging the item; actor says
+-- who (or which device) made the change.
+-- ============================================================================
+CREATE TABLE item_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    item_id INTEGER DEFAULT NULL,
+    item_title TEXT NOT NULL,
+
+    event TEXT NOT NULL CHECK(event IN ('created', 'updated', 'quantity', 'moved', 'deleted', 'restored')),
+
+    -- JSON: { <field>: { before, after } }; a location is given by name
+    changes TEXT NOT NULL DEFAULT '{}',
+
+    -- What was done, e.g. "Used 1 pcs of Milk" or "Undo: Used 1 pcs of Milk"
+    note TEXT DEFAULT NULL,
+
+    actor TEXT DEFAULT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+    FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_item_events_item ON item_events(item_id, created_at);
+CREATE INDEX idx_item_events_created_at ON item_events(created_at);
@@ -0,0 +1,74 @@
+-- ============================================================================
+-- Migration 019: household users
+-- ============================================================================
+-- Anyone on the LAN could change anything, and the history could not say
+-- who used what. Household members now have a name, an avatar and an
+-- optional PIN. Once there is at least one, the touchscreen asks "who are
+-- you?" and the dashboard asks to sign in (see services/users.js); the
+-- session lives in a cookie whose token is kept here only as a hash.
+--
+-- Consumption history, alert actions and item events record the user who
+-- made them, next to the actor text they already had.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: users
+-- A user is never deleted, only deactivated, so the history keeps its name
+-- ============================================================================
+CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+
+    -- Emoji and colour on the "who are you?" picker
+    avatar TEXT NOT NULL DEFAULT '🙂',
+    color TEXT NOT NULL DEFAULT '#4a90d9',
+
+    -- scrypt hash of the PIN as <salt hex>:<hash hex>; NULL = no PIN
+    pin_hash TEXT DEFAULT NULL,
+
+    is_active INTEGER NOT NULL DEFAULT 1 CHECK(is_active IN (0, 1)),
+
+    last_seen_at DATETIME DEFAULT NULL,
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+    updated_at DATETIME DEFAULT (datetime('now', 'localtime'))
+);
+
+-- ============================================================================
+-- TABLE: user_sessions
+-- A signed-in browser. Touchscreen sessions end after a few idle minutes,
+-- dashboard ones after days; each use pushes expires_at back.
+-- ============================================================================
+CREATE TABLE user_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    user_id INTEGER NOT NULL,
+
+    -- SHA-256 of the cookie token (hex)
+    token_hash TEXT NOT NULL UNIQUE,
+
+    ui TEXT NOT NULL CHECK(ui IN ('touch', 'dashboard')),
+
+    address TEXT DEFAULT NULL,
+    user_agent TEXT DEFAULT NULL,
+
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+    last_seen_at DATETIME DEFAULT (datetime('now', 'localtime')),
+    expires_at DATETIME NOT NULL,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX idx_user_sessions_expires_at ON user_sessions(expires_at);
+
+-- ============================================================================
+-- Who made each history and audit row
+-- ============================================================================
+ALTER TABLE consumption_history ADD COLUMN user_id INTEGER DEFAULT NULL REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE alert_actions ADD COLUMN user_id INTEGER DEFAULT NULL REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE item_events ADD COLUMN user_id INTEGER DEFAULT NULL REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_consumption_history_user ON consumption_history(user_id);
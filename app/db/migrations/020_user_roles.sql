@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Migration 020: user roles
+-- ============================================================================
+-- Anyone signed in could delete locations, bulk-delete items or import a
+-- CSV. Users now have a role (see lib/permissions.js):
+--
+-- - admin  - everything, including locations, bulk changes, imports,
+--            settings, the household and emptying the trash
+-- - member - everyday changes: items, the shopping list, recipes, meals
+-- - viewer - the kiosk role: look, use and add stock only
+--
+-- Everyone already there had full access and keeps it as an admin; new
+-- users are members. The touchscreen can also be locked to using and adding
+-- stock whoever is signed in (setting users.touch_locked).
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'member' CHECK(role IN ('admin', 'member', 'viewer'));
+
+UPDATE users SET role = 'admin';
@@ -0,0 +1,39 @@
+-- ============================================================================
+-- Migration 021: API tokens
+-- ============================================================================
+-- Scripts and home automation had no way into the JSON API but a browser
+-- session, which can do everything its user can. An API token is created on
+-- the dashboard with scopes (read, write-quantity, admin - see
+-- services/tokens.js) and sent as "Authorization: Bearer <token>". Only
+-- the token's SHA-256 is kept; it is shown once, when created.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: api_tokens
+-- A revoked token is kept (revoked_at set) so the list shows what it was
+-- ============================================================================
+CREATE TABLE api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+    -- What it is for, e.g. "Home Assistant"
+    name TEXT NOT NULL,
+
+    -- SHA-256 of the token (hex), and its first characters to recognise it by
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,
+
+    -- Comma-separated scopes, e.g. "read,write-quantity"
+    scopes TEXT NOT NULL,
+
+    created_by INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT (datetime('now', 'localtime')),
+
+    last_used_at DATETIME DEFAULT NULL,
+    last_used_address TEXT DEFAULT NULL,
+
+    revoked_at DATETIME DEFAULT NULL,
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
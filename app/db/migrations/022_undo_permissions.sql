@@ -0,0 +1,15 @@
+-- ============================================================================
+-- Migration 022: undo permissions
+-- ============================================================================
+-- Anyone who could use stock could undo any change, so a viewer could undo
+-- an admin's bulk edit or a member's delete. A change now records what it
+-- took to make it (see lib/permissions.js) - 'use', 'edit' or 'admin' - and
+-- undoing it takes the same.
+--
+-- Changes recorded before, which expire within a minute anyway, are left
+-- to admins.
+--
+-- Do not edit this file once released - add a new numbered migration.
+-- ============================================================================
+
+ALTER TABLE undo_actions ADD COLUMN permission TEXT NOT NULL DEFAULT 'admin' CHECK(permission IN ('use', 'edit', 'admin'));
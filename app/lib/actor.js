@@ -0,0 +1,34 @@
+/**
+ * ============================================================================
+ * REQUEST ACTOR
+ * ============================================================================
+ *
+ * Who is acting on a request, for the history and audit records (alert
+ * actions, item events): the signed-in user, if any (see lib/auth.js), and
+ * the UI and address of the device, e.g. "Sam (touch 192.168.1.20)", or
+ * the API token used, e.g. "API token Home Assistant (192.168.1.30)".
+ */
+
+/**
+ * Who is acting, for history and audit records
+ * @param {Object} req - Express request (req.user when signed in, req.apiToken)
+ * @param {Object} res - Express response (res.locals.uiMode)
+ * @returns {Object} { user_id (null when nobody is signed in), name }
+ */
+function requestActor(req, res) {
+    const address = (req.ip || '').replace(/^::ffff:/, '');
+    if (req.apiToken) {
+        return { user_id: null, name: `API token ${req.apiToken.name} (${address})` };
+    }
+
+    const device = `${res.locals.uiMode || 'dashboard'} ${address}`.trim();
+
+    return {
+        user_id: req.user ? req.user.id : null,
+        name: req.user ? `${req.user.name} (${device})` : device
+    };
+}
+
+module.exports = {
+    requestActor
+};
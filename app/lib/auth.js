@@ -0,0 +1,160 @@
+/**
+ * ============================================================================
+ * SIGN-IN MIDDLEWARE
+ * ============================================================================
+ *
+ * Reads the session cookie (see services/users.js) into req.user and
+ * res.locals.currentUser. Once the household has users, requests from
+ * browsers that are not signed in are turned away: pages go to sign in
+ * (the "who are you?" picker on the touchscreen), the API answers 401.
+ * With no users everything stays open, as before there were any.
+ *
+ * Scripts call the API with a token instead (see services/tokens.js), sent
+ * as "Authorization: Bearer <token>": it sets req.apiToken and no user.
+ * Once there is a token the API answers 401 to requests with neither a
+ * token nor a session. With no users there are no sessions, so a browser
+ * marker - given to each browser that opens a page, signed so it cannot be
+ * made up - stands in for one. The pages themselves stay open until there
+ * are users.
+ */
+
+const users = require('../services/users');
+const tokens = require('../services/tokens');
+
+const SESSION_COOKIE = 'sk_session';
+
+// Browser marker, for the API while there are no users
+const BROWSER_COOKIE = 'sk_browser';
+
+// Paths open to everyone: signing in and out
+const OPEN_PATHS = [/^\/login$/, /^\/logout$/, /^\/touch\/who(\/\d+)?$/];
+
+/**
+ * Read a cookie from the request
+ * @returns {string|null} Value
+ */
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * A local path to go to after signing in (anything else becomes fallback)
+ */
+function safeNext(next, fallback) {
+    return typeof next === 'string' && /^\/(?![/\\])/.test(next) ? next : fallback;
+}
+
+/**
+ * Middleware: load the signed-in user, if any (and the UI they signed in
+ * on, as req.sessionUi), or the API token of the request
+ */
+function loadUser(req, res, next) {
+    res.locals.usersEnabled = users.isEnabled();
+
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (bearer && req.path.startsWith('/api/')) {
+        const address = (req.ip || '').replace(/^::ffff:/, '');
+        req.apiToken = tokens.authenticate(bearer[1], address);
+        if (!req.apiToken) {
+            return res.status(401).json({ success: false, message: 'Invalid or revoked API token' });
+        }
+        req.user = null;
+        req.sessionUi = null;
+        res.locals.currentUser = null;
+        return next();
+    }
+
+    if (!res.locals.usersEnabled) {
+        req.browserMarked = tokens.isBrowserMarker(readCookie(req, BROWSER_COOKIE));
+        if (!req.browserMarked && !req.path.startsWith('/api/')) {
+            res.cookie(BROWSER_COOKIE, tokens.issueBrowserMarker(), {
+                httpOnly: true,
+                sameSite: 'lax',
+                path: '/',
+                maxAge: 365 * 24 * 60 * 60 * 1000
+            });
+        }
+    }
+
+    const token = readCookie(req, SESSION_COOKIE);
+    const session = token ? users.getSession(token) : null;
+
+    req.user = session ? session.user : null;
+    req.sessionUi = session ? session.ui : null;
+    res.locals.currentUser = req.user;
+    next();
+}
+
+/**
+ * Middleware: once there are users, keep out whoever is not signed in; once
+ * there are API tokens, keep scripts without one out of the API
+ */
+function requireUser(req, res, next) {
+    if (req.user || req.apiToken || OPEN_PATHS.some(pattern => pattern.test(req.path))) {
+        return next();
+    }
+
+    if (!res.locals.usersEnabled) {
+        if (!req.path.startsWith('/api/') || req.browserMarked || !tokens.hasTokens()) {
+            return next();
+        }
+        return res.status(401).json({ success: false, message: 'This API needs a token: send "Authorization: Bearer <token>"' });
+    }
+
+    if (req.path.startsWith('/api/') || req.xhr || req.headers.accept?.includes('application/json')) {
+        return res.status(401).json({ success: false, message: 'Sign in first' });
+    }
+
+    const touch = req.path.startsWith('/touch') || res.locals.uiMode === 'touch';
+    const after = req.method === 'GET' ? req.originalUrl : (touch ? '/touch' : '/dashboard');
+    res.redirect(`${touch ? '/touch/who' : '/login'}?next=${encodeURIComponent(after)}`);
+}
+
+/**
+ * Set the session cookie after signing in, ending the browser's previous
+ * session (switching user on the touchscreen). A dashboard cookie lasts as
+ * long as its session; a touchscreen one until the browser closes (its
+ * session ends well before).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} signedIn - Result of users.signIn()
+ */
+function startSession(req, res, signedIn) {
+    const previous = readCookie(req, SESSION_COOKIE);
+    if (previous) users.signOut(previous);
+
+    res.cookie(SESSION_COOKIE, signedIn.token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        path: '/',
+        ...(signedIn.ui === 'dashboard' ? { maxAge: signedIn.seconds * 1000 } : {})
+    });
+}
+
+/**
+ * End the request's session and clear its cookie
+ */
+function endSession(req, res) {
+    const token = readCookie(req, SESSION_COOKIE);
+    if (token) users.signOut(token);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+module.exports = {
+    loadUser,
+    requireUser,
+    startSession,
+    endSession,
+    safeNext,
+    readCookie
+};
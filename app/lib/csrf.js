@@ -0,0 +1,91 @@
+/**
+ * ============================================================================
+ * CSRF PROTECTION
+ * ============================================================================
+ *
+ * Every request that changes something must carry this browser's CSRF
+ * token, which a page on another site cannot read, so it cannot make the
+ * browser post a form here behind the user's back. The token lives in a
+ * cookie and is repeated in the request:
+ *
+ * - Forms: <input type="hidden" name="_csrf" value="<%= csrfToken %>">
+ * - Photo and file upload forms (multipart, whose body the route reads):
+ *   ?_csrf=<%= csrfToken %> on the form action
+ * - fetch(): an X-CSRF-Token header, from <meta name="csrf-token">
+ *
+ * Requests with an API token (see lib/auth.js) send no cookies, so they are
+ * not checked.
+ */
+
+const crypto = require('crypto');
+const { readCookie } = require('./auth');
+
+const CSRF_COOKIE = 'sk_csrf';
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Compare two tokens in constant time
+ */
+function sameToken(sent, expected) {
+    if (typeof sent !== 'string' || sent.length !== expected.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+}
+
+/**
+ * Turn a request without a valid token away with 403
+ */
+function reject(req, res) {
+    const message = 'This form has expired. Go back, reload the page and try again.';
+
+    if (req.originalUrl.startsWith('/api/') || req.xhr || req.headers.accept?.includes('application/json')) {
+        return res.status(403).json({ success: false, message });
+    }
+
+    if (res.locals.uiMode === 'touch') {
+        return res.status(403).render('touch/error', { title: 'Form Expired', message, statusCode: 403 });
+    }
+    res.status(403).render('dashboard/error', {
+        layout: 'dashboard/layout',
+        title: 'Form Expired',
+        message,
+        statusCode: 403
+    });
+}
+
+/**
+ * Middleware: give the browser a token (res.locals.csrfToken for the
+ * templates) and check it on everything but GET, HEAD and OPTIONS
+ */
+function protect(req, res, next) {
+    let token = readCookie(req, CSRF_COOKIE);
+    if (!token || !TOKEN_PATTERN.test(token)) {
+        token = crypto.randomBytes(32).toString('base64url');
+        res.cookie(CSRF_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            path: '/',
+            maxAge: 365 * 24 * 60 * 60 * 1000
+        });
+    }
+    res.locals.csrfToken = token;
+
+    if (SAFE_METHODS.includes(req.method) || req.apiToken) {
+        return next();
+    }
+
+    const sent = req.body?._csrf || req.query._csrf || req.get('X-CSRF-Token');
+    if (!sameToken(sent, token)) {
+        return reject(req, res);
+    }
+
+    // Routes never see the token among their fields
+    if (req.body) delete req.body._csrf;
+    next();
+}
+
+module.exports = {
+    protect
+};
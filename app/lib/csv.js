@@ -0,0 +1,127 @@
+/**
+ * ============================================================================
+ * CSV HELPERS
+ * ============================================================================
+ *
+ * Minimal RFC 4180 reader/writer used by the CSV export and import.
+ * - Quoted fields may contain delimiters, quotes ("") and newlines
+ * - The delimiter is detected from the header line (comma, semicolon or
+ *   tab) so files saved by spreadsheet apps in other locales still load
+ * - A leading UTF-8 byte order mark is ignored
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter by counting candidates outside quotes on the first line
+ */
+function detectDelimiter(text) {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (ch === '\n' || ch === '\r')) {
+            break;
+        } else if (!inQuotes && counts[ch] !== undefined) {
+            counts[ch]++;
+        }
+    }
+
+    return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Blank lines are skipped.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text) {
+    if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
+    }
+
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let i = 0;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+            i++;
+            continue;
+        }
+
+        if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\r' || ch === '\n') {
+            endRow();
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+        } else {
+            field += ch;
+        }
+        i++;
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
+
+/**
+ * Escape a single value for CSV output
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) return '';
+
+    const str = String(value);
+    if (/[",\r\n]/.test(str) || str !== str.trim()) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * Build CSV text from rows
+ * @param {Array<Array>} rows - Rows of values (first row is usually headers)
+ * @returns {string} CSV content
+ */
+function formatCsv(rows) {
+    return rows.map(row => row.map(formatValue).join(',')).join('\n');
+}
+
+module.exports = {
+    parseCsv,
+    formatCsv
+};
@@ -0,0 +1,130 @@
+/**
+ * ============================================================================
+ * PERMISSIONS MIDDLEWARE
+ * ============================================================================
+ *
+ * What the signed-in user may change, by role (see services/users.js):
+ *
+ * - use   - look, use and add stock (use, open, cook, add, restock, and
+ *           undo those - undoing takes what the change took, see
+ *           services/undo.js)
+ * - edit  - everyday changes: editing and deleting items, alerts, the
+ *           shopping list, products, recipes, meals, restoring from the
+ *           trash; the CSV exports
+ * - admin - locations, bulk changes, imports, the JSON export, settings,
+ *           backups, the household and removing items from the trash for
+ *           good
+ *
+ * A viewer (the kiosk role) may use, a member may edit and an admin may do
+ * everything. With no users there are no roles and everything is allowed, as
+ * before. A locked touchscreen is limited to use, whoever is signed in.
+ *
+ * An API token (see services/tokens.js) may do what its scopes allow, users
+ * or not: reading needs "read", use needs "write-quantity" and anything
+ * more needs "admin".
+ *
+ * Routes declare what they need with permit(); forbidden requests get a
+ * JSON 403, or the touch or dashboard error page.
+ */
+
+const users = require('../services/users');
+const tokens = require('../services/tokens');
+
+const ACTION_LEVELS = { use: 1, edit: 2, admin: 3 };
+const ROLE_LEVELS = { viewer: 1, member: 2, admin: 3 };
+
+// The scope an API token needs for each action
+const ACTION_SCOPES = { use: 'write-quantity', edit: 'admin', admin: 'admin' };
+
+/**
+ * Whether a request comes from the touchscreen: the device itself (not the
+ * UI it asks for with ?ui=, which anyone can change) or a session started
+ * on the "who are you?" picker
+ */
+function fromTouch(req, res) {
+    return res.locals.touchDevice || req.sessionUi === 'touch';
+}
+
+/**
+ * The highest action level a request may perform
+ */
+function levelOf(req, res) {
+    let level = res.locals.usersEnabled ? ROLE_LEVELS[req.user?.role] || 0 : ACTION_LEVELS.admin;
+    if (res.locals.touchLocked && fromTouch(req, res)) {
+        level = Math.min(level, ACTION_LEVELS.use);
+    }
+    return level;
+}
+
+/**
+ * Whether a request may perform an action
+ * @param {string} action - 'use', 'edit' or 'admin'
+ */
+function can(req, res, action) {
+    if (req.apiToken) return tokens.hasScope(req.apiToken, ACTION_SCOPES[action]);
+    return levelOf(req, res) >= ACTION_LEVELS[action];
+}
+
+/**
+ * Turn a request away with 403
+ */
+function forbid(req, res, action) {
+    if (req.apiToken) {
+        const scope = action ? ACTION_SCOPES[action] : 'read';
+        return res.status(403).json({ success: false, message: `This API token needs the "${scope}" scope.` });
+    }
+
+    const locked = res.locals.touchLocked && fromTouch(req, res)
+        && (!res.locals.usersEnabled || ROLE_LEVELS[req.user?.role] >= ACTION_LEVELS[action]);
+    const message = locked
+        ? 'This touchscreen is locked to using and adding stock.'
+        : action === 'admin'
+            ? 'Only an admin can do that.'
+            : 'You can only use and add stock.';
+
+    if (req.originalUrl.startsWith('/api/') || req.xhr || req.headers.accept?.includes('application/json')) {
+        return res.status(403).json({ success: false, message });
+    }
+
+    if (res.locals.uiMode === 'touch') {
+        return res.status(403).render('touch/error', { title: 'Not Allowed', message, statusCode: 403 });
+    }
+    res.status(403).render('dashboard/error', {
+        layout: 'dashboard/layout',
+        title: 'Not Allowed',
+        message,
+        statusCode: 403
+    });
+}
+
+/**
+ * Middleware: make the touchscreen lock and can() available to routes and
+ * templates (res.locals.can('admin') hides what the user may not do), and
+ * keep API tokens without the "read" scope from reading
+ */
+function loadPermissions(req, res, next) {
+    res.locals.touchLocked = users.isTouchLocked();
+    res.locals.can = (action) => can(req, res, action);
+
+    if (req.apiToken && ['GET', 'HEAD'].includes(req.method) && !tokens.hasScope(req.apiToken, 'read')) {
+        return forbid(req, res, null);
+    }
+    next();
+}
+
+/**
+ * Middleware factory: only let requests through that may perform an action
+ * @param {string} action - 'use', 'edit' or 'admin'
+ * @returns {Function} Middleware
+ */
+function permit(action) {
+    if (!ACTION_LEVELS[action]) {
+        throw new Error(`Unknown action: ${action}`);
+    }
+    return (req, res, next) => (can(req, res, action) ? next() : forbid(req, res, action));
+}
+
+module.exports = {
+    loadPermissions,
+    permit
+};
@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * UNITS
+ * ============================================================================
+ *
+ * The units quantities can be kept in, and conversion between them.
+ * - Every unit has a dimension: mass, volume or count
+ * - Mass and volume units convert within their dimension through a base
+ *   unit (grams, millilitres)
+ * - Count units (pieces, packs, cans, bottles) only convert through a
+ *   product's own definitions, e.g. "1 can = 400 g" or "1 pack = 6 pcs",
+ *   since a can of tomatoes and a can of beer are nothing alike
+ *
+ * The unit CHECK constraints in the schema must list the same codes
+ * (see migration 008).
+ */
+
+// Unit code -> { label, dimension, factor (to the dimension's base unit) }
+// Listed in the order they are offered in forms
+const UNITS = {
+    pcs: { label: 'pieces', dimension: 'count' },
+    pack: { label: 'packs', dimension: 'count' },
+    can: { label: 'cans', dimension: 'count' },
+    bottle: { label: 'bottles', dimension: 'count' },
+    g: { label: 'grams', dimension: 'mass', factor: 1 },
+    kg: { label: 'kilograms', dimension: 'mass', factor: 1000 },
+    oz: { label: 'ounces', dimension: 'mass', factor: 28.349523125 },
+    lb: { label: 'pounds', dimension: 'mass', factor: 453.59237 },
+    ml: { label: 'millilitres', dimension: 'volume', factor: 1 },
+    L: { label: 'litres', dimension: 'volume', factor: 1000 },
+    tsp: { label: 'teaspoons', dimension: 'volume', factor: 5 },
+    tbsp: { label: 'tablespoons', dimension: 'volume', factor: 15 },
+    cup: { label: 'cups', dimension: 'volume', factor: 250 }
+};
+
+const UNIT_CODES = Object.keys(UNITS);
+
+const DIMENSION_LABELS = { count: 'Count', mass: 'Weight', volume: 'Volume' };
+
+// Other spellings accepted when reading units typed by people (CSV files,
+// API clients); matched case-insensitively
+const ALIASES = {
+    piece: 'pcs', pieces: 'pcs', pc: 'pcs', each: 'pcs', x: 'pcs',
+    packs: 'pack', packet: 'pack', packets: 'pack', pkt: 'pack',
+    cans: 'can', tin: 'can', tins: 'can',
+    bottles: 'bottle', btl: 'bottle',
+    gram: 'g', grams: 'g', gr: 'g',
+    kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+    ounce: 'oz', ounces: 'oz',
+    pound: 'lb', pounds: 'lb', lbs: 'lb',
+    millilitre: 'ml', millilitres: 'ml', milliliter: 'ml', milliliters: 'ml',
+    l: 'L', litre: 'L', litres: 'L', liter: 'L', liters: 'L',
+    teaspoon: 'tsp', teaspoons: 'tsp',
+    tablespoon: 'tbsp', tablespoons: 'tbsp',
+    cups: 'cup'
+};
+
+/**
+ * Check whether a code is a known unit
+ */
+function isUnit(code) {
+    return Object.prototype.hasOwnProperty.call(UNITS, code);
+}
+
+/**
+ * Resolve a unit as typed by a person to its code
+ * @param {string} text - e.g. "kg", "KG", "Kilograms", "tbsp"
+ * @returns {string|null} Unit code, or null if not recognised
+ */
+function normalizeUnit(text) {
+    const value = String(text || '').trim();
+    if (isUnit(value)) return value;
+
+    const lower = value.toLowerCase();
+    return UNIT_CODES.find(code => code.toLowerCase() === lower || UNITS[code].label === lower)
+        || ALIASES[lower]
+        || null;
+}
+
+/**
+ * Round a converted quantity so float noise does not reach the database
+ */
+function roundQuantity(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Express an amount in its dimension's base unit, following the product's
+ * definitions for count units
+ * @param {number} amount - Amount
+ * @param {string} unit - Unit code
+ * @param {Array} definitions - [{ unit, amount, amount_unit }] ("1 unit = amount amount_unit")
+ * @param {Array} seen - Units already followed (guards against circular definitions)
+ * @returns {Object} { dimension, value } - dimension is the unit itself for a
+ *                   count unit without a definition
+ */
+function toBase(amount, unit, definitions, seen = []) {
+    const info = UNITS[unit];
+    if (info.dimension !== 'count') {
+        return { dimension: info.dimension, value: amount * info.factor };
+    }
+
+    const definition = definitions.find(d => d.unit === unit);
+    if (definition && isUnit(definition.amount_unit) && !seen.includes(unit)) {
+        return toBase(amount * definition.amount, definition.amount_unit, definitions, [...seen, unit]);
+    }
+    return { dimension: unit, value: amount };
+}
+
+/**
+ * Convert an amount between units
+ * @param {number} amount - Amount in the from unit
+ * @param {string} from - Unit code the amount is in
+ * @param {string} to - Unit code wanted
+ * @param {Array} definitions - The product's count unit definitions (see toBase)
+ * @returns {number|null} Converted amount, or null when the units are not compatible
+ */
+function convert(amount, from, to, definitions = []) {
+    if (from === to) return amount;
+    if (!isUnit(from) || !isUnit(to)) return null;
+
+    const source = toBase(amount, from, definitions);
+    const target = toBase(1, to, definitions);
+    if (source.dimension !== target.dimension || target.value === 0) return null;
+
+    return roundQuantity(source.value / target.value);
+}
+
+/**
+ * Units an amount of something kept in the given unit can be entered in
+ * @param {string} unit - The unit it is kept in
+ * @param {Array} definitions - The product's count unit definitions
+ * @returns {Array<string>} Unit codes, the unit itself first
+ */
+function compatibleUnits(unit, definitions = []) {
+    if (!isUnit(unit)) return [unit];
+    return [unit, ...UNIT_CODES.filter(code => code !== unit && convert(1, code, unit, definitions) !== null)];
+}
+
+/**
+ * Unit code -> label (for templates)
+ */
+function getUnitLabels() {
+    return Object.fromEntries(UNIT_CODES.map(code => [code, UNITS[code].label]));
+}
+
+/**
+ * Units grouped by dimension (for <optgroup>s)
+ * @returns {Array} [{ dimension, label, units: [{ code, label }] }]
+ */
+function getUnitGroups() {
+    return Object.keys(DIMENSION_LABELS).map(dimension => ({
+        dimension,
+        label: DIMENSION_LABELS[dimension],
+        units: UNIT_CODES
+            .filter(code => UNITS[code].dimension === dimension)
+            .map(code => ({ code, label: UNITS[code].label }))
+    }));
+}
+
+module.exports = {
+    UNITS,
+    UNIT_CODES,
+    isUnit,
+    normalizeUnit,
+    roundQuantity,
+    convert,
+    compatibleUnits,
+    getUnitLabels,
+    getUnitGroups
+};
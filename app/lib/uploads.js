@@ -0,0 +1,83 @@
+/**
+ * ============================================================================
+ * UPLOAD HELPERS
+ * ============================================================================
+ *
+ * Item photos live in public/uploads as item-<suffix>.<ext>, with a resized
+ * item-<suffix>-thumb.<ext> next to each one. Items store the public path
+ * (/uploads/item-<suffix>.<ext>). Catalog products keep their own copy of a
+ * photo (product-<suffix>.<ext>) so deleting an item never removes it.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'public', 'uploads');
+
+/**
+ * Thumbnail file name for an image file name
+ */
+function thumbnailName(fileName) {
+    return fileName.replace(/(\.[^.]+)$/, '-thumb$1');
+}
+
+/**
+ * Map an /uploads/... image path to the files on disk (image and thumbnail)
+ * @param {string} imagePath - Public image path
+ * @returns {Array} File names in UPLOADS_DIR that exist
+ */
+function uploadFilesFor(imagePath) {
+    const fileName = path.basename(imagePath);
+    return [fileName, thumbnailName(fileName)].filter(name => fs.existsSync(path.join(UPLOADS_DIR, name)));
+}
+
+/**
+ * A fresh, unused image file name (same scheme as the upload handler)
+ * @param {string} ext - Extension including the dot
+ * @param {string} prefix - 'item' or 'product'
+ */
+function uniqueImageName(ext, prefix = 'item') {
+    let name;
+    do {
+        name = `${prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}${ext.toLowerCase()}`;
+    } while (fs.existsSync(path.join(UPLOADS_DIR, name)));
+    return name;
+}
+
+/**
+ * Copy an uploaded image (and its thumbnail) under a new name
+ * @param {string} imagePath - Public image path to copy
+ * @param {string} prefix - 'item' or 'product'
+ * @returns {string|null} Public path of the copy, or null if the file is missing
+ */
+function copyUpload(imagePath, prefix = 'item') {
+    const fileName = path.basename(imagePath);
+    if (!fs.existsSync(path.join(UPLOADS_DIR, fileName))) return null;
+    
+    const newName = uniqueImageName(path.extname(fileName), prefix);
+    fs.copyFileSync(path.join(UPLOADS_DIR, fileName), path.join(UPLOADS_DIR, newName));
+    
+    const thumb = path.join(UPLOADS_DIR, thumbnailName(fileName));
+    if (fs.existsSync(thumb)) {
+        fs.copyFileSync(thumb, path.join(UPLOADS_DIR, thumbnailName(newName)));
+    }
+    
+    return `/uploads/${newName}`;
+}
+
+/**
+ * Delete an uploaded image and its thumbnail
+ * @param {string} imagePath - Public image path
+ */
+function removeUpload(imagePath) {
+    uploadFilesFor(imagePath).forEach(name => fs.unlinkSync(path.join(UPLOADS_DIR, name)));
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    thumbnailName,
+    uploadFilesFor,
+    uniqueImageName,
+    copyUpload,
+    removeUpload
+};
@@ -0,0 +1,223 @@
+/**
+ * ============================================================================
+ * INPUT VALIDATION
+ * ============================================================================
+ *
+ * Checks form and JSON input against a schema before it reaches the
+ * database, for the page routes and the JSON API alike. A schema maps each
+ * field to its rules:
+ *
+ * - type      - 'string', 'number', 'integer', 'date' (YYYY-MM-DD),
+ *               'boolean' (a checkbox: on, 1, true, yes) or 'color' (#rrggbb)
+ * - label     - Name used in messages (defaults to the field name)
+ * - required  - Must not be left empty
+ * - min, max  - Bounds of a number
+ * - above     - A number must be more than this (e.g. 0 for an amount)
+ * - maxLength - Longest string
+ * - oneOf     - Allowed values
+ * - exists    - Function that finds the record an ID refers to
+ * - empty     - Value for a field left empty (defaults to null)
+ * - checkbox  - A checkbox: not being sent at all means false
+ * - optional  - May be left out altogether, even when required (updates
+ *               that change only some fields, see partial())
+ *
+ * validate() returns the converted values and an error message per field,
+ * e.g. { quantity: 'Quantity must be 0 or more.' }, which the forms show
+ * next to their fields and the API returns as { success: false, errors }.
+ * A field missing from the input altogether is left out of the values, so
+ * an update keeps what it had.
+ */
+
+const db = require('../db/database');
+const units = require('./units');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const TRUE_VALUES = ['on', '1', 'true', 'yes'];
+
+/**
+ * Whether a string is a real calendar date (not 2026-02-30)
+ */
+function isDate(value) {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Convert and check one value
+ * @returns {Object} { value } or { error }
+ */
+function checkField(rule, raw, label) {
+    // A field sent twice counts as its last value (a hidden "false" before a checkbox)
+    const last = Array.isArray(raw) ? raw[raw.length - 1] : raw;
+    if (rule.type === 'boolean') {
+        return { value: last === true || TRUE_VALUES.includes(String(last).toLowerCase()) };
+    }
+
+    const text = last === null || last === undefined ? '' : String(last).trim();
+    if (text === '') {
+        return rule.required ? { error: `${label} is required.` } : { value: 'empty' in rule ? rule.empty : null };
+    }
+
+    let value = text;
+    if (rule.type === 'number' || rule.type === 'integer') {
+        value = Number(text);
+        if (!Number.isFinite(value)) return { error: `${label} must be a number.` };
+        if (rule.type === 'integer' && !Number.isInteger(value)) return { error: `${label} must be a whole number.` };
+        if (rule.min !== undefined && value < rule.min) return { error: `${label} must be ${rule.min} or more.` };
+        if (rule.above !== undefined && value <= rule.above) return { error: `${label} must be more than ${rule.above}.` };
+        if (rule.max !== undefined && value > rule.max) return { error: `${label} must be ${rule.max} or less.` };
+    } else if (rule.type === 'date') {
+        if (!isDate(text)) return { error: `${label} must be a date (YYYY-MM-DD).` };
+    } else if (rule.type === 'color') {
+        if (!COLOR_PATTERN.test(text)) return { error: `${label} must be a colour like #3b82f6.` };
+    } else if (rule.maxLength && text.length > rule.maxLength) {
+        return { error: `${label} must be at most ${rule.maxLength} characters.` };
+    }
+
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+        return { error: `${label} must be one of: ${rule.oneOf.join(', ')}.` };
+    }
+    if (rule.exists && !rule.exists(value)) {
+        return { error: `${label} ${text} does not exist.` };
+    }
+    return { value };
+}
+
+/**
+ * Check input against a schema
+ * @param {Object} schema - Field name -> rules (see above)
+ * @param {Object} input - req.body (or any object)
+ * @returns {Object} { values, errors } - errors is empty when the input is valid
+ */
+function validate(schema, input = {}) {
+    const values = {};
+    const errors = {};
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const raw = input ? input[field] : undefined;
+        if (raw === undefined) {
+            // A checkbox left unticked is not sent at all
+            if (rule.checkbox) {
+                values[field] = false;
+                return;
+            }
+            if (!rule.required || rule.optional) return;
+        }
+
+        const result = checkField(rule, raw === undefined ? '' : raw, rule.label || field);
+        if (result.error) {
+            errors[field] = result.error;
+        } else {
+            values[field] = result.value;
+        }
+    });
+
+    return { values, errors };
+}
+
+/**
+ * Whether validate() found anything wrong
+ */
+function hasErrors(errors) {
+    return Object.keys(errors).length > 0;
+}
+
+/**
+ * JSON body for input that did not validate (sent with status 400)
+ * @returns {Object} { success: false, message, errors }
+ */
+function errorResponse(errors) {
+    return { success: false, message: Object.values(errors).join(' '), errors };
+}
+
+// ============================================================================
+// SCHEMAS
+// ============================================================================
+
+const locationExists = (id) => db.getLocationById(id);
+
+// An item, as sent by the add and edit forms (and bulk updates)
+const ITEM = {
+    title: { type: 'string', label: 'Item name', required: true, maxLength: 200 },
+    description: { type: 'string', label: 'Notes', maxLength: 2000, empty: '' },
+    category: { type: 'string', label: 'Category', maxLength: 100, empty: 'Uncategorized' },
+    location_id: { type: 'integer', label: 'Location', required: true, min: 1, exists: locationExists },
+    brand: { type: 'string', label: 'Brand', maxLength: 100 },
+    is_homemade: { type: 'boolean', label: 'Homemade', checkbox: true },
+    quantity: { type: 'number', label: 'Quantity', min: 0, max: 1000000, empty: 1 },
+    unit: { type: 'string', label: 'Unit', oneOf: units.UNIT_CODES, empty: 'pcs' },
+    date_added: { type: 'date', label: 'Date added' },
+    expiry_date: { type: 'date', label: 'Expiry date' },
+    expiry_type: { type: 'string', label: 'Date type', oneOf: db.EXPIRY_TYPES },
+    expiry_warning_days: { type: 'integer', label: 'Warn before expiry', min: 0, max: 3650 },
+    min_quantity: { type: 'number', label: 'Minimum', min: 0 },
+    target_quantity: { type: 'number', label: 'Target', min: 0 },
+    product_id: { type: 'integer', label: 'Product', min: 1 },
+    barcode: { type: 'string', label: 'Barcode', maxLength: 64 }
+};
+
+// A storage location, as sent by the Manage Locations forms
+const LOCATION = {
+    name: { type: 'string', label: 'Name', required: true, maxLength: 50 },
+    type: { type: 'string', label: 'Type', oneOf: db.LOCATION_TYPES, empty: 'other' },
+    icon: { type: 'string', label: 'Icon', maxLength: 16, empty: '📦' },
+    color: { type: 'color', label: 'Colour', empty: '#666666' },
+    is_visible: { type: 'boolean', label: 'Visible' },
+    sort_order: { type: 'integer', label: 'Sort order', min: 0 }
+};
+
+// An amount used or added from an item page (POST /items/use/:id), in
+// the item's unit or one that converts to it
+const AMOUNT = {
+    amount: { type: 'number', label: 'Amount', above: 0, max: 1000000, empty: 1 },
+    unit: { type: 'string', label: 'Unit', oneOf: units.UNIT_CODES }
+};
+
+// An amount added, possibly as its own lot (POST /items/add-quantity/:id)
+const LOT = {
+    ...AMOUNT,
+    date_added: ITEM.date_added,
+    expiry_date: ITEM.expiry_date,
+    location_id: { ...ITEM.location_id, required: false }
+};
+
+// Throwing an item (or one of its lots, lot_id) away (POST /items/discard/:id)
+const DISCARD = {
+    action: { type: 'string', label: 'Action', oneOf: db.CONSUMPTION_ACTIONS, empty: 'discarded' },
+    lot_id: { type: 'integer', label: 'Lot', min: 1 }
+};
+
+// A quantity change through the API (PUT /api/items/:id/quantity)
+const QUANTITY_CHANGE = {
+    quantity: { type: 'number', label: 'quantity', min: 0, max: 1000000 },
+    delta: { type: 'number', label: 'delta', min: -1000000, max: 1000000 },
+    action: { type: 'string', label: 'action', oneOf: db.CONSUMPTION_ACTIONS }
+};
+
+/**
+ * The schema for changing only some fields (e.g. the fields a bulk update
+ * may change): any field may be left out, but one that is sent must still
+ * be valid - a required field cannot be emptied
+ */
+function partial(schema, fields = Object.keys(schema)) {
+    return Object.fromEntries(fields
+        .filter(field => schema[field])
+        .map(field => [field, { ...schema[field], checkbox: false, optional: true }]));
+}
+
+module.exports = {
+    validate,
+    hasErrors,
+    errorResponse,
+    partial,
+    schemas: {
+        ITEM,
+        LOCATION,
+        AMOUNT,
+        LOT,
+        DISCARD,
+        QUANTITY_CHANGE
+    }
+};
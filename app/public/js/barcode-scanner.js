@@ -0,0 +1,383 @@
+/**
+ * ============================================================================
+ * BARCODE SCANNER - USB scanners and camera decoding
+ * ============================================================================
+ *
+ * Two ways to scan, both fully offline:
+ *
+ * - USB HID scanners ("keyboard wedge") type the code very fast and press
+ *   Enter. Such bursts are caught on every page that loads this script,
+ *   wherever the focus is; characters a scan typed into a field are taken
+ *   back out again.
+ * - Buttons marked data-barcode-camera decode EAN-13/EAN-8/UPC-A from the
+ *   camera: live video where the browser allows it (HTTPS or localhost),
+ *   otherwise a photo taken with the camera. The browser's BarcodeDetector
+ *   is used when available, else the decoder below.
+ *
+ * A scan fires a cancelable 'barcode-scanned' event on document with
+ * detail.code. Pages that handle scans themselves (the add forms, see
+ * product-autocomplete.js) cancel it; otherwise the add form is opened
+ * for the code.
+ */
+
+(function() {
+    'use strict';
+
+    // A key arriving later than this after the previous one starts over -
+    // scanners type far faster than people
+    const MAX_KEY_INTERVAL_MS = 50;
+    const MIN_SCAN_LENGTH = 6;
+
+    // Milliseconds between frames decoded from live video
+    const FRAME_INTERVAL_MS = 250;
+
+    const isTouchUI = !document.body.classList.contains('dashboard-ui');
+
+    // =========================================================================
+    // Dispatching scans
+    // =========================================================================
+
+    function scanned(code) {
+        const event = new CustomEvent('barcode-scanned', { detail: { code: code }, cancelable: true });
+        if (document.dispatchEvent(event)) {
+            openAddForm(code);
+        }
+    }
+
+    // Open the add form for the code, in the location being viewed
+    function openAddForm(code) {
+        const match = window.location.pathname.match(/\/location\/(\d+)/);
+        const params = new URLSearchParams({ barcode: code });
+        if (match) params.set('location', match[1]);
+        window.location = (isTouchUI ? '/touch/add?' : '/dashboard/add?') + params.toString();
+    }
+
+    // =========================================================================
+    // USB HID (keyboard wedge) scanners
+    // =========================================================================
+
+    let buffer = '';
+    let lastKeyAt = 0;
+    let bufferTarget = null;
+
+    document.addEventListener('keydown', function(e) {
+        const now = Date.now();
+        if (now - lastKeyAt > MAX_KEY_INTERVAL_MS) {
+            buffer = '';
+            bufferTarget = e.target;
+        }
+        lastKeyAt = now;
+
+        if (e.key === 'Enter') {
+            if (buffer.length >= MIN_SCAN_LENGTH) {
+                e.preventDefault();
+                e.stopPropagation();
+                const code = buffer;
+                removeTypedCode(bufferTarget, code);
+                buffer = '';
+                scanned(code);
+            }
+            buffer = '';
+            return;
+        }
+
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            buffer += e.key;
+        }
+    }, true);
+
+    // Take the scanned characters back out of the field they were typed into
+    function removeTypedCode(target, code) {
+        if (!target || !('value' in target) || typeof target.value !== 'string') return;
+        // Give the last keystroke time to land in the field first
+        setTimeout(function() {
+            if (target.value.endsWith(code)) {
+                target.value = target.value.slice(0, -code.length);
+                target.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+        }, 0);
+    }
+
+    // =========================================================================
+    // EAN / UPC decoder (used when the browser has no BarcodeDetector)
+    // Reads scan lines across the image and matches bar widths against the
+    // EAN digit patterns. UPC-A is EAN-13 with a leading 0.
+    // =========================================================================
+
+    // Relative widths of the four bars/spaces of each digit
+    const L_PATTERNS = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112'];
+    const G_PATTERNS = L_PATTERNS.map(function(p) { return p.split('').reverse().join(''); });
+
+    // Parity of the six left digits (L or G) gives the first EAN-13 digit
+    const FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+    const MAX_DIGIT_ERROR = 1.6;
+    const SCAN_LINES = 24;
+
+    function checksumOk(code) {
+        let sum = 0;
+        for (let i = 0; i < code.length - 1; i++) {
+            const digit = parseInt(code[code.length - 2 - i], 10);
+            sum += i % 2 === 0 ? digit * 3 : digit;
+        }
+        return (10 - (sum % 10)) % 10 === parseInt(code[code.length - 1], 10);
+    }
+
+    // Best matching digit for four run widths: { digit, parity, error }
+    function matchDigit(widths, patternSets) {
+        const unit = (widths[0] + widths[1] + widths[2] + widths[3]) / 7;
+        let best = null;
+        Object.keys(patternSets).forEach(function(parity) {
+            patternSets[parity].forEach(function(pattern, digit) {
+                let error = 0;
+                for (let i = 0; i < 4; i++) {
+                    error += Math.abs(widths[i] / unit - parseInt(pattern[i], 10));
+                }
+                if (!best || error < best.error) {
+                    best = { digit: digit, parity: parity, error: error };
+                }
+            });
+        });
+        return best && best.error <= MAX_DIGIT_ERROR ? best : null;
+    }
+
+    function guardOk(widths, module) {
+        return widths.every(function(w) { return w > module * 0.4 && w < module * 2.2; });
+    }
+
+    // Try to read a barcode whose start guard is the bar at runs[start]
+    function decodeAt(runs, start, digitsPerHalf) {
+        const runCount = 3 + digitsPerHalf * 8 + 5 + 3;
+        if (start + runCount > runs.length) return null;
+
+        const slice = runs.slice(start, start + runCount);
+        const total = slice.reduce(function(a, b) { return a + b; }, 0);
+        const module = total / (digitsPerHalf * 14 + 11);
+
+        if (!guardOk(slice.slice(0, 3), module)) return null;
+        const middle = 3 + digitsPerHalf * 4;
+        if (!guardOk(slice.slice(middle, middle + 5), module)) return null;
+        if (!guardOk(slice.slice(runCount - 3), module)) return null;
+
+        let digits = '';
+        let parity = '';
+        for (let d = 0; d < digitsPerHalf * 2; d++) {
+            const offset = d < digitsPerHalf ? 3 + d * 4 : middle + 5 + (d - digitsPerHalf) * 4;
+            const left = d < digitsPerHalf;
+            const sets = left && digitsPerHalf === 6 ? { L: L_PATTERNS, G: G_PATTERNS } : { L: L_PATTERNS };
+            const match = matchDigit(slice.slice(offset, offset + 4), sets);
+            if (!match) return null;
+            digits += match.digit;
+            if (left) parity += match.parity;
+        }
+
+        if (digitsPerHalf === 6) {
+            const first = FIRST_DIGIT_PARITY.indexOf(parity);
+            if (first < 0) return null;
+            digits = first + digits;
+        }
+
+        return checksumOk(digits) ? digits : null;
+    }
+
+    // Runs of dark/light along one row, starting with the first dark run
+    function rowRuns(data, width, y) {
+        const gray = new Array(width);
+        let min = 255, max = 0;
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const value = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+            gray[x] = value;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        if (max - min < 40) return null;
+
+        const threshold = (min + max) / 2;
+        const runs = [];
+        let dark = gray[0] < threshold;
+        let length = 0;
+        let started = false;
+        for (let x = 0; x < width; x++) {
+            const isDark = gray[x] < threshold;
+            if (isDark === dark) {
+                length++;
+                continue;
+            }
+            if (started) runs.push({ dark: dark, width: length });
+            if (isDark) started = true;
+            dark = isDark;
+            length = 1;
+        }
+        return runs;
+    }
+
+    function decodeRuns(runs) {
+        const widths = runs.map(function(r) { return r.width; });
+        for (let i = 0; i < runs.length; i += 2) {
+            const code = decodeAt(widths, i, 6) || decodeAt(widths, i, 4);
+            if (code) return code;
+        }
+        return null;
+    }
+
+    /**
+     * Decode an EAN-13/EAN-8/UPC-A barcode from canvas image data
+     * @returns {string|null} The code (UPC-A as 13 digits), or null
+     */
+    function decodeImageData(imageData) {
+        const reads = {};
+        for (let line = 1; line < SCAN_LINES; line++) {
+            const y = Math.floor(imageData.height * line / SCAN_LINES);
+            const runs = rowRuns(imageData.data, imageData.width, y);
+            if (!runs) continue;
+
+            // Barcodes held upside down read backwards
+            const backwards = runs.slice().reverse();
+            if (backwards.length && !backwards[0].dark) backwards.shift();
+
+            const code = decodeRuns(runs) || decodeRuns(backwards);
+            if (code) {
+                reads[code] = (reads[code] || 0) + 1;
+                // Two lines agreeing is enough to trust a read
+                if (reads[code] >= 2) return code;
+            }
+        }
+        const codes = Object.keys(reads);
+        return codes.length === 1 ? codes[0] : null;
+    }
+
+    // =========================================================================
+    // Camera
+    // =========================================================================
+
+    let detector = null;
+    if ('BarcodeDetector' in window) {
+        try {
+            detector = new window.BarcodeDetector({ formats: ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128'] });
+        } catch (error) {
+            detector = null;
+        }
+    }
+
+    // Decode whatever is drawn on the canvas; resolves to a code or null
+    function decodeCanvas(canvas) {
+        if (detector) {
+            return detector.detect(canvas)
+                .then(function(results) { return results.length ? results[0].rawValue : null; })
+                .catch(function() { return decodeImageData(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height)); });
+        }
+        return Promise.resolve(decodeImageData(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height)));
+    }
+
+    function drawScaled(canvas, source, sourceWidth, sourceHeight, maxWidth) {
+        const scale = Math.min(1, maxWidth / sourceWidth);
+        canvas.width = Math.round(sourceWidth * scale);
+        canvas.height = Math.round(sourceHeight * scale);
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    }
+
+    function buildOverlay() {
+        const overlay = document.createElement('div');
+        overlay.className = 'barcode-overlay';
+        overlay.innerHTML =
+            '<div class="barcode-overlay-inner">' +
+            '<video class="barcode-video" playsinline muted></video>' +
+            '<p class="barcode-status">Point the camera at a barcode</p>' +
+            '<button type="button" class="barcode-cancel">Cancel</button>' +
+            '</div>';
+        overlay.style.cssText = 'position:fixed;inset:0;z-index:1000;background:rgba(0,0,0,0.85);' +
+            'display:flex;align-items:center;justify-content:center;';
+        overlay.querySelector('.barcode-overlay-inner').style.cssText = 'text-align:center;color:#fff;width:min(90vw,480px);';
+        overlay.querySelector('video').style.cssText = 'width:100%;border-radius:8px;background:#000;';
+        overlay.querySelector('.barcode-cancel').style.cssText = 'margin-top:12px;padding:10px 24px;font-size:16px;border-radius:8px;border:none;';
+        document.body.appendChild(overlay);
+        return overlay;
+    }
+
+    // Live video scanning (needs getUserMedia, i.e. HTTPS or localhost)
+    function scanFromVideo() {
+        return navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false })
+            .then(function(stream) {
+                const overlay = buildOverlay();
+                const video = overlay.querySelector('video');
+                const canvas = document.createElement('canvas');
+                let timer = null;
+                let busy = false;
+
+                video.srcObject = stream;
+                video.play();
+
+                function stop() {
+                    clearInterval(timer);
+                    stream.getTracks().forEach(function(track) { track.stop(); });
+                    overlay.remove();
+                }
+
+                overlay.querySelector('.barcode-cancel').addEventListener('click', stop);
+
+                timer = setInterval(function() {
+                    if (busy || video.readyState < 2) return;
+                    busy = true;
+                    drawScaled(canvas, video, video.videoWidth, video.videoHeight, 800);
+                    decodeCanvas(canvas).then(function(code) {
+                        busy = false;
+                        if (code && document.body.contains(overlay)) {
+                            stop();
+                            scanned(code);
+                        }
+                    });
+                }, FRAME_INTERVAL_MS);
+            });
+    }
+
+    // Still photo scanning (works over plain HTTP on phones)
+    function scanFromPhoto() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/*';
+        input.setAttribute('capture', 'environment');
+
+        input.addEventListener('change', function() {
+            if (!input.files || !input.files[0]) return;
+            const image = new Image();
+            const url = URL.createObjectURL(input.files[0]);
+            image.onload = function() {
+                const canvas = document.createElement('canvas');
+                drawScaled(canvas, image, image.naturalWidth, image.naturalHeight, 1200);
+                URL.revokeObjectURL(url);
+                decodeCanvas(canvas).then(function(code) {
+                    if (code) {
+                        scanned(code);
+                    } else {
+                        alert('No barcode found in the photo. Try again closer, with the barcode across the picture.');
+                    }
+                });
+            };
+            image.src = url;
+        });
+
+        input.click();
+    }
+
+    function scanWithCamera() {
+        if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.isSecureContext) {
+            scanFromVideo().catch(scanFromPhoto);
+        } else {
+            scanFromPhoto();
+        }
+    }
+
+    document.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-barcode-camera]');
+        if (button) {
+            e.preventDefault();
+            scanWithCamera();
+        }
+    });
+
+    window.BarcodeScanner = {
+        decodeImageData: decodeImageData,
+        scanWithCamera: scanWithCamera
+    };
+})();
@@ -13,6 +13,7 @@
  * - Search and filter
  * - Image upload with drag-drop
  * - Keyboard shortcuts
+ * - Undo toasts for stock changes and deletes
  */
 
 (function() {
@@ -34,6 +35,7 @@
         initLocationSelect();
         initKeyboardShortcuts();
         initTooltips();
+        initUndoOffer();
     });
 
     // =========================================================================
@@ -188,6 +190,12 @@
         });
     }
 
+    // Changes carry the page's CSRF token (see lib/csrf.js)
+    function csrfToken() {
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        return meta ? meta.content : '';
+    }
+
     function updateQuantity(itemId, action, amount, btn) {
         const endpoint = action === 'use' ? '/items/use/' + itemId : '/items/add-quantity/' + itemId;
         
@@ -197,7 +205,8 @@
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
-                'X-Requested-With': 'XMLHttpRequest'
+                'X-Requested-With': 'XMLHttpRequest',
+                'X-CSRF-Token': csrfToken()
             },
             body: 'quantity=' + amount
         })
@@ -226,9 +235,9 @@
                             row.remove();
                         }, 500);
                     }
-                    showToast('Item removed from inventory', 'success');
+                    showToast('Item removed from inventory', 'success', { undo: data.undo });
                 } else {
-                    showToast(action === 'use' ? 'Used 1' : 'Added 1', 'success');
+                    showToast(action === 'use' ? 'Used 1' : 'Added 1', 'success', { undo: data.undo });
                 }
             }
         })
@@ -534,7 +543,7 @@
         });
 
         function handleDeleteConfirm(e) {
-            if (!confirm('Are you sure you want to delete this item?\n\nThis action cannot be undone.')) {
+            if (!confirm('Delete this item?\n\nIt is kept in the Trash for a while and can be restored from there.')) {
                 e.preventDefault();
             }
         }
@@ -637,11 +646,67 @@
         });
     }
 
+    // =========================================================================
+    // Undo
+    // =========================================================================
+    // A change made by a form comes back with ?undo=<id>: offer it as a
+    // toast with an Undo button
+    function initUndoOffer() {
+        const params = new URLSearchParams(window.location.search);
+        const undoId = params.get('undo');
+        if (!undoId) return;
+        
+        // Don't offer it again on reload
+        params.delete('undo');
+        const query = params.toString();
+        history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+        
+        fetch('/api/undo/' + encodeURIComponent(undoId), {
+            headers: { 'X-Requested-With': 'XMLHttpRequest' }
+        })
+        .then(function(response) {
+            return response.json();
+        })
+        .then(function(data) {
+            if (data.success) {
+                showToast(data.undo.label, 'success', { undo: data.undo });
+            }
+        })
+        .catch(function(err) {
+            console.error(err);
+        });
+    }
+
+    function undoChange(undo) {
+        fetch('/api/undo/' + encodeURIComponent(undo.id), {
+            method: 'POST',
+            headers: { 'X-Requested-With': 'XMLHttpRequest', 'X-CSRF-Token': csrfToken() }
+        })
+        .then(function(response) {
+            return response.json();
+        })
+        .then(function(data) {
+            showToast(data.message || 'Failed to undo', data.success ? 'success' : 'error');
+            if (data.success) {
+                setTimeout(function() {
+                    window.location.reload();
+                }, 800);
+            }
+        })
+        .catch(function(err) {
+            showToast('Failed to undo', 'error');
+            console.error(err);
+        });
+    }
+
     // =========================================================================
     // Toast Notifications
     // =========================================================================
-    function showToast(message, type) {
+    // options.undo ({ id } of a change that can be undone) adds an Undo
+    // button and keeps the toast up longer
+    function showToast(message, type, options) {
         type = type || 'info';
+        options = options || {};
         
         // Remove existing toasts
         document.querySelectorAll('.toast').forEach(function(t) {
@@ -676,6 +741,28 @@
             transition: 'all 0.3s ease'
         });
         
+        if (options.undo) {
+            const undoBtn = document.createElement('button');
+            undoBtn.type = 'button';
+            undoBtn.textContent = 'Undo';
+            Object.assign(undoBtn.style, {
+                marginLeft: '12px',
+                padding: '4px 10px',
+                border: '1px solid currentColor',
+                borderRadius: '6px',
+                background: 'transparent',
+                color: 'inherit',
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer'
+            });
+            undoBtn.addEventListener('click', function() {
+                undoBtn.disabled = true;
+                undoChange(options.undo);
+            });
+            toast.appendChild(undoBtn);
+        }
+        
         document.body.appendChild(toast);
         
         // Trigger animation
@@ -690,7 +777,7 @@
             setTimeout(function() {
                 toast.remove();
             }, 300);
-        }, 3000);
+        }, options.undo ? 8000 : 3000);
     }
 
     // Expose showToast globally
@@ -108,7 +108,6 @@
         locationGrid.classList.remove('grid-1', 'grid-2', 'grid-3', 'grid-4');
         locationGrid.classList.add(`grid-${Math.min(visibleCount, 4)}`);
     }
-    }
 
     function checkAutoRedirect(settings) {
         // Only redirect if autoRedirect is enabled and exactly one location is visible
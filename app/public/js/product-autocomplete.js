@@ -0,0 +1,232 @@
+/**
+ * ============================================================================
+ * PRODUCT AUTOCOMPLETE - Fill the add form from the product catalog
+ * ============================================================================
+ *
+ * Used by the touch and dashboard add forms. Typing in a title input marked
+ * with data-product-autocomplete suggests catalog products (/api/products);
+ * picking one fills in category, brand, unit and quantity, links the item
+ * to the product (hidden product_id) and sets the expiry date from the
+ * product's shelf life for the chosen location's type.
+ *
+ * Location radios carry data-location-type. An expiry date filled in here
+ * follows location changes until the user edits it by hand.
+ *
+ * Barcodes scanned while the form is open (see barcode-scanner.js) are
+ * looked up in /api/barcodes: a known code picks its product, and either
+ * way the code is sent with the form (hidden barcode) so it is remembered
+ * for the product the item is added as.
+ */
+
+(function() {
+    'use strict';
+
+    const SEARCH_DELAY_MS = 200;
+    const SUGGESTION_LIMIT = 8;
+
+    document.addEventListener('DOMContentLoaded', function() {
+        const titleInput = document.querySelector('input[data-product-autocomplete]');
+        if (!titleInput) return;
+
+        const form = titleInput.form;
+        const productIdInput = form.querySelector('input[name="product_id"]');
+        const barcodeInput = form.querySelector('input[name="barcode"]');
+        const barcodeStatus = form.querySelector('[data-barcode-status]');
+        const expiryInput = form.querySelector('input[name="expiry_date"]');
+        const dateAddedInput = form.querySelector('input[name="date_added"]');
+
+        // Suggestions use the browser's own dropdown (works with touch keyboards)
+        const datalist = document.createElement('datalist');
+        datalist.id = 'productSuggestions';
+        form.appendChild(datalist);
+        titleInput.setAttribute('list', datalist.id);
+        titleInput.setAttribute('autocomplete', 'off');
+
+        const known = new Map(); // lower-case name -> product
+        let selected = null;
+        let autoExpiry = expiryInput ? expiryInput.hasAttribute('data-auto') : false;
+        let searchTimer = null;
+
+        // Opened with a product already filled in (e.g. from a scanned barcode)
+        if (productIdInput.value) {
+            fetch('/api/products/' + encodeURIComponent(productIdInput.value), {
+                headers: { 'Accept': 'application/json' }
+            })
+                .then(function(response) { return response.json(); })
+                .then(function(data) {
+                    if (!data.success) return;
+                    known.set(data.product.name.toLowerCase(), data.product);
+                    selected = data.product;
+                })
+                .catch(function() {});
+        }
+
+        // =====================================================================
+        // Suggestions
+        // =====================================================================
+
+        function search(query) {
+            fetch('/api/products?limit=' + SUGGESTION_LIMIT + '&q=' + encodeURIComponent(query), {
+                headers: { 'Accept': 'application/json' }
+            })
+                .then(function(response) { return response.json(); })
+                .then(function(data) {
+                    if (!data.success) return;
+                    datalist.innerHTML = '';
+                    data.products.forEach(function(product) {
+                        known.set(product.name.toLowerCase(), product);
+                        const option = document.createElement('option');
+                        option.value = product.name;
+                        option.label = [product.brand, product.default_quantity + ' ' + product.unit].filter(Boolean).join(' · ');
+                        datalist.appendChild(option);
+                    });
+                    matchTitle();
+                })
+                .catch(function() {
+                    // Autocomplete is a convenience; the form works without it
+                });
+        }
+
+        function matchTitle() {
+            const product = known.get(titleInput.value.trim().toLowerCase());
+            if (product && product !== selected) {
+                applyProduct(product);
+            } else if (!product && selected) {
+                // Typed away from the product - keep the values, drop the link
+                selected = null;
+                productIdInput.value = '';
+            }
+        }
+
+        titleInput.addEventListener('input', function() {
+            clearTimeout(searchTimer);
+            const query = titleInput.value.trim();
+            if (query) {
+                searchTimer = setTimeout(function() { search(query); }, SEARCH_DELAY_MS);
+            }
+            matchTitle();
+        });
+
+        // =====================================================================
+        // Filling the form
+        // =====================================================================
+
+        function setValue(name, value) {
+            const field = form.querySelector('[name="' + name + '"]');
+            if (!field || value === null || value === undefined) return;
+            if (field.tagName === 'SELECT' && !Array.from(field.options).some(function(o) { return o.value === String(value); })) {
+                return;
+            }
+            field.value = value;
+        }
+
+        function applyProduct(product) {
+            selected = product;
+            productIdInput.value = product.id;
+
+            setValue('category', product.category);
+            setValue('unit', product.unit);
+            setValue('quantity', product.default_quantity);
+            setValue('brand', product.brand || '');
+            setValue('expiry_type', product.expiry_type || 'use_by');
+
+            const homemade = form.querySelector('input[name="is_homemade"]');
+            if (homemade && homemade.checked !== !!product.is_homemade) {
+                homemade.checked = !!product.is_homemade;
+                homemade.dispatchEvent(new Event('change'));
+            }
+
+            showProductImage(product);
+            updateExpiry();
+        }
+
+        // Preview the photo the item will get if none is uploaded
+        function showProductImage(product) {
+            const imageInput = form.querySelector('input[type="file"][name="image"]');
+            const preview = document.getElementById('imagePreview');
+            const placeholder = document.getElementById('uploadPlaceholder');
+            if (!preview || (imageInput && imageInput.files.length > 0)) return;
+
+            if (product.image_path) {
+                preview.src = product.image_path;
+                preview.style.display = 'block';
+                if (placeholder) placeholder.style.display = 'none';
+            } else if (preview.src && !preview.src.startsWith('data:')) {
+                preview.removeAttribute('src');
+                preview.style.display = 'none';
+                if (placeholder) placeholder.style.display = '';
+            }
+        }
+
+        function updateExpiry() {
+            if (!selected || !expiryInput || (expiryInput.value && !autoExpiry)) return;
+
+            const location = form.querySelector('input[name="location_id"]:checked');
+            const days = location ? selected.shelf_life[location.dataset.locationType] : undefined;
+
+            if (days === undefined) {
+                if (autoExpiry) expiryInput.value = '';
+                return;
+            }
+
+            const start = dateAddedInput && dateAddedInput.value
+                ? new Date(dateAddedInput.value + 'T00:00:00Z')
+                : new Date(new Date().toISOString().split('T')[0] + 'T00:00:00Z');
+            start.setUTCDate(start.getUTCDate() + days);
+            expiryInput.value = start.toISOString().split('T')[0];
+            autoExpiry = true;
+        }
+
+        // =====================================================================
+        // Scanned barcodes
+        // =====================================================================
+
+        function showBarcode(code, product) {
+            if (!barcodeStatus) return;
+            barcodeStatus.textContent = product
+                ? '🔖 ' + code + ' - ' + product.name
+                : '🔖 ' + code + ' - new barcode, it will be remembered for this item';
+            barcodeStatus.hidden = false;
+        }
+
+        document.addEventListener('barcode-scanned', function(e) {
+            e.preventDefault();
+            const location = form.querySelector('input[name="location_id"]:checked');
+            const query = location ? '?location_id=' + encodeURIComponent(location.value) : '';
+
+            fetch('/api/barcodes/' + encodeURIComponent(e.detail.code) + query, {
+                headers: { 'Accept': 'application/json' }
+            })
+                .then(function(response) { return response.json(); })
+                .then(function(data) {
+                    if (!data.success) return;
+                    if (barcodeInput) barcodeInput.value = data.code;
+                    if (data.product) {
+                        titleInput.value = data.product.name;
+                        known.set(data.product.name.toLowerCase(), data.product);
+                        applyProduct(data.product);
+                    } else {
+                        titleInput.focus();
+                    }
+                    showBarcode(data.code, data.product);
+                })
+                .catch(function() {
+                    // Offline from the server - keep the code for when the form is sent
+                    if (barcodeInput) barcodeInput.value = e.detail.code;
+                    showBarcode(e.detail.code, null);
+                });
+        });
+
+        form.querySelectorAll('input[name="location_id"]').forEach(function(input) {
+            input.addEventListener('change', updateExpiry);
+        });
+        if (dateAddedInput) {
+            dateAddedInput.addEventListener('change', updateExpiry);
+        }
+        if (expiryInput) {
+            expiryInput.addEventListener('input', function() {
+                autoExpiry = false;
+            });
+        }
+    });
+})();
@@ -0,0 +1,100 @@
+/**
+ * ============================================================================
+ * PUSH SUBSCRIBE - Web Push for the notifications settings page
+ * ============================================================================
+ *
+ * Registers the service worker (/sw.js) and lets this browser subscribe to
+ * or unsubscribe from the alert digest. The subscription is stored by
+ * /api/notifications/subscriptions; the VAPID public key comes from the
+ * data-push-key attribute.
+ *
+ * Browsers only offer push on secure origins (https:// or localhost).
+ */
+
+(function() {
+    'use strict';
+
+    document.addEventListener('DOMContentLoaded', function() {
+        const container = document.querySelector('[data-push-key]');
+        if (!container) return;
+
+        const button = document.getElementById('pushToggle');
+        const status = document.getElementById('pushStatus');
+
+        if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+            status.textContent = window.isSecureContext
+                ? 'This browser does not support push notifications.'
+                : 'Open the dashboard over https:// (or on localhost) to get push notifications in this browser.';
+            return;
+        }
+
+        navigator.serviceWorker.register('/sw.js')
+            .then(function(registration) {
+                return registration.pushManager.getSubscription().then(function(subscription) {
+                    showState(subscription);
+                    button.addEventListener('click', function() {
+                        button.disabled = true;
+                        const action = subscription
+                            ? unsubscribe(subscription)
+                            : subscribe(registration, container.dataset.pushKey);
+                        action
+                            .then(function() { window.location.reload(); })
+                            .catch(function(error) {
+                                status.textContent = error.message;
+                                button.disabled = false;
+                            });
+                    });
+                });
+            })
+            .catch(function(error) {
+                status.textContent = 'Push notifications are unavailable: ' + error.message;
+            });
+
+        function showState(subscription) {
+            button.hidden = false;
+            button.textContent = subscription ? 'Unsubscribe This Browser' : 'Subscribe This Browser';
+            status.textContent = subscription ? 'This browser is subscribed.' : '';
+        }
+    });
+
+    function subscribe(registration, publicKey) {
+        return Notification.requestPermission()
+            .then(function(permission) {
+                if (permission !== 'granted') {
+                    throw new Error('Notifications are blocked for this site.');
+                }
+                return registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: base64UrlToBytes(publicKey)
+                });
+            })
+            .then(function(subscription) {
+                return send('POST', subscription.toJSON());
+            });
+    }
+
+    function unsubscribe(subscription) {
+        return send('DELETE', { endpoint: subscription.endpoint })
+            .then(function() { return subscription.unsubscribe(); });
+    }
+
+    function send(method, body) {
+        return fetch('/api/notifications/subscriptions', {
+            method: method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]').content
+            },
+            body: JSON.stringify(body)
+        }).then(function(response) {
+            if (!response.ok) throw new Error('The server did not accept the subscription.');
+        });
+    }
+
+    function base64UrlToBytes(value) {
+        const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+        const raw = atob(base64);
+        return Uint8Array.from(raw, function(c) { return c.charCodeAt(0); });
+    }
+})();
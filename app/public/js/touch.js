@@ -20,6 +20,7 @@
         initConfirmActions();
         initLocationSelect();
         initPullToRefresh();
+        initUndoOffer();
     });
 
     // =========================================================================
@@ -183,7 +184,7 @@
         // Delete confirmation
         document.querySelectorAll('.delete-form').forEach(function(form) {
             form.addEventListener('submit', function(e) {
-                if (!confirm('Are you sure you want to delete this item? This cannot be undone.')) {
+                if (!confirm('Delete this item? It is kept in the trash for a while and can be restored from the dashboard.')) {
                     e.preventDefault();
                 }
             });
@@ -264,11 +265,73 @@
         }, { passive: true });
     }
 
+    // =========================================================================
+    // Undo
+    // =========================================================================
+    // A use, discard or delete made by a form comes back with ?undo=<id>:
+    // offer it as a toast with an Undo button
+    function initUndoOffer() {
+        const params = new URLSearchParams(window.location.search);
+        const undoId = params.get('undo');
+        if (!undoId) return;
+        
+        // Don't offer it again on reload
+        params.delete('undo');
+        const query = params.toString();
+        history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+        
+        fetch('/api/undo/' + encodeURIComponent(undoId), {
+            headers: { 'X-Requested-With': 'XMLHttpRequest' }
+        })
+        .then(function(response) {
+            return response.json();
+        })
+        .then(function(data) {
+            if (data.success) {
+                showToast(data.undo.label, 'success', { undo: data.undo });
+            }
+        })
+        .catch(function(err) {
+            console.error(err);
+        });
+    }
+
+    // Changes carry the page's CSRF token (see lib/csrf.js)
+    function csrfToken() {
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        return meta ? meta.content : '';
+    }
+
+    function undoChange(undo) {
+        fetch('/api/undo/' + encodeURIComponent(undo.id), {
+            method: 'POST',
+            headers: { 'X-Requested-With': 'XMLHttpRequest', 'X-CSRF-Token': csrfToken() }
+        })
+        .then(function(response) {
+            return response.json();
+        })
+        .then(function(data) {
+            showToast(data.message || 'Failed to undo', data.success ? 'success' : 'error');
+            if (data.success) {
+                setTimeout(function() {
+                    window.location.reload();
+                }, 800);
+            }
+        })
+        .catch(function(err) {
+            showToast('Failed to undo', 'error');
+            console.error(err);
+        });
+    }
+
     // =========================================================================
     // Toast Notifications
     // =========================================================================
-    function showToast(message, type) {
+    // options.undo ({ id } of a change that can be undone) adds an Undo
+    // button and keeps the toast up longer
+    function showToast(message, type, options) {
         type = type || 'info';
+        options = options || {};
         
         // Remove existing toasts
         document.querySelectorAll('.toast').forEach(function(t) {
@@ -294,6 +357,27 @@
             boxShadow: '0 4px 12px rgba(0,0,0,0.3)'
         });
         
+        if (options.undo) {
+            const undoBtn = document.createElement('button');
+            undoBtn.type = 'button';
+            undoBtn.textContent = 'Undo';
+            Object.assign(undoBtn.style, {
+                marginLeft: '16px',
+                padding: '8px 16px',
+                border: '2px solid white',
+                borderRadius: '6px',
+                background: 'transparent',
+                color: 'white',
+                fontSize: '16px',
+                fontWeight: '700'
+            });
+            undoBtn.addEventListener('click', function() {
+                undoBtn.disabled = true;
+                undoChange(options.undo);
+            });
+            toast.appendChild(undoBtn);
+        }
+        
         document.body.appendChild(toast);
         
         setTimeout(function() {
@@ -302,7 +386,7 @@
             setTimeout(function() {
                 toast.remove();
             }, 300);
-        }, 3000);
+        }, options.undo ? 8000 : 3000);
     }
 
     // Expose showToast globally
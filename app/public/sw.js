@@ -0,0 +1,38 @@
+/**
+ * ============================================================================
+ * SERVICE WORKER - Web Push notifications
+ * ============================================================================
+ *
+ * Shows the alert digest pushed by the server ({ title, body, url }) and
+ * opens the alerts page (or focuses a dashboard tab) when it is clicked.
+ */
+
+self.addEventListener('push', function(event) {
+    let message = { title: 'Stock Keeper', body: '', url: '/dashboard/alerts' };
+    try {
+        message = Object.assign(message, event.data ? event.data.json() : {});
+    } catch (error) {
+        message.body = event.data ? event.data.text() : '';
+    }
+
+    event.waitUntil(self.registration.showNotification(message.title, {
+        body: message.body,
+        tag: 'stock-keeper-digest',
+        data: { url: message.url }
+    }));
+});
+
+self.addEventListener('notificationclick', function(event) {
+    event.notification.close();
+    const url = (event.notification.data && event.notification.data.url) || '/dashboard/alerts';
+
+    event.waitUntil(clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function(windowClients) {
+        for (const client of windowClients) {
+            if (client.url.includes('/dashboard') && 'focus' in client) {
+                client.navigate(url);
+                return client.focus();
+            }
+        }
+        return clients.openWindow(url);
+    }));
+});
@@ -3,16 +3,38 @@
  * API ROUTES
  * ============================================================================
  * 
- * JSON API endpoints for AJAX operations and CSV export.
+ * JSON API endpoints for AJAX operations and CSV/JSON export.
  * These routes are used by client-side JavaScript for dynamic updates
  * without page reloads.
  * 
  * All API routes are prefixed with /api
+ * 
+ * Changes declare what they need with permit() (see lib/permissions.js);
+ * a request that may not make one gets 403 { success: false, message }.
+ * The bulk endpoints are for admins. Exports are data leaving the house:
+ * the CSV exports are for members, the full JSON export for admins (as
+ * backups are). Scripts authenticate with an API
+ * token (see services/tokens.js), limited to what its scopes allow.
+ * 
+ * Input is checked against the schemas in lib/validation.js; input that
+ * does not validate gets 400 { success: false, message, errors }, with
+ * errors by field.
  */
 
 const express = require('express');
 const router = express.Router();
 const db = require('../db/database');
+const { formatCsv } = require('../lib/csv');
+const transfer = require('../services/transfer');
+const csvImport = require('../services/csv-import');
+const notifications = require('../services/notifications');
+const recipes = require('../services/recipes');
+const meals = require('../services/meals');
+const undo = require('../services/undo');
+const audit = require('../services/audit');
+const { requestActor } = require('../lib/actor');
+const { permit } = require('../lib/permissions');
+const validation = require('../lib/validation');
 
 // ============================================================================
 // ITEM OPERATIONS
@@ -52,18 +74,41 @@ router.get('/items/:id', (req, res) => {
             return res.status(404).json({ success: false, message: 'Item not found' });
         }
         
-        res.json({ success: true, item });
+        res.json({ success: true, item, lots: db.getItemLots(item.id) });
     } catch (error) {
         console.error('API get item error:', error);
         res.status(500).json({ success: false, message: 'Failed to fetch item' });
     }
 });
 
+/**
+ * GET /api/items/:id/events
+ * An item's audit log, newest first (also for an item in the trash).
+ * Filters: event (created, updated, quantity, moved, deleted, restored),
+ * field (changed, e.g. expiry_date), actor (contains), user (user ID), days,
+ * limit (default 50)
+ */
+router.get('/items/:id/events', (req, res) => {
+    try {
+        const item = db.getItemById(req.params.id) || db.getDeletedItemById(req.params.id);
+        
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Item not found' });
+        }
+        
+        const events = audit.getItemEvents(item.id, req.query);
+        res.json({ success: true, count: events.length, events });
+    } catch (error) {
+        if (!error.status) console.error('API item events error:', error);
+        res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Failed to fetch item events' });
+    }
+});
+
 /**
  * PUT /api/items/:id/quantity
  * Update item quantity (for quick +/- operations)
  */
-router.put('/items/:id/quantity', (req, res) => {
+router.put('/items/:id/quantity', permit('use'), (req, res) => {
     try {
         const item = db.getItemById(req.params.id);
         
@@ -71,32 +116,41 @@ router.put('/items/:id/quantity', (req, res) => {
             return res.status(404).json({ success: false, message: 'Item not found' });
         }
         
-        const { quantity, delta, action } = req.body;
+        const { values, errors } = validation.validate(validation.schemas.QUANTITY_CHANGE, req.body);
+        if (validation.hasErrors(errors)) {
+            return res.status(400).json(validation.errorResponse(errors));
+        }
+        
+        const { quantity, delta, action } = values;
         let newQuantity;
         
         if (typeof quantity === 'number') {
             // Absolute quantity
-            newQuantity = Math.max(0, quantity);
+            newQuantity = quantity;
         } else if (typeof delta === 'number') {
             // Relative change
             newQuantity = Math.max(0, item.quantity + delta);
-            
-            // Log consumption if reducing
-            if (delta < 0) {
-                db.logConsumption(item.id, Math.abs(delta), action || 'used', '');
-            }
         } else {
             return res.status(400).json({ success: false, message: 'quantity or delta required' });
         }
         
-        db.updateItemQuantity(item.id, newQuantity);
+        const actor = requestActor(req, res);
+        const { undo: offer } = undo.undoable(`Set ${item.title} to ${newQuantity} ${item.unit}`, [item.id], () => {
+            // Log consumption if reducing
+            if (typeof quantity !== 'number' && delta < 0) {
+                db.logConsumption(item.id, Math.abs(delta), action || 'used', '', null, actor);
+            }
+            db.updateItemQuantity(item.id, newQuantity);
+            db.checkItemStock(item.id);
+        }, actor);
         
         res.json({ 
             success: true, 
             item: {
                 ...item,
                 quantity: newQuantity
-            }
+            },
+            undo: offer
         });
     } catch (error) {
         console.error('API update quantity error:', error);
@@ -106,9 +160,9 @@ router.put('/items/:id/quantity', (req, res) => {
 
 /**
  * DELETE /api/items/:id
- * Delete an item
+ * Delete an item (to the trash)
  */
-router.delete('/items/:id', (req, res) => {
+router.delete('/items/:id', permit('edit'), (req, res) => {
     try {
         const item = db.getItemById(req.params.id);
         
@@ -116,14 +170,182 @@ router.delete('/items/:id', (req, res) => {
             return res.status(404).json({ success: false, message: 'Item not found' });
         }
         
-        db.deleteItem(req.params.id);
-        res.json({ success: true });
+        const { undo: offer } = undo.deleteItems([item.id], requestActor(req, res));
+        res.json({ success: true, undo: offer });
     } catch (error) {
         console.error('API delete item error:', error);
         res.status(500).json({ success: false, message: 'Failed to delete item' });
     }
 });
 
+// ============================================================================
+// PRODUCT CATALOG
+// ============================================================================
+
+/**
+ * GET /api/products
+ * Catalog products for autocomplete, most used first
+ * Query: q (name or brand contains), limit (default 10)
+ */
+router.get('/products', (req, res) => {
+    try {
+        const products = db.getProducts({
+            search: req.query.q || '',
+            limit: Math.min(parseInt(req.query.limit) || 10, 100)
+        });
+        res.json({ success: true, products });
+    } catch (error) {
+        console.error('API get products error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch products' });
+    }
+});
+
+/**
+ * GET /api/products/:id
+ * Single product, with the expiry date its shelf life gives at a location
+ * Query: location_id, date_added
+ */
+router.get('/products/:id', (req, res) => {
+    try {
+        const locationId = req.query.location_id ? parseInt(req.query.location_id) : null;
+        const product = db.getProductDefaults(req.params.id, locationId, req.query.date_added);
+        
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+        
+        res.json({ success: true, product });
+    } catch (error) {
+        console.error('API get product error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch product' });
+    }
+});
+
+/**
+ * GET /api/barcodes/:code
+ * Resolve a scanned code to its product, with the expiry date its shelf
+ * life gives at a location. Unknown codes return product: null.
+ * Query: location_id
+ */
+router.get('/barcodes/:code', (req, res) => {
+    try {
+        const locationId = req.query.location_id ? parseInt(req.query.location_id) : null;
+        const scanned = db.lookupBarcode(req.params.code, locationId);
+        
+        if (!scanned) {
+            return res.status(400).json({ success: false, message: 'Not a valid barcode' });
+        }
+        
+        res.json({ success: true, code: scanned.code, product: scanned.product });
+    } catch (error) {
+        console.error('API barcode lookup error:', error);
+        res.status(500).json({ success: false, message: 'Failed to look up barcode' });
+    }
+});
+
+// ============================================================================
+// SHOPPING LIST
+// ============================================================================
+
+/**
+ * GET /api/shopping
+ * The shopping list in shop order (changes go through /shopping/*)
+ */
+router.get('/shopping', (req, res) => {
+    try {
+        const entries = db.getShoppingList();
+        res.json({ success: true, entries, count: entries.length });
+    } catch (error) {
+        console.error('API shopping list error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch shopping list' });
+    }
+});
+
+// ============================================================================
+// RECIPES
+// ============================================================================
+
+/**
+ * GET /api/recipes
+ * Every recipe matched against the stock, best use-it-up candidates first,
+ * with the items that need using
+ */
+router.get('/recipes', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            recipes: recipes.suggestRecipes(),
+            useSoon: recipes.getUseSoonItems()
+        });
+    } catch (error) {
+        console.error('API recipes error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch recipes' });
+    }
+});
+
+/**
+ * GET /api/recipes/:id
+ * A recipe matched against the stock
+ */
+router.get('/recipes/:id', (req, res) => {
+    try {
+        const recipe = recipes.getRecipeMatch(req.params.id);
+        
+        if (!recipe) {
+            return res.status(404).json({ success: false, message: 'Recipe not found' });
+        }
+        
+        res.json({ success: true, recipe });
+    } catch (error) {
+        console.error('API get recipe error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch recipe' });
+    }
+});
+
+// ============================================================================
+// MEAL PLAN
+// ============================================================================
+
+/**
+ * GET /api/meals
+ * Planned meals with what they reserve and their warnings
+ * (?from=&to= YYYY-MM-DD, default: the current week)
+ */
+router.get('/meals', (req, res) => {
+    try {
+        const { from, to } = req.query;
+        
+        if (!from && !to) {
+            const week = meals.getWeek();
+            return res.json({ success: true, meals: week.days.flatMap(day => day.meals) });
+        }
+        
+        res.json({ success: true, meals: meals.getMeals(from, to) });
+    } catch (error) {
+        console.error('API meals error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch meals' });
+    }
+});
+
+/**
+ * GET /api/meals/:id
+ * A planned meal
+ */
+router.get('/meals/:id', (req, res) => {
+    try {
+        const meal = meals.getMeal(req.params.id);
+        
+        if (!meal) {
+            return res.status(404).json({ success: false, message: 'Meal not found' });
+        }
+        
+        res.json({ success: true, meal });
+    } catch (error) {
+        console.error('API get meal error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch meal' });
+    }
+});
+
 // ============================================================================
 // STATISTICS & DASHBOARD DATA
 // ============================================================================
@@ -144,21 +366,28 @@ router.get('/stats', (req, res) => {
 
 /**
  * GET /api/alerts
- * Get all items needing attention (expired, expiring soon, low stock)
+ * Get all items needing attention (expired, past best before, expiring soon, low stock).
+ * Dismissed expiry alerts are listed separately and not counted.
  */
 router.get('/alerts', (req, res) => {
     try {
         const expired = db.getExpiredItems();
+        const pastBestBefore = db.getPastBestBeforeItems();
         const expiringSoon = db.getExpiringSoonItems();
         const lowStock = db.getLowStockItems();
+        const outOfStock = db.getOutOfStockItems();
+        const dismissed = db.getDismissedAlerts();
         
         res.json({
             success: true,
             alerts: {
                 expired,
+                pastBestBefore,
                 expiringSoon,
                 lowStock,
-                totalCount: expired.length + expiringSoon.length + lowStock.length
+                outOfStock,
+                dismissed,
+                totalCount: expired.length + pastBestBefore.length + expiringSoon.length + lowStock.length + outOfStock.length
             }
         });
     } catch (error) {
@@ -191,10 +420,11 @@ router.get('/categories', (req, res) => {
  */
 router.get('/history', (req, res) => {
     try {
-        const { itemId, days, action, limit } = req.query;
+        const { itemId, userId, days, action, limit } = req.query;
         
         const filters = {};
         if (itemId) filters.itemId = parseInt(itemId);
+        if (userId) filters.userId = userId === 'none' ? 'none' : parseInt(userId);
         if (days) filters.days = parseInt(days);
         if (action) filters.action = action;
         if (limit) filters.limit = parseInt(limit);
@@ -215,49 +445,9 @@ router.get('/history', (req, res) => {
  * GET /api/export/csv
  * Export all inventory items as CSV
  */
-router.get('/export/csv', (req, res) => {
+router.get('/export/csv', permit('edit'), (req, res) => {
     try {
-        const items = db.getItemsForExport();
-        
-        // Build CSV content
-        const headers = [
-            'ID',
-            'Title',
-            'Description',
-            'Category',
-            'Location',
-            'Brand',
-            'Homemade',
-            'Quantity',
-            'Unit',
-            'Date Added',
-            'Expiry Date',
-            'Image Path',
-            'Created At',
-            'Updated At'
-        ];
-        
-        const rows = items.map(item => [
-            item.id,
-            `"${(item.title || '').replace(/"/g, '""')}"`,
-            `"${(item.description || '').replace(/"/g, '""')}"`,
-            `"${(item.category || '').replace(/"/g, '""')}"`,
-            item.location,
-            `"${(item.brand || '').replace(/"/g, '""')}"`,
-            item.is_homemade ? 'Yes' : 'No',
-            item.quantity,
-            item.unit,
-            item.date_added || '',
-            item.expiry_date || '',
-            item.image_path || '',
-            item.created_at,
-            item.updated_at
-        ]);
-        
-        const csv = [
-            headers.join(','),
-            ...rows.map(row => row.join(','))
-        ].join('\n');
+        const csv = csvImport.exportItems();
         
         // Set headers for file download
         const filename = `stock-keeper-export-${new Date().toISOString().split('T')[0]}.csv`;
@@ -274,7 +464,7 @@ router.get('/export/csv', (req, res) => {
  * GET /api/export/history/csv
  * Export consumption history as CSV
  */
-router.get('/export/history/csv', (req, res) => {
+router.get('/export/history/csv', permit('edit'), (req, res) => {
     try {
         const days = parseInt(req.query.days) || 365;
         const history = db.getConsumptionHistory({ days });
@@ -287,24 +477,27 @@ router.get('/export/history/csv', (req, res) => {
             'Unit',
             'Action',
             'Notes',
+            'Event ID',
+            'Event',
+            'User',
             'Consumed At'
         ];
         
         const rows = history.map(record => [
             record.id,
-            record.item_id || '',
-            `"${(record.item_title || '').replace(/"/g, '""')}"`,
+            record.item_id,
+            record.item_title,
             record.quantity_used,
             record.unit,
             record.action,
-            `"${(record.notes || '').replace(/"/g, '""')}"`,
+            record.notes,
+            record.event_id,
+            record.event_label,
+            record.user_name,
             record.consumed_at
         ]);
         
-        const csv = [
-            headers.join(','),
-            ...rows.map(row => row.join(','))
-        ].join('\n');
+        const csv = formatCsv([headers, ...rows]);
         
         const filename = `consumption-history-${new Date().toISOString().split('T')[0]}.csv`;
         res.setHeader('Content-Type', 'text/csv');
@@ -316,15 +509,35 @@ router.get('/export/history/csv', (req, res) => {
     }
 });
 
+/**
+ * GET /api/export/json
+ * Export every location, category, item and history entry (and item
+ * images as base64) for moving to another installation.
+ * ?images=0 leaves the images out.
+ */
+router.get('/export/json', permit('admin'), (req, res) => {
+    try {
+        const data = transfer.buildExport({ includeImages: req.query.images !== '0' });
+        
+        const filename = `stock-keeper-export-${new Date().toISOString().split('T')[0]}.json`;
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(JSON.stringify(data));
+    } catch (error) {
+        console.error('API export JSON error:', error);
+        res.status(500).json({ success: false, message: 'Failed to export data' });
+    }
+});
+
 // ============================================================================
 // BULK OPERATIONS
 // ============================================================================
 
 /**
  * POST /api/items/bulk-delete
- * Delete multiple items at once
+ * Delete multiple items at once (to the trash, undone together)
  */
-router.post('/items/bulk-delete', (req, res) => {
+router.post('/items/bulk-delete', permit('admin'), (req, res) => {
     try {
         const { ids } = req.body;
         
@@ -332,13 +545,9 @@ router.post('/items/bulk-delete', (req, res) => {
             return res.status(400).json({ success: false, message: 'ids array required' });
         }
         
-        let deletedCount = 0;
-        ids.forEach(id => {
-            const result = db.deleteItem(id);
-            if (result.changes > 0) deletedCount++;
-        });
+        const { result: deletedCount, undo: offer } = undo.deleteItems(ids, requestActor(req, res), 'admin');
         
-        res.json({ success: true, deletedCount });
+        res.json({ success: true, deletedCount, undo: offer });
     } catch (error) {
         console.error('API bulk delete error:', error);
         res.status(500).json({ success: false, message: 'Failed to delete items' });
@@ -349,7 +558,7 @@ router.post('/items/bulk-delete', (req, res) => {
  * POST /api/items/bulk-update
  * Update multiple items (e.g., move to different location)
  */
-router.post('/items/bulk-update', (req, res) => {
+router.post('/items/bulk-update', permit('admin'), (req, res) => {
     try {
         const { ids, updates } = req.body;
         
@@ -361,21 +570,124 @@ router.post('/items/bulk-update', (req, res) => {
             return res.status(400).json({ success: false, message: 'updates object required' });
         }
         
-        let updatedCount = 0;
-        ids.forEach(id => {
-            const item = db.getItemById(id);
-            if (item) {
-                const updatedItem = { ...item, ...updates };
-                const result = db.updateItem(id, updatedItem);
-                if (result.changes > 0) updatedCount++;
-            }
-        });
+        // Only the item fields sent are changed
+        const { values, errors } = validation.validate(validation.partial(validation.schemas.ITEM), updates);
+        if (validation.hasErrors(errors)) {
+            return res.status(400).json(validation.errorResponse(errors));
+        }
+        
+        const { result: updatedCount, undo: offer } = undo.undoable(`Updated ${ids.length} items`, ids, () => {
+            let count = 0;
+            ids.forEach(id => {
+                const item = db.getItemById(id);
+                if (item) {
+                    const updatedItem = { ...item, ...values };
+                    const result = db.updateItem(id, updatedItem);
+                    if (result.changes > 0) count++;
+                }
+            });
+            return count;
+        }, requestActor(req, res), 'admin');
         
-        res.json({ success: true, updatedCount });
+        res.json({ success: true, updatedCount, undo: offer });
     } catch (error) {
         console.error('API bulk update error:', error);
         res.status(500).json({ success: false, message: 'Failed to update items' });
     }
 });
 
+// ============================================================================
+// UNDO
+// ============================================================================
+
+/**
+ * GET /api/undo/:id
+ * A change that can still be undone (for the Undo toast after a redirect)
+ */
+router.get('/undo/:id', (req, res) => {
+    try {
+        const action = undo.getUndo(req.params.id);
+        
+        if (!action) {
+            return res.status(404).json({ success: false, message: 'Nothing to undo' });
+        }
+        
+        res.json({ success: true, undo: action });
+    } catch (error) {
+        console.error('API get undo error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch undo' });
+    }
+});
+
+/**
+ * POST /api/undo/:id
+ * Undo a change
+ */
+router.post('/undo/:id', permit('use'), (req, res) => {
+    try {
+        const result = undo.undo(req.params.id, requestActor(req, res), res.locals.can);
+        res.json({ success: true, message: `Undone: ${result.label}` });
+    } catch (error) {
+        if (!error.status) console.error('API undo error:', error);
+        res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Failed to undo' });
+    }
+});
+
+// ============================================================================
+// WEB PUSH SUBSCRIPTIONS
+// ============================================================================
+
+/**
+ * GET /api/notifications/push-key
+ * VAPID public key browsers subscribe with
+ */
+router.get('/notifications/push-key', (req, res) => {
+    try {
+        res.json({ success: true, publicKey: notifications.getVapidKeys().publicKey });
+    } catch (error) {
+        console.error('API push key error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch push key' });
+    }
+});
+
+/**
+ * POST /api/notifications/subscriptions
+ * Subscribe this browser (body: PushSubscription JSON)
+ */
+router.post('/notifications/subscriptions', permit('use'), (req, res) => {
+    try {
+        const { endpoint, keys } = req.body || {};
+        
+        if (typeof endpoint !== 'string' || !/^https?:\/\//.test(endpoint) || !keys || !keys.p256dh || !keys.auth) {
+            return res.status(400).json({ success: false, message: 'endpoint and keys required' });
+        }
+        
+        db.savePushSubscription({ endpoint, keys }, req.get('User-Agent') || null);
+        res.status(201).json({ success: true });
+    } catch (error) {
+        console.error('API push subscribe error:', error);
+        res.status(500).json({ success: false, message: 'Failed to subscribe' });
+    }
+});
+
+/**
+ * DELETE /api/notifications/subscriptions
+ * Unsubscribe a browser (body: { endpoint })
+ */
+router.delete('/notifications/subscriptions', permit('use'), (req, res) => {
+    try {
+        const { endpoint } = req.body || {};
+        
+        if (!endpoint) {
+            return res.status(400).json({ success: false, message: 'endpoint required' });
+        }
+        
+        const result = db.deletePushSubscription(endpoint);
+        res.json({ success: true, deleted: result.changes > 0 });
+    } catch (error) {
+        console.error('API push unsubscribe error:', error);
+        res.status(500).json({ success: false, message: 'Failed to unsubscribe' });
+    }
+});
+
 module.exports = router;
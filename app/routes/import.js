@@ -0,0 +1,157 @@
+/**
+ * ============================================================================
+ * IMPORT ROUTES
+ * ============================================================================
+ *
+ * Dashboard flow for bringing a CSV file (such as /api/export/csv) back in:
+ *
+ * - GET  /dashboard/import          - Upload form
+ * - POST /dashboard/import/preview  - Upload a file, or re-check a stashed
+ *                                     one with a changed column mapping
+ * - POST /dashboard/import/commit   - Validate again and apply everything
+ *                                     in one transaction
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const db = require('../db/database');
+const csvImport = require('../services/csv-import');
+const audit = require('../services/audit');
+const { requestActor } = require('../lib/actor');
+const { permit } = require('../lib/permissions');
+
+// CSV files are small and parsed straight from memory
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB max
+    },
+    fileFilter: (req, file, cb) => {
+        const isCsv = /\.(csv|txt)$/i.test(file.originalname) ||
+            ['text/csv', 'text/plain', 'application/vnd.ms-excel'].includes(file.mimetype);
+        cb(isCsv ? null : new Error('Please choose a .csv file.'), isCsv);
+    }
+});
+
+/**
+ * Render the preview page for a stashed upload
+ */
+function renderPreview(res, upload, mapping, options, extra = {}) {
+    const plan = csvImport.buildPlan(upload, mapping, options);
+
+    res.render('dashboard/import', {
+        layout: 'dashboard/layout',
+        title: 'Import CSV',
+        upload,
+        mapping,
+        options,
+        plan,
+        fields: csvImport.IMPORT_FIELDS,
+        locations: db.getLocations(),
+        message: null,
+        error: null,
+        ...extra
+    });
+}
+
+/**
+ * Read the column mapping posted by the preview form
+ */
+function readMapping(req, upload) {
+    // mapping[<column>] arrives as an array, or an object for wide files
+    const posted = req.body.mapping;
+    if (!posted || typeof posted !== 'object') {
+        return csvImport.suggestMapping(upload.headers);
+    }
+    const valid = new Set(csvImport.IMPORT_FIELDS.map(f => f.key));
+    return upload.headers.map((header, col) => (valid.has(posted[col]) ? posted[col] : ''));
+}
+
+/**
+ * Import Page
+ * Upload form (and the result of the last import)
+ */
+router.get('/dashboard/import', permit('admin'), (req, res) => {
+    res.render('dashboard/import', {
+        layout: 'dashboard/layout',
+        title: 'Import CSV',
+        upload: null,
+        locations: db.getLocations(),
+        message: req.query.message || null,
+        error: req.query.error || null,
+        result: {
+            created: parseInt(req.query.created, 10) || 0,
+            updated: parseInt(req.query.updated, 10) || 0,
+            unchanged: parseInt(req.query.unchanged, 10) || 0
+        }
+    });
+});
+
+/**
+ * Preview an upload
+ */
+router.post('/dashboard/import/preview', permit('admin'), (req, res) => {
+    csvUpload.single('file')(req, res, (err) => {
+        if (err) {
+            console.error('Import upload error:', err);
+            return res.redirect('/dashboard/import?error=upload');
+        }
+
+        try {
+            let upload;
+            if (req.file) {
+                upload = csvImport.stashUpload(req.file.buffer.toString('utf8'), req.file.originalname);
+            } else {
+                upload = csvImport.getUpload(req.body.token);
+                if (!upload) {
+                    return res.redirect('/dashboard/import?error=expired');
+                }
+            }
+
+            renderPreview(res, upload, readMapping(req, upload), {
+                defaultLocationId: req.body.default_location_id || ''
+            });
+        } catch (error) {
+            console.error('Import preview error:', error);
+            res.redirect('/dashboard/import?error=parse');
+        }
+    });
+});
+
+/**
+ * Apply an import
+ * Nothing is written unless every row is valid
+ */
+router.post('/dashboard/import/commit', permit('admin'), (req, res) => {
+    try {
+        const upload = csvImport.getUpload(req.body.token);
+        if (!upload) {
+            return res.redirect('/dashboard/import?error=expired');
+        }
+
+        const mapping = readMapping(req, upload);
+        const options = { defaultLocationId: req.body.default_location_id || '' };
+        const plan = csvImport.buildPlan(upload, mapping, options);
+
+        if (plan.errorCount > 0) {
+            return renderPreview(res.status(400), upload, mapping, options, {
+                error: 'invalid'
+            });
+        }
+
+        const updatedIds = plan.rows.filter(row => row.action === 'update').map(row => row.itemId);
+        const result = audit.track(updatedIds, () => csvImport.applyPlan(plan), {
+            actor: requestActor(req, res),
+            note: `CSV import (${upload.fileName})`
+        });
+        csvImport.discardUpload(upload.token);
+
+        res.redirect(`/dashboard/import?message=imported&created=${result.created}&updated=${result.updated}&unchanged=${result.unchanged}`);
+    } catch (error) {
+        console.error('Import commit error:', error);
+        res.redirect('/dashboard/import?error=save');
+    }
+});
+
+module.exports = router;
@@ -12,6 +12,13 @@
  * 
  * Both UIs share the same database operations but render different templates
  * optimized for their respective use cases.
+ * 
+ * Changes declare what they need with permit() (see lib/permissions.js):
+ * using and adding stock is open to every role, editing to members and
+ * managing locations to admins.
+ * 
+ * Item and location forms are checked with lib/validation.js; one that does
+ * not validate is rendered again with a message under each wrong field.
  */
 
 const express = require('express');
@@ -19,6 +26,191 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const db = require('../db/database');
+const catalog = require('../services/catalog');
+const consumption = require('../services/consumption');
+const undo = require('../services/undo');
+const audit = require('../services/audit');
+const units = require('../lib/units');
+const validation = require('../lib/validation');
+const { requestActor } = require('../lib/actor');
+const { permit } = require('../lib/permissions');
+
+/**
+ * Resolve the ?barcode= an add form was opened with
+ * @returns {Object} { barcode, product } for the view - product holds the
+ *   defaults of a known code, and is null for a code seen for the first time
+ */
+function scannedProduct(code, locationId) {
+    const scanned = code ? db.lookupBarcode(code, parseInt(locationId) || null) : null;
+    return {
+        barcode: scanned ? scanned.code : null,
+        product: scanned ? scanned.product : null
+    };
+}
+
+/**
+ * Render the add or edit item form of a UI. A form sent back because it did
+ * not validate shows what was entered and what is wrong with it
+ * @param {Object} res - Express response
+ * @param {string} ui - 'touch' or 'dashboard'
+ * @param {Object} item - Item being edited, or null to add one
+ * @param {Object} options - locationId and barcode (adding), error (a code
+ *   from ?error=), values and errors (by field) of a rejected form, status
+ */
+function renderItemForm(res, ui, item, options = {}) {
+    const locationId = item ? item.location_id : options.locationId;
+    const locals = {
+        title: item ? 'Edit Item' : 'Add Item',
+        item,
+        locationId,
+        locations: db.getLocations(true),
+        categories: db.getCategories(),
+        values: options.values || null,
+        errors: options.errors || {},
+        error: options.error || null,
+        ...(item ? {} : scannedProduct(options.barcode, locationId))
+    };
+
+    res.status(options.status || 200);
+    if (ui === 'touch') {
+        return res.render(item ? 'touch/edit' : 'touch/add', { layout: false, ...locals });
+    }
+    res.render('dashboard/form', {
+        layout: 'dashboard/layout',
+        mode: item ? 'edit' : 'add',
+        expiryWarnings: db.getExpiryWarningDays(),
+        ...locals
+    });
+}
+
+/**
+ * Send back an item form that did not validate: 400 with the errors by
+ * field, as JSON or the form again (any uploaded photo is dropped)
+ */
+function rejectItemForm(req, res, item, errors) {
+    if (req.file) fs.unlink(req.file.path, () => {});
+
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+        return res.status(400).json(validation.errorResponse(errors));
+    }
+    renderItemForm(res, res.locals.uiMode, item, {
+        locationId: req.body.location_id || 1,
+        barcode: req.body.barcode,
+        values: req.body,
+        errors,
+        status: 400
+    });
+}
+
+/**
+ * Turn away a stock change (an amount, lot or discard) that did not
+ * validate: 400 with the errors by field as JSON, or the item's page with
+ * what is wrong
+ */
+function rejectStockChange(req, res, item, errors) {
+    if (req.xhr || req.headers.accept?.includes('application/json')) {
+        return res.status(400).json(validation.errorResponse(errors));
+    }
+    const { message } = validation.errorResponse(errors);
+    const itemPage = res.locals.uiMode === 'touch' ? `/touch/item/${item.id}` : `/dashboard/item/${item.id}`;
+    res.redirect(`${itemPage}?error=invalid&detail=${encodeURIComponent(message)}`);
+}
+
+/**
+ * Render the Manage Locations page. A create or edit form sent back because
+ * it did not validate shows what was entered and what is wrong with it
+ * @param {Object} res - Express response
+ * @param {Object} options - error (a code from ?error=), values and errors of
+ *   a rejected new location, edit ({ id, values, errors }) of a rejected
+ *   edit, status
+ */
+function renderLocations(res, options = {}) {
+    const locationCounts = db.getLocationCounts();
+
+    res.status(options.status || 200).render('dashboard/locations', {
+        layout: 'dashboard/layout',
+        title: 'Manage Locations',
+        locations: db.getLocations(false).map(loc => ({
+            ...loc,
+            itemCount: locationCounts[loc.id] || 0
+        })),
+        error: options.error || null,
+        values: options.values || null,
+        errors: options.errors || {},
+        edit: options.edit || null
+    });
+}
+
+/**
+ * Read the snooze fields of an alert form (until, else days from today)
+ * @returns {string|null} YYYY-MM-DD after today, or null
+ */
+function parseSnoozeUntil(body) {
+    const localDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const today = localDate(new Date());
+    const days = parseInt(body.days, 10);
+
+    let until = /^\d{4}-\d{2}-\d{2}$/.test(body.until || '') ? body.until : null;
+    if (!until && days > 0) {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        until = localDate(date);
+    }
+    return until && until > today ? until : null;
+}
+
+/**
+ * Read the uses of a cook form: items[<n>][item_id|amount|unit]. Rows
+ * without an item (an unticked ingredient) are left out
+ * @returns {Array} [{ item_id, amount, unit }]
+ */
+function parseUseRows(rows) {
+    return (Array.isArray(rows) ? rows : Object.values(rows || {}))
+        .filter(row => row && row.item_id)
+        .map(row => ({
+            item_id: parseInt(row.item_id),
+            amount: row.amount,
+            unit: row.unit || null
+        }));
+}
+
+/**
+ * Group consumption records for the history page: the records of one
+ * consumption event become a single entry, where its first record is
+ * @returns {Array} [{ event: { id, label, recipe_id, consumed_at } or null, records }]
+ */
+function groupHistory(history) {
+    const entries = [];
+    const events = new Map();
+    history.forEach(record => {
+        if (!record.event_id) {
+            entries.push({ event: null, records: [record] });
+        } else if (events.has(record.event_id)) {
+            events.get(record.event_id).records.push(record);
+        } else {
+            const entry = {
+                event: {
+                    id: record.event_id,
+                    label: record.event_label,
+                    recipe_id: record.event_recipe_id,
+                    consumed_at: record.consumed_at
+                },
+                records: [record]
+            };
+            events.set(record.event_id, entry);
+            entries.push(entry);
+        }
+    });
+    return entries;
+}
+
+/**
+ * Add the undo offer of a change to the URL redirected to (?undo=<id>), so
+ * the page shows it with an Undo button
+ */
+function withUndo(url, offer) {
+    return offer ? `${url}${url.includes('?') ? '&' : '?'}undo=${offer.id}` : url;
+}
 
 // ============================================================================
 // TOUCHSCREEN UI ROUTES
@@ -34,6 +226,7 @@ router.get('/touch', (req, res) => {
     try {
         const stats = db.getStats();
         const expiredItems = db.getExpiredItems();
+        const pastBestBefore = db.getPastBestBeforeItems();
         const expiringSoon = db.getExpiringSoonItems();
         const locations = db.getLocations(true); // visible only
         
@@ -43,8 +236,9 @@ router.get('/touch', (req, res) => {
             stats,
             locations,
             expiredItems,
+            pastBestBefore,
             expiringSoon,
-            alertCount: expiredItems.length + expiringSoon.length
+            alertCount: expiredItems.length + pastBestBefore.length + expiringSoon.length
         });
     } catch (error) {
         console.error('Touch home error:', error);
@@ -129,25 +323,18 @@ router.get('/touch/location/:locationId', (req, res) => {
  * Touchscreen Add Item Form
  * Simplified form with large inputs for touchscreen use
  */
-router.get('/touch/add', (req, res) => {
-    const locationId = req.query.location || req.query.locationId || 1;
-    const categories = db.getCategories();
-    const locations = db.getLocations(true);
-    
-    res.render('touch/add', {
-        layout: false,
-        title: 'Add Item',
-        locationId,
-        locations,
-        categories,
-        item: null
+router.get('/touch/add', permit('use'), (req, res) => {
+    renderItemForm(res, 'touch', null, {
+        locationId: req.query.location || req.query.locationId || 1,
+        barcode: req.query.barcode,
+        error: req.query.error
     });
 });
 
 /**
  * Touchscreen Edit Item Form
  */
-router.get('/touch/edit/:id', (req, res) => {
+router.get('/touch/edit/:id', permit('edit'), (req, res) => {
     try {
         const item = db.getItemById(req.params.id);
         
@@ -160,17 +347,7 @@ router.get('/touch/edit/:id', (req, res) => {
             });
         }
         
-        const categories = db.getCategories();
-        const locations = db.getLocations(true);
-        
-        res.render('touch/edit', {
-            layout: false,
-            title: 'Edit Item',
-            item,
-            categories,
-            locations,
-            locationId: item.location_id
-        });
+        renderItemForm(res, 'touch', item, { error: req.query.error });
     } catch (error) {
         console.error('Touch edit error:', error);
         res.status(500).render('touch/error', {
@@ -202,7 +379,10 @@ router.get('/touch/item/:id', (req, res) => {
         res.render('touch/item', {
             layout: false,
             title: item.title,
-            item
+            item,
+            lots: db.getItemLots(item.id),
+            error: req.query.error || null,
+            detail: req.query.detail || null
         });
     } catch (error) {
         console.error('Touch item error:', error);
@@ -217,18 +397,21 @@ router.get('/touch/item/:id', (req, res) => {
 
 /**
  * Touchscreen Alerts View
- * Shows expired and expiring soon items prominently
+ * Shows expired (use by), past best before and expiring soon items prominently
  */
 router.get('/touch/alerts', (req, res) => {
     try {
         const expiredItems = db.getExpiredItems();
+        const pastBestBefore = db.getPastBestBeforeItems();
         const expiringSoon = db.getExpiringSoonItems();
         
         res.render('touch/alerts', {
             layout: false,
             title: 'Alerts',
             expiredItems,
-            expiringSoon
+            pastBestBefore,
+            expiringSoon,
+            dismissedCount: db.getDismissedAlerts().length
         });
     } catch (error) {
         console.error('Touch alerts error:', error);
@@ -255,6 +438,7 @@ router.get('/dashboard', (req, res) => {
     try {
         const stats = db.getStats();
         const expiredItems = db.getExpiredItems();
+        const pastBestBefore = db.getPastBestBeforeItems();
         const expiringSoon = db.getExpiringSoonItems();
         const lowStock = db.getLowStockItems();
         const recentItems = db.getItems({}).slice(0, 10);
@@ -266,6 +450,7 @@ router.get('/dashboard', (req, res) => {
             stats,
             locations,
             expiredItems,
+            pastBestBefore,
             expiringSoon,
             lowStock,
             recentItems
@@ -416,26 +601,18 @@ router.get('/dashboard/location/:locationId', (req, res) => {
  * Dashboard Add Item Form
  * Full-featured form with all fields and image upload
  */
-router.get('/dashboard/add', (req, res) => {
-    const locationId = req.query.location || req.query.locationId || 1;
-    const categories = db.getCategories();
-    const locations = db.getLocations(true);
-    
-    res.render('dashboard/form', {
-        layout: 'dashboard/layout',
-        title: 'Add Item',
-        mode: 'add',
-        locationId,
-        locations,
-        categories,
-        item: null
+router.get('/dashboard/add', permit('use'), (req, res) => {
+    renderItemForm(res, 'dashboard', null, {
+        locationId: req.query.location || req.query.locationId || 1,
+        barcode: req.query.barcode,
+        error: req.query.error
     });
 });
 
 /**
  * Dashboard Edit Item Form
  */
-router.get('/dashboard/edit/:id', (req, res) => {
+router.get('/dashboard/edit/:id', permit('edit'), (req, res) => {
     try {
         const item = db.getItemById(req.params.id);
         
@@ -448,18 +625,7 @@ router.get('/dashboard/edit/:id', (req, res) => {
             });
         }
         
-        const categories = db.getCategories();
-        const locations = db.getLocations(true);
-        
-        res.render('dashboard/form', {
-            layout: 'dashboard/layout',
-            title: 'Edit Item',
-            mode: 'edit',
-            item,
-            categories,
-            locations,
-            locationId: item.location_id
-        });
+        renderItemForm(res, 'dashboard', item, { error: req.query.error });
     } catch (error) {
         console.error('Dashboard edit error:', error);
         res.status(500).render('dashboard/error', {
@@ -494,7 +660,17 @@ router.get('/dashboard/item/:id', (req, res) => {
             layout: 'dashboard/layout',
             title: item.title,
             item,
-            history
+            lots: db.getItemLots(item.id),
+            locations: db.getLocations(true),
+            amountUnits: units.compatibleUnits(item.unit, db.getProductUnits(item.product_id)),
+            history,
+            movements: db.getItemMovements({ itemId: item.id, limit: 20 }),
+            reservations: db.getItemReservations(item.id),
+            events: audit.getItemEvents(item.id, { limit: 30 }),
+            alertState: db.getDismissedAlerts().find(entry => entry.item_id === item.id) || null,
+            message: req.query.message || null,
+            error: req.query.error || null,
+            detail: req.query.detail || null
         });
     } catch (error) {
         console.error('Dashboard item error:', error);
@@ -513,15 +689,22 @@ router.get('/dashboard/item/:id', (req, res) => {
 router.get('/dashboard/alerts', (req, res) => {
     try {
         const expiredItems = db.getExpiredItems();
+        const pastBestBefore = db.getPastBestBeforeItems();
         const expiringSoon = db.getExpiringSoonItems();
         const lowStock = db.getLowStockItems();
+        const outOfStock = db.getOutOfStockItems();
         
         res.render('dashboard/alerts', {
             layout: 'dashboard/layout',
             title: 'Alerts',
             expiredItems,
+            pastBestBefore,
             expiringSoon,
-            lowStock
+            lowStock,
+            outOfStock,
+            dismissed: db.getDismissedAlerts(),
+            alertActions: db.getAlertActions({ limit: 20 }),
+            error: req.query.error || null
         });
     } catch (error) {
         console.error('Dashboard alerts error:', error);
@@ -540,13 +723,21 @@ router.get('/dashboard/alerts', (req, res) => {
 router.get('/dashboard/history', (req, res) => {
     try {
         const days = parseInt(req.query.days) || 30;
-        const history = db.getConsumptionHistory({ days, limit: 100 });
+        // ?user=<id> for one person, ?user=none for changes made before
+        // anyone signed in
+        const user = req.query.user === 'none' ? 'none' : parseInt(req.query.user) || null;
+        const history = db.getConsumptionHistory({ days, userId: user, limit: 100 });
+        const movements = user ? [] : db.getItemMovements({ days, limit: 100 });
         
         res.render('dashboard/history', {
             layout: 'dashboard/layout',
             title: 'Consumption History',
             history,
-            days
+            entries: groupHistory(history),
+            movements,
+            usage: db.getUsageByUser({ days }),
+            days,
+            user
         });
     } catch (error) {
         console.error('Dashboard history error:', error);
@@ -567,7 +758,7 @@ router.get('/dashboard/history', (req, res) => {
  * Create new item
  * Handles form submission from both touch and dashboard UIs
  */
-router.post('/items/create', (req, res) => {
+router.post('/items/create', permit('use'), (req, res) => {
     const upload = req.app.locals.upload;
     
     upload.single('image')(req, res, async (err) => {
@@ -580,21 +771,20 @@ router.post('/items/create', (req, res) => {
             return res.redirect(redirectUrl);
         }
         
+        const { values, errors } = validation.validate(validation.schemas.ITEM, req.body);
+        if (validation.hasErrors(errors)) {
+            return rejectItemForm(req, res, null, errors);
+        }
+        
         try {
-            const locationId = req.body.location_id ? parseInt(req.body.location_id) : null;
-            
             const itemData = {
-                title: req.body.title,
-                description: req.body.description || '',
-                category: req.body.category || 'Uncategorized',
+                ...values,
                 location: req.body.location || null, // Legacy field
-                location_id: locationId, // New field
-                brand: req.body.brand || null,
-                is_homemade: req.body.is_homemade === 'on' || req.body.is_homemade === '1',
-                quantity: parseFloat(req.body.quantity) || 1,
-                unit: req.body.unit || 'pcs',
-                date_added: req.body.date_added || new Date().toISOString().split('T')[0],
-                expiry_date: req.body.expiry_date || null
+                date_added: values.date_added || new Date().toISOString().split('T')[0],
+                min_quantity: values.min_quantity ?? null,
+                target_quantity: values.target_quantity ?? null,
+                expiry_warning_days: values.expiry_warning_days ?? null,
+                expiry_type: values.expiry_type || undefined
             };
             
             // Process uploaded image if present
@@ -604,12 +794,11 @@ router.post('/items/create', (req, res) => {
                 itemData.image_path = imagePaths.original;
             }
             
-            const result = db.createItem(itemData);
+            const result = audit.track([], () => catalog.createItem(itemData), { actor: requestActor(req, res) });
             
-            // Redirect based on UI mode - use location_id for new system
-            const redirectLocation = locationId || itemData.location || 1;
+            // Redirect based on UI mode
             if (res.locals.uiMode === 'touch') {
-                res.redirect(`/touch/location/${redirectLocation}`);
+                res.redirect(`/touch/location/${values.location_id}`);
             } else {
                 res.redirect(`/dashboard/item/${result.lastInsertRowid}`);
             }
@@ -627,7 +816,7 @@ router.post('/items/create', (req, res) => {
 /**
  * Update existing item
  */
-router.post('/items/update/:id', (req, res) => {
+router.post('/items/update/:id', permit('edit'), (req, res) => {
     const upload = req.app.locals.upload;
     const itemId = req.params.id;
     
@@ -643,20 +832,17 @@ router.post('/items/update/:id', (req, res) => {
                 return res.status(404).redirect(res.locals.uiMode === 'touch' ? '/touch' : '/dashboard');
             }
             
-            const locationId = req.body.location_id ? parseInt(req.body.location_id) : null;
+            const { values, errors } = validation.validate(validation.schemas.ITEM, req.body);
+            if (validation.hasErrors(errors)) {
+                return rejectItemForm(req, res, existingItem, errors);
+            }
             
+            // Stock levels and the warning window the form leaves out are kept
             const itemData = {
-                title: req.body.title,
-                description: req.body.description || '',
-                category: req.body.category || 'Uncategorized',
+                ...values,
                 location: req.body.location || null, // Legacy field
-                location_id: locationId, // New field
-                brand: req.body.brand || null,
-                is_homemade: req.body.is_homemade === 'on' || req.body.is_homemade === '1',
-                quantity: parseFloat(req.body.quantity) || 1,
-                unit: req.body.unit || 'pcs',
-                date_added: req.body.date_added || existingItem.date_added,
-                expiry_date: req.body.expiry_date || null
+                date_added: values.date_added || existingItem.date_added,
+                expiry_type: values.expiry_type || undefined
             };
             
             // Process uploaded image if present
@@ -679,7 +865,10 @@ router.post('/items/update/:id', (req, res) => {
                 }
             }
             
-            db.updateItem(itemId, itemData);
+            audit.track([itemId], () => {
+                db.updateItem(itemId, itemData);
+                db.checkItemStock(itemId);
+            }, { actor: requestActor(req, res) });
             
             // Redirect based on UI mode
             if (res.locals.uiMode === 'touch') {
@@ -695,34 +884,26 @@ router.post('/items/update/:id', (req, res) => {
 });
 
 /**
- * Delete item
+ * Delete item (to the trash)
  */
-router.post('/items/delete/:id', (req, res) => {
+router.post('/items/delete/:id', permit('edit'), (req, res) => {
     try {
         const item = db.getItemById(req.params.id);
         
-        if (item) {
-            // Delete associated images
-            if (item.image_path) {
-                const imagePath = path.join(__dirname, '..', 'public', item.image_path);
-                if (fs.existsSync(imagePath)) {
-                    fs.unlinkSync(imagePath);
-                }
-                const thumbPath = imagePath.replace(/(\.[^.]+)$/, '-thumb$1');
-                if (fs.existsSync(thumbPath)) {
-                    fs.unlinkSync(thumbPath);
-                }
-            }
-            
-            db.deleteItem(req.params.id);
+        // Moved to the trash; the image stays until the item is purged
+        const { undo: offer } = item ? undo.deleteItems([item.id], requestActor(req, res)) : { undo: null };
+        
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            if (!item) return res.status(404).json({ success: false, message: 'Item not found' });
+            return res.json({ success: true, undo: offer });
         }
         
         // Redirect based on UI mode and referrer - use location_id if available
         const locationRef = item ? (item.location_id || item.location || 1) : 1;
         if (res.locals.uiMode === 'touch') {
-            res.redirect(`/touch/location/${locationRef}`);
+            res.redirect(withUndo(`/touch/location/${locationRef}`, offer));
         } else {
-            res.redirect(`/dashboard/location/${locationRef}`);
+            res.redirect(withUndo(`/dashboard/location/${locationRef}`, offer));
         }
     } catch (error) {
         console.error('Delete item error:', error);
@@ -732,9 +913,11 @@ router.post('/items/delete/:id', (req, res) => {
 
 /**
  * Quick use item (reduce quantity)
- * Used by both touch and dashboard UIs for quick actions
+ * Used by both touch and dashboard UIs for quick actions. An item that is
+ * used up or drops below its par level goes on the shopping list.
+ * The amount may be given in any unit that converts to the item's (unit).
  */
-router.post('/items/use/:id', (req, res) => {
+router.post('/items/use/:id', permit('use'), (req, res) => {
     try {
         const item = db.getItemById(req.params.id);
         
@@ -742,29 +925,45 @@ router.post('/items/use/:id', (req, res) => {
             return res.status(404).json({ success: false, message: 'Item not found' });
         }
         
-        const amount = parseFloat(req.body.amount) || 1;
-        const newQuantity = Math.max(0, item.quantity - amount);
+        const returnUrl = req.body.returnUrl || (res.locals.uiMode === 'touch' 
+            ? `/touch/location/${item.location_id}`
+            : `/dashboard/item/${item.id}`);
+        
+        const { values, errors } = validation.validate(validation.schemas.AMOUNT, req.body);
+        if (validation.hasErrors(errors)) {
+            return rejectStockChange(req, res, item, errors);
+        }
         
-        // Log consumption
-        db.logConsumption(item.id, amount, 'used', req.body.notes || '');
+        const amount = db.convertForItem(item, values.amount ?? 1, values.unit);
+        if (amount === null) {
+            if (req.xhr || req.headers.accept?.includes('application/json')) {
+                return res.status(400).json({ success: false, message: `Cannot convert ${req.body.unit} to ${item.unit}` });
+            }
+            return res.redirect(`${returnUrl}${returnUrl.includes('?') ? '&' : '?'}error=unit`);
+        }
+        const newQuantity = Math.max(0, units.roundQuantity(item.quantity - amount));
         
-        // Update quantity
-        db.updateItemQuantity(item.id, newQuantity);
+        // Log consumption and take it from the earliest-expiring lots
+        const actor = requestActor(req, res);
+        const { undo: offer } = undo.undoable(`Used ${units.roundQuantity(amount)} ${item.unit} of ${item.title}`, [item.id], () => {
+            db.logConsumption(item.id, amount, 'used', req.body.notes || '', null, actor);
+            db.consumeItemLots(item.id, amount);
+            db.checkItemStock(item.id, { depleted: true });
+        }, actor);
         
         // Handle response based on request type
         if (req.xhr || req.headers.accept?.includes('application/json')) {
             return res.json({ 
                 success: true, 
+                amount,
                 newQuantity,
-                depleted: newQuantity === 0
+                depleted: newQuantity === 0,
+                undo: offer
             });
         }
         
         // Redirect for form submissions
-        const returnUrl = req.body.returnUrl || (res.locals.uiMode === 'touch' 
-            ? `/touch/location/${item.location}`
-            : `/dashboard/item/${item.id}`);
-        res.redirect(returnUrl);
+        res.redirect(withUndo(returnUrl, offer));
     } catch (error) {
         console.error('Use item error:', error);
         if (req.xhr || req.headers.accept?.includes('application/json')) {
@@ -775,9 +974,40 @@ router.post('/items/use/:id', (req, res) => {
 });
 
 /**
- * Quick add quantity
+ * Use several items at once as one consumption event (e.g. cooking a
+ * recipe): label, recipe_id and items[<n>][item_id|amount|unit].
+ * All uses are applied or none is; they show as one entry in the history.
+ */
+router.post('/items/cook', permit('use'), (req, res) => {
+    const returnUrl = req.body.returnUrl || (res.locals.uiMode === 'touch' ? '/touch' : '/dashboard/history');
+    const withQuery = (query) => `${returnUrl}${returnUrl.includes('?') ? '&' : '?'}${query}`;
+    
+    try {
+        const uses = parseUseRows(req.body.items);
+        const actor = requestActor(req, res);
+        const { result, undo: offer } = undo.undoable(String(req.body.label || '').trim(), uses.map(use => use.item_id), () => {
+            return consumption.consumeSet(req.body.label, uses, { recipeId: req.body.recipe_id || null, actor });
+        }, actor);
+        
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.json({ success: true, ...result, undo: offer });
+        }
+        res.redirect(withUndo(withQuery('message=cooked'), offer));
+    } catch (error) {
+        if (!error.status) console.error('Cook error:', error);
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Failed to use items' });
+        }
+        res.redirect(withQuery(`error=cook&detail=${encodeURIComponent(error.status ? error.message : 'Failed to use items')}`));
+    }
+});
+
+/**
+ * Mark an item as opened
+ * Opens the given lot (lot_id), else the next sealed one, and brings its
+ * expiry date forward to the product's opened shelf life.
  */
-router.post('/items/add-quantity/:id', (req, res) => {
+router.post('/items/open/:id', permit('use'), (req, res) => {
     try {
         const item = db.getItemById(req.params.id);
         
@@ -785,19 +1015,145 @@ router.post('/items/add-quantity/:id', (req, res) => {
             return res.status(404).json({ success: false, message: 'Item not found' });
         }
         
-        const amount = parseFloat(req.body.amount) || 1;
-        const newQuantity = item.quantity + amount;
+        const returnUrl = req.body.returnUrl || (res.locals.uiMode === 'touch' 
+            ? `/touch/item/${item.id}`
+            : `/dashboard/item/${item.id}`);
         
-        db.updateItemQuantity(item.id, newQuantity);
+        const { result: lot, undo: offer } = undo.undoable(`Opened ${item.title}`, [item.id], () => {
+            return db.openItemLot(item.id, {
+                lotId: req.body.lot_id ? parseInt(req.body.lot_id) : null
+            });
+        }, requestActor(req, res));
+        if (!lot) {
+            if (req.xhr || req.headers.accept?.includes('application/json')) {
+                return res.status(400).json({ success: false, message: 'Nothing left to open' });
+            }
+            return res.redirect(`${returnUrl}${returnUrl.includes('?') ? '&' : '?'}error=open`);
+        }
+        
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.json({ success: true, lot, undo: offer });
+        }
         
+        res.redirect(withUndo(returnUrl, offer));
+    } catch (error) {
+        console.error('Open item error:', error);
         if (req.xhr || req.headers.accept?.includes('application/json')) {
-            return res.json({ success: true, newQuantity });
+            return res.status(500).json({ success: false, message: 'Failed to open item' });
+        }
+        res.redirect(res.locals.uiMode === 'touch' ? '/touch' : '/dashboard');
+    }
+});
+
+/**
+ * Acknowledge, snooze, ignore or restore an item's expiry alerts
+ * (action = acknowledge, snooze with until or days, ignore, restore)
+ */
+router.post('/items/alerts/:id', permit('edit'), (req, res) => {
+    try {
+        const item = db.getItemById(req.params.id);
+        
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Item not found' });
         }
         
         const returnUrl = req.body.returnUrl || (res.locals.uiMode === 'touch' 
-            ? `/touch/location/${item.location}`
-            : `/dashboard/item/${item.id}`);
+            ? '/touch/alerts'
+            : '/dashboard/alerts');
+        const fail = (status, message, code) => {
+            if (req.xhr || req.headers.accept?.includes('application/json')) {
+                return res.status(status).json({ success: false, message });
+            }
+            res.redirect(`${returnUrl}${returnUrl.includes('?') ? '&' : '?'}error=${code}`);
+        };
+        
+        const actor = requestActor(req, res);
+        let state;
+        switch (req.body.action) {
+            case 'acknowledge':
+                state = db.acknowledgeItemAlerts(item.id, actor);
+                if (!state) return fail(400, 'Nothing to acknowledge', 'acknowledge');
+                break;
+            case 'snooze': {
+                const until = parseSnoozeUntil(req.body);
+                if (!until) return fail(400, 'Snooze needs a date after today', 'snooze');
+                state = db.snoozeItemAlerts(item.id, until, actor);
+                break;
+            }
+            case 'ignore':
+                state = db.ignoreItemExpiry(item.id, actor);
+                break;
+            case 'restore':
+                state = db.restoreItemAlerts(item.id, actor);
+                break;
+            default:
+                return fail(400, 'Unknown action', 'alert_action');
+        }
+        
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.json({ success: true, state });
+        }
+        
         res.redirect(returnUrl);
+    } catch (error) {
+        console.error('Alert state error:', error);
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.status(500).json({ success: false, message: 'Failed to update alerts' });
+        }
+        res.redirect(res.locals.uiMode === 'touch' ? '/touch/alerts' : '/dashboard/alerts');
+    }
+});
+
+/**
+ * Quick add quantity
+ * With an expiry date (or location) the amount is added as its own lot;
+ * otherwise it goes onto the newest lot. The amount may be given in any
+ * unit that converts to the item's (unit).
+ */
+router.post('/items/add-quantity/:id', permit('use'), (req, res) => {
+    try {
+        const item = db.getItemById(req.params.id);
+        
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Item not found' });
+        }
+        
+        const returnUrl = req.body.returnUrl || (res.locals.uiMode === 'touch' 
+            ? `/touch/location/${item.location_id}`
+            : `/dashboard/item/${item.id}`);
+        
+        const { values, errors } = validation.validate(validation.schemas.LOT, req.body);
+        if (validation.hasErrors(errors)) {
+            return rejectStockChange(req, res, item, errors);
+        }
+        
+        const amount = db.convertForItem(item, values.amount ?? 1, values.unit);
+        if (amount === null) {
+            if (req.xhr || req.headers.accept?.includes('application/json')) {
+                return res.status(400).json({ success: false, message: `Cannot convert ${req.body.unit} to ${item.unit}` });
+            }
+            return res.redirect(`${returnUrl}${returnUrl.includes('?') ? '&' : '?'}error=unit`);
+        }
+        const newQuantity = units.roundQuantity(item.quantity + amount);
+        
+        const { undo: offer } = undo.undoable(`Added ${units.roundQuantity(amount)} ${item.unit} of ${item.title}`, [item.id], () => {
+            if (values.expiry_date || values.location_id) {
+                db.addItemLot(item.id, {
+                    quantity: amount,
+                    date_added: values.date_added || null,
+                    expiry_date: values.expiry_date || null,
+                    location_id: values.location_id || null
+                });
+            } else {
+                db.updateItemQuantity(item.id, newQuantity);
+            }
+        }, requestActor(req, res));
+        
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.json({ success: true, amount, newQuantity, undo: offer });
+        }
+        
+        res.redirect(withUndo(returnUrl, offer));
     } catch (error) {
         console.error('Add quantity error:', error);
         if (req.xhr || req.headers.accept?.includes('application/json')) {
@@ -809,8 +1165,9 @@ router.post('/items/add-quantity/:id', (req, res) => {
 
 /**
  * Mark item as discarded/expired
+ * With lot_id only that lot is thrown away; otherwise the whole item.
  */
-router.post('/items/discard/:id', (req, res) => {
+router.post('/items/discard/:id', permit('edit'), (req, res) => {
     try {
         const item = db.getItemById(req.params.id);
         
@@ -818,22 +1175,39 @@ router.post('/items/discard/:id', (req, res) => {
             return res.status(404).json({ success: false, message: 'Item not found' });
         }
         
-        const action = req.body.action || 'discarded';
+        const { values, errors } = validation.validate(validation.schemas.DISCARD, req.body);
+        if (validation.hasErrors(errors)) {
+            return rejectStockChange(req, res, item, errors);
+        }
         
-        // Log the discard/expiry
-        db.logConsumption(item.id, item.quantity, action, req.body.notes || '');
+        const action = values.action || 'discarded';
+        const lot = values.lot_id ? db.getItemLotById(values.lot_id) : null;
         
-        // Set quantity to 0
-        db.updateItemQuantity(item.id, 0);
+        if (values.lot_id && (!lot || lot.item_id !== item.id)) {
+            return res.status(404).json({ success: false, message: 'Lot not found' });
+        }
+        
+        const actor = requestActor(req, res);
+        const { undo: offer } = undo.undoable(action === 'expired' ? `Marked ${item.title} expired` : `Discarded ${item.title}`, [item.id], () => {
+            if (lot) {
+                db.logConsumption(item.id, lot.quantity, action, req.body.notes || '', null, actor);
+                db.removeItemLot(lot.id);
+            } else {
+                // Log the discard/expiry and set quantity to 0
+                db.logConsumption(item.id, item.quantity, action, req.body.notes || '', null, actor);
+                db.updateItemQuantity(item.id, 0);
+            }
+            db.checkItemStock(item.id);
+        }, actor, 'edit');
         
         if (req.xhr || req.headers.accept?.includes('application/json')) {
-            return res.json({ success: true });
+            return res.json({ success: true, undo: offer });
         }
         
         const returnUrl = req.body.returnUrl || (res.locals.uiMode === 'touch' 
-            ? `/touch/location/${item.location_id || item.location}`
+            ? `/touch/location/${item.location_id}`
             : `/dashboard/alerts`);
-        res.redirect(returnUrl);
+        res.redirect(withUndo(returnUrl, offer));
     } catch (error) {
         console.error('Discard item error:', error);
         if (req.xhr || req.headers.accept?.includes('application/json')) {
@@ -843,6 +1217,37 @@ router.post('/items/discard/:id', (req, res) => {
     }
 });
 
+/**
+ * Restock a used-up item
+ * Adds a new item from the same product (default quantity and shelf life)
+ * in the same location; the used-up item is left as it is.
+ */
+router.post('/items/restock/:id', permit('use'), (req, res) => {
+    try {
+        const result = audit.track([], () => catalog.restockItem(req.params.id), {
+            actor: requestActor(req, res),
+            note: 'Restocked'
+        });
+        
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Item not found' });
+        }
+        
+        const newItemId = result.lastInsertRowid;
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.json({ success: true, itemId: newItemId });
+        }
+        
+        res.redirect(res.locals.uiMode === 'touch' ? `/touch/item/${newItemId}` : `/dashboard/item/${newItemId}`);
+    } catch (error) {
+        console.error('Restock item error:', error);
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.status(500).json({ success: false, message: 'Failed to restock item' });
+        }
+        res.redirect(res.locals.uiMode === 'touch' ? '/touch' : '/dashboard');
+    }
+});
+
 // ============================================================================
 // LOCATION MANAGEMENT ROUTES
 // ============================================================================
@@ -850,19 +1255,9 @@ router.post('/items/discard/:id', (req, res) => {
 /**
  * Dashboard Locations Management Page
  */
-router.get('/dashboard/locations', (req, res) => {
+router.get('/dashboard/locations', permit('admin'), (req, res) => {
     try {
-        const locations = db.getLocations(false); // all locations
-        const locationCounts = db.getLocationCounts();
-        
-        res.render('dashboard/locations', {
-            layout: 'dashboard/layout',
-            title: 'Manage Locations',
-            locations: locations.map(loc => ({
-                ...loc,
-                itemCount: locationCounts[loc.id] || 0
-            }))
-        });
+        renderLocations(res, { error: req.query.error });
     } catch (error) {
         console.error('Locations page error:', error);
         res.status(500).render('dashboard/error', {
@@ -877,23 +1272,23 @@ router.get('/dashboard/locations', (req, res) => {
 /**
  * Create a new location
  */
-router.post('/locations/create', (req, res) => {
+router.post('/locations/create', permit('admin'), (req, res) => {
     try {
-        const { name, type, icon, color } = req.body;
-        
-        if (!name || !name.trim()) {
+        const { values, errors } = validation.validate(validation.schemas.LOCATION, req.body);
+        if (validation.hasErrors(errors)) {
             if (req.xhr || req.headers.accept?.includes('application/json')) {
-                return res.status(400).json({ success: false, message: 'Location name is required' });
+                return res.status(400).json(validation.errorResponse(errors));
             }
-            return res.redirect('/dashboard/locations?error=name_required');
+            return renderLocations(res, { values: req.body, errors, status: 400 });
         }
         
         const result = db.createLocation({
-            name: name.trim(),
-            type: type || 'other',
-            icon: icon || '📦',
-            color: color || '#666666',
-            is_visible: true
+            name: values.name,
+            type: values.type,
+            icon: values.icon,
+            color: values.color,
+            sort_order: values.sort_order ?? undefined,
+            is_visible: values.is_visible ?? true
         });
         
         if (req.xhr || req.headers.accept?.includes('application/json')) {
@@ -917,10 +1312,9 @@ router.post('/locations/create', (req, res) => {
 /**
  * Update an existing location
  */
-router.post('/locations/update/:id', (req, res) => {
+router.post('/locations/update/:id', permit('admin'), (req, res) => {
     try {
         const { id } = req.params;
-        const { name, type, icon, color, is_visible, sort_order } = req.body;
         
         const existing = db.getLocationById(parseInt(id));
         if (!existing) {
@@ -930,13 +1324,22 @@ router.post('/locations/update/:id', (req, res) => {
             return res.redirect('/dashboard/locations?error=not_found');
         }
         
+        // Fields left out keep what they were
+        const { values, errors } = validation.validate(validation.partial(validation.schemas.LOCATION), req.body);
+        if (validation.hasErrors(errors)) {
+            if (req.xhr || req.headers.accept?.includes('application/json')) {
+                return res.status(400).json(validation.errorResponse(errors));
+            }
+            return renderLocations(res, { edit: { id: existing.id, values: req.body, errors }, status: 400 });
+        }
+        
         db.updateLocation(parseInt(id), {
-            name: name?.trim() || existing.name,
-            type: type || existing.type,
-            icon: icon || existing.icon,
-            color: color || existing.color,
-            is_visible: is_visible !== undefined ? (is_visible === 'true' || is_visible === '1') : existing.is_visible,
-            sort_order: sort_order !== undefined ? parseInt(sort_order) : existing.sort_order
+            name: values.name ?? existing.name,
+            type: values.type ?? existing.type,
+            icon: values.icon ?? existing.icon,
+            color: values.color ?? existing.color,
+            is_visible: values.is_visible ?? Boolean(existing.is_visible),
+            sort_order: values.sort_order ?? existing.sort_order
         });
         
         if (req.xhr || req.headers.accept?.includes('application/json')) {
@@ -956,7 +1359,7 @@ router.post('/locations/update/:id', (req, res) => {
 /**
  * Delete a location
  */
-router.post('/locations/delete/:id', (req, res) => {
+router.post('/locations/delete/:id', permit('admin'), (req, res) => {
     try {
         const { id } = req.params;
         const existing = db.getLocationById(parseInt(id));
@@ -0,0 +1,214 @@
+/**
+ * ============================================================================
+ * MEAL PLAN ROUTES
+ * ============================================================================
+ *
+ * The meal plan calendar on the dashboard:
+ *
+ * - GET  /dashboard/meals          - A week of planned meals (?week=<any date in it>)
+ * - GET  /dashboard/meals/:id      - A meal with what it reserves and its warnings
+ * - POST /meals/create             - Plan a meal (from a recipe, or by title)
+ * - POST /meals/update/:id         - Move or rename a meal
+ * - POST /meals/reserve/:id        - Reserve an amount of an item for a meal
+ * - POST /meals/release/:id        - Release one of a meal's reservations
+ * - POST /meals/cook/:id           - Mark a meal cooked, using what it reserves
+ * - POST /meals/delete/:id         - Remove a meal and release what it reserves
+ *
+ * Errors from services/meals.js come back to the page as ?error=<code> with
+ * the reason in &detail=.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db/database');
+const units = require('../lib/units');
+const meals = require('../services/meals');
+const { requestActor } = require('../lib/actor');
+const { permit } = require('../lib/permissions');
+
+/**
+ * Redirect back to a page after a failed change, with the reason when it
+ * was the request's fault
+ */
+function redirectWithError(res, url, code, error) {
+    if (!error.status) console.error(`Meal plan ${code} error:`, error);
+    const detail = error.status ? `&detail=${encodeURIComponent(error.message)}` : '';
+    res.redirect(`${url}${url.includes('?') ? '&' : '?'}error=${code}${detail}`);
+}
+
+// ============================================================================
+// DASHBOARD
+// ============================================================================
+
+/**
+ * Meal plan calendar
+ */
+router.get('/dashboard/meals', (req, res) => {
+    try {
+        const week = meals.getWeek(req.query.week);
+
+        res.render('dashboard/meals', {
+            layout: 'dashboard/layout',
+            title: 'Meal Plan',
+            week,
+            recipes: db.getRecipes(),
+            message: req.query.message || null,
+            error: req.query.error || null,
+            detail: req.query.detail || null
+        });
+    } catch (error) {
+        console.error('Meal plan page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load the meal plan.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * A planned meal
+ */
+router.get('/dashboard/meals/:id', (req, res) => {
+    try {
+        const meal = meals.getMeal(req.params.id);
+
+        if (!meal) {
+            return res.status(404).render('dashboard/error', {
+                layout: 'dashboard/layout',
+                title: 'Not Found',
+                message: 'Meal not found.',
+                statusCode: 404
+            });
+        }
+
+        res.render('dashboard/meal', {
+            layout: 'dashboard/layout',
+            title: meal.title,
+            meal,
+            items: db.getItems().filter(item => item.quantity > 0),
+            unitGroups: units.getUnitGroups(),
+            message: req.query.message || null,
+            error: req.query.error || null,
+            detail: req.query.detail || null
+        });
+    } catch (error) {
+        console.error('Meal page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load meal.',
+            statusCode: 500
+        });
+    }
+});
+
+// ============================================================================
+// FORM SUBMISSIONS
+// ============================================================================
+
+/**
+ * Plan a meal
+ */
+router.post('/meals/create', permit('edit'), (req, res) => {
+    try {
+        const mealId = meals.planMeal({
+            planned_date: req.body.planned_date,
+            title: req.body.title,
+            recipe_id: parseInt(req.body.recipe_id) || null,
+            notes: req.body.notes
+        });
+        res.redirect(`/dashboard/meals/${mealId}?message=planned`);
+    } catch (error) {
+        redirectWithError(res, `/dashboard/meals?week=${encodeURIComponent(req.body.planned_date || '')}`, 'plan', error);
+    }
+});
+
+/**
+ * Move or rename a meal
+ */
+router.post('/meals/update/:id', permit('edit'), (req, res) => {
+    const url = `/dashboard/meals/${parseInt(req.params.id)}`;
+
+    try {
+        meals.updateMeal(req.params.id, {
+            planned_date: req.body.planned_date,
+            title: req.body.title,
+            notes: req.body.notes
+        });
+        res.redirect(`${url}?message=updated`);
+    } catch (error) {
+        redirectWithError(res, url, 'update', error);
+    }
+});
+
+/**
+ * Reserve an item for a meal
+ */
+router.post('/meals/reserve/:id', permit('edit'), (req, res) => {
+    const url = `/dashboard/meals/${parseInt(req.params.id)}`;
+
+    try {
+        meals.reserveItem(req.params.id, {
+            item_id: parseInt(req.body.item_id),
+            amount: req.body.amount,
+            unit: req.body.unit || null
+        });
+        res.redirect(`${url}?message=reserved`);
+    } catch (error) {
+        redirectWithError(res, url, 'reserve', error);
+    }
+});
+
+/**
+ * Release a reservation
+ */
+router.post('/meals/release/:id', permit('edit'), (req, res) => {
+    const url = `/dashboard/meals/${parseInt(req.params.id)}`;
+
+    try {
+        meals.releaseItem(req.params.id, req.body.reservation_id);
+        res.redirect(`${url}?message=released`);
+    } catch (error) {
+        redirectWithError(res, url, 'release', error);
+    }
+});
+
+/**
+ * Mark a meal cooked
+ */
+router.post('/meals/cook/:id', permit('use'), (req, res) => {
+    const url = req.body.returnUrl || `/dashboard/meals/${parseInt(req.params.id)}`;
+
+    try {
+        const result = meals.cookMeal(req.params.id, requestActor(req, res));
+
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.json({ success: true, ...(result || { eventId: null, items: [] }) });
+        }
+        res.redirect(`${url}${url.includes('?') ? '&' : '?'}message=cooked`);
+    } catch (error) {
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            if (!error.status) console.error('Meal plan cook error:', error);
+            return res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Failed to cook meal' });
+        }
+        redirectWithError(res, url, 'cook', error);
+    }
+});
+
+/**
+ * Remove a meal
+ */
+router.post('/meals/delete/:id', permit('edit'), (req, res) => {
+    try {
+        const meal = db.getMealPlanById(req.params.id);
+        meals.deleteMeal(req.params.id);
+        res.redirect(`/dashboard/meals?message=deleted${meal ? `&week=${meal.planned_date}` : ''}`);
+    } catch (error) {
+        console.error('Delete meal error:', error);
+        res.redirect('/dashboard/meals?error=delete_failed');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+/**
+ * ============================================================================
+ * PRODUCT CATALOG ROUTES
+ * ============================================================================
+ *
+ * Dashboard pages for the product catalog that new items are seeded from:
+ *
+ * - GET  /dashboard/products      - Catalog list with search
+ * - GET  /dashboard/products/:id  - Edit a product's defaults, shelf lives
+ *                                   and unit definitions
+ * - POST /products/update/:id     - Save (with an optional new photo)
+ * - POST /products/delete/:id     - Remove from the catalog
+ * - POST /products/:id/barcodes   - Map a barcode to the product
+ * - POST /products/:id/barcodes/delete - Forget one of its barcodes
+ *
+ * Products are created automatically as items are added (see
+ * db.learnProduct); autocomplete uses /api/products.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db/database');
+const units = require('../lib/units');
+const { removeUpload } = require('../lib/uploads');
+const { permit } = require('../lib/permissions');
+
+/**
+ * Catalog list
+ */
+router.get('/dashboard/products', (req, res) => {
+    try {
+        const search = req.query.search || '';
+
+        res.render('dashboard/products', {
+            layout: 'dashboard/layout',
+            title: 'Products',
+            products: db.getProducts({ search }),
+            search,
+            message: req.query.message || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Products page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load products.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Edit product page
+ */
+router.get('/dashboard/products/:id', (req, res) => {
+    try {
+        const product = db.getProductById(req.params.id);
+
+        if (!product) {
+            return res.status(404).render('dashboard/error', {
+                layout: 'dashboard/layout',
+                title: 'Not Found',
+                message: 'Product not found.',
+                statusCode: 404
+            });
+        }
+
+        res.render('dashboard/product', {
+            layout: 'dashboard/layout',
+            title: product.name,
+            product,
+            barcodes: db.getProductBarcodes(product.id),
+            productUnits: db.getProductUnits(product.id),
+            countUnits: units.UNIT_CODES.filter(code => units.UNITS[code].dimension === 'count'),
+            categories: db.getCategories(),
+            locationTypes: db.LOCATION_TYPES,
+            message: req.query.message || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Product page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load product.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Update product
+ */
+router.post('/products/update/:id', permit('edit'), (req, res) => {
+    const upload = req.app.locals.upload;
+    const productId = parseInt(req.params.id);
+
+    upload.single('image')(req, res, async (err) => {
+        if (err) {
+            console.error('Upload error:', err);
+            return res.redirect(`/dashboard/products/${productId}?error=upload`);
+        }
+
+        try {
+            const existing = db.getProductById(productId);
+            if (!existing) {
+                return res.redirect('/dashboard/products');
+            }
+
+            const name = (req.body.name || '').trim();
+            if (!name) {
+                return res.redirect(`/dashboard/products/${productId}?error=name_required`);
+            }
+            const sameName = db.findProductByName(name);
+            if (sameName && sameName.id !== productId) {
+                return res.redirect(`/dashboard/products/${productId}?error=name_taken`);
+            }
+
+            const productData = {
+                name,
+                category: req.body.category || 'Uncategorized',
+                brand: req.body.brand || null,
+                is_homemade: req.body.is_homemade === 'on' || req.body.is_homemade === '1',
+                unit: req.body.unit || 'pcs',
+                default_quantity: parseFloat(req.body.default_quantity) || 1,
+                expiry_type: req.body.expiry_type,
+                opened_shelf_life_days: parseInt(req.body.opened_shelf_life_days) >= 0 ? parseInt(req.body.opened_shelf_life_days) : null
+            };
+
+            const shelfLife = {};
+            db.LOCATION_TYPES.forEach(type => {
+                const days = parseInt((req.body.shelf_life || {})[type]);
+                shelfLife[type] = days >= 0 ? days : null;
+            });
+
+            // units[<count unit>][amount|unit]: "1 pack = 6 pcs"
+            const unitDefinitions = Object.entries(req.body.units || {}).map(([unit, definition]) => ({
+                unit,
+                amount: parseFloat(definition.amount),
+                amount_unit: definition.unit
+            }));
+
+            if (req.file) {
+                const processImage = req.app.locals.processUploadedImage;
+                const imagePaths = await processImage(req.file.path);
+                productData.image_path = imagePaths.original;
+            }
+
+            db.transaction(() => {
+                db.updateProduct(productId, productData, shelfLife);
+                db.setProductUnits(productId, unitDefinitions);
+            });
+
+            // The product owns its photo, so the replaced one can go
+            if (req.file && existing.image_path) {
+                removeUpload(existing.image_path);
+            } else if (req.body.remove_image && existing.image_path) {
+                db.setProductImage(productId, null);
+                removeUpload(existing.image_path);
+            }
+
+            res.redirect('/dashboard/products?message=updated');
+        } catch (error) {
+            console.error('Update product error:', error);
+            res.redirect(`/dashboard/products/${productId}?error=save`);
+        }
+    });
+});
+
+/**
+ * Delete product
+ * Items made from it keep all their data; they just lose the link.
+ */
+router.post('/products/delete/:id', permit('edit'), (req, res) => {
+    try {
+        const product = db.getProductById(req.params.id);
+
+        if (product) {
+            db.deleteProduct(product.id);
+            if (product.image_path) {
+                removeUpload(product.image_path);
+            }
+        }
+
+        res.redirect('/dashboard/products?message=deleted');
+    } catch (error) {
+        console.error('Delete product error:', error);
+        res.redirect('/dashboard/products?error=delete_failed');
+    }
+});
+
+/**
+ * Add a barcode to a product (moving it from another product if mapped)
+ */
+router.post('/products/:id/barcodes', permit('edit'), (req, res) => {
+    const productId = parseInt(req.params.id);
+
+    try {
+        if (!db.getProductById(productId)) {
+            return res.redirect('/dashboard/products');
+        }
+
+        const code = db.setBarcode(req.body.code, productId);
+        res.redirect(`/dashboard/products/${productId}?${code ? 'message=barcode_added' : 'error=barcode_invalid'}`);
+    } catch (error) {
+        console.error('Add barcode error:', error);
+        res.redirect(`/dashboard/products/${productId}?error=save`);
+    }
+});
+
+/**
+ * Forget a product's barcode
+ */
+router.post('/products/:id/barcodes/delete', permit('edit'), (req, res) => {
+    const productId = parseInt(req.params.id);
+
+    try {
+        db.deleteBarcode(req.body.code);
+        res.redirect(`/dashboard/products/${productId}?message=barcode_removed`);
+    } catch (error) {
+        console.error('Delete barcode error:', error);
+        res.redirect(`/dashboard/products/${productId}?error=save`);
+    }
+});
+
+module.exports = router;
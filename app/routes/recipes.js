@@ -0,0 +1,305 @@
+/**
+ * ============================================================================
+ * RECIPE ROUTES
+ * ============================================================================
+ *
+ * The recipe store and "Use it up" on both UIs:
+ *
+ * - GET  /dashboard/recipes           - Use it up: recipes ranked against what
+ *                                       needs using, and what needs using
+ * - GET  /dashboard/recipes/new       - New recipe form
+ * - GET  /dashboard/recipes/:id       - A recipe against the stock, cooked by
+ *                                       using the ticked ingredients at once
+ * - GET  /dashboard/recipes/:id/edit  - Edit a recipe
+ * - POST /recipes/create              - Save a new recipe
+ * - POST /recipes/update/:id          - Save a recipe
+ * - POST /recipes/delete/:id          - Remove a recipe
+ * - GET  /touch/recipes               - Use it up on the touchscreen
+ * - GET  /touch/recipe/:id            - Cook a recipe on the touchscreen
+ *
+ * Cooking uses the ingredients together through POST /items/cook, so the
+ * meal is one entry in the consumption history; on the touchscreen each
+ * one can also be used on its own through POST /items/use/:id.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db/database');
+const units = require('../lib/units');
+const recipes = require('../services/recipes');
+const { permit } = require('../lib/permissions');
+
+/**
+ * Read a recipe form: name, instructions, servings and the ingredient rows
+ * ingredients[<n>][name|quantity|unit|category|is_optional]
+ * @returns {Object} { recipe, ingredients }
+ */
+function parseRecipeForm(body) {
+    const rows = Array.isArray(body.ingredients) ? body.ingredients : Object.values(body.ingredients || {});
+
+    return {
+        recipe: {
+            name: (body.name || '').trim(),
+            instructions: (body.instructions || '').trim(),
+            servings: parseInt(body.servings) || null
+        },
+        ingredients: rows.map(row => ({
+            name: row.name,
+            quantity: parseFloat(row.quantity) || null,
+            unit: row.unit,
+            category: row.category || null,
+            is_optional: row.is_optional === 'on' || row.is_optional === '1'
+        }))
+    };
+}
+
+/**
+ * Render the recipe form (new when recipe has no id)
+ */
+function renderRecipeForm(req, res, recipe) {
+    res.render('dashboard/recipe-form', {
+        layout: 'dashboard/layout',
+        title: recipe.id ? `Edit ${recipe.name}` : 'New Recipe',
+        recipe,
+        categories: db.getCategories(),
+        products: db.getProducts({ limit: 500 }),
+        unitGroups: units.getUnitGroups(),
+        error: req.query.error || null
+    });
+}
+
+// ============================================================================
+// DASHBOARD
+// ============================================================================
+
+/**
+ * Use it up
+ */
+router.get('/dashboard/recipes', (req, res) => {
+    try {
+        res.render('dashboard/recipes', {
+            layout: 'dashboard/layout',
+            title: 'Use It Up',
+            recipes: recipes.suggestRecipes(),
+            useSoon: recipes.getUseSoonItems(),
+            message: req.query.message || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Recipes page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load recipes.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * New recipe form
+ */
+router.get('/dashboard/recipes/new', (req, res) => {
+    try {
+        renderRecipeForm(req, res, { name: '', instructions: '', servings: null, ingredients: [] });
+    } catch (error) {
+        console.error('New recipe page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load the recipe form.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * A recipe against the stock
+ */
+router.get('/dashboard/recipes/:id', (req, res) => {
+    try {
+        const recipe = recipes.getRecipeMatch(req.params.id);
+
+        if (!recipe) {
+            return res.status(404).render('dashboard/error', {
+                layout: 'dashboard/layout',
+                title: 'Not Found',
+                message: 'Recipe not found.',
+                statusCode: 404
+            });
+        }
+
+        res.render('dashboard/recipe', {
+            layout: 'dashboard/layout',
+            title: recipe.name,
+            recipe,
+            message: req.query.message || null,
+            error: req.query.error || null,
+            detail: req.query.detail || null
+        });
+    } catch (error) {
+        console.error('Recipe page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load recipe.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Edit recipe form
+ */
+router.get('/dashboard/recipes/:id/edit', (req, res) => {
+    try {
+        const recipe = db.getRecipeById(req.params.id);
+
+        if (!recipe) {
+            return res.status(404).render('dashboard/error', {
+                layout: 'dashboard/layout',
+                title: 'Not Found',
+                message: 'Recipe not found.',
+                statusCode: 404
+            });
+        }
+
+        renderRecipeForm(req, res, recipe);
+    } catch (error) {
+        console.error('Edit recipe page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load recipe.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Create recipe
+ */
+router.post('/recipes/create', permit('edit'), (req, res) => {
+    try {
+        const { recipe, ingredients } = parseRecipeForm(req.body);
+
+        if (!recipe.name) {
+            return res.redirect('/dashboard/recipes/new?error=name_required');
+        }
+        if (db.findRecipeByName(recipe.name)) {
+            return res.redirect('/dashboard/recipes/new?error=name_taken');
+        }
+
+        const recipeId = db.createRecipe(recipe, ingredients);
+        res.redirect(`/dashboard/recipes/${recipeId}?message=created`);
+    } catch (error) {
+        console.error('Create recipe error:', error);
+        res.redirect('/dashboard/recipes/new?error=save');
+    }
+});
+
+/**
+ * Update recipe
+ */
+router.post('/recipes/update/:id', permit('edit'), (req, res) => {
+    const recipeId = parseInt(req.params.id);
+
+    try {
+        if (!db.getRecipeById(recipeId)) {
+            return res.redirect('/dashboard/recipes');
+        }
+
+        const { recipe, ingredients } = parseRecipeForm(req.body);
+
+        if (!recipe.name) {
+            return res.redirect(`/dashboard/recipes/${recipeId}/edit?error=name_required`);
+        }
+        const sameName = db.findRecipeByName(recipe.name);
+        if (sameName && sameName.id !== recipeId) {
+            return res.redirect(`/dashboard/recipes/${recipeId}/edit?error=name_taken`);
+        }
+
+        db.updateRecipe(recipeId, recipe, ingredients);
+        res.redirect(`/dashboard/recipes/${recipeId}?message=updated`);
+    } catch (error) {
+        console.error('Update recipe error:', error);
+        res.redirect(`/dashboard/recipes/${recipeId}/edit?error=save`);
+    }
+});
+
+/**
+ * Delete recipe
+ */
+router.post('/recipes/delete/:id', permit('edit'), (req, res) => {
+    try {
+        db.deleteRecipe(req.params.id);
+        res.redirect('/dashboard/recipes?message=deleted');
+    } catch (error) {
+        console.error('Delete recipe error:', error);
+        res.redirect('/dashboard/recipes?error=delete_failed');
+    }
+});
+
+// ============================================================================
+// TOUCHSCREEN
+// ============================================================================
+
+/**
+ * Use it up on the touchscreen: recipes that use something that needs using,
+ * then the rest that can be cooked from stock
+ */
+router.get('/touch/recipes', (req, res) => {
+    try {
+        res.render('touch/recipes', {
+            layout: false,
+            title: 'Use It Up',
+            recipes: recipes.suggestRecipes(),
+            useSoonCount: recipes.getUseSoonItems().length
+        });
+    } catch (error) {
+        console.error('Touch recipes error:', error);
+        res.status(500).render('touch/error', {
+            layout: false,
+            title: 'Error',
+            message: 'Failed to load recipes.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Cook a recipe on the touchscreen
+ */
+router.get('/touch/recipe/:id', (req, res) => {
+    try {
+        const recipe = recipes.getRecipeMatch(req.params.id);
+
+        if (!recipe) {
+            return res.status(404).render('touch/error', {
+                layout: false,
+                title: 'Not Found',
+                message: 'Recipe not found.',
+                statusCode: 404
+            });
+        }
+
+        res.render('touch/recipe', {
+            layout: false,
+            title: recipe.name,
+            recipe,
+            message: req.query.message || null,
+            error: req.query.error || null,
+            detail: req.query.detail || null
+        });
+    } catch (error) {
+        console.error('Touch recipe error:', error);
+        res.status(500).render('touch/error', {
+            layout: false,
+            title: 'Error',
+            message: 'Failed to load recipe.',
+            statusCode: 500
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,392 @@
+/**
+ * ============================================================================
+ * SETTINGS ROUTES
+ * ============================================================================
+ *
+ * Dashboard pages for appliance-level settings and maintenance.
+ *
+ * Route structure:
+ * - /dashboard/settings/expiry   - Expiry warning windows (default, per
+ *                                   location type and per category) and
+ *                                   freeze/thaw rules
+ * - /dashboard/settings/notifications - Alert digest delivery (digest time,
+ *                                   channel settings, test and send now)
+ * - /dashboard/settings/backups  - Backup archives (list, create, download,
+ *                                   verify, restore, delete)
+ * - /dashboard/settings/transfer - JSON export and merge import
+ * - /dashboard/settings/tokens   - API tokens (list, create, revoke)
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const db = require('../db/database');
+const backup = require('../services/backup');
+const transfer = require('../services/transfer');
+const notifications = require('../services/notifications');
+const tokens = require('../services/tokens');
+const { permit } = require('../lib/permissions');
+
+// Export files carry images as base64, so allow more than a photo upload
+const exportUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 200 * 1024 * 1024 // 200MB max
+    }
+});
+
+// ============================================================================
+// EXPIRY WARNINGS
+// ============================================================================
+
+/**
+ * Expiry Warnings Page
+ */
+router.get('/dashboard/settings/expiry', permit('admin'), (req, res) => {
+    try {
+        res.render('dashboard/expiry-settings', {
+            layout: 'dashboard/layout',
+            title: 'Expiry Warnings',
+            warnings: db.getExpiryWarningDays(),
+            freezerRules: db.getFreezerRules(),
+            locationTypes: db.LOCATION_TYPES,
+            categories: db.getCategories(),
+            message: req.query.message || null,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Expiry settings page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load expiry warnings.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Save the warning windows
+ * (default_days, location_type[<type>] and category[<name>] fields; an
+ * empty field falls back to the next level) and the freeze/thaw rules
+ * (freeze_days, thaw_days; an empty field keeps the rule)
+ */
+router.post('/dashboard/settings/expiry', permit('admin'), (req, res) => {
+    try {
+        const days = (value) => parseInt(value, 10) >= 0 ? parseInt(value, 10) : null;
+        const defaultDays = days(req.body.default_days);
+        if (defaultDays === null) {
+            return res.redirect('/dashboard/settings/expiry?error=default_required');
+        }
+
+        const byLocationType = {};
+        db.LOCATION_TYPES.forEach(type => {
+            byLocationType[type] = days((req.body.location_type || {})[type]);
+        });
+        const byCategory = req.body.category || {};
+
+        const freezerRules = db.getFreezerRules();
+        const rules = {
+            freezeDays: days(req.body.freeze_days) ?? freezerRules.freezeDays,
+            thawDays: days(req.body.thaw_days) ?? freezerRules.thawDays
+        };
+
+        db.transaction(() => {
+            db.setExpiryWarningDays(defaultDays, byLocationType);
+            db.setFreezerRules(rules);
+            db.getCategories().forEach(category => {
+                if (byCategory[category.name] !== undefined) {
+                    db.setCategoryExpiryWarningDays(category.name, days(byCategory[category.name]));
+                }
+            });
+        });
+
+        res.redirect('/dashboard/settings/expiry?message=saved');
+    } catch (error) {
+        console.error('Save expiry settings error:', error);
+        res.redirect('/dashboard/settings/expiry?error=save');
+    }
+});
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Notifications Page
+ */
+router.get('/dashboard/settings/notifications', permit('admin'), (req, res) => {
+    try {
+        res.render('dashboard/notifications', {
+            layout: 'dashboard/layout',
+            title: 'Notifications',
+            config: notifications.getConfig(),
+            subscriptions: db.getPushSubscriptions(),
+            deliveries: db.getNotificationDeliveries({ limit: 20 }),
+            message: req.query.message || null,
+            error: req.query.error || null,
+            detail: req.query.detail || null
+        });
+    } catch (error) {
+        console.error('Notifications page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load notification settings.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Save the time of day the digest goes out
+ */
+router.post('/dashboard/settings/notifications/digest-time', permit('admin'), (req, res) => {
+    try {
+        notifications.setDigestTime((req.body.digest_time || '').trim());
+        res.redirect('/dashboard/settings/notifications?message=saved');
+    } catch (error) {
+        console.error('Save digest time error:', error);
+        res.redirect(`/dashboard/settings/notifications?error=save&detail=${encodeURIComponent(error.message)}`);
+    }
+});
+
+/**
+ * Save a channel's settings, then (action = test or send) send a test
+ * message or the digest of new alerts right away
+ */
+router.post('/dashboard/settings/notifications/:channel', permit('admin'), async (req, res) => {
+    const channel = req.params.channel;
+    if (!notifications.getChannelNames().includes(channel)) {
+        return res.redirect('/dashboard/settings/notifications?error=unknown_channel');
+    }
+
+    try {
+        notifications.saveChannelConfig(channel, req.body);
+    } catch (error) {
+        console.error('Save notification channel error:', error);
+        return res.redirect(`/dashboard/settings/notifications?error=save&detail=${encodeURIComponent(error.message)}`);
+    }
+
+    try {
+        if (req.body.action === 'test') {
+            await notifications.sendTest(channel);
+            return res.redirect(`/dashboard/settings/notifications?message=test_sent&detail=${encodeURIComponent(channel)}`);
+        }
+        if (req.body.action === 'send') {
+            const result = await notifications.deliverDigest(channel);
+            if (result.status === 'failed') throw new Error(result.error);
+            return res.redirect(`/dashboard/settings/notifications?message=digest_${result.status}&detail=${result.count}`);
+        }
+        res.redirect('/dashboard/settings/notifications?message=saved');
+    } catch (error) {
+        console.error('Send notification error:', error.message);
+        res.redirect(`/dashboard/settings/notifications?error=send_failed&detail=${encodeURIComponent(error.message)}`);
+    }
+});
+
+// ============================================================================
+// BACKUPS
+// ============================================================================
+
+/**
+ * Backups Page
+ * Lists archives; ?verify=<name> shows the verification report for one
+ */
+router.get('/dashboard/settings/backups', permit('admin'), (req, res) => {
+    try {
+        const backups = backup.listBackups();
+        const verification = req.query.verify
+            ? { name: req.query.verify, ...backup.verifyBackup(req.query.verify) }
+            : null;
+
+        res.render('dashboard/backups', {
+            layout: 'dashboard/layout',
+            title: 'Backups',
+            backups,
+            verification,
+            config: backup.getConfig(),
+            message: req.query.message || null,
+            error: req.query.error || null,
+            detail: req.query.detail || null
+        });
+    } catch (error) {
+        console.error('Backups page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load backups.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Create a backup now
+ */
+router.post('/dashboard/settings/backups/create', permit('admin'), (req, res) => {
+    try {
+        const created = backup.createBackup('manual');
+        res.redirect(`/dashboard/settings/backups?message=created&detail=${encodeURIComponent(created.name)}`);
+    } catch (error) {
+        console.error('Create backup error:', error);
+        res.redirect(`/dashboard/settings/backups?error=create_failed&detail=${encodeURIComponent(error.message)}`);
+    }
+});
+
+/**
+ * Download an archive
+ */
+router.get('/dashboard/settings/backups/:name/download', permit('admin'), (req, res) => {
+    try {
+        const filePath = backup.getBackupPath(req.params.name);
+        res.download(filePath, req.params.name);
+    } catch (error) {
+        res.status(error.status || 500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: error.message,
+            statusCode: error.status || 500
+        });
+    }
+});
+
+/**
+ * Restore an archive into the running server
+ */
+router.post('/dashboard/settings/backups/:name/restore', permit('admin'), (req, res) => {
+    try {
+        const result = backup.restoreBackup(req.params.name);
+        res.redirect(`/dashboard/settings/backups?message=restored&detail=${encodeURIComponent(result.safetyBackup)}`);
+    } catch (error) {
+        console.error('Restore backup error:', error);
+        res.redirect(`/dashboard/settings/backups?error=restore_failed&detail=${encodeURIComponent(error.message)}`);
+    }
+});
+
+/**
+ * Delete an archive
+ */
+router.post('/dashboard/settings/backups/:name/delete', permit('admin'), (req, res) => {
+    try {
+        backup.deleteBackup(req.params.name);
+        res.redirect('/dashboard/settings/backups?message=deleted');
+    } catch (error) {
+        console.error('Delete backup error:', error);
+        res.redirect(`/dashboard/settings/backups?error=delete_failed&detail=${encodeURIComponent(error.message)}`);
+    }
+});
+
+// ============================================================================
+// DATA TRANSFER
+// ============================================================================
+
+/**
+ * Transfer Page
+ * Download a JSON export or merge one in
+ */
+router.get('/dashboard/settings/transfer', permit('admin'), (req, res) => {
+    res.render('dashboard/transfer', {
+        layout: 'dashboard/layout',
+        title: 'Transfer Data',
+        message: req.query.message || null,
+        error: req.query.error || null,
+        detail: req.query.detail || null
+    });
+});
+
+/**
+ * Merge an uploaded JSON export
+ */
+router.post('/dashboard/settings/transfer/import', permit('admin'), (req, res) => {
+    exportUpload.single('file')(req, res, (err) => {
+        if (err || !req.file) {
+            const detail = err ? err.message : 'No file chosen.';
+            return res.redirect(`/dashboard/settings/transfer?error=import_failed&detail=${encodeURIComponent(detail)}`);
+        }
+
+        try {
+            const result = transfer.importExportFile(req.file.buffer);
+            const detail = `${result.items} items (${result.lots} lots), ${result.history} history entries, ` +
+                `${result.shopping} shopping list entries, ${result.recipes.created} new recipes, ${result.meals} planned meals, ` +
+                `${result.locations.created} new locations (${result.locations.matched} matched), ` +
+                `${result.categories.created} new categories, ${result.products.created} new products, ${result.images} images. ` +
+                `Previous state saved as ${result.safetyBackup}.`;
+            res.redirect(`/dashboard/settings/transfer?message=imported&detail=${encodeURIComponent(detail)}`);
+        } catch (error) {
+            console.error('Import export file error:', error);
+            const detail = error.errors ? error.errors.join('\n') : error.message;
+            res.redirect(`/dashboard/settings/transfer?error=import_failed&detail=${encodeURIComponent(detail)}`);
+        }
+    });
+});
+
+// ============================================================================
+// API TOKENS
+// ============================================================================
+
+/**
+ * Render the API Tokens page
+ * @param {Object} extra - newToken (shown once, after creating it), error, detail
+ */
+function renderTokens(req, res, extra = {}) {
+    res.render('dashboard/tokens', {
+        layout: 'dashboard/layout',
+        title: 'API Tokens',
+        tokens: tokens.getTokens(),
+        scopes: tokens.SCOPES,
+        newToken: null,
+        message: req.query.message || null,
+        error: req.query.error || null,
+        detail: req.query.detail || null,
+        ...extra
+    });
+}
+
+/**
+ * API Tokens Page
+ */
+router.get('/dashboard/settings/tokens', permit('admin'), (req, res) => {
+    try {
+        renderTokens(req, res);
+    } catch (error) {
+        console.error('API tokens page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load API tokens.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Create a token, showing it on the page this once (it is not kept)
+ */
+router.post('/dashboard/settings/tokens/create', permit('admin'), (req, res) => {
+    try {
+        const created = tokens.createToken(
+            { name: req.body.name, scopes: req.body.scopes },
+            req.user ? req.user.id : null
+        );
+        renderTokens(req, res, { newToken: created });
+    } catch (error) {
+        console.error('Create API token error:', error.message);
+        res.redirect(`/dashboard/settings/tokens?error=create&detail=${encodeURIComponent(error.message)}`);
+    }
+});
+
+/**
+ * Revoke a token
+ */
+router.post('/dashboard/settings/tokens/:id/revoke', permit('admin'), (req, res) => {
+    try {
+        tokens.revokeToken(req.params.id);
+        res.redirect('/dashboard/settings/tokens?message=revoked');
+    } catch (error) {
+        console.error('Revoke API token error:', error.message);
+        res.redirect(`/dashboard/settings/tokens?error=revoke&detail=${encodeURIComponent(error.message)}`);
+    }
+});
+
+module.exports = router;
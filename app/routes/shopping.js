@@ -0,0 +1,261 @@
+/**
+ * ============================================================================
+ * SHOPPING LIST ROUTES
+ * ============================================================================
+ *
+ * The shopping list, made to be ticked off on a phone in the shop:
+ *
+ * - GET  /dashboard/shopping          - The list, grouped by aisle/category
+ * - POST /shopping/add                - Add an entry (or an item, with item_id)
+ * - POST /shopping/check/:id          - Tick an entry off or back on
+ * - POST /shopping/delete/:id         - Remove an entry
+ * - POST /shopping/clear-checked      - Remove the ticked entries
+ * - POST /shopping/purchase           - Put the ticked entries away as items
+ * - POST /shopping/categories         - Set each category's aisle and default
+ *                                       stock levels
+ *
+ * Items also go on the list by themselves when they are used up or drop
+ * below their minimum stock level (see db.checkItemStock). Every POST answers JSON to
+ * fetch requests and redirects otherwise.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db/database');
+const catalog = require('../services/catalog');
+const audit = require('../services/audit');
+const { requestActor } = require('../lib/actor');
+const { permit } = require('../lib/permissions');
+
+/**
+ * Split the list (already in shop order) into groups: one per aisle, and
+ * one per category for categories without an aisle
+ * @returns {Array} [{ label, entries }]
+ */
+function groupShoppingList(entries) {
+    const groups = new Map();
+
+    entries.forEach(entry => {
+        const key = entry.aisle ? `aisle:${entry.aisle.toLowerCase()}` : `category:${entry.category}`;
+        if (!groups.has(key)) {
+            const label = entry.aisle
+                ? (/^\d+$/.test(entry.aisle) ? `Aisle ${entry.aisle}` : entry.aisle)
+                : `${entry.category_icon || '📦'} ${entry.category}`;
+            groups.set(key, { label, entries: [] });
+        }
+        groups.get(key).entries.push(entry);
+    });
+
+    return [...groups.values()];
+}
+
+/**
+ * Shopping list page
+ */
+router.get('/dashboard/shopping', (req, res) => {
+    try {
+        const entries = db.getShoppingList();
+
+        res.render('dashboard/shopping', {
+            layout: 'dashboard/layout',
+            title: 'Shopping List',
+            groups: groupShoppingList(entries),
+            checkedCount: entries.filter(entry => entry.is_checked).length,
+            totalCount: entries.length,
+            products: db.getProducts({ limit: 500 }),
+            categories: db.getCategories(),
+            locations: db.getLocations(),
+            message: req.query.message || null,
+            count: parseInt(req.query.count) || 0,
+            error: req.query.error || null
+        });
+    } catch (error) {
+        console.error('Shopping list page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load the shopping list.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Add to the shopping list
+ * With item_id the item is added (once); otherwise a new entry from the
+ * title, quantity, unit and category given.
+ */
+router.post('/shopping/add', permit('edit'), (req, res) => {
+    const returnUrl = req.body.returnUrl || '/dashboard/shopping';
+
+    try {
+        let entryId;
+
+        if (req.body.item_id) {
+            if (!db.getItemById(req.body.item_id)) {
+                if (req.xhr || req.headers.accept?.includes('application/json')) {
+                    return res.status(404).json({ success: false, message: 'Item not found' });
+                }
+                return res.redirect(returnUrl);
+            }
+            entryId = db.addItemToShoppingList(parseInt(req.body.item_id), 'manual');
+        } else {
+            const title = (req.body.title || '').trim();
+            if (!title) {
+                if (req.xhr || req.headers.accept?.includes('application/json')) {
+                    return res.status(400).json({ success: false, message: 'Title is required' });
+                }
+                return res.redirect('/dashboard/shopping?error=title_required');
+            }
+            entryId = db.addShoppingEntry({
+                title,
+                quantity: parseFloat(req.body.quantity) || null,
+                unit: db.UNITS.includes(req.body.unit) ? req.body.unit : null,
+                category: req.body.category || null,
+                notes: req.body.notes || ''
+            });
+        }
+
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.json({ success: true, id: entryId, alreadyListed: !entryId });
+        }
+        res.redirect(`${returnUrl}${returnUrl.includes('?') ? '&' : '?'}message=${entryId ? 'added' : 'already_listed'}`);
+    } catch (error) {
+        console.error('Add to shopping list error:', error);
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.status(500).json({ success: false, message: 'Failed to add to the shopping list' });
+        }
+        res.redirect('/dashboard/shopping?error=save');
+    }
+});
+
+/**
+ * Tick an entry off (checked=1) or back on (checked=0)
+ */
+router.post('/shopping/check/:id', permit('edit'), (req, res) => {
+    try {
+        const entry = db.getShoppingEntryById(req.params.id);
+        if (!entry) {
+            if (req.xhr || req.headers.accept?.includes('application/json')) {
+                return res.status(404).json({ success: false, message: 'Entry not found' });
+            }
+            return res.redirect('/dashboard/shopping');
+        }
+
+        const checked = req.body.checked === undefined ? !entry.is_checked : ['1', 'true', 'on', true].includes(req.body.checked);
+        db.setShoppingEntryChecked(entry.id, checked);
+
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.json({ success: true, checked });
+        }
+        res.redirect('/dashboard/shopping');
+    } catch (error) {
+        console.error('Check shopping entry error:', error);
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.status(500).json({ success: false, message: 'Failed to update entry' });
+        }
+        res.redirect('/dashboard/shopping?error=save');
+    }
+});
+
+/**
+ * Remove an entry
+ */
+router.post('/shopping/delete/:id', permit('edit'), (req, res) => {
+    try {
+        db.deleteShoppingEntry(req.params.id);
+
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.json({ success: true });
+        }
+        res.redirect('/dashboard/shopping');
+    } catch (error) {
+        console.error('Delete shopping entry error:', error);
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.status(500).json({ success: false, message: 'Failed to remove entry' });
+        }
+        res.redirect('/dashboard/shopping?error=save');
+    }
+});
+
+/**
+ * Remove every ticked entry without adding anything to the inventory
+ */
+router.post('/shopping/clear-checked', permit('edit'), (req, res) => {
+    try {
+        const result = db.clearCheckedShoppingEntries();
+
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.json({ success: true, removedCount: result.changes });
+        }
+        res.redirect('/dashboard/shopping?message=cleared');
+    } catch (error) {
+        console.error('Clear shopping list error:', error);
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.status(500).json({ success: false, message: 'Failed to clear entries' });
+        }
+        res.redirect('/dashboard/shopping?error=save');
+    }
+});
+
+/**
+ * Put the ticked entries away: each becomes a new item in the location
+ */
+router.post('/shopping/purchase', permit('edit'), (req, res) => {
+    try {
+        const location = req.body.location_id ? db.getLocationById(req.body.location_id) : null;
+        if (!location) {
+            if (req.xhr || req.headers.accept?.includes('application/json')) {
+                return res.status(400).json({ success: false, message: 'Choose a location' });
+            }
+            return res.redirect('/dashboard/shopping?error=location_required');
+        }
+
+        const itemIds = audit.track([], () => catalog.purchaseShoppingList(location.id), {
+            actor: requestActor(req, res),
+            note: 'Put away from the shopping list'
+        });
+
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.json({ success: true, itemIds });
+        }
+        res.redirect(`/dashboard/shopping?message=purchased&count=${itemIds.length}`);
+    } catch (error) {
+        console.error('Purchase shopping list error:', error);
+        if (req.xhr || req.headers.accept?.includes('application/json')) {
+            return res.status(500).json({ success: false, message: 'Failed to add the shopping to the inventory' });
+        }
+        res.redirect('/dashboard/shopping?error=purchase_failed');
+    }
+});
+
+/**
+ * Set each category's aisle and default stock levels
+ * (aisle[<name>], min_quantity[<name>], target_quantity[<name>] fields)
+ */
+router.post('/shopping/categories', permit('edit'), (req, res) => {
+    try {
+        const aisles = req.body.aisle || {};
+        const minimums = req.body.min_quantity || {};
+        const targets = req.body.target_quantity || {};
+        const level = (value) => parseFloat(value) >= 0 ? parseFloat(value) : null;
+
+        db.transaction(() => {
+            db.getCategories().forEach(category => {
+                if (aisles[category.name] !== undefined) {
+                    db.setCategoryAisle(category.name, aisles[category.name]);
+                }
+                if (minimums[category.name] !== undefined) {
+                    db.setCategoryStockLevels(category.name, level(minimums[category.name]), level(targets[category.name]));
+                }
+            });
+        });
+
+        res.redirect('/dashboard/shopping?message=categories_saved');
+    } catch (error) {
+        console.error('Save categories error:', error);
+        res.redirect('/dashboard/shopping?error=save');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+/**
+ * ============================================================================
+ * TRASH ROUTES
+ * ============================================================================
+ *
+ * Deleted items wait in the trash until they are purged (see
+ * services/undo.js):
+ *
+ * - GET  /dashboard/trash     - Items in the trash, with when each is purged
+ * - POST /trash/restore/:id   - Put an item back in the inventory
+ * - POST /trash/purge/:id     - Remove an item for good now
+ * - POST /trash/empty         - Remove everything in the trash for good
+ */
+
+const express = require('express');
+const router = express.Router();
+const undo = require('../services/undo');
+const { requestActor } = require('../lib/actor');
+const { permit } = require('../lib/permissions');
+
+/**
+ * Trash Page
+ */
+router.get('/dashboard/trash', (req, res) => {
+    try {
+        res.render('dashboard/trash', {
+            layout: 'dashboard/layout',
+            title: 'Trash',
+            items: undo.getTrash(),
+            config: undo.getConfig(),
+            message: req.query.message || null,
+            error: req.query.error || null,
+            detail: req.query.detail || null
+        });
+    } catch (error) {
+        console.error('Trash page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load the trash.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Restore an item
+ */
+router.post('/trash/restore/:id', permit('edit'), (req, res) => {
+    try {
+        const item = undo.restoreItem(req.params.id, requestActor(req, res));
+        res.redirect(`/dashboard/trash?message=restored&detail=${encodeURIComponent(item.title)}`);
+    } catch (error) {
+        if (!error.status) console.error('Restore item error:', error);
+        res.redirect(`/dashboard/trash?error=restore_failed${error.status ? `&detail=${encodeURIComponent(error.message)}` : ''}`);
+    }
+});
+
+/**
+ * Remove an item for good
+ */
+router.post('/trash/purge/:id', permit('admin'), (req, res) => {
+    try {
+        undo.purgeItem(req.params.id);
+        res.redirect('/dashboard/trash?message=purged');
+    } catch (error) {
+        if (!error.status) console.error('Purge item error:', error);
+        res.redirect(`/dashboard/trash?error=purge_failed${error.status ? `&detail=${encodeURIComponent(error.message)}` : ''}`);
+    }
+});
+
+/**
+ * Empty the trash
+ */
+router.post('/trash/empty', permit('admin'), (req, res) => {
+    try {
+        const count = undo.emptyTrash();
+        res.redirect(`/dashboard/trash?message=emptied&detail=${count}`);
+    } catch (error) {
+        console.error('Empty trash error:', error);
+        res.redirect('/dashboard/trash?error=purge_failed');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+/**
+ * ============================================================================
+ * USER ROUTES
+ * ============================================================================
+ *
+ * Household members and signing in (see services/users.js):
+ *
+ * - GET  /login              - Dashboard sign-in
+ * - POST /login              - Sign in (user_id, pin, next)
+ * - POST /logout             - Sign out
+ * - GET  /touch/who          - "Who are you?" avatar picker
+ * - GET  /touch/who/:id      - PIN pad for a user with a PIN
+ * - POST /touch/who/:id      - Sign in on the touchscreen (pin, next)
+ * - GET  /dashboard/users    - Household members
+ * - POST /users/create       - Add a member
+ * - POST /users/update/:id   - Change a member (name, avatar, color, pin, clear_pin)
+ * - POST /users/delete/:id   - Remove a member
+ * - POST /users/touch-lock   - Lock the touchscreen to using and adding stock (locked)
+ *
+ * Managing the household is for admins (see lib/permissions.js); with no
+ * users yet, anyone may add the first one, who becomes an admin.
+ */
+
+const express = require('express');
+const router = express.Router();
+const users = require('../services/users');
+const auth = require('../lib/auth');
+const { permit } = require('../lib/permissions');
+
+/**
+ * Sign-in options for users.signIn() from a request
+ */
+function signInOptions(req, ui) {
+    return {
+        ui,
+        address: (req.ip || '').replace(/^::ffff:/, ''),
+        userAgent: req.get('User-Agent')
+    };
+}
+
+// ============================================================================
+// DASHBOARD SIGN-IN
+// ============================================================================
+
+/**
+ * Sign-in page
+ */
+router.get('/login', (req, res) => {
+    const next = auth.safeNext(req.query.next, '/dashboard');
+    if (!res.locals.usersEnabled || req.user) {
+        return res.redirect(next);
+    }
+
+    try {
+        res.render('dashboard/login', {
+            title: 'Sign In',
+            users: users.getUsers(),
+            next,
+            selectedId: parseInt(req.query.user) || null,
+            error: req.query.error || null,
+            detail: req.query.detail || null
+        });
+    } catch (error) {
+        console.error('Sign-in page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load the sign-in page.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Sign in
+ */
+router.post('/login', (req, res) => {
+    const next = auth.safeNext(req.body.next, '/dashboard');
+
+    try {
+        auth.startSession(req, res, users.signIn(req.body.user_id, req.body.pin, signInOptions(req, 'dashboard')));
+        res.redirect(next);
+    } catch (error) {
+        if (!error.status) console.error('Sign-in error:', error);
+        const detail = error.status ? error.message : 'Failed to sign in';
+        res.redirect(`/login?error=signin&detail=${encodeURIComponent(detail)}&user=${parseInt(req.body.user_id) || ''}&next=${encodeURIComponent(next)}`);
+    }
+});
+
+/**
+ * Sign out
+ */
+router.post('/logout', (req, res) => {
+    try {
+        auth.endSession(req, res);
+    } catch (error) {
+        console.error('Sign-out error:', error);
+    }
+
+    const touch = req.body.ui === 'touch' || res.locals.uiMode === 'touch';
+    res.redirect(touch ? '/touch/who' : '/login');
+});
+
+// ============================================================================
+// TOUCHSCREEN "WHO ARE YOU?"
+// ============================================================================
+
+/**
+ * Render the picker, or the PIN pad of a picked user
+ */
+function renderWho(req, res, picked) {
+    res.render('touch/who', {
+        title: 'Who are you?',
+        users: users.getUsers(),
+        picked,
+        next: auth.safeNext(req.query.next, '/touch'),
+        error: req.query.error || null,
+        detail: req.query.detail || null
+    });
+}
+
+/**
+ * Avatar picker
+ */
+router.get('/touch/who', (req, res) => {
+    if (!res.locals.usersEnabled) {
+        return res.redirect('/touch');
+    }
+
+    try {
+        renderWho(req, res, null);
+    } catch (error) {
+        console.error('Who page error:', error);
+        res.status(500).render('touch/error', {
+            title: 'Error',
+            message: 'Failed to load users.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * PIN pad for one user
+ */
+router.get('/touch/who/:id', (req, res) => {
+    try {
+        const picked = users.getUsers().find(user => user.id === parseInt(req.params.id));
+        if (!picked) {
+            return res.redirect('/touch/who');
+        }
+        renderWho(req, res, picked);
+    } catch (error) {
+        console.error('PIN page error:', error);
+        res.status(500).render('touch/error', {
+            title: 'Error',
+            message: 'Failed to load users.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Sign in on the touchscreen
+ */
+router.post('/touch/who/:id', (req, res) => {
+    const next = auth.safeNext(req.body.next, '/touch');
+
+    try {
+        auth.startSession(req, res, users.signIn(req.params.id, req.body.pin, signInOptions(req, 'touch')));
+        res.redirect(next);
+    } catch (error) {
+        if (!error.status) console.error('Touch sign-in error:', error);
+        const detail = error.status ? error.message : 'Failed to sign in';
+        res.redirect(`/touch/who/${parseInt(req.params.id) || ''}?error=signin&detail=${encodeURIComponent(detail)}&next=${encodeURIComponent(next)}`);
+    }
+});
+
+// ============================================================================
+// HOUSEHOLD MEMBERS
+// ============================================================================
+
+/**
+ * Household members page
+ */
+router.get('/dashboard/users', permit('admin'), (req, res) => {
+    try {
+        res.render('dashboard/users', {
+            layout: 'dashboard/layout',
+            title: 'Household',
+            users: users.getUsers(),
+            config: users.getConfig(),
+            message: req.query.message || null,
+            error: req.query.error || null,
+            detail: req.query.detail || null
+        });
+    } catch (error) {
+        console.error('Users page error:', error);
+        res.status(500).render('dashboard/error', {
+            layout: 'dashboard/layout',
+            title: 'Error',
+            message: 'Failed to load users.',
+            statusCode: 500
+        });
+    }
+});
+
+/**
+ * Add a member. The first one is signed in straight away, since from then
+ * on everyone has to be.
+ */
+router.post('/users/create', permit('admin'), (req, res) => {
+    try {
+        const first = !res.locals.usersEnabled;
+        const userId = users.createUser(req.body);
+
+        if (first) {
+            auth.startSession(req, res, users.signIn(userId, req.body.pin, signInOptions(req, 'dashboard')));
+        }
+        res.redirect(`/dashboard/users?message=created&detail=${encodeURIComponent(String(req.body.name).trim())}`);
+    } catch (error) {
+        if (!error.status) console.error('Create user error:', error);
+        res.redirect(`/dashboard/users?error=save${error.status ? `&detail=${encodeURIComponent(error.message)}` : ''}`);
+    }
+});
+
+/**
+ * Change a member (name, avatar, color, role, pin, clear_pin)
+ */
+router.post('/users/update/:id', permit('admin'), (req, res) => {
+    try {
+        users.updateUser(req.params.id, {
+            ...req.body,
+            clear_pin: req.body.clear_pin === 'on' || req.body.clear_pin === '1'
+        });
+        res.redirect('/dashboard/users?message=updated');
+    } catch (error) {
+        if (!error.status) console.error('Update user error:', error);
+        res.redirect(`/dashboard/users?error=save${error.status ? `&detail=${encodeURIComponent(error.message)}` : ''}`);
+    }
+});
+
+/**
+ * Remove a member (their history keeps their name)
+ */
+router.post('/users/delete/:id', permit('admin'), (req, res) => {
+    try {
+        const user = users.removeUser(req.params.id);
+        if (req.user && req.user.id === user.id) {
+            auth.endSession(req, res);
+        }
+        res.redirect(`/dashboard/users?message=removed&detail=${encodeURIComponent(user.name)}`);
+    } catch (error) {
+        if (!error.status) console.error('Remove user error:', error);
+        res.redirect(`/dashboard/users?error=remove${error.status ? `&detail=${encodeURIComponent(error.message)}` : ''}`);
+    }
+});
+
+/**
+ * Lock the touchscreen to using and adding stock (locked=1), or unlock it
+ */
+router.post('/users/touch-lock', permit('admin'), (req, res) => {
+    try {
+        const locked = req.body.locked === '1' || req.body.locked === 'on';
+        users.setTouchLocked(locked);
+        res.redirect(`/dashboard/users?message=${locked ? 'locked' : 'unlocked'}`);
+    } catch (error) {
+        console.error('Touch lock error:', error);
+        res.redirect('/dashboard/users?error=lock');
+    }
+});
+
+module.exports = router;
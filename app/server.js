@@ -29,9 +29,26 @@ const sharp = require('sharp');
 // Import routes
 const itemRoutes = require('./routes/items');
 const apiRoutes = require('./routes/api');
+const settingsRoutes = require('./routes/settings');
+const importRoutes = require('./routes/import');
+const productRoutes = require('./routes/products');
+const shoppingRoutes = require('./routes/shopping');
+const recipeRoutes = require('./routes/recipes');
+const mealRoutes = require('./routes/meals');
+const trashRoutes = require('./routes/trash');
+const userRoutes = require('./routes/users');
 
 // Import database
 const db = require('./db/database');
+const units = require('./lib/units');
+const auth = require('./lib/auth');
+const csrf = require('./lib/csrf');
+const permissions = require('./lib/permissions');
+
+// Import background services
+const backup = require('./services/backup');
+const notifications = require('./services/notifications');
+const undo = require('./services/undo');
 const { config } = require('process');
 
 // ============================================================================
@@ -93,11 +110,17 @@ app.use(express.static(path.join(__dirname, 'public')));
  * 3. User-Agent analysis for mobile vs desktop
  * 
  * The detected device type is stored in res.locals for use in templates
- * and routing decisions.
+ * and routing decisions. res.locals.touchDevice says whether the device
+ * itself is the touchscreen, whatever ?ui= asks for (the touchscreen lock
+ * goes by it, see lib/permissions.js).
  */
 app.use((req, res, next) => {
     const userAgent = req.get('User-Agent') || '';
     const uiOverride = req.query.ui;
+    const isRaspberryPi = /Raspbian|Linux armv|Linux aarch64/i.test(userAgent);
+    const isChromiumKiosk = /Chromium.*armv/i.test(userAgent);
+    
+    res.locals.touchDevice = isRaspberryPi || isChromiumKiosk;
     
     // Allow manual override via query parameter (useful for testing)
     if (uiOverride === 'touch') {
@@ -108,9 +131,7 @@ app.use((req, res, next) => {
         res.locals.uiMode = 'dashboard';
     } else {
         // Auto-detect based on User-Agent
-        const isRaspberryPi = /Raspbian|Linux armv|Linux aarch64/i.test(userAgent);
         const isMobile = /Mobile|Android|iPhone|iPad|iPod|webOS|BlackBerry|IEMobile|Opera Mini/i.test(userAgent);
-        const isChromiumKiosk = /Chromium.*armv/i.test(userAgent);
         
         // Raspberry Pi or ARM device in kiosk mode gets touchscreen UI
         if (isRaspberryPi || isChromiumKiosk) {
@@ -135,18 +156,34 @@ app.use((req, res, next) => {
         res.locals.sidebarLocations = [];
     }
     
-    // Make unit labels available globally
-    res.locals.unitLabels = {
-        pcs: 'pieces',
-        g: 'grams',
-        kg: 'kilograms',
-        ml: 'millilitres',
-        L: 'litres'
+    // Make the unit registry available globally (labels, and the units
+    // grouped by dimension for unit pickers)
+    res.locals.unitLabels = units.getUnitLabels();
+    res.locals.unitGroups = units.getUnitGroups();
+    
+    // How long a freezer item has been frozen ("3 months", "12 days")
+    res.locals.frozenFor = (days) => {
+        const months = Math.floor(days / 30);
+        return months > 0
+            ? `${months} ${months === 1 ? 'month' : 'months'}`
+            : `${days} ${days === 1 ? 'day' : 'days'}`;
     };
     
     next();
 });
 
+// ============================================================================
+// SIGN-IN MIDDLEWARE
+// ============================================================================
+// Who is signed in (req.user); once the household has users, everyone
+// else is sent to sign in (see lib/auth.js). Routes check what they may
+// do with permissions.permit() (see lib/permissions.js). Every change
+// must carry the browser's CSRF token (see lib/csrf.js).
+app.use(auth.loadUser);
+app.use(auth.requireUser);
+app.use(permissions.loadPermissions);
+app.use(csrf.protect);
+
 // ============================================================================
 // IMAGE UPLOAD CONFIGURATION
 // ============================================================================
@@ -262,6 +299,14 @@ app.get('/', (req, res) => {
 
 // Mount route modules
 app.use('/', itemRoutes);
+app.use('/', settingsRoutes);
+app.use('/', importRoutes);
+app.use('/', productRoutes);
+app.use('/', shoppingRoutes);
+app.use('/', recipeRoutes);
+app.use('/', mealRoutes);
+app.use('/', trashRoutes);
+app.use('/', userRoutes);
 app.use('/api', apiRoutes);
 
 // ============================================================================
@@ -307,12 +352,18 @@ app.use((err, req, res, next) => {
 
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down Stock Keeper...');
+    backup.stopScheduler();
+    notifications.stopScheduler();
+    undo.stopScheduler();
     db.close();
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
     console.log('\n🛑 Shutting down Stock Keeper...');
+    backup.stopScheduler();
+    notifications.stopScheduler();
+    undo.stopScheduler();
     db.close();
     process.exit(0);
 });
@@ -327,6 +378,15 @@ async function startServer() {
         // Initialize the database first
         await db.initializeDatabase();
         
+        // Start periodic backups
+        backup.startScheduler();
+        
+        // Start delivering alert digests
+        notifications.startScheduler();
+        
+        // Start purging the trash
+        undo.startScheduler();
+        
         app.listen(PORT, '0.0.0.0', () => {
             const localIP = getLocalIP();
             
@@ -0,0 +1,162 @@
+/**
+ * ============================================================================
+ * ITEM AUDIT SERVICE
+ * ============================================================================
+ *
+ * Every change to an item is kept in its audit log (item_events), so a
+ * quantity or expiry date that looks wrong can be traced back:
+ *
+ * - Changes are made through track(), which compares each item it touches
+ *   before and after and records the fields that changed, with who made
+ *   the change. Items the change created are recorded as created
+ * - An event is named after what changed: deleted or restored (the trash),
+ *   moved (the location), quantity, else updated
+ * - Undoable changes (see services/undo.js) are tracked with their label as
+ *   the note; undoing one is tracked as "Undo: <label>"
+ */
+
+const db = require('../db/database');
+
+// Item columns left out of the log: the legacy location name follows
+// location_id, the product link is internal and updated_at changes every time
+const UNTRACKED_FIELDS = ['id', 'location', 'product_id', 'created_at', 'updated_at'];
+
+// Most events returned by getItemEvents()
+const MAX_EVENTS = 500;
+
+/**
+ * Error for an audit query that cannot be answered
+ */
+function invalidQuery(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * An item's row as the log compares it (in the trash or not)
+ */
+function itemRow(itemId) {
+    const state = db.getItemState(itemId);
+    return state ? state.item : null;
+}
+
+/**
+ * The fields that differ between two rows of an item, as { field: { before, after } };
+ * location_id is given as the location's name, under location
+ * @param {Object|null} before - Row before (null for a new item)
+ * @param {Object} after - Row after
+ * @param {Function} locationName - Location ID to name
+ */
+function diffItem(before, after, locationName) {
+    const changes = {};
+
+    Object.keys(after).forEach(field => {
+        if (UNTRACKED_FIELDS.includes(field)) return;
+
+        const was = before ? before[field] ?? null : null;
+        const now = after[field] ?? null;
+        if (was === now) return;
+
+        if (field === 'location_id') {
+            changes.location = { before: locationName(was), after: locationName(now) };
+        } else {
+            changes[field] = { before: was, after: now };
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Name the event for a set of changes
+ */
+function eventFor(changes) {
+    if (changes.deleted_at) return changes.deleted_at.after ? 'deleted' : 'restored';
+    if (changes.location) return 'moved';
+    if (changes.quantity) return 'quantity';
+    return 'updated';
+}
+
+/**
+ * Make a change to items and record it in their audit log
+ * @param {Array} itemIds - Items the change touches (items it creates are found)
+ * @param {Function} change - Makes the change; it runs in a transaction
+ * @param {Object} options - { actor: who makes the change, note: what it is }
+ * @returns {*} What change returned
+ */
+function track(itemIds, change, options = {}) {
+    return db.transaction(() => {
+        const ids = [...new Set(itemIds.map(id => parseInt(id)))].filter(id => id > 0);
+        const before = ids.map(itemRow);
+        const lastItemId = db.getLastItemId();
+
+        const result = change();
+
+        const names = new Map();
+        const locationName = (locationId) => {
+            if (locationId === null) return null;
+            if (!names.has(locationId)) {
+                const location = db.getLocationById(locationId);
+                names.set(locationId, location ? location.name : `#${locationId}`);
+            }
+            return names.get(locationId);
+        };
+        const record = (event, row, changes) => db.logItemEvent({
+            item_id: row.id,
+            item_title: row.title,
+            event,
+            changes,
+            note: options.note,
+            actor: options.actor
+        });
+
+        ids.forEach((id, i) => {
+            const after = itemRow(id);
+            if (!before[i] || !after) return;
+
+            const changes = diffItem(before[i], after, locationName);
+            if (Object.keys(changes).length > 0) record(eventFor(changes), after, changes);
+        });
+
+        for (let id = lastItemId + 1, last = db.getLastItemId(); id <= last; id++) {
+            const created = itemRow(id);
+            if (created) record('created', created, diffItem(null, created, locationName));
+        }
+
+        return result;
+    });
+}
+
+/**
+ * Get an item's audit log, newest first
+ * @param {number} itemId - Item ID
+ * @param {Object} filters - Optional { event, field, actor, user (user ID), days, limit } (limit default 50)
+ * @returns {Array} Item events, each with changes ({ field: { before, after } })
+ * @throws {Error} With status 400 for an unknown event or a bad number
+ */
+function getItemEvents(itemId, filters = {}) {
+    if (filters.event && !db.ITEM_EVENTS.includes(filters.event)) {
+        throw invalidQuery(`Unknown event "${filters.event}". Use one of: ${db.ITEM_EVENTS.join(', ')}.`);
+    }
+
+    const days = filters.days ? parseInt(filters.days, 10) : null;
+    const limit = filters.limit ? parseInt(filters.limit, 10) : 50;
+    if (days !== null && !(days > 0)) throw invalidQuery('days must be a positive number.');
+    if (!(limit > 0)) throw invalidQuery('limit must be a positive number.');
+
+    return db.getItemEvents({
+        itemId,
+        event: filters.event || null,
+        field: filters.field || null,
+        actor: filters.actor || null,
+        userId: parseInt(filters.user, 10) || null,
+        days,
+        limit: Math.min(limit, MAX_EVENTS)
+    });
+}
+
+module.exports = {
+    track,
+    getItemEvents
+};
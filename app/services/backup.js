@@ -0,0 +1,405 @@
+/**
+ * ============================================================================
+ * BACKUP SERVICE
+ * ============================================================================
+ *
+ * Periodically writes a single zip archive containing:
+ * - manifest.json      - what is in the archive, with SHA-256 checksums
+ * - stock-keeper.db    - a full export of the database
+ * - uploads/*          - every image referenced by an item (plus thumbnails)
+ *
+ * Archives go to BACKUP_DIR (default /app/backups), which can point at a
+ * USB stick or network mount. Scheduled backups are pruned to the newest
+ * one per day for BACKUP_KEEP_DAILY days and the newest one per week for
+ * BACKUP_KEEP_WEEKLY weeks. Manual, pre-restore and pre-import backups are only
+ * removed when deleted from the dashboard.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const db = require('../db/database');
+const { UPLOADS_DIR, uploadFilesFor } = require('../lib/uploads');
+
+const BACKUP_DIR = process.env.BACKUP_DIR
+    ? path.resolve(process.env.BACKUP_DIR)
+    : path.join(__dirname, '..', 'backups');
+
+const BACKUP_INTERVAL_HOURS = parseFloat(process.env.BACKUP_INTERVAL_HOURS ?? '24');
+const BACKUP_KEEP_DAILY = parseInt(process.env.BACKUP_KEEP_DAILY, 10) || 7;
+const BACKUP_KEEP_WEEKLY = parseInt(process.env.BACKUP_KEEP_WEEKLY, 10) || 4;
+
+// How often the scheduler checks whether a backup is due
+const SCHEDULER_CHECK_MS = 60 * 60 * 1000;
+
+const ARCHIVE_FORMAT = 1;
+const DB_ENTRY = 'stock-keeper.db';
+const MANIFEST_ENTRY = 'manifest.json';
+const BACKUP_NAME_PATTERN = /^stock-keeper-(scheduled|manual|pre-restore|pre-import)-(\d{4}-\d{2}-\d{2})-(\d{6})\.zip$/;
+
+let schedulerTimer = null;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Local timestamp parts used in archive names
+ */
+function timestampParts(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+        day: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        time: `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`
+    };
+}
+
+/**
+ * Parse an archive file name
+ * @returns {Object|null} { name, reason, date } or null if not a backup
+ */
+function parseBackupName(name) {
+    const match = BACKUP_NAME_PATTERN.exec(name);
+    if (!match) return null;
+
+    const [, reason, day, time] = match;
+    const date = new Date(`${day}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}`);
+    return { name, reason, date };
+}
+
+/**
+ * Resolve a backup name to a path, rejecting anything that is not a
+ * plain archive name inside BACKUP_DIR
+ */
+function resolveBackupPath(name) {
+    if (!parseBackupName(name) || path.basename(name) !== name) {
+        const error = new Error('Invalid backup name');
+        error.status = 400;
+        throw error;
+    }
+
+    const filePath = path.join(BACKUP_DIR, name);
+    if (!fs.existsSync(filePath)) {
+        const error = new Error('Backup not found');
+        error.status = 404;
+        throw error;
+    }
+    return filePath;
+}
+
+/**
+ * ISO week key (e.g. 2026-W42) for weekly retention
+ */
+function isoWeekKey(date) {
+    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    const dayNum = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+    return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// ============================================================================
+// CREATE / LIST / DELETE
+// ============================================================================
+
+/**
+ * Write a new backup archive
+ * @param {string} reason - 'scheduled', 'manual', 'pre-restore' or 'pre-import'
+ * @returns {Object} Backup summary (see listBackups)
+ */
+function createBackup(reason = 'manual') {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+    const zip = new AdmZip();
+    const dbBuffer = db.exportDatabase();
+    const report = db.inspectDatabaseFile(dbBuffer);
+    zip.addFile(DB_ENTRY, dbBuffer);
+
+    const files = [];
+    const added = new Set();
+    db.getReferencedImagePaths().forEach(imagePath => {
+        uploadFilesFor(imagePath).forEach(fileName => {
+            if (added.has(fileName)) return;
+            added.add(fileName);
+
+            const contents = fs.readFileSync(path.join(UPLOADS_DIR, fileName));
+            zip.addFile(`uploads/${fileName}`, contents);
+            files.push({ path: `uploads/${fileName}`, size: contents.length, sha256: sha256(contents) });
+        });
+    });
+
+    const now = new Date();
+    const manifest = {
+        app: 'stock-keeper',
+        format: ARCHIVE_FORMAT,
+        reason,
+        created_at: now.toISOString(),
+        schema_version: report.schemaVersion,
+        counts: report.counts,
+        database: { path: DB_ENTRY, size: dbBuffer.length, sha256: sha256(dbBuffer) },
+        files
+    };
+    zip.addFile(MANIFEST_ENTRY, Buffer.from(JSON.stringify(manifest, null, 2)));
+
+    // Names have one-second resolution; step forward if one is taken
+    let stamp = now;
+    let name;
+    do {
+        const { day, time } = timestampParts(stamp);
+        name = `stock-keeper-${reason}-${day}-${time}.zip`;
+        stamp = new Date(stamp.getTime() + 1000);
+    } while (fs.existsSync(path.join(BACKUP_DIR, name)));
+
+    // Write under a temp name so a half-written archive never looks valid
+    const finalPath = path.join(BACKUP_DIR, name);
+    const tempPath = `${finalPath}.tmp`;
+    zip.writeZip(tempPath);
+    fs.renameSync(tempPath, finalPath);
+
+    return describeBackup(name);
+}
+
+/**
+ * Read summary information for one archive
+ */
+function describeBackup(name) {
+    const parsed = parseBackupName(name);
+    const filePath = path.join(BACKUP_DIR, name);
+    const summary = {
+        name,
+        reason: parsed.reason,
+        createdAt: parsed.date,
+        size: fs.statSync(filePath).size,
+        manifest: null
+    };
+
+    try {
+        const entry = new AdmZip(filePath).getEntry(MANIFEST_ENTRY);
+        summary.manifest = entry ? JSON.parse(entry.getData().toString('utf8')) : null;
+    } catch (error) {
+        // Unreadable archives are still listed so they can be deleted
+    }
+    return summary;
+}
+
+/**
+ * List all backup archives, newest first
+ * @returns {Array} Backup summaries
+ */
+function listBackups() {
+    if (!fs.existsSync(BACKUP_DIR)) return [];
+
+    return fs.readdirSync(BACKUP_DIR)
+        .filter(name => parseBackupName(name))
+        .map(describeBackup)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Get the absolute path of an archive (for downloads)
+ */
+function getBackupPath(name) {
+    return resolveBackupPath(name);
+}
+
+/**
+ * Delete an archive
+ */
+function deleteBackup(name) {
+    fs.unlinkSync(resolveBackupPath(name));
+}
+
+/**
+ * Remove scheduled backups outside the daily/weekly retention windows
+ * @returns {Array} Names of deleted archives
+ */
+function pruneBackups() {
+    const scheduled = listBackups().filter(backup => backup.reason === 'scheduled');
+    const keep = new Set();
+
+    const days = new Set();
+    const weeks = new Set();
+    scheduled.forEach(backup => {
+        const day = timestampParts(backup.createdAt).day;
+        if (!days.has(day) && days.size < BACKUP_KEEP_DAILY) {
+            days.add(day);
+            keep.add(backup.name);
+        }
+
+        const week = isoWeekKey(backup.createdAt);
+        if (!weeks.has(week) && weeks.size < BACKUP_KEEP_WEEKLY) {
+            weeks.add(week);
+            keep.add(backup.name);
+        }
+    });
+
+    const removed = scheduled.filter(backup => !keep.has(backup.name)).map(backup => backup.name);
+    removed.forEach(name => fs.unlinkSync(path.join(BACKUP_DIR, name)));
+    return removed;
+}
+
+// ============================================================================
+// VERIFY / RESTORE
+// ============================================================================
+
+/**
+ * Check an archive: manifest present, every checksum matches and the
+ * database passes an integrity check
+ * @returns {Object} { ok, errors, manifest, database }
+ */
+function verifyBackup(name) {
+    const result = { ok: false, errors: [], manifest: null, database: null };
+
+    let zip;
+    try {
+        zip = new AdmZip(resolveBackupPath(name));
+    } catch (error) {
+        result.errors.push(error.message);
+        return result;
+    }
+
+    try {
+        const manifestEntry = zip.getEntry(MANIFEST_ENTRY);
+        if (!manifestEntry) {
+            result.errors.push('Archive has no manifest');
+            return result;
+        }
+
+        const manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+        result.manifest = manifest;
+        if (manifest.app !== 'stock-keeper' || manifest.format !== ARCHIVE_FORMAT) {
+            result.errors.push('Archive was not created by a compatible version of Stock Keeper');
+            return result;
+        }
+
+        const dbEntry = zip.getEntry(manifest.database.path);
+        const dbBuffer = dbEntry ? dbEntry.getData() : null;
+        if (!dbBuffer) {
+            result.errors.push('Archive has no database');
+        } else if (sha256(dbBuffer) !== manifest.database.sha256) {
+            result.errors.push('Database checksum does not match the manifest');
+        } else {
+            result.database = db.inspectDatabaseFile(dbBuffer);
+            result.errors.push(...result.database.errors);
+        }
+
+        manifest.files.forEach(file => {
+            const entry = zip.getEntry(file.path);
+            if (!entry) {
+                result.errors.push(`Missing file ${file.path}`);
+            } else if (sha256(entry.getData()) !== file.sha256) {
+                result.errors.push(`Checksum mismatch for ${file.path}`);
+            }
+        });
+    } catch (error) {
+        result.errors.push(`Unreadable archive: ${error.message}`);
+    }
+
+    result.ok = result.errors.length === 0;
+    return result;
+}
+
+/**
+ * Restore an archive into the running server.
+ * The current state is backed up first so a restore can itself be undone.
+ * @returns {Object} { restored, safetyBackup, files }
+ */
+function restoreBackup(name) {
+    const verification = verifyBackup(name);
+    if (!verification.ok) {
+        throw new Error(`Backup failed verification: ${verification.errors.join('; ')}`);
+    }
+
+    const safetyBackup = createBackup('pre-restore');
+
+    const zip = new AdmZip(resolveBackupPath(name));
+    const manifest = verification.manifest;
+
+    // Images first: if this fails the database has not been touched yet
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+    manifest.files.forEach(file => {
+        const target = path.join(UPLOADS_DIR, path.basename(file.path));
+        const contents = zip.getEntry(file.path).getData();
+        if (!fs.existsSync(target) || sha256(fs.readFileSync(target)) !== file.sha256) {
+            fs.writeFileSync(target, contents);
+        }
+    });
+
+    db.replaceDatabase(zip.getEntry(manifest.database.path).getData());
+
+    return { restored: name, safetyBackup: safetyBackup.name, files: manifest.files.length };
+}
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Create a scheduled backup if the newest one is older than the interval
+ */
+function runScheduledBackup() {
+    try {
+        const latest = listBackups().find(backup => backup.reason === 'scheduled');
+        const dueAt = latest ? latest.createdAt.getTime() + BACKUP_INTERVAL_HOURS * 60 * 60 * 1000 : 0;
+
+        if (Date.now() >= dueAt) {
+            const backup = createBackup('scheduled');
+            const removed = pruneBackups();
+            console.log(`✓ Backup written: ${backup.name}` + (removed.length ? ` (pruned ${removed.length})` : ''));
+        }
+    } catch (error) {
+        console.error('Scheduled backup failed:', error.message);
+    }
+}
+
+/**
+ * Start periodic backups (disabled when BACKUP_INTERVAL_HOURS is 0)
+ */
+function startScheduler() {
+    if (schedulerTimer || !(BACKUP_INTERVAL_HOURS > 0)) return;
+
+    runScheduledBackup();
+    schedulerTimer = setInterval(runScheduledBackup, SCHEDULER_CHECK_MS);
+    schedulerTimer.unref();
+}
+
+/**
+ * Stop periodic backups
+ */
+function stopScheduler() {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+}
+
+/**
+ * Current backup configuration (for display)
+ */
+function getConfig() {
+    return {
+        directory: BACKUP_DIR,
+        intervalHours: BACKUP_INTERVAL_HOURS,
+        keepDaily: BACKUP_KEEP_DAILY,
+        keepWeekly: BACKUP_KEEP_WEEKLY
+    };
+}
+
+module.exports = {
+    createBackup,
+    listBackups,
+    getBackupPath,
+    deleteBackup,
+    pruneBackups,
+    verifyBackup,
+    restoreBackup,
+    startScheduler,
+    stopScheduler,
+    getConfig
+};
@@ -0,0 +1,143 @@
+/**
+ * ============================================================================
+ * PRODUCT CATALOG SERVICE
+ * ============================================================================
+ *
+ * Item creation, restocking and putting the shopping away on top of the
+ * product catalog. The database layer seeds new items from their product
+ * and learns from them (see db.createItem / db.learnProduct); this module
+ * adds the photo handling, which touches files:
+ *
+ * - A product keeps its own copy of a photo, taken from the first item of
+ *   it that has one, so deleting or replacing that item's photo leaves the
+ *   product's alone
+ * - An item added from a product without a photo of its own gets a copy of
+ *   the product's
+ */
+
+const db = require('../db/database');
+const { copyUpload } = require('../lib/uploads');
+
+/**
+ * Give a product a copy of an item's photo if it has none yet
+ * @param {number} itemId - Item ID
+ */
+function adoptItemImage(itemId) {
+    const item = db.getItemById(itemId);
+    if (!item || !item.product_id || !item.image_path) return;
+
+    const product = db.getProductById(item.product_id);
+    if (product && !product.image_path) {
+        const copy = copyUpload(item.image_path, 'product');
+        if (copy) db.setProductImage(product.id, copy);
+    }
+}
+
+/**
+ * Create an item, using the product's photo when none was uploaded
+ * @param {Object} itemData - Item data as for db.createItem
+ * @returns {Object} Result with lastInsertRowid
+ */
+function createItem(itemData) {
+    if (itemData.product_id && !itemData.image_path) {
+        const product = db.getProductById(itemData.product_id);
+        if (product && product.image_path) {
+            itemData = { ...itemData, image_path: copyUpload(product.image_path) };
+        }
+    }
+
+    const result = db.createItem(itemData);
+    adoptItemImage(result.lastInsertRowid);
+    return result;
+}
+
+/**
+ * Add a fresh item of the same product as a used-up item, in the same
+ * location and with the same stock levels and expiry warning window, with
+ * the product's default quantity and shelf life
+ * @param {number} itemId - ID of the item to restock
+ * @returns {Object|null} Result with lastInsertRowid, or null if the item does not exist
+ */
+function restockItem(itemId) {
+    const item = db.getItemById(itemId);
+    if (!item) return null;
+
+    const itemData = {
+        location: item.location,
+        location_id: item.location_id,
+        min_quantity: item.min_quantity,
+        target_quantity: item.target_quantity,
+        expiry_warning_days: item.expiry_warning_days
+    };
+
+    const product = item.product_id ? db.getProductById(item.product_id) : null;
+    if (product) {
+        itemData.product_id = product.id;
+    } else {
+        // Not in the catalog (e.g. imported) - repeat the item; it is learned as it is created
+        Object.assign(itemData, {
+            title: item.title,
+            category: item.category,
+            brand: item.brand,
+            is_homemade: item.is_homemade,
+            unit: item.unit,
+            expiry_type: item.expiry_type
+        });
+    }
+
+    const photo = (product && product.image_path) || item.image_path;
+    if (photo) {
+        itemData.image_path = copyUpload(photo);
+    }
+
+    return createItem(itemData);
+}
+
+/**
+ * Put the shopping away: every checked shopping list entry becomes a new
+ * item in the location, and leaves the list. Entries for a catalog product
+ * get its defaults (brand, photo, shelf life); the amount on the list wins.
+ * An entry for an item that ran low passes on that item's stock levels and
+ * expiry warning window.
+ * @param {number} locationId - Where the shopping is put
+ * @returns {Array} IDs of the new items
+ */
+function purchaseShoppingList(locationId) {
+    const dateAdded = new Date().toISOString().split('T')[0];
+
+    return db.transaction(() => db.getShoppingList()
+        .filter(entry => entry.is_checked)
+        .map(entry => {
+            const itemData = {
+                location_id: locationId,
+                date_added: dateAdded,
+                min_quantity: entry.min_quantity,
+                target_quantity: entry.target_quantity,
+                expiry_warning_days: entry.expiry_warning_days
+            };
+
+            if (entry.product_id) {
+                itemData.product_id = entry.product_id;
+                if (entry.quantity) {
+                    Object.assign(itemData, { quantity: entry.quantity, unit: entry.unit });
+                }
+            } else {
+                Object.assign(itemData, {
+                    title: entry.title,
+                    category: entry.category,
+                    unit: entry.unit,
+                    quantity: entry.quantity || 1
+                });
+            }
+
+            const result = createItem(itemData);
+            db.deleteShoppingEntry(entry.id);
+            return result.lastInsertRowid;
+        }));
+}
+
+module.exports = {
+    createItem,
+    restockItem,
+    purchaseShoppingList
+};
@@ -0,0 +1,105 @@
+/**
+ * ============================================================================
+ * CONSUMPTION SERVICE
+ * ============================================================================
+ *
+ * Uses several items at once - cooking a meal, or a set of ingredients
+ * taken together - as one consumption event:
+ *
+ * - Every use is checked first (the item exists, the amount is positive,
+ *   converts to the item's unit and is in stock); one bad use rejects the
+ *   whole set
+ * - The uses are then applied in a single transaction: each is logged in
+ *   consumption_history under the event, taken from the item's lots in use
+ *   order, and an item that runs low goes on the shopping list
+ *
+ * The event's label ("Cooked Spinach Pasta") is what the history shows for
+ * the group.
+ */
+
+const db = require('../db/database');
+const units = require('../lib/units');
+
+// Tolerance when comparing fractional quantities
+const QUANTITY_EPSILON = 1e-9;
+
+// Longest event label kept
+const MAX_LABEL_LENGTH = 200;
+
+/**
+ * Error for a set of uses that cannot be applied
+ */
+function invalidUse(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Use a set of items as one consumption event, all or nothing
+ * @param {string} label - What the set was (e.g. "Cooked Spinach Pasta")
+ * @param {Array} uses - [{ item_id, amount, unit, notes }]; amount is in unit
+ *   (default: the item's own)
+ * @param {Object} options - { recipeId: recipe cooked, if any; actor: who used them (see lib/actor.js) }
+ * @returns {Object} { eventId, label, items: [{ item_id, title, amount, unit, newQuantity, depleted }] }
+ * @throws {Error} With status 400 (or 404 for a missing item) when any use is invalid
+ */
+function consumeSet(label, uses, options = {}) {
+    label = String(label || '').trim().slice(0, MAX_LABEL_LENGTH);
+    if (!label) throw invalidUse('A label is required.');
+    if (!Array.isArray(uses) || uses.length === 0) throw invalidUse('Nothing to use.');
+
+    const recipeId = options.recipeId ? parseInt(options.recipeId) : null;
+    if (recipeId && !db.getRecipeById(recipeId)) throw invalidUse('Recipe not found.', 404);
+
+    // Check every use before anything is changed
+    const planned = uses.map(use => {
+        const item = db.getItemById(use.item_id);
+        if (!item) throw invalidUse(`Item ${use.item_id} not found.`, 404);
+
+        const given = parseFloat(use.amount);
+        if (!(given > 0)) throw invalidUse(`Invalid amount for ${item.title}.`);
+
+        const amount = db.convertForItem(item, given, use.unit);
+        if (amount === null) throw invalidUse(`Cannot convert ${use.unit} to ${item.unit} for ${item.title}.`);
+
+        return { item, amount: units.roundQuantity(amount), notes: use.notes || '' };
+    });
+
+    // The same item may be used more than once in a set
+    const totals = new Map();
+    planned.forEach(use => totals.set(use.item.id, (totals.get(use.item.id) || 0) + use.amount));
+    planned.forEach(use => {
+        if (totals.get(use.item.id) > use.item.quantity + QUANTITY_EPSILON) {
+            throw invalidUse(`Only ${use.item.quantity} ${use.item.unit} of ${use.item.title} in stock.`);
+        }
+    });
+
+    return db.transaction(() => {
+        const eventId = db.createConsumptionEvent(label, recipeId);
+
+        planned.forEach(use => {
+            db.logConsumption(use.item.id, use.amount, 'used', use.notes, eventId, options.actor || null);
+            db.consumeItemLots(use.item.id, use.amount);
+        });
+
+        const items = [...totals.keys()].map(itemId => {
+            db.checkItemStock(itemId, { depleted: true });
+            const item = db.getItemById(itemId);
+            return {
+                item_id: itemId,
+                title: item.title,
+                amount: units.roundQuantity(totals.get(itemId)),
+                unit: item.unit,
+                newQuantity: item.quantity,
+                depleted: item.quantity <= QUANTITY_EPSILON
+            };
+        });
+
+        return { eventId, label, items };
+    });
+}
+
+module.exports = {
+    consumeSet
+};
@@ -0,0 +1,476 @@
+/**
+ * ============================================================================
+ * CSV IMPORT
+ * ============================================================================
+ *
+ * Turns an uploaded CSV (our own /api/export/csv or a hand-kept spreadsheet)
+ * into item creates and updates.
+ *
+ * The flow is two-step:
+ * 1. stashUpload() keeps the parsed file in memory under a token and
+ *    suggestMapping() guesses which column holds which item field
+ * 2. buildPlan() validates every row against the schema constraints and
+ *    decides per row whether it creates, updates or leaves an item alone;
+ *    applyPlan() writes the whole plan in one transaction
+ *
+ * Rows are matched to existing items by ID first, then by title within the
+ * same location. Unmapped fields keep their existing values on update, and
+ * rows identical to the stored item are left untouched, so re-importing an
+ * unmodified export changes nothing.
+ *
+ * exportItems() writes that export, so its columns and the aliases below
+ * stay in one place.
+ */
+
+const crypto = require('crypto');
+const db = require('../db/database');
+const { parseCsv, formatCsv } = require('../lib/csv');
+const units = require('../lib/units');
+const validation = require('../lib/validation');
+
+// Uploads waiting for confirmation are dropped after 30 minutes
+const UPLOAD_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Item fields a column can be mapped to.
+ * Aliases are compared against lower-cased header names.
+ */
+const IMPORT_FIELDS = [
+    { key: 'id', label: 'ID', aliases: ['id', 'item id'] },
+    { key: 'title', label: 'Title', aliases: ['title', 'name', 'item', 'item name', 'product'] },
+    { key: 'description', label: 'Description', aliases: ['description', 'notes', 'note'] },
+    { key: 'category', label: 'Category', aliases: ['category'] },
+    { key: 'location', label: 'Location (name)', aliases: ['location', 'location name', 'storage'] },
+    { key: 'location_id', label: 'Location ID', aliases: ['location id', 'location_id'] },
+    { key: 'brand', label: 'Brand', aliases: ['brand'] },
+    { key: 'is_homemade', label: 'Homemade', aliases: ['homemade', 'is homemade', 'is_homemade'] },
+    { key: 'quantity', label: 'Quantity', aliases: ['quantity', 'qty', 'amount'] },
+    { key: 'unit', label: 'Unit', aliases: ['unit', 'units'] },
+    { key: 'date_added', label: 'Date Added', aliases: ['date added', 'date_added', 'added'] },
+    { key: 'expiry_date', label: 'Expiry Date', aliases: ['expiry date', 'expiry_date', 'expiry', 'expires', 'best before', 'use by'] },
+    { key: 'image_path', label: 'Image Path', aliases: ['image path', 'image_path', 'image'] }
+];
+
+// The item form's category rule (any name, up to its length limit)
+const CATEGORY_RULE = validation.schemas.ITEM.category;
+
+// Fields imported verbatim (not trimmed)
+const TEXT_FIELDS = ['title', 'description', 'brand'];
+
+// Fields compared when deciding whether an update changes anything
+const COMPARED_FIELDS = [
+    'title', 'description', 'category', 'location_id', 'brand', 'is_homemade',
+    'quantity', 'unit', 'date_added', 'expiry_date', 'image_path'
+];
+
+const pendingUploads = new Map();
+
+// ============================================================================
+// UPLOAD STASH
+// ============================================================================
+
+/**
+ * Parse an uploaded file and keep it until the import is confirmed
+ * @param {string} text - CSV content
+ * @param {string} fileName - Original file name (for display)
+ * @returns {Object} { token, fileName, headers, rows }
+ */
+function stashUpload(text, fileName) {
+    const now = Date.now();
+    for (const [token, upload] of pendingUploads) {
+        if (now - upload.createdAt > UPLOAD_TTL_MS) pendingUploads.delete(token);
+    }
+
+    const [headers = [], ...rows] = parseCsv(text);
+    if (headers.length === 0) {
+        throw new Error('The file is empty');
+    }
+
+    const upload = {
+        token: crypto.randomBytes(16).toString('hex'),
+        fileName,
+        headers: headers.map(h => h.trim()),
+        rows,
+        createdAt: now
+    };
+    pendingUploads.set(upload.token, upload);
+    return upload;
+}
+
+/**
+ * Get a stashed upload
+ * @returns {Object|undefined}
+ */
+function getUpload(token) {
+    return pendingUploads.get(token);
+}
+
+/**
+ * Forget a stashed upload once it has been imported
+ */
+function discardUpload(token) {
+    pendingUploads.delete(token);
+}
+
+// ============================================================================
+// MAPPING
+// ============================================================================
+
+/**
+ * Guess a field for each column from its header
+ * @param {Array<string>} headers - Header row
+ * @returns {Array<string>} Field key per column ('' = ignore)
+ */
+function suggestMapping(headers) {
+    const used = new Set();
+    return headers.map(header => {
+        const normalized = header.toLowerCase().replace(/\s+/g, ' ').trim();
+        const field = IMPORT_FIELDS.find(f => !used.has(f.key) && f.aliases.includes(normalized));
+        if (!field) return '';
+        used.add(field.key);
+        return field.key;
+    });
+}
+
+// ============================================================================
+// VALUE PARSING
+// ============================================================================
+
+/**
+ * Parse a date as YYYY-MM-DD or DD/MM/YYYY
+ * @returns {string|null|undefined} ISO date, null for blank, undefined if invalid
+ */
+function parseDate(value) {
+    if (!value) return null;
+
+    let year, month, day;
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value))) {
+        [, day, month, year] = match.map(Number);
+    } else {
+        return undefined;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return undefined;
+    }
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a yes/no style flag
+ * @returns {number|undefined} 1, 0 or undefined if invalid
+ */
+function parseFlag(value) {
+    const normalized = value.toLowerCase();
+    if (['yes', 'y', 'true', '1'].includes(normalized)) return 1;
+    if (['no', 'n', 'false', '0', ''].includes(normalized)) return 0;
+    return undefined;
+}
+
+// ============================================================================
+// PLANNING
+// ============================================================================
+
+/**
+ * Validate one row and turn it into item field values
+ * @returns {Object} { values, errors }
+ */
+function parseRow(cells, context) {
+    // Free-text fields are kept exactly as written so an export round-trips;
+    // everything that gets parsed or looked up is trimmed first
+    const raw = {};
+    Object.keys(cells).forEach(key => {
+        raw[key] = TEXT_FIELDS.includes(key) ? cells[key] : cells[key].trim();
+    });
+
+    const values = {};
+    const errors = [];
+
+    if ('id' in raw && raw.id !== '') {
+        if (!/^\d+$/.test(raw.id)) {
+            errors.push(`ID "${raw.id}" is not a whole number`);
+        } else {
+            values.id = parseInt(raw.id, 10);
+        }
+    }
+
+    if ('title' in raw) {
+        if (!raw.title.trim()) {
+            errors.push('Title is required');
+        } else {
+            values.title = raw.title;
+        }
+    }
+
+    if ('description' in raw) values.description = raw.description;
+    if ('brand' in raw) values.brand = raw.brand.trim() ? raw.brand : null;
+
+    if ('category' in raw) {
+        if (!raw.category) {
+            values.category = 'Uncategorized';
+        } else {
+            // Checked like the item form, so whatever it saves exports and
+            // re-imports. Known categories take their stored spelling.
+            const checked = validation.validate({ category: CATEGORY_RULE }, { category: raw.category });
+            if (checked.errors.category) {
+                errors.push(checked.errors.category);
+            } else {
+                values.category = context.categories.get(checked.values.category.toLowerCase()) || checked.values.category;
+            }
+        }
+    }
+
+    // Location ID wins; the name is the fallback (it may be stale after a rename)
+    if (raw.location_id) {
+        const id = parseInt(raw.location_id, 10);
+        if (context.locationsById.has(id)) {
+            values.location_id = id;
+        } else if (!raw.location) {
+            errors.push(`Unknown location ID "${raw.location_id}"`);
+        }
+    }
+    if (values.location_id === undefined && raw.location) {
+        const location = context.locationsByName.get(raw.location.toLowerCase());
+        if (location) {
+            values.location_id = location.id;
+        } else {
+            errors.push(`Unknown location "${raw.location}"`);
+        }
+    }
+
+    if ('is_homemade' in raw) {
+        const flag = parseFlag(raw.is_homemade);
+        if (flag === undefined) {
+            errors.push(`Homemade must be Yes or No (got "${raw.is_homemade}")`);
+        } else {
+            values.is_homemade = flag;
+        }
+    }
+
+    if ('quantity' in raw && raw.quantity !== '') {
+        if (!/^\d+(\.\d+)?$/.test(raw.quantity)) {
+            errors.push(`Quantity "${raw.quantity}" must be a number of 0 or more`);
+        } else {
+            values.quantity = parseFloat(raw.quantity);
+        }
+    }
+
+    if ('unit' in raw) {
+        if (!raw.unit) {
+            values.unit = 'pcs';
+        } else if (units.normalizeUnit(raw.unit)) {
+            values.unit = units.normalizeUnit(raw.unit);
+        } else {
+            errors.push(`Unit "${raw.unit}" must be one of ${db.UNITS.join(', ')}`);
+        }
+    }
+
+    ['date_added', 'expiry_date'].forEach(field => {
+        if (!(field in raw)) return;
+        const date = parseDate(raw[field]);
+        if (date === undefined) {
+            errors.push(`${field === 'date_added' ? 'Date added' : 'Expiry date'} "${raw[field]}" is not a valid date (use YYYY-MM-DD)`);
+        } else if (date !== null || field === 'expiry_date') {
+            values[field] = date;
+        }
+    });
+
+    if ('image_path' in raw) {
+        if (raw.image_path && !/^\/uploads\/[\w.-]+$/.test(raw.image_path)) {
+            errors.push(`Image path "${raw.image_path}" must point into /uploads/`);
+        } else {
+            values.image_path = raw.image_path || null;
+        }
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Compare the fields an import can change
+ */
+function isSameItem(existing, updated) {
+    return COMPARED_FIELDS.every(field => {
+        const a = existing[field] === null || existing[field] === undefined ? '' : String(existing[field]);
+        const b = updated[field] === null || updated[field] === undefined ? '' : String(updated[field]);
+        return a === b;
+    });
+}
+
+/**
+ * Validate every row and decide what each one will do
+ * @param {Object} upload - Stashed upload
+ * @param {Array<string>} mapping - Field key per column
+ * @param {Object} options - { defaultLocationId }
+ * @returns {Object} { rows, counts, errorCount, mappingErrors }
+ */
+function buildPlan(upload, mapping, options = {}) {
+    const context = {
+        categories: new Map(db.getCategories().map(c => [c.name.toLowerCase(), c.name])),
+        locationsById: new Map(db.getLocations().map(l => [l.id, l])),
+        locationsByName: new Map(db.getLocations().map(l => [l.name.toLowerCase(), l]))
+    };
+    const defaultLocationId = options.defaultLocationId && context.locationsById.has(parseInt(options.defaultLocationId, 10))
+        ? parseInt(options.defaultLocationId, 10)
+        : null;
+
+    const mappingErrors = [];
+    const mapped = mapping.filter(Boolean);
+    if (!mapped.includes('title') && !mapped.includes('id')) {
+        mappingErrors.push('Map a column to Title (or ID to update existing items)');
+    }
+    IMPORT_FIELDS.forEach(field => {
+        if (mapped.filter(key => key === field.key).length > 1) {
+            mappingErrors.push(`${field.label} is mapped to more than one column`);
+        }
+    });
+
+    const targets = new Map();
+    const counts = { create: 0, update: 0, unchanged: 0, error: 0 };
+
+    const rows = upload.rows.map((cells, index) => {
+        // Line numbers as a spreadsheet shows them (header is line 1)
+        const line = index + 2;
+        const mappedCells = {};
+        mapping.forEach((field, col) => {
+            if (field) mappedCells[field] = cells[col] || '';
+        });
+
+        const { values, errors } = parseRow(mappedCells, context);
+
+        let existing;
+        if (values.id !== undefined) {
+            existing = db.getItemById(values.id);
+        }
+        if (!existing && values.title) {
+            const locationId = values.location_id !== undefined ? values.location_id : defaultLocationId;
+            existing = db.findItemByTitleAndLocation(values.title, locationId);
+        }
+
+        let action;
+        let data;
+        if (existing) {
+            data = { ...existing, ...values };
+            delete data.id;
+            action = isSameItem(existing, data) ? 'unchanged' : 'update';
+
+            if (targets.has(existing.id)) {
+                errors.push(`Matches the same item as line ${targets.get(existing.id)}`);
+            }
+            targets.set(existing.id, line);
+        } else {
+            data = { ...values };
+            delete data.id;
+            if (data.location_id === undefined) data.location_id = defaultLocationId;
+
+            // Only worth saying when the row's own values were all readable
+            if (errors.length === 0) {
+                if (!data.title) errors.push('Title is required for new items');
+                if (!data.location_id) errors.push('No location (map a Location column or choose a default)');
+            }
+            action = 'create';
+        }
+
+        if (errors.length > 0) action = 'error';
+        counts[action]++;
+
+        return { line, action, itemId: existing ? existing.id : null, data, errors, cells };
+    });
+
+    return {
+        rows,
+        counts,
+        mappingErrors,
+        errorCount: counts.error + mappingErrors.length
+    };
+}
+
+/**
+ * Apply a validated plan in a single transaction
+ * @param {Object} plan - Result of buildPlan() with no errors
+ * @returns {Object} { created, updated, unchanged }
+ */
+function applyPlan(plan) {
+    if (plan.errorCount > 0) {
+        throw new Error('Cannot import a plan with errors');
+    }
+
+    return db.transaction(() => {
+        const result = { created: 0, updated: 0, unchanged: 0 };
+        plan.rows.forEach(row => {
+            if (row.action === 'create') {
+                db.createItem(row.data);
+                result.created++;
+            } else if (row.action === 'update') {
+                db.updateItem(row.itemId, row.data);
+                result.updated++;
+            } else {
+                result.unchanged++;
+            }
+        });
+        return result;
+    });
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Write every item as CSV, with headers suggestMapping() recognises
+ * @returns {string} CSV text
+ */
+function exportItems() {
+    const headers = [
+        'ID',
+        'Title',
+        'Description',
+        'Category',
+        'Location',
+        'Location ID',
+        'Brand',
+        'Homemade',
+        'Quantity',
+        'Unit',
+        'Date Added',
+        'Expiry Date',
+        'Image Path',
+        'Created At',
+        'Updated At'
+    ];
+
+    const rows = db.getItemsForExport().map(item => [
+        item.id,
+        item.title,
+        item.description,
+        item.category,
+        item.location_name || item.location,
+        item.location_id,
+        item.brand,
+        item.is_homemade ? 'Yes' : 'No',
+        item.quantity,
+        item.unit,
+        item.date_added,
+        item.expiry_date,
+        item.image_path,
+        item.created_at,
+        item.updated_at
+    ]);
+
+    return formatCsv([headers, ...rows]);
+}
+
+module.exports = {
+    IMPORT_FIELDS,
+    stashUpload,
+    getUpload,
+    discardUpload,
+    suggestMapping,
+    buildPlan,
+    applyPlan,
+    exportItems
+};
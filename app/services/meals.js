@@ -0,0 +1,280 @@
+/**
+ * ============================================================================
+ * MEAL PLAN SERVICE
+ * ============================================================================
+ *
+ * Meals planned on a calendar reserve the stock they will be cooked from:
+ *
+ * - Planning a recipe reserves its ingredients from the items the recipe
+ *   matches (see services/recipes.js); any item can also be reserved by hand
+ * - What a meal still to come reserves is not available to anything else:
+ *   items show an available and a reserved quantity, and the low stock
+ *   alerts and shopping list go by what is available
+ * - A meal warns when an item it reserves expires before the meal's date,
+ *   or when more of an item is reserved than is in stock
+ * - Marking a meal cooked uses its reservations as one consumption event
+ *   (see services/consumption.js), all or nothing
+ */
+
+const db = require('../db/database');
+const units = require('../lib/units');
+const recipes = require('./recipes');
+const consumption = require('./consumption');
+const audit = require('./audit');
+
+// Tolerance when comparing fractional quantities
+const QUANTITY_EPSILON = 1e-9;
+
+// Longest meal title kept
+const MAX_TITLE_LENGTH = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error for a meal plan change that cannot be made
+ */
+function invalidMeal(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function localDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Check and tidy a meal's fields
+ * @returns {Object} { planned_date, title, notes }
+ */
+function cleanMeal(meal) {
+    const plannedDate = String(meal.planned_date || '');
+    const title = String(meal.title || '').trim().slice(0, MAX_TITLE_LENGTH);
+
+    if (!DATE_PATTERN.test(plannedDate) || isNaN(new Date(plannedDate))) throw invalidMeal('A valid date is required.');
+    if (!title) throw invalidMeal('A meal needs a title.');
+
+    return { planned_date: plannedDate, title, notes: String(meal.notes || '').trim() };
+}
+
+/**
+ * Get a meal that can still be changed
+ */
+function getOpenMeal(mealId) {
+    const meal = db.getMealPlanById(mealId);
+    if (!meal) throw invalidMeal('Meal not found.', 404);
+    if (meal.cooked_at) throw invalidMeal('This meal has already been cooked.');
+    return meal;
+}
+
+/**
+ * Add a meal's reservations, state and warnings
+ * @param {Object} meal - Meal plan row
+ * @returns {Object} The meal with status ('cooked', 'past' - planned before today and
+ *   not cooked, so no longer reserving - or 'planned'), reservations (each with
+ *   expires_before and short) and warnings (messages)
+ */
+function describeMeal(meal) {
+    const status = meal.cooked_at ? 'cooked' : (meal.planned_date < localDate(new Date()) ? 'past' : 'planned');
+    const warnings = [];
+
+    const reservations = db.getMealReservations(meal.id).map(reservation => {
+        const expiresBefore = status === 'planned' && reservation.expiry_date !== null
+            && reservation.expiry_date < meal.planned_date;
+        const short = status === 'planned'
+            && reservation.reserved_quantity > reservation.item_quantity + QUANTITY_EPSILON;
+
+        if (expiresBefore) {
+            warnings.push(`${reservation.item_title} is ${reservation.expiry_type === 'best_before' ? 'best before' : 'use by'} ${reservation.expiry_date}, before this meal.`);
+        }
+        if (short) {
+            warnings.push(`${reservation.item_title}: ${units.roundQuantity(reservation.reserved_quantity)} ${reservation.item_unit} reserved, only ${reservation.item_quantity} in stock.`);
+        }
+        return { ...reservation, expires_before: expiresBefore, short };
+    });
+
+    return { ...meal, status, reservations, warnings };
+}
+
+/**
+ * Get the week (Monday to Sunday) containing a date, with its meals
+ * @param {string} date - YYYY-MM-DD (default: today)
+ * @returns {Object} { start, end, previous, next, today, days: [{ date, meals }] }
+ */
+function getWeek(date) {
+    const start = DATE_PATTERN.test(date || '') && !isNaN(new Date(`${date}T00:00:00`))
+        ? new Date(`${date}T00:00:00`)
+        : new Date();
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+
+    const dates = Array.from({ length: 7 }, (_, i) => {
+        const day = new Date(start);
+        day.setDate(start.getDate() + i);
+        return localDate(day);
+    });
+    const shift = (days) => {
+        const day = new Date(start);
+        day.setDate(start.getDate() + days);
+        return localDate(day);
+    };
+
+    const meals = db.getMealPlans({ from: dates[0], to: dates[6] }).map(describeMeal);
+
+    return {
+        start: dates[0],
+        end: dates[6],
+        previous: shift(-7),
+        next: shift(7),
+        today: localDate(new Date()),
+        days: dates.map(day => ({ date: day, meals: meals.filter(meal => meal.planned_date === day) }))
+    };
+}
+
+/**
+ * Get planned meals between two dates
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Array} Meals (see describeMeal)
+ */
+function getMeals(from, to) {
+    return db.getMealPlans({ from, to }).map(describeMeal);
+}
+
+/**
+ * Get one planned meal
+ * @param {number} mealId - Meal plan ID
+ * @returns {Object|null} Meal (see describeMeal), or null if it does not exist
+ */
+function getMeal(mealId) {
+    const meal = db.getMealPlanById(mealId);
+    return meal ? describeMeal(meal) : null;
+}
+
+/**
+ * Plan a meal. A meal planned from a recipe is titled after it by default
+ * and reserves each ingredient the recipe finds in stock
+ * @param {Object} meal - { planned_date, title, recipe_id, notes }
+ * @returns {number} Meal plan ID
+ * @throws {Error} With status 400 (404 for a missing recipe) when the meal is invalid
+ */
+function planMeal(meal) {
+    const recipe = meal.recipe_id ? recipes.getRecipeMatch(meal.recipe_id) : null;
+    if (meal.recipe_id && !recipe) throw invalidMeal('Recipe not found.', 404);
+
+    const fields = cleanMeal({ ...meal, title: meal.title || (recipe && recipe.name) });
+
+    return db.transaction(() => {
+        const mealId = db.createMealPlan({ ...fields, recipe_id: recipe ? recipe.id : null });
+
+        if (recipe) {
+            const reserved = new Map();
+            recipe.ingredients.filter(ingredient => ingredient.item).forEach(ingredient => {
+                const amount = Math.min(ingredient.amount ?? 1, ingredient.item.quantity);
+                reserved.set(ingredient.item.id, (reserved.get(ingredient.item.id) || 0) + amount);
+            });
+            reserved.forEach((amount, itemId) => {
+                db.setMealReservation(mealId, itemId, units.roundQuantity(amount));
+                db.checkItemStock(itemId);
+            });
+        }
+
+        return mealId;
+    });
+}
+
+/**
+ * Move or rename a meal that is not cooked yet
+ * @param {number} mealId - Meal plan ID
+ * @param {Object} meal - { planned_date, title, notes }
+ */
+function updateMeal(mealId, meal) {
+    getOpenMeal(mealId);
+    db.updateMealPlan(mealId, cleanMeal(meal));
+}
+
+/**
+ * Reserve an amount of an item for a meal, replacing what the meal had
+ * reserved of it
+ * @param {number} mealId - Meal plan ID
+ * @param {Object} reservation - { item_id, amount, unit } (unit default: the item's)
+ * @throws {Error} With status 400 (404 for a missing meal or item) when it cannot be reserved
+ */
+function reserveItem(mealId, reservation) {
+    getOpenMeal(mealId);
+
+    const item = db.getItemById(reservation.item_id);
+    if (!item) throw invalidMeal('Item not found.', 404);
+
+    const given = parseFloat(reservation.amount);
+    if (!(given > 0)) throw invalidMeal('Enter an amount to reserve.');
+
+    const amount = db.convertForItem(item, given, reservation.unit);
+    if (amount === null) throw invalidMeal(`Cannot convert ${reservation.unit} to ${item.unit}.`);
+
+    db.transaction(() => {
+        db.setMealReservation(mealId, item.id, units.roundQuantity(amount));
+        db.checkItemStock(item.id);
+    });
+}
+
+/**
+ * Release a reservation
+ * @param {number} mealId - Meal plan ID
+ * @param {number} reservationId - Reservation ID
+ */
+function releaseItem(mealId, reservationId) {
+    getOpenMeal(mealId);
+
+    const reservation = db.getMealReservations(mealId).find(r => r.id === parseInt(reservationId));
+    if (!reservation) throw invalidMeal('Reservation not found.', 404);
+
+    db.deleteMealReservation(reservation.id);
+}
+
+/**
+ * Mark a meal cooked: its reservations are used as one consumption event
+ * (labelled "Cooked <title>"), all or nothing
+ * @param {number} mealId - Meal plan ID
+ * @param {Object} actor - Who cooked it (for the history and the audit log)
+ * @returns {Object|null} The consumption result (see consumption.consumeSet), or
+ *   null when the meal reserved nothing
+ * @throws {Error} With status 400 when the meal was cooked already or an item is short
+ */
+function cookMeal(mealId, actor = null) {
+    const meal = getOpenMeal(mealId);
+    const uses = db.getMealReservations(meal.id).map(reservation => ({
+        item_id: reservation.item_id,
+        amount: reservation.quantity
+    }));
+
+    return audit.track(uses.map(use => use.item_id), () => {
+        // Cooked first, so its own reservations no longer count when the
+        // used items are checked against their stock levels
+        db.markMealPlanCooked(meal.id, null);
+        if (uses.length === 0) return null;
+
+        const result = consumption.consumeSet(`Cooked ${meal.title}`, uses, { recipeId: meal.recipe_id, actor });
+        db.markMealPlanCooked(meal.id, result.eventId);
+        return result;
+    }, { actor, note: `Cooked ${meal.title}` });
+}
+
+/**
+ * Remove a planned meal and release what it reserved
+ * @param {number} mealId - Meal plan ID
+ */
+function deleteMeal(mealId) {
+    db.deleteMealPlan(mealId);
+}
+
+module.exports = {
+    getWeek,
+    getMeals,
+    getMeal,
+    planMeal,
+    updateMeal,
+    reserveItem,
+    releaseItem,
+    cookMeal,
+    deleteMeal
+};
@@ -0,0 +1,760 @@
+/**
+ * ============================================================================
+ * NOTIFICATION SERVICE
+ * ============================================================================
+ *
+ * Delivers a daily digest of alerts (use by passed, past best before,
+ * expiring soon, out of stock, low stock) without anyone opening an alerts
+ * page. Everything stays on the LAN and uses Node's own modules:
+ *
+ * - webpush - Web Push to subscribed dashboard browsers. The VAPID key pair
+ *             is generated on first use and kept in the settings table
+ * - smtp    - Plain text email through a local relay (plain or TLS, with
+ *             optional AUTH PLAIN)
+ * - webhook - JSON POST to any URL, signed with HMAC-SHA256 when a secret
+ *             is set (X-Stock-Keeper-Signature: sha256=<hex>)
+ *
+ * Each channel has its own settings under notify.<channel>.* - enabled,
+ * quiet_start/quiet_end (HH:MM, may wrap past midnight) and its fields.
+ * At notify.digest_time the scheduler runs every enabled channel that is
+ * not in quiet hours (a digest due during quiet hours goes out when they
+ * end). A channel only reports alerts it has not delivered yet, and sends
+ * nothing when there are none; a failed run is retried an hour later.
+ *
+ * Further channels can be added with registerChannel().
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const db = require('../db/database');
+
+// How often the scheduler checks whether a digest is due
+const SCHEDULER_CHECK_MS = 5 * 60 * 1000;
+
+// Wait before retrying a channel whose digest failed
+const RETRY_AFTER_MS = 60 * 60 * 1000;
+
+// Network timeout for one delivery
+const SEND_TIMEOUT_MS = 30 * 1000;
+
+// Web Push messages the push service cannot deliver within a day are dropped
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Alerts named in a push message (the payload is limited to ~4KB)
+const PUSH_MAX_TITLES = 5;
+
+const DIGEST_TIME_KEY = 'notify.digest_time';
+const DEFAULT_DIGEST_TIME = '08:00';
+const VAPID_PUBLIC_KEY = 'notify.webpush.vapid_public_key';
+const VAPID_PRIVATE_KEY = 'notify.webpush.vapid_private_key';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Alerts in the order they appear in a digest; lot alerts are keyed by lot
+// and date, stock alerts by item
+const ALERT_KINDS = [
+    { kind: 'expired', label: 'Use by passed', load: () => db.getExpiredItems(), dateLabel: 'use by' },
+    { kind: 'past_best_before', label: 'Past best before', load: () => db.getPastBestBeforeItems(), dateLabel: 'best before' },
+    { kind: 'expiring_soon', label: 'Expiring soon', load: () => db.getExpiringSoonItems(), dateLabel: 'expires' },
+    { kind: 'out_of_stock', label: 'Out of stock', load: () => db.getOutOfStockItems() },
+    { kind: 'low_stock', label: 'Low stock', load: () => db.getLowStockItems() }
+];
+
+const channels = {};
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Minutes since midnight of an HH:MM time, or null
+ */
+function parseTime(value) {
+    const match = TIME_PATTERN.exec(value || '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * YYYY-MM-DD of a date in local time
+ */
+function localDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Error for settings that cannot be saved
+ */
+function invalidSettings(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Make an HTTP(S) request
+ * @param {string} url - URL
+ * @param {Object} options - { method, headers, body }
+ * @returns {Promise<Object>} { status, body }
+ */
+function request(url, options) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.request(target, {
+            method: options.method || 'POST',
+            headers: options.headers || {},
+            timeout: SEND_TIMEOUT_MS
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        req.on('timeout', () => req.destroy(new Error(`${target.host} timed out`)));
+        req.on('error', reject);
+        req.end(options.body);
+    });
+}
+
+// ============================================================================
+// CHANNELS
+// ============================================================================
+
+/**
+ * Add a delivery channel
+ * @param {string} name - Channel name (settings live under notify.<name>.*)
+ * @param {Object} channel - { label, fields: [setting names], secretFields, send(config, digest) }
+ *                           send returns a promise and rejects when nothing was delivered
+ */
+function registerChannel(name, channel) {
+    channels[name] = { fields: [], secretFields: [], ...channel };
+}
+
+/**
+ * Names of the registered channels
+ */
+function getChannelNames() {
+    return Object.keys(channels);
+}
+
+/**
+ * Settings of a channel
+ * @param {string} name - Channel name
+ * @returns {Object} { enabled, quiet_start, quiet_end, ...fields } - fields are strings ('' when unset)
+ */
+function getChannelConfig(name) {
+    const channel = channels[name];
+    const prefix = `notify.${name}.`;
+    const settings = db.getSettings(prefix);
+    const config = {
+        enabled: settings[`${prefix}enabled`] === '1',
+        quiet_start: settings[`${prefix}quiet_start`] || '',
+        quiet_end: settings[`${prefix}quiet_end`] || ''
+    };
+    channel.fields.forEach(field => {
+        config[field] = settings[prefix + field] || '';
+    });
+    return config;
+}
+
+/**
+ * Save the settings of a channel. Empty secret fields keep the stored value.
+ * @param {string} name - Channel name
+ * @param {Object} values - Form values { enabled, quiet_start, quiet_end, ...fields }
+ */
+function saveChannelConfig(name, values) {
+    const channel = channels[name];
+    if (!channel) throw invalidSettings(`Unknown channel: ${name}`);
+
+    const quietStart = (values.quiet_start || '').trim();
+    const quietEnd = (values.quiet_end || '').trim();
+    if ((quietStart && parseTime(quietStart) === null) || (quietEnd && parseTime(quietEnd) === null)) {
+        throw invalidSettings('Quiet hours must be times like 22:00.');
+    }
+
+    const prefix = `notify.${name}.`;
+    db.transaction(() => {
+        db.setSetting(`${prefix}enabled`, values.enabled ? '1' : '0');
+        db.setSetting(`${prefix}quiet_start`, quietStart || null);
+        db.setSetting(`${prefix}quiet_end`, quietEnd || null);
+        channel.fields.forEach(field => {
+            const value = (values[field] ?? '').toString().trim();
+            if (!value && channel.secretFields.includes(field) && !values[`clear_${field}`]) return;
+            db.setSetting(prefix + field, value || null);
+        });
+    });
+}
+
+/**
+ * Whether a time falls in a channel's quiet hours
+ * @param {Object} config - Channel settings
+ * @param {Date} now - Time to check
+ */
+function inQuietHours(config, now = new Date()) {
+    const start = parseTime(config.quiet_start);
+    const end = parseTime(config.quiet_end);
+    if (start === null || end === null || start === end) return false;
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Time of day the digest goes out (HH:MM)
+ */
+function getDigestTime() {
+    const value = db.getSetting(DIGEST_TIME_KEY, DEFAULT_DIGEST_TIME);
+    return parseTime(value) === null ? DEFAULT_DIGEST_TIME : value;
+}
+
+/**
+ * Set the time of day the digest goes out
+ * @param {string} value - HH:MM
+ */
+function setDigestTime(value) {
+    if (parseTime(value) === null) throw invalidSettings('The digest time must be a time like 08:00.');
+    db.setSetting(DIGEST_TIME_KEY, value);
+}
+
+// ============================================================================
+// DIGEST
+// ============================================================================
+
+/**
+ * Every alert in effect now
+ * @returns {Array} [{ key, kind, title, location, quantity, unit, date }]
+ */
+function collectAlerts() {
+    const alerts = [];
+    ALERT_KINDS.forEach(({ kind, load }) => {
+        load().forEach(row => {
+            const isLot = row.lot_id !== undefined;
+            alerts.push({
+                key: isLot ? `${kind}:lot:${row.lot_id}:${row.expiry_date}` : `${kind}:item:${row.id}`,
+                kind,
+                itemId: row.id,
+                title: row.title,
+                location: row.location_name || null,
+                quantity: row.quantity,
+                unit: row.unit,
+                date: isLot ? row.expiry_date : null
+            });
+        });
+    });
+    return alerts;
+}
+
+/**
+ * Build a digest of alerts
+ * @param {Array} alerts - New alerts, as from collectAlerts()
+ * @param {number} total - Alerts in effect (new or not)
+ * @returns {Object} { title, summary, text, count, total, sections: [{ kind, label, alerts }] }
+ */
+function buildDigest(alerts, total) {
+    const sections = ALERT_KINDS
+        .map(({ kind, label, dateLabel }) => ({
+            kind,
+            label,
+            dateLabel,
+            alerts: alerts.filter(alert => alert.kind === kind)
+        }))
+        .filter(section => section.alerts.length > 0);
+
+    const count = alerts.length;
+    const title = `Stock Keeper: ${count} new alert${count === 1 ? '' : 's'}`;
+    const summary = sections.map(section => `${section.alerts.length} ${section.label.toLowerCase()}`).join(', ');
+
+    const lines = [summary];
+    sections.forEach(section => {
+        lines.push('', section.label.toUpperCase());
+        section.alerts.forEach(alert => {
+            let line = `- ${alert.title}`;
+            if (alert.location) line += ` (${alert.location})`;
+            line += `: ${alert.quantity} ${alert.unit}`;
+            if (alert.date) line += `, ${section.dateLabel} ${alert.date}`;
+            lines.push(line);
+        });
+    });
+    if (total > count) {
+        lines.push('', `${total - count} earlier alert${total - count === 1 ? ' is' : 's are'} still open.`);
+    }
+
+    return {
+        title,
+        summary,
+        text: lines.join('\n'),
+        count,
+        total,
+        sections: sections.map(({ kind, label, alerts: sectionAlerts }) => ({ kind, label, alerts: sectionAlerts }))
+    };
+}
+
+/**
+ * Send a channel the alerts it has not delivered yet
+ * @param {string} name - Channel name
+ * @returns {Promise<Object>} { status: sent|empty|failed, count, error }
+ */
+async function deliverDigest(name) {
+    const channel = channels[name];
+    const config = getChannelConfig(name);
+
+    const alerts = collectAlerts();
+    db.pruneSentAlerts(name, alerts.map(alert => alert.key));
+    const sent = db.getSentAlertKeys(name);
+    const fresh = alerts.filter(alert => !sent.has(alert.key));
+
+    if (fresh.length === 0) {
+        db.logNotificationDelivery(name, 'empty');
+        return { status: 'empty', count: 0 };
+    }
+
+    try {
+        await channel.send(config, buildDigest(fresh, alerts.length));
+    } catch (error) {
+        db.logNotificationDelivery(name, 'failed', fresh.length, error.message);
+        return { status: 'failed', count: fresh.length, error: error.message };
+    }
+
+    db.transaction(() => {
+        db.markAlertsSent(name, fresh.map(alert => alert.key));
+        db.logNotificationDelivery(name, 'sent', fresh.length);
+    });
+    return { status: 'sent', count: fresh.length };
+}
+
+/**
+ * Send a test message through a channel, ignoring quiet hours and
+ * without touching what it has delivered
+ * @param {string} name - Channel name
+ * @returns {Promise}
+ */
+function sendTest(name) {
+    const channel = channels[name];
+    if (!channel) return Promise.reject(invalidSettings(`Unknown channel: ${name}`));
+
+    return channel.send(getChannelConfig(name), {
+        title: 'Stock Keeper test notification',
+        summary: 'Alerts will reach you here.',
+        text: `This is a test of the ${channel.label} channel. Alerts will reach you here.`,
+        count: 0,
+        total: 0,
+        sections: []
+    });
+}
+
+// ============================================================================
+// WEB PUSH
+// ============================================================================
+
+/**
+ * The VAPID key pair, generated on first use
+ * @returns {Object} { publicKey, privateKey } - base64url (raw P-256 point / scalar)
+ */
+function getVapidKeys() {
+    let publicKey = db.getSetting(VAPID_PUBLIC_KEY);
+    let privateKey = db.getSetting(VAPID_PRIVATE_KEY);
+
+    if (!publicKey || !privateKey) {
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.generateKeys();
+        publicKey = ecdh.getPublicKey().toString('base64url');
+        privateKey = ecdh.getPrivateKey().toString('base64url');
+        db.transaction(() => {
+            db.setSetting(VAPID_PUBLIC_KEY, publicKey);
+            db.setSetting(VAPID_PRIVATE_KEY, privateKey);
+        });
+    }
+
+    return { publicKey, privateKey };
+}
+
+/**
+ * Authorization header for a push service (VAPID, RFC 8292)
+ */
+function vapidAuthorization(endpoint, subject, keys) {
+    const point = Buffer.from(keys.publicKey, 'base64url');
+    const key = crypto.createPrivateKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: point.subarray(1, 33).toString('base64url'),
+            y: point.subarray(33, 65).toString('base64url'),
+            d: keys.privateKey
+        },
+        format: 'jwk'
+    });
+
+    const encode = (object) => Buffer.from(JSON.stringify(object)).toString('base64url');
+    const token = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+        sub: subject
+    })}`;
+    const signature = crypto.sign('sha256', Buffer.from(token), { key, dsaEncoding: 'ieee-p1363' });
+
+    return `vapid t=${token}.${signature.toString('base64url')}, k=${keys.publicKey}`;
+}
+
+/**
+ * Encrypt a push message for a subscription (aes128gcm, RFC 8291)
+ * @returns {Buffer} Request body
+ */
+function encryptPushPayload(subscription, payload) {
+    const clientKey = Buffer.from(subscription.p256dh, 'base64url');
+    const authSecret = Buffer.from(subscription.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(clientKey);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientKey, serverKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+
+    const salt = crypto.randomBytes(16);
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(4096, 16);
+    header.writeUInt8(serverKey.length, 20);
+
+    return Buffer.concat([header, serverKey, ciphertext]);
+}
+
+/**
+ * Push a digest to every subscribed browser. Subscriptions the push
+ * service reports as gone are removed.
+ */
+async function sendWebPush(config, digest) {
+    const subscriptions = db.getPushSubscriptions();
+    if (subscriptions.length === 0) throw new Error('No browsers are subscribed.');
+
+    const keys = getVapidKeys();
+    const titles = digest.sections.flatMap(section => section.alerts.map(alert => alert.title));
+    const body = [digest.summary || digest.text, titles.slice(0, PUSH_MAX_TITLES).join(', ')]
+        .filter(Boolean)
+        .join('\n') + (titles.length > PUSH_MAX_TITLES ? ', …' : '');
+    const payload = JSON.stringify({ title: digest.title, body, url: '/dashboard/alerts' });
+
+    let delivered = 0;
+    const failures = [];
+    for (const subscription of subscriptions) {
+        try {
+            const response = await request(subscription.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Authorization': vapidAuthorization(subscription.endpoint, config.subject || 'mailto:stock-keeper@localhost', keys),
+                    'Content-Encoding': 'aes128gcm',
+                    'Content-Type': 'application/octet-stream',
+                    'TTL': PUSH_TTL_SECONDS,
+                    'Urgency': 'normal'
+                },
+                body: encryptPushPayload(subscription, payload)
+            });
+            if (response.status === 404 || response.status === 410) {
+                db.deletePushSubscription(subscription.endpoint);
+                failures.push('Subscription expired and was removed.');
+            } else if (response.status >= 300) {
+                failures.push(`Push service answered ${response.status}.`);
+            } else {
+                delivered++;
+            }
+        } catch (error) {
+            failures.push(error.message);
+        }
+    }
+
+    if (delivered === 0) throw new Error(failures[0]);
+}
+
+// ============================================================================
+// EMAIL (SMTP)
+// ============================================================================
+
+/**
+ * RFC 2047 encoding for a header with non-ASCII text
+ */
+function encodeHeader(text) {
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+/**
+ * A plain text message (body base64-encoded, so no line needs dot-stuffing)
+ */
+function buildEmail(from, recipients, subject, text) {
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * Hand a message to an SMTP server
+ * @param {Object} options - { host, port, secure, user, password }
+ * @param {string} from - Envelope sender
+ * @param {Array} recipients - Envelope recipients
+ * @param {string} message - Message with headers
+ * @returns {Promise} Resolves once the server accepted the message
+ */
+function smtpSend(options, from, recipients, message) {
+    return new Promise((resolve, reject) => {
+        const steps = [
+            [null, [220]],
+            [`EHLO ${os.hostname()}`, [250]],
+            ...(options.user
+                ? [[`AUTH PLAIN ${Buffer.from(`\0${options.user}\0${options.password}`).toString('base64')}`, [235]]]
+                : []),
+            [`MAIL FROM:<${from}>`, [250]],
+            ...recipients.map(recipient => [`RCPT TO:<${recipient}>`, [250, 251]]),
+            ['DATA', [354]],
+            [`${message}\r\n.`, [250]]
+        ];
+
+        const socket = options.secure
+            ? tls.connect({ host: options.host, port: options.port, servername: options.host })
+            : net.connect({ host: options.host, port: options.port });
+
+        let step = 0;
+        let buffer = '';
+        let settled = false;
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+            if (error) {
+                socket.destroy();
+                reject(error);
+            } else {
+                socket.end('QUIT\r\n');
+                resolve();
+            }
+        };
+
+        socket.setTimeout(SEND_TIMEOUT_MS, () => finish(new Error('SMTP server timed out.')));
+        socket.on('error', finish);
+        socket.on('close', () => finish(new Error('SMTP server closed the connection.')));
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let reply;
+            // A reply is any "NNN-" continuation lines and a final "NNN " line
+            while (!settled && (reply = /^(?:\d{3}-[^\n]*\n)*(\d{3})(?: [^\n]*)?\r?\n/.exec(buffer))) {
+                buffer = buffer.slice(reply[0].length);
+                if (!steps[step][1].includes(parseInt(reply[1], 10))) {
+                    const lines = reply[0].trim().split(/\r?\n/);
+                    finish(new Error(`SMTP server answered: ${lines[lines.length - 1]}`));
+                    return;
+                }
+                step++;
+                if (step === steps.length) {
+                    finish();
+                    return;
+                }
+                socket.write(`${steps[step][0]}\r\n`);
+            }
+        });
+    });
+}
+
+/**
+ * Email a digest
+ */
+function sendEmail(config, digest) {
+    const recipients = config.to.split(',').map(address => address.trim()).filter(Boolean);
+    if (!config.host || !config.from || recipients.length === 0) {
+        return Promise.reject(new Error('Set the SMTP host, sender and recipients.'));
+    }
+
+    const secure = config.secure === '1';
+    return smtpSend({
+        host: config.host,
+        port: parseInt(config.port, 10) || (secure ? 465 : 25),
+        secure,
+        user: config.user,
+        password: config.password
+    }, config.from, recipients, buildEmail(config.from, recipients, digest.title, digest.text));
+}
+
+// ============================================================================
+// WEBHOOK
+// ============================================================================
+
+/**
+ * POST a digest as JSON
+ */
+async function sendWebhook(config, digest) {
+    if (!config.url) throw new Error('Set the webhook URL.');
+
+    const body = JSON.stringify({
+        event: 'stock-keeper.digest',
+        sent_at: new Date().toISOString(),
+        title: digest.title,
+        text: digest.text,
+        count: digest.count,
+        total: digest.total,
+        sections: digest.sections
+    });
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'Stock-Keeper'
+    };
+    if (config.secret) {
+        headers['X-Stock-Keeper-Signature'] = 'sha256=' + crypto.createHmac('sha256', config.secret).update(body).digest('hex');
+    }
+
+    const response = await request(config.url, { method: 'POST', headers, body });
+    if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Webhook answered ${response.status}.`);
+    }
+}
+
+registerChannel('webpush', {
+    label: 'Web Push',
+    fields: ['subject'],
+    send: sendWebPush
+});
+
+registerChannel('smtp', {
+    label: 'Email (SMTP)',
+    fields: ['host', 'port', 'secure', 'user', 'password', 'from', 'to'],
+    secretFields: ['password'],
+    send: sendEmail
+});
+
+registerChannel('webhook', {
+    label: 'Webhook',
+    fields: ['url', 'secret'],
+    secretFields: ['secret'],
+    send: sendWebhook
+});
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Whether a channel's digest is due: enabled, past the digest time, outside
+ * quiet hours and not yet run today (or failed over an hour ago)
+ */
+function isDue(name, now = new Date()) {
+    const config = getChannelConfig(name);
+    if (!config.enabled || inQuietHours(config, now)) return false;
+    if (now.getHours() * 60 + now.getMinutes() < parseTime(getDigestTime())) return false;
+
+    const today = db.getNotificationDeliveries({ channel: name, since: `${localDate(now)} 00:00:00` });
+    if (today.some(delivery => delivery.status !== 'failed')) return false;
+
+    const lastFailure = today[0];
+    return !lastFailure || now - new Date(lastFailure.created_at.replace(' ', 'T')) >= RETRY_AFTER_MS;
+}
+
+/**
+ * Deliver the digest of every channel that is due
+ */
+async function runScheduledDigests() {
+    if (schedulerRunning || !db.isReady()) return;
+    schedulerRunning = true;
+
+    try {
+        for (const name of getChannelNames()) {
+            if (!isDue(name)) continue;
+            const result = await deliverDigest(name);
+            if (result.status === 'sent') {
+                console.log(`✓ Notifications: ${result.count} alert(s) sent by ${name}`);
+            } else if (result.status === 'failed') {
+                console.error(`Notification delivery by ${name} failed:`, result.error);
+            }
+        }
+    } catch (error) {
+        console.error('Scheduled notifications failed:', error.message);
+    } finally {
+        schedulerRunning = false;
+    }
+}
+
+/**
+ * Start checking for due digests
+ */
+function startScheduler() {
+    if (schedulerTimer) return;
+
+    runScheduledDigests();
+    schedulerTimer = setInterval(runScheduledDigests, SCHEDULER_CHECK_MS);
+    schedulerTimer.unref();
+}
+
+/**
+ * Stop checking for due digests
+ */
+function stopScheduler() {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+}
+
+/**
+ * Notification settings and state (for display)
+ * @returns {Object} { digestTime, vapidPublicKey, channels: [{ name, label, fields, config, inQuietHours }] }
+ */
+function getConfig() {
+    return {
+        digestTime: getDigestTime(),
+        vapidPublicKey: getVapidKeys().publicKey,
+        channels: getChannelNames().map(name => {
+            const config = getChannelConfig(name);
+            channels[name].secretFields.forEach(field => {
+                config[`has_${field}`] = config[field] !== '';
+                config[field] = '';
+            });
+            return {
+                name,
+                label: channels[name].label,
+                fields: channels[name].fields,
+                config,
+                inQuietHours: inQuietHours(config)
+            };
+        })
+    };
+}
+
+module.exports = {
+    registerChannel,
+    getChannelNames,
+    getChannelConfig,
+    saveChannelConfig,
+    getDigestTime,
+    setDigestTime,
+    inQuietHours,
+    isDue,
+    collectAlerts,
+    buildDigest,
+    deliverDigest,
+    sendTest,
+    getVapidKeys,
+    startScheduler,
+    stopScheduler,
+    getConfig
+};
@@ -0,0 +1,117 @@
+/**
+ * ============================================================================
+ * RECIPE SERVICE
+ * ============================================================================
+ *
+ * "Use it up": matches the recipe store against the stock and ranks recipes
+ * by how much of what needs using they would use.
+ *
+ * - Items "need using" when they are on the expiring soon or past best
+ *   before alerts (dismissed alerts do not count). Items past their use-by
+ *   date are never offered as ingredients
+ * - Each ingredient is matched to the in-stock items it can be made from
+ *   (see db.getIngredientItems); one that needs using is preferred, then
+ *   the earliest expiry
+ * - Recipes rank by the ingredients that need using, then the fewest
+ *   missing ingredients (optional ones are not counted), then the most
+ *   ingredients in stock
+ *
+ * Cooking a recipe uses its ingredients as one consumption event (see
+ * services/consumption.js), so consumption history and the shopping list
+ * keep up.
+ */
+
+const db = require('../db/database');
+const units = require('../lib/units');
+
+// Tolerance when comparing fractional quantities
+const QUANTITY_EPSILON = 1e-9;
+
+/**
+ * Get the items that need using, most urgent first: expiring soon and past
+ * best before lots, one entry per item
+ * @returns {Array} Items (id, title, expiry_date, location_name, ...) of their most urgent lot
+ */
+function getUseSoonItems() {
+    const byItem = new Map();
+    [...db.getExpiringSoonItems(), ...db.getPastBestBeforeItems()]
+        .sort((a, b) => a.expiry_date.localeCompare(b.expiry_date))
+        .forEach(lot => {
+            if (!byItem.has(lot.id)) byItem.set(lot.id, lot);
+        });
+    return [...byItem.values()];
+}
+
+/**
+ * Match one recipe against the stock
+ * @param {Object} recipe - Recipe with ingredients
+ * @param {Set} useSoonIds - IDs of the items that need using
+ * @returns {Object} The recipe with each ingredient's match and the counts it is ranked by:
+ *   ingredients[]: { ...ingredient, item, alternatives, status ('use_soon', 'in_stock' or
+ *   'missing'), amount (in the item's unit, null when not given or not convertible), enough },
+ *   useSoonCount, inStockCount, missingCount
+ */
+function matchRecipe(recipe, useSoonIds) {
+    const ingredients = recipe.ingredients.map(ingredient => {
+        const candidates = db.getIngredientItems(ingredient)
+            .filter(item => !item.use_by_passed)
+            .sort((a, b) => useSoonIds.has(b.id) - useSoonIds.has(a.id));
+        const item = candidates[0] || null;
+
+        let amount = null;
+        if (item && ingredient.quantity) {
+            amount = db.convertForItem(item, ingredient.quantity, ingredient.unit);
+            if (amount !== null) amount = units.roundQuantity(amount);
+        }
+
+        return {
+            ...ingredient,
+            item,
+            alternatives: Math.max(0, candidates.length - 1),
+            status: !item ? 'missing' : (useSoonIds.has(item.id) ? 'use_soon' : 'in_stock'),
+            amount,
+            enough: item !== null && (amount === null || item.quantity >= amount - QUANTITY_EPSILON)
+        };
+    });
+
+    return {
+        ...recipe,
+        ingredients,
+        useSoonCount: ingredients.filter(i => i.status === 'use_soon').length,
+        inStockCount: ingredients.filter(i => i.status !== 'missing').length,
+        missingCount: ingredients.filter(i => i.status === 'missing' && !i.is_optional).length
+    };
+}
+
+/**
+ * Rank every recipe against the stock
+ * @returns {Array} Matched recipes (see matchRecipe), best first
+ */
+function suggestRecipes() {
+    const useSoonIds = new Set(getUseSoonItems().map(item => item.id));
+
+    return db.getRecipes()
+        .map(recipe => matchRecipe(db.getRecipeById(recipe.id), useSoonIds))
+        .sort((a, b) => (b.useSoonCount - a.useSoonCount)
+            || (a.missingCount - b.missingCount)
+            || (b.inStockCount - a.inStockCount)
+            || a.name.localeCompare(b.name));
+}
+
+/**
+ * Match a single recipe against the stock
+ * @param {number} recipeId - Recipe ID
+ * @returns {Object|null} Matched recipe (see matchRecipe), or null if it does not exist
+ */
+function getRecipeMatch(recipeId) {
+    const recipe = db.getRecipeById(recipeId);
+    if (!recipe) return null;
+
+    return matchRecipe(recipe, new Set(getUseSoonItems().map(item => item.id)));
+}
+
+module.exports = {
+    getUseSoonItems,
+    suggestRecipes,
+    getRecipeMatch
+};
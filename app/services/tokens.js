@@ -0,0 +1,193 @@
+/**
+ * ============================================================================
+ * API TOKENS SERVICE
+ * ============================================================================
+ *
+ * Tokens that give scripts and home automation limited access to the JSON
+ * API, sent as "Authorization: Bearer <token>" (see lib/auth.js):
+ *
+ * - read           - GET requests: stock, stats, alerts, history
+ * - write-quantity - Change quantities: PUT /api/items/:id/quantity, undo
+ * - admin          - Everything the API offers, like an admin user,
+ *                    exports included
+ *
+ * A token is shown once, when created; only its SHA-256 is kept, with its
+ * first characters to recognise it by. When it was last used (and from
+ * where) is recorded, at most once a minute. A revoked token stops working
+ * at once but stays listed.
+ *
+ * Once there is a token, the API stops answering requests that have
+ * neither a token nor a browser behind them (see lib/auth.js), even before
+ * the household has people. A browser is known by a marker it is given
+ * with the pages: random, and signed with a key kept in the database, so a
+ * client cannot make one up.
+ */
+
+const crypto = require('crypto');
+const db = require('../db/database');
+
+const SCOPES = ['read', 'write-quantity', 'admin'];
+
+const TOKEN_PREFIX = 'sk_';
+
+// Characters of the token kept to recognise it by
+const SHOWN_LENGTH = 10;
+
+// Last use is recorded at most this often, not on every request
+const TOUCH_AFTER_SECONDS = 60;
+
+const MAX_NAME_LENGTH = 60;
+
+// Setting holding the key browser markers are signed with
+const BROWSER_SECRET = 'auth.browser_secret';
+
+/**
+ * Error for a token that cannot be created or used
+ */
+function invalidToken(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check a list of scopes (an array, or one scope)
+ * @returns {Array} Scopes, in SCOPES order
+ */
+function cleanScopes(scopes) {
+    const list = [].concat(scopes || []).map(scope => String(scope).trim()).filter(Boolean);
+    const unknown = list.find(scope => !SCOPES.includes(scope));
+
+    if (unknown) throw invalidToken(`Unknown scope "${unknown}". Use any of: ${SCOPES.join(', ')}.`);
+    if (list.length === 0) throw invalidToken('A token needs at least one scope.');
+    return SCOPES.filter(scope => list.includes(scope));
+}
+
+/**
+ * Get the tokens, newest first (revoked ones last)
+ * @returns {Array} Tokens ({ id, name, token_prefix, scopes (array), last_used_at, revoked_at, ... })
+ */
+function getTokens() {
+    return db.getApiTokens().map(token => ({ ...token, scopes: token.scopes.split(',') }));
+}
+
+/**
+ * Create a token
+ * @param {Object} token - { name, scopes (array or one scope) }
+ * @param {number} createdBy - User creating it (null with no users)
+ * @returns {Object} { id, name, token } - the token itself is only ever given out here
+ * @throws {Error} With status 400 for a missing name or an unknown scope
+ */
+function createToken(token, createdBy = null) {
+    const name = String(token.name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) throw invalidToken('A token needs a name.');
+    const scopes = cleanScopes(token.scopes);
+
+    const value = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const id = db.createApiToken({
+        name,
+        token_hash: hashToken(value),
+        token_prefix: value.slice(0, SHOWN_LENGTH),
+        scopes: scopes.join(','),
+        created_by: createdBy
+    });
+
+    return { id, name, token: value };
+}
+
+/**
+ * Whether any token is in use (not revoked)
+ */
+function hasTokens() {
+    return db.countActiveApiTokens() > 0;
+}
+
+/**
+ * The key browser markers are signed with, made on first use
+ */
+function browserSecret() {
+    let secret = db.getSetting(BROWSER_SECRET);
+    if (!secret) {
+        secret = crypto.randomBytes(32).toString('base64url');
+        db.setSetting(BROWSER_SECRET, secret);
+    }
+    return secret;
+}
+
+function signMarker(id) {
+    return crypto.createHmac('sha256', browserSecret()).update(id).digest('base64url');
+}
+
+/**
+ * Make a marker for a browser that has opened a page
+ * @returns {string} "<random>.<signature>"
+ */
+function issueBrowserMarker() {
+    const id = crypto.randomBytes(16).toString('base64url');
+    return `${id}.${signMarker(id)}`;
+}
+
+/**
+ * Whether a value is a marker this server issued
+ * @param {string|null} value - Cookie value
+ */
+function isBrowserMarker(value) {
+    const [id, signature] = String(value || '').split('.');
+    if (!id || !signature) return false;
+
+    const expected = signMarker(id);
+    return signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * Revoke a token
+ * @param {number} tokenId - Token ID
+ * @throws {Error} With status 404 when it is missing or already revoked
+ */
+function revokeToken(tokenId) {
+    if (db.revokeApiToken(parseInt(tokenId, 10)).changes === 0) {
+        throw invalidToken('Token not found or already revoked.', 404);
+    }
+}
+
+/**
+ * Find the token a request presents, and record its use
+ * @param {string} value - Token from the Authorization header
+ * @param {string} address - Address of the request
+ * @returns {Object|null} { id, name, scopes (array) }, or null when unknown or revoked
+ */
+function authenticate(value, address) {
+    const token = db.getApiTokenByHash(hashToken(value));
+    if (!token) return null;
+
+    if (token.seconds_idle === null || token.seconds_idle >= TOUCH_AFTER_SECONDS) {
+        db.touchApiToken(token.id, address);
+    }
+    return { id: token.id, name: token.name, scopes: token.scopes.split(',') };
+}
+
+/**
+ * Whether a token has a scope (admin has them all)
+ * @param {Object} token - Result of authenticate()
+ * @param {string} scope - One of SCOPES
+ */
+function hasScope(token, scope) {
+    return token.scopes.includes(scope) || token.scopes.includes('admin');
+}
+
+module.exports = {
+    SCOPES,
+    getTokens,
+    hasTokens,
+    createToken,
+    revokeToken,
+    authenticate,
+    hasScope,
+    issueBrowserMarker,
+    isBrowserMarker
+};
@@ -0,0 +1,432 @@
+/**
+ * ============================================================================
+ * DATA TRANSFER SERVICE
+ * ============================================================================
+ *
+ * Lossless JSON export of the household data, and a matching import that
+ * merges it into another installation (moving to a new Pi, or combining
+ * two households). The export is a single JSON document:
+ *
+ * {
+ *   "format": "stock-keeper-export", "version": 1,
+ *   "schema_version": 2, "exported_at": "...",
+ *   "categories": [...], "locations": [...], "products": [...],
+ *   "product_shelf_life": [...], "barcodes": [...], "items": [...],
+ *   "item_lots": [...], "recipes": [...], "recipe_ingredients": [...],
+ *   "consumption_events": [...], "consumption_history": [...], "meal_plans": [...],
+ *   "meal_reservations": [...], "item_movements": [...],
+ *   "item_alert_states": [...], "alert_actions": [...], "item_events": [...],
+ *   "shopping_list": [...],
+ *   "images": { "item-123.jpg": "<base64>", "item-123-thumb.jpg": "<base64>" }
+ * }
+ *
+ * Rows keep their original IDs so references can be followed; the import
+ * assigns new IDs and remaps them (see db.mergeTransferData).
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const db = require('../db/database');
+const backup = require('./backup');
+const { UPLOADS_DIR, thumbnailName, uploadFilesFor, uniqueImageName } = require('../lib/uploads');
+
+const EXPORT_FORMAT = 'stock-keeper-export';
+const EXPORT_VERSION = 1;
+
+// Only plain image file names are accepted from an export
+const IMAGE_NAME_PATTERN = /^[\w.-]+\.(jpe?g|png|webp|gif)$/i;
+
+// Stop listing problems after this many
+const MAX_ERRORS = 20;
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Error for an export file that cannot be imported
+ */
+function invalidExport(errors) {
+    const error = new Error(`Invalid export file: ${errors[0]}`);
+    error.status = 400;
+    error.errors = errors;
+    return error;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Build the JSON export document
+ * @param {Object} options - { includeImages: true }
+ * @returns {Object} Export document
+ */
+function buildExport(options = {}) {
+    const includeImages = options.includeImages !== false;
+    const data = db.getTransferData();
+
+    const images = {};
+    if (includeImages) {
+        db.getReferencedImagePaths().forEach(imagePath => {
+            uploadFilesFor(imagePath).forEach(fileName => {
+                images[fileName] = fs.readFileSync(path.join(UPLOADS_DIR, fileName)).toString('base64');
+            });
+        });
+    }
+
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        schema_version: db.getSchemaStatus().version,
+        exported_at: new Date().toISOString(),
+        ...data,
+        images
+    };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Check an export document before anything is written
+ * @param {Object} data - Parsed export document
+ * @returns {Array} Problems found (empty when the file can be imported)
+ */
+function validateExport(data) {
+    const errors = [];
+    const add = (message) => {
+        if (errors.length < MAX_ERRORS) errors.push(message);
+    };
+
+    if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+        return ['Not a Stock Keeper JSON export'];
+    }
+    if (!(data.version <= EXPORT_VERSION)) {
+        return [`Export version ${data.version} is newer than this version supports (${EXPORT_VERSION})`];
+    }
+    for (const table of ['categories', 'locations', 'items', 'consumption_history']) {
+        if (!Array.isArray(data[table])) {
+            return [`Missing ${table} list`];
+        }
+    }
+
+    // Settings arrived with schema 9
+    if (data.settings !== undefined) {
+        if (!Array.isArray(data.settings)) {
+            add('settings must be a list');
+        } else {
+            data.settings.forEach((setting, i) => {
+                if (!setting.key || typeof setting.key !== 'string') add(`Setting ${i + 1} has no key`);
+                if (setting.value === undefined || setting.value === null) add(`Setting ${i + 1} has no value`);
+            });
+        }
+    }
+
+    data.categories.forEach((category, i) => {
+        if (!category.name || typeof category.name !== 'string') add(`Category ${i + 1} has no name`);
+    });
+
+    const locationIds = new Set();
+    data.locations.forEach((location, i) => {
+        const label = `Location ${location.name ? `"${location.name}"` : i + 1}`;
+        if (!location.name || typeof location.name !== 'string') add(`${label} has no name`);
+        if (location.type && !db.LOCATION_TYPES.includes(location.type)) add(`${label} has unknown type "${location.type}"`);
+        locationIds.add(location.id);
+    });
+
+    data.items.forEach((item, i) => {
+        const label = `Item ${item.title ? `"${item.title}"` : i + 1}`;
+        if (!item.title || typeof item.title !== 'string') add(`${label} has no title`);
+        if (item.unit && !db.UNITS.includes(item.unit)) add(`${label} has unknown unit "${item.unit}"`);
+        if (item.expiry_type && !db.EXPIRY_TYPES.includes(item.expiry_type)) add(`${label} has unknown expiry type "${item.expiry_type}"`);
+        if (item.quantity !== undefined && !(typeof item.quantity === 'number' && item.quantity >= 0)) {
+            add(`${label} has invalid quantity "${item.quantity}"`);
+        }
+        if (item.location_id && !locationIds.has(item.location_id)) add(`${label} refers to a missing location`);
+    });
+
+    // The product catalog arrived with schema 4
+    if (data.products !== undefined) {
+        if (!Array.isArray(data.products)) {
+            add('products must be a list');
+        } else {
+            data.products.forEach((product, i) => {
+                const label = `Product ${product.name ? `"${product.name}"` : i + 1}`;
+                if (!product.name || typeof product.name !== 'string') add(`${label} has no name`);
+                if (product.unit && !db.UNITS.includes(product.unit)) add(`${label} has unknown unit "${product.unit}"`);
+                if (product.expiry_type && !db.EXPIRY_TYPES.includes(product.expiry_type)) add(`${label} has unknown expiry type "${product.expiry_type}"`);
+            });
+        }
+    }
+    if (data.product_shelf_life !== undefined) {
+        if (!Array.isArray(data.product_shelf_life)) {
+            add('product_shelf_life must be a list');
+        } else {
+            data.product_shelf_life.forEach((row, i) => {
+                const label = `Shelf life ${i + 1}`;
+                if (!db.LOCATION_TYPES.includes(row.location_type)) add(`${label} has unknown location type "${row.location_type}"`);
+                if (!(Number.isInteger(row.days) && row.days >= 0)) add(`${label} has invalid days "${row.days}"`);
+            });
+        }
+    }
+
+    // Unit definitions arrived with schema 8
+    if (data.product_units !== undefined) {
+        if (!Array.isArray(data.product_units)) {
+            add('product_units must be a list');
+        } else {
+            data.product_units.forEach((row, i) => {
+                const label = `Unit definition ${i + 1}`;
+                if (!db.UNITS.includes(row.unit) || !db.UNITS.includes(row.amount_unit) || row.unit === row.amount_unit) {
+                    add(`${label} has unknown units "${row.unit}" / "${row.amount_unit}"`);
+                }
+                if (!(typeof row.amount === 'number' && row.amount > 0)) add(`${label} has invalid amount "${row.amount}"`);
+            });
+        }
+    }
+
+    if (data.barcodes !== undefined) {
+        if (!Array.isArray(data.barcodes)) {
+            add('barcodes must be a list');
+        } else {
+            const productIds = new Set((data.products || []).map(product => product.id));
+            data.barcodes.forEach((row, i) => {
+                const label = `Barcode ${row.code ? `"${row.code}"` : i + 1}`;
+                if (!db.normalizeBarcode(row.code)) add(`${label} is not a valid code`);
+                if (!productIds.has(row.product_id)) add(`${label} refers to a missing product`);
+            });
+        }
+    }
+
+    // Lots arrived with schema 3; older exports carry quantities on the items
+    if (data.item_lots !== undefined) {
+        if (!Array.isArray(data.item_lots)) {
+            add('item_lots must be a list');
+        } else {
+            const itemIds = new Set(data.items.map(item => item.id));
+            data.item_lots.forEach((lot, i) => {
+                const label = `Lot ${i + 1}`;
+                if (!itemIds.has(lot.item_id)) add(`${label} refers to a missing item`);
+                if (!(typeof lot.quantity === 'number' && lot.quantity > 0)) add(`${label} has invalid quantity "${lot.quantity}"`);
+                if (lot.location_id && !locationIds.has(lot.location_id)) add(`${label} refers to a missing location`);
+            });
+        }
+    }
+
+    data.consumption_history.forEach((entry, i) => {
+        const label = `History entry ${i + 1}`;
+        if (!entry.item_title || !entry.unit) add(`${label} is missing its item title or unit`);
+        if (!(typeof entry.quantity_used === 'number' && entry.quantity_used > 0)) add(`${label} has invalid quantity`);
+        if (entry.action && !db.CONSUMPTION_ACTIONS.includes(entry.action)) add(`${label} has unknown action "${entry.action}"`);
+    });
+
+    // Moves arrived with schema 11
+    if (data.item_movements !== undefined) {
+        if (!Array.isArray(data.item_movements)) {
+            add('item_movements must be a list');
+        } else {
+            data.item_movements.forEach((move, i) => {
+                const label = `Move ${i + 1}`;
+                if (!move.item_title) add(`${label} is missing its item title`);
+                if (move.change && !db.MOVE_CHANGES.includes(move.change)) add(`${label} has unknown change "${move.change}"`);
+            });
+        }
+    }
+
+    // Alert states and their audit arrived with schema 13
+    if (data.item_alert_states !== undefined && !Array.isArray(data.item_alert_states)) {
+        add('item_alert_states must be a list');
+    }
+    if (data.alert_actions !== undefined) {
+        if (!Array.isArray(data.alert_actions)) {
+            add('alert_actions must be a list');
+        } else {
+            data.alert_actions.forEach((action, i) => {
+                const label = `Alert action ${i + 1}`;
+                if (!action.item_title) add(`${label} is missing its item title`);
+                if (!db.ALERT_ACTIONS.includes(action.action)) add(`${label} has unknown action "${action.action}"`);
+            });
+        }
+    }
+
+    // The item audit log arrived with schema 18
+    if (data.item_events !== undefined) {
+        if (!Array.isArray(data.item_events)) {
+            add('item_events must be a list');
+        } else {
+            data.item_events.forEach((event, i) => {
+                const label = `Item event ${i + 1}`;
+                if (!event.item_title) add(`${label} is missing its item title`);
+                if (!db.ITEM_EVENTS.includes(event.event)) add(`${label} has unknown event "${event.event}"`);
+            });
+        }
+    }
+
+    // The shopping list arrived with schema 6
+    if (data.shopping_list !== undefined) {
+        if (!Array.isArray(data.shopping_list)) {
+            add('shopping_list must be a list');
+        } else {
+            data.shopping_list.forEach((entry, i) => {
+                const label = `Shopping list entry ${entry.title ? `"${entry.title}"` : i + 1}`;
+                if (!entry.title || typeof entry.title !== 'string') add(`${label} has no title`);
+                if (entry.unit && !db.UNITS.includes(entry.unit)) add(`${label} has unknown unit "${entry.unit}"`);
+            });
+        }
+    }
+
+    // Recipes arrived with schema 14
+    if (data.recipes !== undefined) {
+        if (!Array.isArray(data.recipes)) {
+            add('recipes must be a list');
+        } else {
+            data.recipes.forEach((recipe, i) => {
+                if (!recipe.name || typeof recipe.name !== 'string') add(`Recipe ${i + 1} has no name`);
+            });
+        }
+    }
+    if (data.recipe_ingredients !== undefined) {
+        if (!Array.isArray(data.recipe_ingredients)) {
+            add('recipe_ingredients must be a list');
+        } else {
+            const recipeIds = new Set((data.recipes || []).map(recipe => recipe.id));
+            data.recipe_ingredients.forEach((ingredient, i) => {
+                const label = `Recipe ingredient ${ingredient.name ? `"${ingredient.name}"` : i + 1}`;
+                if (!ingredient.name || typeof ingredient.name !== 'string') add(`${label} has no name`);
+                if (!recipeIds.has(ingredient.recipe_id)) add(`${label} refers to a missing recipe`);
+                if (ingredient.unit && !db.UNITS.includes(ingredient.unit)) add(`${label} has unknown unit "${ingredient.unit}"`);
+            });
+        }
+    }
+
+    // Consumption events (uses grouped as one, e.g. a meal) arrived with schema 15
+    if (data.consumption_events !== undefined) {
+        if (!Array.isArray(data.consumption_events)) {
+            add('consumption_events must be a list');
+        } else {
+            data.consumption_events.forEach((event, i) => {
+                if (!event.label || typeof event.label !== 'string') add(`Consumption event ${i + 1} has no label`);
+            });
+        }
+    }
+
+    // Meal plans arrived with schema 16
+    if (data.meal_plans !== undefined) {
+        if (!Array.isArray(data.meal_plans)) {
+            add('meal_plans must be a list');
+        } else {
+            data.meal_plans.forEach((meal, i) => {
+                const label = `Planned meal ${meal.title ? `"${meal.title}"` : i + 1}`;
+                if (!meal.title || typeof meal.title !== 'string') add(`${label} has no title`);
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(meal.planned_date || '')) add(`${label} has invalid date "${meal.planned_date}"`);
+            });
+        }
+    }
+    if (data.meal_reservations !== undefined) {
+        if (!Array.isArray(data.meal_reservations)) {
+            add('meal_reservations must be a list');
+        } else {
+            data.meal_reservations.forEach((reservation, i) => {
+                if (!(typeof reservation.quantity === 'number' && reservation.quantity > 0)) add(`Meal reservation ${i + 1} has invalid quantity`);
+            });
+        }
+    }
+
+    if (data.images !== undefined && (typeof data.images !== 'object' || Array.isArray(data.images))) {
+        add('Images must be an object of file name to base64 data');
+    } else {
+        Object.keys(data.images || {}).forEach(name => {
+            if (!IMAGE_NAME_PATTERN.test(name)) add(`Image "${name}" has an unsupported name`);
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Write the exported images (of items and products) into uploads.
+ * A file that already exists with the same content is reused; a different
+ * file with the same name gets a new name (and its thumbnail follows it).
+ * @returns {Object} { imagePaths: { oldPath: newPath }, written }
+ */
+function importImages(images, rows) {
+    const imagePaths = {};
+    let written = 0;
+
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+
+    const referenced = new Set(rows
+        .map(row => row.image_path)
+        .filter(imagePath => imagePath && images[path.basename(imagePath)]));
+
+    referenced.forEach(imagePath => {
+        const fileName = path.basename(imagePath);
+        const contents = Buffer.from(images[fileName], 'base64');
+        const target = path.join(UPLOADS_DIR, fileName);
+
+        let newName = fileName;
+        if (fs.existsSync(target)) {
+            if (sha256(fs.readFileSync(target)) === sha256(contents)) {
+                imagePaths[imagePath] = `/uploads/${fileName}`;
+                return;
+            }
+            newName = uniqueImageName(path.extname(fileName), fileName.startsWith('product-') ? 'product' : 'item');
+        }
+
+        fs.writeFileSync(path.join(UPLOADS_DIR, newName), contents);
+        written++;
+
+        const thumb = images[thumbnailName(fileName)];
+        if (thumb) {
+            fs.writeFileSync(path.join(UPLOADS_DIR, thumbnailName(newName)), Buffer.from(thumb, 'base64'));
+        }
+
+        imagePaths[imagePath] = `/uploads/${newName}`;
+    });
+
+    return { imagePaths, written };
+}
+
+/**
+ * Merge an export document into this installation.
+ * A pre-import backup is taken first; images are written before the
+ * database so a failed merge never leaves items pointing at missing files.
+ * @param {Object} data - Parsed export document
+ * @returns {Object} Summary (see db.mergeTransferData) plus images and safetyBackup
+ */
+function importExport(data) {
+    const errors = validateExport(data);
+    if (errors.length > 0) {
+        throw invalidExport(errors);
+    }
+
+    const safetyBackup = backup.createBackup('pre-import');
+    const { imagePaths, written } = importImages(data.images || {}, [...data.items, ...(data.products || [])]);
+    const summary = db.mergeTransferData(data, { imagePaths });
+
+    return { ...summary, images: written, safetyBackup: safetyBackup.name };
+}
+
+/**
+ * Parse and merge an uploaded export file
+ * @param {Buffer} buffer - File contents
+ */
+function importExportFile(buffer) {
+    let data;
+    try {
+        data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw invalidExport([`Not valid JSON (${error.message})`]);
+    }
+    return importExport(data);
+}
+
+module.exports = {
+    buildExport,
+    validateExport,
+    importExport,
+    importExportFile
+};
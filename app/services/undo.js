@@ -0,0 +1,294 @@
+/**
+ * ============================================================================
+ * UNDO AND TRASH SERVICE
+ * ============================================================================
+ *
+ * A mis-tap should never cost anything:
+ *
+ * - Stock changes (use, discard, add, open, cook, delete, bulk changes) are
+ *   made through undoable(), which records the state of the items they
+ *   touch before and after, and the history, shopping list and move rows
+ *   they add. For UNDO_WINDOW_SECONDS the change can be undone: the items
+ *   are put back and the rows removed. An item changed again since cannot
+ *   be undone until the later change is. Undoing a change takes what it
+ *   took to make it (see lib/permissions.js): a viewer cannot undo an
+ *   admin's bulk edit. Changes and undos alike go into the items' audit
+ *   log (see services/audit.js)
+ * - Deleting an item moves it to the trash, where it keeps its lots, image
+ *   and history. It can be restored until it is purged, TRASH_KEEP_DAYS
+ *   after it was deleted; only then is its image removed
+ */
+
+const db = require('../db/database');
+const audit = require('./audit');
+const { removeUpload } = require('../lib/uploads');
+
+const UNDO_WINDOW_SECONDS = parseInt(process.env.UNDO_WINDOW_SECONDS, 10) || 60;
+const TRASH_KEEP_DAYS = parseInt(process.env.TRASH_KEEP_DAYS, 10) || 30;
+
+// How often the scheduler purges the trash
+const SCHEDULER_CHECK_MS = 60 * 60 * 1000;
+
+let schedulerTimer = null;
+
+/**
+ * Error for a change that cannot be undone or a trash entry that cannot be
+ * restored
+ */
+function invalidUndo(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// ============================================================================
+// UNDO
+// ============================================================================
+
+/**
+ * Make a change that can be undone
+ * @param {string} label - What the change does (e.g. "Used 1 pcs of Milk")
+ * @param {Array} itemIds - Items the change touches
+ * @param {Function} change - Makes the change; it runs in a transaction
+ * @param {Object} actor - Who makes the change (for the audit log)
+ * @param {string} permission - What making it took, and so undoing it
+ *   takes: 'use', 'edit' or 'admin'
+ * @returns {Object} { result: what change returned, undo: { id, label, expiresIn } },
+ *   undo being null when the change touched nothing
+ */
+function undoable(label, itemIds, change, actor = null, permission = 'use') {
+    return db.transaction(() => {
+        const ids = [...new Set(itemIds.map(id => parseInt(id)))].filter(id => id > 0);
+        const before = ids.map(id => db.getItemState(id));
+        const marks = db.getUndoMarks();
+
+        const result = audit.track(ids, change, { actor, note: label });
+
+        const added = db.getRowsAddedSince(marks);
+        const items = ids
+            .map((id, i) => ({ before: before[i], after: db.getItemState(id) }))
+            .filter(state => state.before && !sameState(state.before, state.after));
+
+        if (items.length === 0 && Object.keys(added).length === 0) {
+            return { result, undo: null };
+        }
+
+        const id = db.createUndoAction(label, { items, added }, UNDO_WINDOW_SECONDS, permission);
+        return { result, undo: { id, label, expiresIn: UNDO_WINDOW_SECONDS } };
+    });
+}
+
+function sameState(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Get a change that can still be undone
+ * @param {number} actionId - Undo action ID
+ * @returns {Object|null} { id, label, expires_at }, or null once it is undone or too late
+ */
+function getUndo(actionId) {
+    const action = db.getUndoActionById(actionId);
+    if (!action || action.undone_at || action.expired) return null;
+    return { id: action.id, label: action.label, expires_at: action.expires_at };
+}
+
+/**
+ * Undo a change: its items go back to how they were before it, and the
+ * rows it added are removed
+ * @param {number} actionId - Undo action ID
+ * @param {Object} actor - Who undoes it (for the audit log)
+ * @param {Function} may - Whether they may perform an action ('use', 'edit'
+ *   or 'admin'), e.g. res.locals.can
+ * @returns {Object} { label }
+ * @throws {Error} With status 404 for an unknown change, 403 when they may
+ *   not make it themselves, 409 when an item has changed since, and 400
+ *   when it was undone already or is too old
+ */
+function undo(actionId, actor = null, may = () => true) {
+    const action = db.getUndoActionById(actionId);
+    if (!action) throw invalidUndo('Nothing to undo.', 404);
+    if (!may(action.permission)) {
+        throw invalidUndo(`Only ${action.permission === 'admin' ? 'an admin' : 'a member or admin'} can undo "${action.label}".`, 403);
+    }
+    if (action.undone_at) throw invalidUndo(`"${action.label}" was undone already.`);
+    if (action.expired) throw invalidUndo(`"${action.label}" can no longer be undone.`);
+
+    for (const state of action.changes.items) {
+        const current = db.getItemState(state.before.item.id);
+        if (!current) {
+            throw invalidUndo(`${state.before.item.title} has been removed for good, so "${action.label}" cannot be undone.`, 409);
+        }
+        if (!sameState(current, state.after)) {
+            throw invalidUndo(`${state.before.item.title} has changed since, so "${action.label}" cannot be undone.`, 409);
+        }
+    }
+
+    audit.track(action.changes.items.map(state => state.before.item.id), () => {
+        db.removeAddedRows(action.changes.added);
+        action.changes.items.forEach(state => db.restoreItemState(state.before));
+        db.markUndoActionUndone(action.id);
+    }, { actor, note: `Undo: ${action.label}` });
+
+    return { label: action.label };
+}
+
+// ============================================================================
+// TRASH
+// ============================================================================
+
+/**
+ * Get the items in the trash
+ * @returns {Array} Items, each with purge_on (YYYY-MM-DD it will be purged)
+ */
+function getTrash() {
+    return db.getDeletedItems().map(item => {
+        const purgeOn = new Date(item.deleted_at.replace(' ', 'T'));
+        purgeOn.setDate(purgeOn.getDate() + TRASH_KEEP_DAYS);
+        return {
+            ...item,
+            purge_on: `${purgeOn.getFullYear()}-${String(purgeOn.getMonth() + 1).padStart(2, '0')}-${String(purgeOn.getDate()).padStart(2, '0')}`
+        };
+    });
+}
+
+/**
+ * Move items to the trash, as one change that can be undone
+ * @param {Array} itemIds - Item IDs
+ * @param {Object} actor - Who deletes them (for the audit log)
+ * @param {string} permission - What deleting them took ('edit', or 'admin'
+ *   for bulk deletes)
+ * @returns {Object} { result: number of items deleted, undo }
+ */
+function deleteItems(itemIds, actor = null, permission = 'edit') {
+    const items = itemIds.map(id => db.getItemById(id)).filter(Boolean);
+
+    return undoable(items.length === 1 ? `Deleted ${items[0].title}` : `Deleted ${items.length} items`, items.map(item => item.id), () => {
+        return items.reduce((count, item) => count + db.deleteItem(item.id).changes, 0);
+    }, actor, permission);
+}
+
+/**
+ * Take an item back out of the trash
+ * @param {number} itemId - Item ID
+ * @param {Object} actor - Who restores it (for the audit log)
+ * @returns {Object} The restored item
+ * @throws {Error} With status 404 when the item is not in the trash
+ */
+function restoreItem(itemId, actor = null) {
+    const item = db.getDeletedItemById(itemId);
+    if (!item) throw invalidUndo('Item not found in the trash.', 404);
+
+    audit.track([item.id], () => db.restoreItem(item.id), { actor, note: 'Restored from the trash' });
+    return item;
+}
+
+/**
+ * Remove items from the trash for good, with their images
+ * @param {Array} items - Items in the trash ({ id, image_path })
+ * @returns {number} Number of items purged
+ */
+function purgeItems(items) {
+    if (items.length === 0) return 0;
+
+    const purged = db.transaction(() => items.reduce((count, item) => count + db.purgeItem(item.id).changes, 0));
+
+    // An image is only removed once nothing refers to it any more
+    const referenced = new Set(db.getReferencedImagePaths());
+    items.forEach(item => {
+        if (item.image_path && !referenced.has(item.image_path)) {
+            try {
+                removeUpload(item.image_path);
+            } catch (error) {
+                console.error(`Failed to remove image ${item.image_path}:`, error.message);
+            }
+        }
+    });
+
+    return purged;
+}
+
+/**
+ * Remove an item from the trash for good
+ * @param {number} itemId - Item ID
+ * @throws {Error} With status 404 when the item is not in the trash
+ */
+function purgeItem(itemId) {
+    const item = db.getDeletedItemById(itemId);
+    if (!item) throw invalidUndo('Item not found in the trash.', 404);
+
+    purgeItems([item]);
+}
+
+/**
+ * Remove everything from the trash for good
+ * @returns {number} Number of items purged
+ */
+function emptyTrash() {
+    return purgeItems(db.getDeletedItems());
+}
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Purge what has been in the trash for TRASH_KEEP_DAYS, and forget changes
+ * that can no longer be undone
+ */
+function runScheduledPurge() {
+    try {
+        const purged = purgeItems(db.getExpiredDeletedItems(TRASH_KEEP_DAYS));
+        db.pruneUndoActions();
+        if (purged > 0) {
+            console.log(`✓ Trash: purged ${purged} item(s) deleted over ${TRASH_KEEP_DAYS} days ago`);
+        }
+    } catch (error) {
+        console.error('Scheduled trash purge failed:', error.message);
+    }
+}
+
+/**
+ * Start purging the trash periodically
+ */
+function startScheduler() {
+    if (schedulerTimer) return;
+
+    runScheduledPurge();
+    schedulerTimer = setInterval(runScheduledPurge, SCHEDULER_CHECK_MS);
+    schedulerTimer.unref();
+}
+
+/**
+ * Stop purging the trash
+ */
+function stopScheduler() {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+}
+
+/**
+ * Undo and trash configuration (for display)
+ */
+function getConfig() {
+    return {
+        undoWindowSeconds: UNDO_WINDOW_SECONDS,
+        trashKeepDays: TRASH_KEEP_DAYS
+    };
+}
+
+module.exports = {
+    undoable,
+    getUndo,
+    undo,
+    getTrash,
+    deleteItems,
+    restoreItem,
+    purgeItem,
+    emptyTrash,
+    startScheduler,
+    stopScheduler,
+    getConfig
+};
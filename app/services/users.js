@@ -0,0 +1,327 @@
+/**
+ * ============================================================================
+ * USERS SERVICE
+ * ============================================================================
+ *
+ * Household members, their PINs and their sessions:
+ *
+ * - With no users nobody signs in, and changes are recorded by device only
+ * - Once there is a user, the touchscreen asks "who are you?" (an avatar
+ *   picker, with a PIN pad for users who have a PIN) and the dashboard asks
+ *   to sign in (see lib/auth.js). A touchscreen session ends after
+ *   TOUCH_SESSION_MINUTES without use, so the next person at the kitchen
+ *   screen is asked again; a dashboard one after SESSION_DAYS
+ * - PINs (4 to 8 digits) are kept as salted scrypt hashes. After
+ *   MAX_PIN_ATTEMPTS wrong PINs in a row a user is locked out for
+ *   PIN_LOCK_MINUTES
+ * - Session tokens live in a cookie; only their SHA-256 is stored
+ * - Removing a user deactivates them, so the history keeps their name
+ * - Each user has a role (admin, member or viewer - see lib/permissions.js).
+ *   The first user is an admin, and the last admin cannot be removed or
+ *   made anything else. The touchscreen can be locked to using and adding
+ *   stock whoever is signed in
+ */
+
+const crypto = require('crypto');
+const db = require('../db/database');
+
+const SESSION_DAYS = parseInt(process.env.SESSION_DAYS, 10) || 30;
+const TOUCH_SESSION_MINUTES = parseInt(process.env.TOUCH_SESSION_MINUTES, 10) || 10;
+
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 5;
+
+// A session is extended at most this often, not on every request
+const EXTEND_AFTER_SECONDS = 60;
+
+const MAX_NAME_LENGTH = 40;
+const PIN_PATTERN = /^\d{4,8}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Offered on the user form; the first of each is the default
+const AVATARS = ['🙂', '😀', '😎', '🤓', '🧑‍🍳', '👩', '👨', '👧', '👦', '👵', '👴', '🐱', '🐶', '🦊', '🐻', '🐼'];
+const COLORS = ['#4a90d9', '#e67e22', '#27ae60', '#8e44ad', '#e74c3c', '#16a085', '#f1c40f', '#7f8c8d'];
+
+// Role of a new user, unless given one (the first user is always an admin)
+const DEFAULT_ROLE = 'member';
+
+// Setting: '1' when the touchscreen is limited to using and adding stock
+const TOUCH_LOCKED_KEY = 'users.touch_locked';
+
+// User ID -> { failures, lockedUntil } (ms); forgotten on restart
+const pinFailures = new Map();
+
+/**
+ * Error for a user change or sign-in that cannot be made
+ */
+function invalidUser(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function hashPin(pin) {
+    const salt = crypto.randomBytes(16);
+    return `${salt.toString('hex')}:${crypto.scryptSync(pin, salt, 32).toString('hex')}`;
+}
+
+function pinMatches(pin, pinHash) {
+    const [salt, hash] = pinHash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(pin), Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check a PIN's format
+ */
+function cleanPin(pin) {
+    const value = String(pin || '').trim();
+    if (!PIN_PATTERN.test(value)) throw invalidUser('A PIN is 4 to 8 digits.');
+    return value;
+}
+
+/**
+ * Check and tidy a user's fields
+ * @param {Object} user - { name, avatar, color }
+ * @param {number} userId - The user being changed (null for a new one)
+ * @returns {Object} { name, avatar, color }
+ */
+function cleanUser(user, userId = null) {
+    const name = String(user.name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) throw invalidUser('A user needs a name.');
+
+    const existing = db.findUserByName(name);
+    if (existing && existing.id !== userId) {
+        throw invalidUser(`There is already a user called ${existing.name}${existing.is_active ? '' : ' (removed)'}.`);
+    }
+
+    return {
+        name,
+        avatar: String(user.avatar || '').trim().slice(0, 16) || AVATARS[0],
+        color: COLOR_PATTERN.test(user.color || '') ? user.color : COLORS[0]
+    };
+}
+
+/**
+ * Check a role
+ */
+function cleanRole(role) {
+    if (!db.USER_ROLES.includes(role)) {
+        throw invalidUser(`Unknown role "${role}". Use one of: ${db.USER_ROLES.join(', ')}.`);
+    }
+    return role;
+}
+
+/**
+ * Get an active user
+ */
+function getActiveUser(userId) {
+    const user = db.getUserById(userId);
+    if (!user || !user.is_active) throw invalidUser('User not found.', 404);
+    return user;
+}
+
+/**
+ * Whether anyone has to sign in: true once there is an active user
+ */
+function isEnabled() {
+    return db.countActiveUsers() > 0;
+}
+
+/**
+ * Get the active users, by name
+ * @returns {Array} Users ({ id, name, avatar, color, has_pin, last_seen_at, ... })
+ */
+function getUsers() {
+    return db.getUsers(true);
+}
+
+/**
+ * Add a user. The first one is an admin whatever role is given.
+ * @param {Object} user - { name, avatar, color, role (default member), pin (optional) }
+ * @returns {number} User ID
+ * @throws {Error} With status 400 when a field is invalid or the name is taken
+ */
+function createUser(user) {
+    const fields = cleanUser(user);
+    const role = isEnabled() ? cleanRole(user.role || DEFAULT_ROLE) : 'admin';
+    const pin = user.pin ? cleanPin(user.pin) : null;
+
+    return db.createUser({ ...fields, role, pin_hash: pin ? hashPin(pin) : null });
+}
+
+/**
+ * Change a user. A pin sets a new PIN; clear_pin removes it; without a
+ * role the user keeps theirs.
+ * @param {number} userId - User ID
+ * @param {Object} user - { name, avatar, color, role, pin, clear_pin }
+ * @throws {Error} With status 400 when a field is invalid or the last admin
+ *   would stop being one (404 for a missing user)
+ */
+function updateUser(userId, user) {
+    const existing = getActiveUser(userId);
+    const fields = cleanUser(user, existing.id);
+    const role = user.role ? cleanRole(user.role) : existing.role;
+    const pin = user.pin ? cleanPin(user.pin) : null;
+
+    if (existing.role === 'admin' && role !== 'admin' && db.countActiveAdmins() <= 1) {
+        throw invalidUser(`${existing.name} is the only admin. Make someone else an admin first.`);
+    }
+
+    db.transaction(() => {
+        db.updateUser(existing.id, { ...fields, role });
+        if (pin) {
+            db.setUserPin(existing.id, hashPin(pin));
+        } else if (user.clear_pin) {
+            db.setUserPin(existing.id, null);
+        }
+    });
+    pinFailures.delete(existing.id);
+}
+
+/**
+ * Remove a user: they can no longer sign in, and their sessions end. Their
+ * history keeps their name. The last admin can only go as the last user.
+ * @param {number} userId - User ID
+ * @returns {Object} The removed user
+ * @throws {Error} With status 400 for the last admin of several users
+ */
+function removeUser(userId) {
+    const user = getActiveUser(userId);
+    if (user.role === 'admin' && db.countActiveAdmins() <= 1 && db.countActiveUsers() > 1) {
+        throw invalidUser(`${user.name} is the only admin. Make someone else an admin first.`);
+    }
+    db.deactivateUser(user.id);
+    pinFailures.delete(user.id);
+    return user;
+}
+
+/**
+ * Seconds a session lasts without being used
+ * @param {string} ui - 'touch' or 'dashboard'
+ */
+function sessionSeconds(ui) {
+    return ui === 'touch' ? TOUCH_SESSION_MINUTES * 60 : SESSION_DAYS * 24 * 60 * 60;
+}
+
+/**
+ * Sign a user in, checking their PIN if they have one
+ * @param {number} userId - User ID
+ * @param {string} pin - PIN entered (ignored for a user without one)
+ * @param {Object} options - { ui: 'touch' or 'dashboard', address, userAgent }
+ * @returns {Object} { token (for the cookie), user, ui, seconds }
+ * @throws {Error} With status 401 for a wrong PIN, 429 while locked out and
+ *   404 for a missing user
+ */
+function signIn(userId, pin, options = {}) {
+    const user = getActiveUser(userId);
+    const ui = options.ui === 'touch' ? 'touch' : 'dashboard';
+
+    const failures = pinFailures.get(user.id);
+    if (failures && failures.lockedUntil > Date.now()) {
+        const minutes = Math.ceil((failures.lockedUntil - Date.now()) / 60000);
+        throw invalidUser(`Too many wrong PINs. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429);
+    }
+
+    if (user.has_pin) {
+        if (!pin) throw invalidUser('Enter your PIN.', 401);
+        if (!pinMatches(pin, db.getUserPinHash(user.id))) {
+            // Counting starts again after a lockout
+            const count = (failures && !failures.lockedUntil ? failures.failures : 0) + 1;
+            pinFailures.set(user.id, {
+                failures: count,
+                lockedUntil: count >= MAX_PIN_ATTEMPTS ? Date.now() + PIN_LOCK_MINUTES * 60000 : 0
+            });
+            throw invalidUser('Wrong PIN.', 401);
+        }
+    }
+    pinFailures.delete(user.id);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const seconds = sessionSeconds(ui);
+    db.transaction(() => {
+        db.pruneSessions();
+        db.createSession({
+            user_id: user.id,
+            token_hash: hashToken(token),
+            ui,
+            address: options.address || null,
+            user_agent: options.userAgent ? String(options.userAgent).slice(0, 200) : null,
+            seconds
+        });
+    });
+
+    return { token, user, ui, seconds };
+}
+
+/**
+ * Get the session a cookie token belongs to, and keep it alive
+ * @param {string} token - Cookie token
+ * @returns {Object|null} { id, ui, user: { id, name, avatar, color, has_pin } },
+ *   or null when it has expired or the user was removed
+ */
+function getSession(token) {
+    const session = db.getSessionByTokenHash(hashToken(token));
+    if (!session) return null;
+
+    if (session.seconds_idle >= EXTEND_AFTER_SECONDS) {
+        db.extendSession(session.id, sessionSeconds(session.ui));
+    }
+    return { id: session.id, ui: session.ui, user: session.user };
+}
+
+/**
+ * End the session a cookie token belongs to
+ * @param {string} token - Cookie token
+ */
+function signOut(token) {
+    db.deleteSession(hashToken(token));
+}
+
+/**
+ * Whether the touchscreen is limited to using and adding stock
+ */
+function isTouchLocked() {
+    return db.getSetting(TOUCH_LOCKED_KEY) === '1';
+}
+
+/**
+ * Lock the touchscreen to using and adding stock, or unlock it
+ * @param {boolean} locked - Lock it
+ */
+function setTouchLocked(locked) {
+    db.setSetting(TOUCH_LOCKED_KEY, locked ? '1' : null);
+}
+
+/**
+ * Users configuration (for display)
+ */
+function getConfig() {
+    return {
+        sessionDays: SESSION_DAYS,
+        touchSessionMinutes: TOUCH_SESSION_MINUTES,
+        touchLocked: isTouchLocked(),
+        roles: db.USER_ROLES,
+        avatars: AVATARS,
+        colors: COLORS
+    };
+}
+
+module.exports = {
+    isEnabled,
+    getUsers,
+    createUser,
+    updateUser,
+    removeUser,
+    signIn,
+    getSession,
+    signOut,
+    isTouchLocked,
+    setTouchLocked,
+    getConfig
+};
@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { openTestDatabase, closeTestDatabase } = require('./helpers');
+
+let db;
+let csvImport;
+
+/**
+ * Run CSV text through the import the way the dashboard does
+ */
+function planFor(text) {
+    const upload = csvImport.stashUpload(text, 'export.csv');
+    const plan = csvImport.buildPlan(upload, csvImport.suggestMapping(upload.headers));
+    csvImport.discardUpload(upload.token);
+    return plan;
+}
+
+function errorsOf(plan) {
+    return plan.rows.flatMap(row => row.errors || []);
+}
+
+before(async () => {
+    db = await openTestDatabase();
+    csvImport = require('../services/csv-import');
+
+    db.createItem({
+        title: 'Lasagne',
+        category: 'Meals',
+        location_id: 1,
+        is_homemade: true,
+        quantity: 2,
+        unit: 'pack',
+        expiry_date: '2030-01-31'
+    });
+    db.createItem({
+        title: 'Milk, semi-skimmed',
+        description: 'The "blue" one\nfrom the corner shop',
+        category: 'Dairy',
+        location_id: 1,
+        brand: 'Acme',
+        quantity: 1.5,
+        unit: 'L'
+    });
+});
+
+after(() => closeTestDatabase());
+
+test('the export maps every column the import knows', () => {
+    const headers = csvImport.exportItems().split(/\r?\n/)[0].split(',');
+    const mapped = csvImport.suggestMapping(headers).filter(Boolean);
+
+    assert.deepStrictEqual(mapped.sort(), csvImport.IMPORT_FIELDS.map(f => f.key).sort());
+});
+
+test('re-importing an unmodified export changes nothing', () => {
+    const plan = planFor(csvImport.exportItems());
+
+    assert.deepStrictEqual(errorsOf(plan), []);
+    assert.strictEqual(plan.errorCount, 0);
+    assert.deepStrictEqual(plan.counts, { create: 0, update: 0, unchanged: 2, error: 0 });
+});
+
+test('an edited export updates the item and keeps its category', () => {
+    const lasagne = db.getItems().find(item => item.title === 'Lasagne');
+    const text = csvImport.exportItems().replace('Lasagne', 'Beef lasagne');
+    const plan = planFor(text);
+
+    assert.deepStrictEqual(plan.counts, { create: 0, update: 1, unchanged: 1, error: 0 });
+    csvImport.applyPlan(plan);
+
+    const updated = db.getItemById(lasagne.id);
+    assert.strictEqual(updated.title, 'Beef lasagne');
+    assert.strictEqual(updated.category, 'Meals');
+    assert.strictEqual(updated.quantity, 2);
+    assert.strictEqual(updated.expiry_date, '2030-01-31');
+});
+
+test('new rows take the stored spelling of known categories and keep any other', () => {
+    const plan = planFor([
+        'Title,Category,Location,Quantity',
+        'Yoghurt,dairy,Freezer,1',
+        'Chilli,Batch cooking,Freezer,3',
+        'Rice,,Freezer,1'
+    ].join('\n'));
+
+    assert.deepStrictEqual(errorsOf(plan), []);
+    assert.deepStrictEqual(plan.rows.map(row => row.data.category), ['Dairy', 'Batch cooking', 'Uncategorized']);
+});
+
+test('a category longer than the item form allows is an error', () => {
+    const plan = planFor(`Title,Category\nSoup,${'x'.repeat(101)}`);
+
+    assert.strictEqual(plan.errorCount, 1);
+    assert.match(errorsOf(plan)[0], /Category must be at most 100 characters/);
+});
@@ -0,0 +1,40 @@
+/**
+ * Shared setup for the tests: a throwaway database per test file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let tempDir = null;
+
+/**
+ * Point the app at an empty database in a temp directory and initialize it.
+ * Must run before anything requires db/database.js, since the path is read
+ * once at load time.
+ * @returns {Promise<Object>} The db/database.js module
+ */
+async function openTestDatabase() {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-keeper-test-'));
+    process.env.DB_PATH = path.join(tempDir, 'stock-keeper.db');
+
+    const db = require('../db/database');
+    await db.initializeDatabase();
+    return db;
+}
+
+/**
+ * Close the database and remove its temp directory
+ */
+function closeTestDatabase() {
+    require('../db/database').close();
+    if (tempDir) {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        tempDir = null;
+    }
+}
+
+module.exports = {
+    openTestDatabase,
+    closeTestDatabase
+};
@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { openTestDatabase, closeTestDatabase } = require('./helpers');
+
+let db;
+
+/**
+ * A new item with no stock, then the given lots
+ * @returns {number} Item ID
+ */
+function itemWithLots(lots, unit = 'pcs') {
+    const itemId = db.createItem({ title: 'Yoghurt', location_id: 1, quantity: 0, unit }).lastInsertRowid;
+    lots.forEach(lot => db.addItemLot(itemId, lot));
+    return itemId;
+}
+
+function lotSummary(itemId) {
+    return db.getItemLots(itemId).map(lot => [lot.quantity, lot.expiry_date]);
+}
+
+before(async () => {
+    db = await openTestDatabase();
+});
+
+after(() => closeTestDatabase());
+
+test('the item shows the total of its lots and the earliest expiry', () => {
+    const itemId = itemWithLots([
+        { quantity: 2, expiry_date: '2030-03-01' },
+        { quantity: 3, expiry_date: '2030-01-01' },
+        { quantity: 1 }
+    ]);
+
+    const item = db.getItemById(itemId);
+    assert.strictEqual(item.quantity, 6);
+    assert.strictEqual(item.expiry_date, '2030-01-01');
+});
+
+test('stock with the same expiry date and location joins the existing lot', () => {
+    const itemId = itemWithLots([
+        { quantity: 2, expiry_date: '2030-01-01' },
+        { quantity: 1, expiry_date: '2030-01-01' },
+        { quantity: 1, expiry_date: '2030-01-01', location_id: 1 }
+    ]);
+
+    assert.deepStrictEqual(db.getItemLots(itemId).map(lot => lot.quantity).sort(), [1, 3]);
+    assert.strictEqual(db.getItemById(itemId).quantity, 4);
+});
+
+test('stock is used earliest expiry first, undated lots last', () => {
+    const itemId = itemWithLots([
+        { quantity: 2 },
+        { quantity: 2, expiry_date: '2030-03-01' },
+        { quantity: 2, expiry_date: '2030-01-01' }
+    ]);
+
+    const taken = db.consumeItemLots(itemId, 3);
+
+    assert.deepStrictEqual(taken.map(t => t.quantity), [2, 1]);
+    assert.deepStrictEqual(lotSummary(itemId), [[1, '2030-03-01'], [2, null]]);
+    const item = db.getItemById(itemId);
+    assert.strictEqual(item.quantity, 3);
+    assert.strictEqual(item.expiry_date, '2030-03-01', 'the used-up lot no longer sets the expiry');
+});
+
+test('an opened lot is used before sealed ones that expire sooner', () => {
+    const itemId = itemWithLots([
+        { quantity: 1, expiry_date: '2030-01-01' },
+        { quantity: 1, expiry_date: '2030-06-01' }
+    ]);
+    const opened = db.openItemLot(itemId, { lotId: db.getItemLots(itemId)[1].id, date: '2029-12-01' });
+
+    db.consumeItemLots(itemId, 1);
+
+    assert.strictEqual(db.getItemLotById(opened.id), undefined);
+    assert.deepStrictEqual(lotSummary(itemId), [[1, '2030-01-01']]);
+});
+
+test('using more than there is empties the item', () => {
+    const itemId = itemWithLots([
+        { quantity: 1, expiry_date: '2030-01-01' },
+        { quantity: 1 }
+    ]);
+
+    const taken = db.consumeItemLots(itemId, 5);
+
+    assert.strictEqual(taken.reduce((sum, t) => sum + t.quantity, 0), 2);
+    assert.deepStrictEqual(db.getItemLots(itemId), []);
+    const item = db.getItemById(itemId);
+    assert.strictEqual(item.quantity, 0);
+    assert.strictEqual(item.expiry_date, null);
+});
+
+test('fractional amounts use a lot up without leaving a sliver behind', () => {
+    const itemId = itemWithLots([{ quantity: 0.3, expiry_date: '2030-01-01' }, { quantity: 1 }], 'L');
+
+    db.consumeItemLots(itemId, 0.1);
+    db.consumeItemLots(itemId, 0.1);
+    db.consumeItemLots(itemId, 0.1);
+
+    assert.deepStrictEqual(lotSummary(itemId), [[1, null]]);
+    assert.strictEqual(db.getItemById(itemId).expiry_date, null);
+});
+
+test('a quick quantity change uses from the lots or adds to the newest one', () => {
+    const itemId = itemWithLots([
+        { quantity: 2, expiry_date: '2030-01-01', date_added: '2029-12-01' },
+        { quantity: 2, expiry_date: '2030-02-01', date_added: '2029-12-15' }
+    ]);
+
+    db.updateItemQuantity(itemId, 3);
+    assert.deepStrictEqual(lotSummary(itemId), [[1, '2030-01-01'], [2, '2030-02-01']]);
+
+    db.updateItemQuantity(itemId, 5);
+    assert.deepStrictEqual(lotSummary(itemId), [[1, '2030-01-01'], [4, '2030-02-01']]);
+    assert.strictEqual(db.getItemById(itemId).quantity, 5);
+});
+
+test('removing a lot updates the item', () => {
+    const itemId = itemWithLots([
+        { quantity: 1, expiry_date: '2030-01-01' },
+        { quantity: 2, expiry_date: '2030-02-01' }
+    ]);
+
+    db.removeItemLot(db.getItemLots(itemId)[0].id);
+
+    const item = db.getItemById(itemId);
+    assert.strictEqual(item.quantity, 2);
+    assert.strictEqual(item.expiry_date, '2030-02-01');
+});
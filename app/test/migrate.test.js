@@ -0,0 +1,80 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const initSqlJs = require('sql.js');
+const migrate = require('../db/migrate');
+
+let SQL;
+const latest = () => {
+    const migrations = migrate.loadMigrations();
+    return migrations[migrations.length - 1].version;
+};
+
+function tableExists(db, name) {
+    return db.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = '${name}'`).length > 0;
+}
+
+function userVersion(db) {
+    return db.exec('PRAGMA user_version')[0].values[0][0];
+}
+
+before(async () => {
+    SQL = await initSqlJs();
+});
+
+test('migration files have unique, increasing versions', () => {
+    const versions = migrate.loadMigrations().map(m => m.version);
+    assert.ok(versions.length > 0);
+    versions.forEach((version, i) => {
+        if (i > 0) assert.ok(version > versions[i - 1]);
+    });
+});
+
+test('a new database is brought up to the latest version', () => {
+    const db = new SQL.Database();
+    const result = migrate.runMigrations(db);
+
+    assert.strictEqual(result.from, 0);
+    assert.strictEqual(result.to, latest());
+    assert.strictEqual(result.applied.length, migrate.loadMigrations().length);
+    assert.strictEqual(userVersion(db), latest());
+    ['items', 'item_lots', 'locations', 'categories', 'schema_migrations'].forEach(table => {
+        assert.ok(tableExists(db, table), `${table} exists`);
+    });
+
+    const status = migrate.getMigrationStatus(db);
+    assert.deepStrictEqual(status.pending, []);
+    assert.strictEqual(status.history.length, result.applied.length);
+    db.close();
+});
+
+test('running again applies nothing', () => {
+    const db = new SQL.Database();
+    migrate.runMigrations(db);
+    const again = migrate.runMigrations(db);
+
+    assert.deepStrictEqual(again.applied, []);
+    assert.strictEqual(again.from, again.to);
+    db.close();
+});
+
+test('a failed migration is rolled back and the version is left alone', () => {
+    const db = new SQL.Database();
+    // 001 seeds categories (name, icon, sort_order); this table lacks those columns
+    db.exec('CREATE TABLE categories (name TEXT)');
+
+    assert.throws(() => migrate.runMigrations(db), /Migration 001_initial_schema\.sql failed/);
+    assert.strictEqual(userVersion(db), 0);
+    assert.ok(!tableExists(db, 'locations'), 'tables created before the failure are gone');
+    assert.ok(!tableExists(db, 'items'));
+    assert.strictEqual(migrate.getMigrationStatus(db).history.length, 0);
+    db.close();
+});
+
+test('a database newer than the code is refused', () => {
+    const db = new SQL.Database();
+    db.exec(`PRAGMA user_version = ${latest() + 1}`);
+
+    assert.throws(() => migrate.runMigrations(db), error => error.code === 'SCHEMA_TOO_NEW');
+    assert.ok(!tableExists(db, 'schema_migrations'), 'nothing was touched');
+    db.close();
+});
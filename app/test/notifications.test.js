@@ -0,0 +1,346 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const { openTestDatabase, closeTestDatabase } = require('./helpers');
+
+let db;
+let notifications;
+const servers = [];
+
+/**
+ * Start a server on a free local port
+ * @returns {Promise<number>} Port
+ */
+async function listen(server) {
+    servers.push(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server.address().port;
+}
+
+/**
+ * An HTTP stand-in that records each request and answers with a status
+ */
+async function httpStandIn(status = 200) {
+    const requests = [];
+    const port = await listen(http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+            res.statusCode = status;
+            res.end();
+        });
+    }));
+    return { port, requests };
+}
+
+/**
+ * An SMTP stand-in that records the commands and the message it is given.
+ * Recipients in reject get 550.
+ */
+async function smtpStandIn(reject = []) {
+    const session = { commands: [], message: null };
+    const port = await listen(net.createServer(socket => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                session.message = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write('250 queued\r\n');
+            }
+            let newline;
+            while (!inData && (newline = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 2);
+                session.commands.push(line);
+                const verb = line.split(/[ :]/)[0].toUpperCase();
+                if (verb === 'EHLO') socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+                else if (verb === 'AUTH') socket.write('235 ok\r\n');
+                else if (verb === 'MAIL') socket.write('250 ok\r\n');
+                else if (verb === 'RCPT') socket.write(reject.some(address => line.includes(address)) ? '550 no such user\r\n' : '250 ok\r\n');
+                else if (verb === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+                else if (verb === 'QUIT') socket.end('221 bye\r\n');
+            }
+        });
+    }));
+    return { port, session };
+}
+
+/**
+ * A local time today
+ */
+function todayAt(hours, minutes = 0) {
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+}
+
+before(async () => {
+    db = await openTestDatabase();
+    notifications = require('../services/notifications');
+});
+
+after(() => {
+    servers.forEach(server => server.close());
+    closeTestDatabase();
+});
+
+// ============================================================================
+// QUIET HOURS & SCHEDULE
+// ============================================================================
+
+test('quiet hours within a day', () => {
+    const config = { quiet_start: '13:00', quiet_end: '15:00' };
+
+    assert.strictEqual(notifications.inQuietHours(config, todayAt(12, 59)), false);
+    assert.strictEqual(notifications.inQuietHours(config, todayAt(13, 0)), true);
+    assert.strictEqual(notifications.inQuietHours(config, todayAt(14, 59)), true);
+    assert.strictEqual(notifications.inQuietHours(config, todayAt(15, 0)), false);
+});
+
+test('quiet hours past midnight', () => {
+    const config = { quiet_start: '22:00', quiet_end: '07:00' };
+
+    assert.strictEqual(notifications.inQuietHours(config, todayAt(23, 30)), true);
+    assert.strictEqual(notifications.inQuietHours(config, todayAt(6, 59)), true);
+    assert.strictEqual(notifications.inQuietHours(config, todayAt(7, 0)), false);
+    assert.strictEqual(notifications.inQuietHours(config, todayAt(12, 0)), false);
+});
+
+test('no quiet hours unless both ends are set and differ', () => {
+    assert.strictEqual(notifications.inQuietHours({ quiet_start: '22:00', quiet_end: '' }, todayAt(23)), false);
+    assert.strictEqual(notifications.inQuietHours({ quiet_start: '22:00', quiet_end: '22:00' }, todayAt(22)), false);
+});
+
+test('quiet hours must be times', () => {
+    assert.throws(
+        () => notifications.saveChannelConfig('webhook', { quiet_start: '10pm', quiet_end: '07:00' }),
+        error => error.status === 400
+    );
+});
+
+test('a digest is due once a day, after the digest time and outside quiet hours', () => {
+    notifications.setDigestTime('08:00');
+    notifications.saveChannelConfig('webhook', { enabled: false, url: 'http://127.0.0.1:9/' });
+    assert.strictEqual(notifications.isDue('webhook', todayAt(9)), false, 'disabled');
+
+    notifications.saveChannelConfig('webhook', { enabled: true, url: 'http://127.0.0.1:9/', quiet_start: '12:00', quiet_end: '14:00' });
+    assert.strictEqual(notifications.isDue('webhook', todayAt(7, 59)), false, 'before the digest time');
+    assert.strictEqual(notifications.isDue('webhook', todayAt(8)), true);
+    assert.strictEqual(notifications.isDue('webhook', todayAt(13)), false, 'in quiet hours');
+
+    db.logNotificationDelivery('webhook', 'sent', 1);
+    assert.strictEqual(notifications.isDue('webhook', todayAt(23, 59)), false, 'already ran today');
+});
+
+test('a failed digest is retried an hour later', () => {
+    notifications.setDigestTime('00:00');
+    notifications.saveChannelConfig('smtp', { enabled: true, host: '127.0.0.1', from: 'a@b', to: 'c@d' });
+
+    db.logNotificationDelivery('smtp', 'failed', 1, 'down');
+    const failedAt = new Date(db.getNotificationDeliveries({ channel: 'smtp' })[0].created_at.replace(' ', 'T'));
+
+    assert.strictEqual(notifications.isDue('smtp', new Date(failedAt.getTime() + 60 * 1000)), false);
+    assert.strictEqual(notifications.isDue('smtp', new Date(failedAt.getTime() + 60 * 60 * 1000)), true);
+});
+
+// ============================================================================
+// EMAIL (SMTP)
+// ============================================================================
+
+test('email goes through the SMTP conversation with AUTH PLAIN', async () => {
+    const { port, session } = await smtpStandIn();
+    notifications.saveChannelConfig('smtp', {
+        enabled: true,
+        host: '127.0.0.1',
+        port: String(port),
+        user: 'kitchen',
+        password: 's3cret',
+        from: 'pi@home.lan',
+        to: 'ann@home.lan, bob@home.lan'
+    });
+
+    await notifications.sendTest('smtp');
+
+    assert.strictEqual(session.commands[0].split(' ')[0], 'EHLO');
+    assert.strictEqual(session.commands[1], `AUTH PLAIN ${Buffer.from('\0kitchen\0s3cret').toString('base64')}`);
+    assert.deepStrictEqual(session.commands.slice(2, 6), [
+        'MAIL FROM:<pi@home.lan>',
+        'RCPT TO:<ann@home.lan>',
+        'RCPT TO:<bob@home.lan>',
+        'DATA'
+    ]);
+
+    const [headers, body] = session.message.split('\r\n\r\n');
+    assert.match(headers, /^From: pi@home\.lan$/m);
+    assert.match(headers, /^To: ann@home\.lan, bob@home\.lan$/m);
+    assert.match(headers, /^Subject: Stock Keeper test notification$/m);
+    assert.match(headers, /^Content-Transfer-Encoding: base64$/m);
+    assert.match(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'), /test of the Email \(SMTP\) channel/);
+});
+
+test('an SMTP error reply fails the send with the server\'s answer', async () => {
+    const { port } = await smtpStandIn(['bob@home.lan']);
+    notifications.saveChannelConfig('smtp', {
+        enabled: true,
+        host: '127.0.0.1',
+        port: String(port),
+        from: 'pi@home.lan',
+        to: 'ann@home.lan, bob@home.lan'
+    });
+
+    await assert.rejects(notifications.sendTest('smtp'), /SMTP server answered: 550 no such user/);
+});
+
+// ============================================================================
+// WEBHOOK
+// ============================================================================
+
+test('the webhook body is signed with the secret', async () => {
+    const { port, requests } = await httpStandIn();
+    notifications.saveChannelConfig('webhook', { enabled: true, url: `http://127.0.0.1:${port}/hook`, secret: 'shh' });
+
+    await notifications.sendTest('webhook');
+
+    const [received] = requests;
+    assert.strictEqual(received.url, '/hook');
+    assert.strictEqual(received.headers['content-type'], 'application/json');
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'shh').update(received.body).digest('hex');
+    assert.strictEqual(received.headers['x-stock-keeper-signature'], expected);
+    assert.strictEqual(JSON.parse(received.body).event, 'stock-keeper.digest');
+});
+
+test('without a secret the webhook is not signed', async () => {
+    const { port, requests } = await httpStandIn();
+    notifications.saveChannelConfig('webhook', { enabled: true, url: `http://127.0.0.1:${port}/hook`, clear_secret: true });
+
+    await notifications.sendTest('webhook');
+
+    assert.strictEqual(requests[0].headers['x-stock-keeper-signature'], undefined);
+});
+
+test('a digest carries each alert once', async () => {
+    const { port, requests } = await httpStandIn();
+    notifications.saveChannelConfig('webhook', { enabled: true, url: `http://127.0.0.1:${port}/hook`, secret: 'shh' });
+    db.createItem({ title: 'Old milk', category: 'Dairy', location_id: 1, quantity: 1, unit: 'L', expiry_date: '2020-01-01' });
+
+    const first = await notifications.deliverDigest('webhook');
+    const second = await notifications.deliverDigest('webhook');
+
+    assert.strictEqual(first.status, 'sent');
+    assert.strictEqual(second.status, 'empty');
+    assert.strictEqual(requests.length, 1);
+    const body = JSON.parse(requests[0].body);
+    const expired = body.sections.find(section => section.kind === 'expired');
+    assert.deepStrictEqual(expired.alerts.map(alert => alert.title), ['Old milk']);
+});
+
+test('a webhook that answers with an error fails the delivery', async () => {
+    const { port } = await httpStandIn(500);
+    notifications.saveChannelConfig('webhook', { enabled: true, url: `http://127.0.0.1:${port}/hook` });
+
+    await assert.rejects(notifications.sendTest('webhook'), /Webhook answered 500/);
+});
+
+// ============================================================================
+// WEB PUSH
+// ============================================================================
+
+/**
+ * Decrypt an aes128gcm push message as the browser would (RFC 8291)
+ */
+function decryptPush(body, client, authSecret) {
+    const salt = body.subarray(0, 16);
+    const keyLength = body.readUInt8(20);
+    const serverKey = body.subarray(21, 21 + keyLength);
+    const ciphertext = body.subarray(21 + keyLength);
+
+    const sharedSecret = client.computeSecret(serverKey);
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), client.getPublicKey(), serverKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const plain = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+    // The last record ends with the 0x02 padding delimiter
+    assert.strictEqual(plain[plain.length - 1], 2);
+    return {
+        recordSize: body.readUInt32BE(16),
+        keyLength,
+        payload: JSON.parse(plain.subarray(0, -1).toString('utf8'))
+    };
+}
+
+test('a push message is encrypted for the browser and signed with VAPID', async () => {
+    const { port, requests } = await httpStandIn(201);
+    const client = crypto.createECDH('prime256v1');
+    client.generateKeys();
+    const authSecret = crypto.randomBytes(16);
+    const endpoint = `http://127.0.0.1:${port}/push/abc`;
+    db.savePushSubscription({
+        endpoint,
+        keys: { p256dh: client.getPublicKey().toString('base64url'), auth: authSecret.toString('base64url') }
+    });
+    notifications.saveChannelConfig('webpush', { enabled: true, subject: 'mailto:ann@home.lan' });
+
+    await notifications.sendTest('webpush');
+
+    const [received] = requests;
+    assert.strictEqual(received.url, '/push/abc');
+    assert.strictEqual(received.headers['content-encoding'], 'aes128gcm');
+    assert.strictEqual(received.headers['ttl'], String(24 * 60 * 60));
+
+    const message = decryptPush(received.body, client, authSecret);
+    assert.strictEqual(message.recordSize, 4096);
+    assert.strictEqual(message.keyLength, 65);
+    assert.strictEqual(message.payload.title, 'Stock Keeper test notification');
+    assert.strictEqual(message.payload.url, '/dashboard/alerts');
+
+    // Authorization: vapid t=<JWT>, k=<public key>
+    const match = /^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+), k=([\w-]+)$/.exec(received.headers.authorization);
+    assert.ok(match, received.headers.authorization);
+    const [, header, claims, signature, k] = match;
+    assert.strictEqual(k, notifications.getVapidKeys().publicKey);
+    assert.deepStrictEqual(JSON.parse(Buffer.from(header, 'base64url')), { typ: 'JWT', alg: 'ES256' });
+
+    const jwt = JSON.parse(Buffer.from(claims, 'base64url'));
+    assert.strictEqual(jwt.aud, `http://127.0.0.1:${port}`);
+    assert.strictEqual(jwt.sub, 'mailto:ann@home.lan');
+    const now = Math.floor(Date.now() / 1000);
+    assert.ok(jwt.exp > now && jwt.exp <= now + 24 * 60 * 60, 'expires within a day');
+
+    const point = Buffer.from(k, 'base64url');
+    const publicKey = crypto.createPublicKey({
+        key: { kty: 'EC', crv: 'P-256', x: point.subarray(1, 33).toString('base64url'), y: point.subarray(33, 65).toString('base64url') },
+        format: 'jwk'
+    });
+    assert.ok(crypto.verify('sha256', Buffer.from(`${header}.${claims}`), {
+        key: publicKey,
+        dsaEncoding: 'ieee-p1363'
+    }, Buffer.from(signature, 'base64url')), 'the JWT signature verifies with the VAPID key');
+});
+
+test('a subscription the push service has dropped is removed', async () => {
+    const { port } = await httpStandIn(410);
+    const client = crypto.createECDH('prime256v1');
+    client.generateKeys();
+    db.getPushSubscriptions().forEach(subscription => db.deletePushSubscription(subscription.endpoint));
+    db.savePushSubscription({
+        endpoint: `http://127.0.0.1:${port}/push/gone`,
+        keys: { p256dh: client.getPublicKey().toString('base64url'), auth: crypto.randomBytes(16).toString('base64url') }
+    });
+
+    await assert.rejects(notifications.sendTest('webpush'), /Subscription expired/);
+    assert.deepStrictEqual(db.getPushSubscriptions(), []);
+});